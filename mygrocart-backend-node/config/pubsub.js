@@ -0,0 +1,25 @@
+/**
+ * PubSub - Event bus for GraphQL subscriptions
+ *
+ * In-memory: events only reach subscribers connected to this server
+ * process. Running several instances needs a shared (e.g. Redis-backed)
+ * PubSub instead.
+ */
+
+const { PubSub } = require('graphql-subscriptions');
+
+const pubsub = new PubSub();
+
+/**
+ * Topic for changes to one shopping list's items
+ * @param {string} listId - ShoppingList ID
+ * @returns {string} Topic name
+ */
+function listItemTopic(listId) {
+  return `LIST_ITEM_CHANGED.${listId}`;
+}
+
+module.exports = {
+  pubsub,
+  listItemTopic
+};
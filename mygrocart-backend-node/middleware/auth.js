@@ -1,9 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
-const getUser = async (req) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
-
+const getUserFromToken = async (token) => {
   if (!token) {
     return null;
   }
@@ -33,5 +31,11 @@ const getUser = async (req) => {
   }
 };
 
-module.exports = { getUser };
+// HTTP requests send the token in the Authorization header
+const getUser = async (req) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  return getUserFromToken(token);
+};
+
+module.exports = { getUser, getUserFromToken };
 
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * AdminAuditLog - Admin actions on flyers and deals
+ * One row per action, with what changed, so a bad edit or deletion can be
+ * traced back to who made it and when.
+ */
+const AdminAuditLog = sequelize.define('AdminAuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  adminUserId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'User.userId of the admin who acted'
+  },
+  action: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'What was done (e.g. "flyer.reprocess", "flyer.delete", "flyer.update")'
+  },
+  targetType: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Kind of record acted on (e.g. "flyer")'
+  },
+  targetId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'ID of the record acted on (kept after the record is deleted)'
+  },
+  details: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Action details (changed fields, counts, the deleted flyer)'
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['targetType', 'targetId'],
+      name: 'idx_adminauditlog_target'
+    },
+    {
+      fields: ['createdAt'],
+      name: 'idx_adminauditlog_created'
+    }
+  ]
+});
+
+module.exports = AdminAuditLog;
@@ -79,6 +79,16 @@ const Deal = sequelize.define('Deal', {
     defaultValue: 'each',
     comment: 'Unit of measurement (e.g., "each", "lb", "/oz")'
   },
+  unitPrice: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Normalized price per unitPriceUnit (see utils/unitPrice.js)'
+  },
+  unitPriceUnit: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'Canonical unit for unitPrice: "oz", "fl_oz" or "count"'
+  },
   dealType: {
     type: DataTypes.ENUM('sale', 'bogo', 'multi_buy', 'coupon', 'clearance'),
     allowNull: false,
@@ -110,6 +120,11 @@ const Deal = sequelize.define('Deal', {
     },
     comment: 'OCR confidence score (0-1)'
   },
+  fieldConfidence: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'OCR confidence per field (0-1): { productName, salePrice, dealType }'
+  },
   rawText: {
     type: DataTypes.TEXT,
     allowNull: true,
@@ -119,6 +134,58 @@ const Deal = sequelize.define('Deal', {
     type: DataTypes.STRING(500),
     allowNull: true,
     comment: 'Product image URL from OpenFoodFacts or other sources'
+  },
+  flyerImageUrl: {
+    type: DataTypes.STRING(1000),
+    allowNull: true,
+    comment: 'Flyer page image the deal was read from (OCR deals only)'
+  },
+  pageIndex: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Index of the flyer page (Flyer.imageUrls) the deal is printed on'
+  },
+  boundingBox: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Deal position on its page as 0-1 fractions { x, y, width, height } (see utils/flyerHotspots.js)'
+  },
+  isStockUp: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'At or near the 52-week low for this product at this store (see utils/priceHistory.js)'
+  },
+  low52WeekPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true,
+    comment: 'Lowest per-item price in the last 52 weeks (null = no history)'
+  },
+  needsReview: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'In the admin review queue (see utils/dealReview.js)'
+  },
+  reviewReasons: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Why the deal was flagged for review (array of strings)'
+  },
+  reviewedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When an admin last approved or edited the deal'
+  },
+  reviewedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Admin who last approved or edited the deal'
+  },
+  duplicateOfId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Canonical deal this is a copy of, from another flyer for the same store and week (null = canonical, see utils/dealDedup.js)'
   }
 }, {
   timestamps: true,
@@ -149,6 +216,18 @@ const Deal = sequelize.define('Deal', {
     {
       fields: ['storeName'],
       name: 'idx_deal_store_name'
+    },
+    {
+      fields: ['isStockUp'],
+      name: 'idx_deal_stock_up'
+    },
+    {
+      fields: ['needsReview'],
+      name: 'idx_deal_needs_review'
+    },
+    {
+      fields: ['duplicateOfId'],
+      name: 'idx_deal_duplicate_of'
     }
   ]
 });
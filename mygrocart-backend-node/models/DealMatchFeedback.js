@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * DealMatchFeedback - User's accept/reject decisions on deal matches
+ *
+ * Deal IDs change with every weekly flyer, so decisions are keyed by the
+ * list item name and the product's normalized name + brand. DealMatcher
+ * uses them to drop rejected products and boost accepted ones in later weeks.
+ */
+const DealMatchFeedback = sequelize.define('DealMatchFeedback', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Foreign key to User table'
+  },
+  listItemId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'List item the decision was made on (null if the item was removed)'
+  },
+  itemKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Normalized list item name + variant (e.g., "chicken breast")'
+  },
+  productKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Normalized deal product name without sizes (e.g., "perdue chicken breast")'
+  },
+  brandKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: '',
+    comment: 'Normalized deal brand, empty when the deal had none'
+  },
+  decision: {
+    type: DataTypes.ENUM('accepted', 'rejected'),
+    allowNull: false,
+    comment: 'Whether the user confirmed or rejected the match'
+  },
+  productName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Product name as shown on the deal the decision was made on'
+  },
+  productBrand: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  dealId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Deal the decision was made on (may no longer exist)'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId'],
+      name: 'idx_dealmatchfeedback_user'
+    },
+    {
+      unique: true,
+      fields: ['userId', 'itemKey', 'productKey', 'brandKey'],
+      name: 'idx_dealmatchfeedback_unique'
+    }
+  ]
+});
+
+module.exports = DealMatchFeedback;
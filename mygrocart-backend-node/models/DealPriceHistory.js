@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * DealPriceHistory - Past flyer prices per product and store
+ * Outlives the Deal rows it was recorded from (deals are cleared per ZIP when
+ * flyers are re-processed), so stock-up prices can be spotted and the next
+ * sale predicted (see utils/priceHistory.js and utils/saleCycle.js).
+ */
+const DealPriceHistory = sequelize.define('DealPriceHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  productKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Normalized product name (DealMatcher getProductKeys)'
+  },
+  storeName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Store chain name from the flyer'
+  },
+  zipCode: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'ZIP code of the flyer'
+  },
+  productName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Product name as printed, for display'
+  },
+  itemPrice: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    comment: 'Price of one item (multi-buys divided out)'
+  },
+  unitPrice: {
+    type: DataTypes.FLOAT,
+    allowNull: true,
+    comment: 'Normalized price per unitPriceUnit'
+  },
+  unitPriceUnit: {
+    type: DataTypes.STRING(10),
+    allowNull: true,
+    comment: 'Canonical unit for unitPrice: "oz", "fl_oz" or "count"'
+  },
+  dealType: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'Deal type (sale, bogo, multi_buy, ...) for sale-cycle predictions'
+  },
+  validFrom: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'Start of the flyer week'
+  },
+  dealId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Deal it was recorded from (may since have been deleted)'
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['productKey', 'storeName', 'zipCode', 'validFrom'],
+      name: 'idx_dealpricehistory_product_week'
+    },
+    {
+      fields: ['validFrom'],
+      name: 'idx_dealpricehistory_valid_from'
+    }
+  ]
+});
+
+module.exports = DealPriceHistory;
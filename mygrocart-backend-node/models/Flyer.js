@@ -69,6 +69,15 @@ const Flyer = sequelize.define('Flyer', {
     type: DataTypes.DATE,
     allowNull: true,
     comment: 'Timestamp when OCR processing completed'
+  },
+  dealSource: {
+    type: DataTypes.STRING(10),
+    allowNull: false,
+    defaultValue: 'ocr',
+    validate: {
+      isIn: [['scraper', 'ocr']]
+    },
+    comment: 'scraper: deals read from store data (Flipp items, store APIs); ocr: read from the page images'
   }
 }, {
   timestamps: true,
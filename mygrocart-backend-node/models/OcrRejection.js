@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * OcrRejection - OCR output rows that failed validation
+ * Kept so bad extractions can be reviewed and prompts/providers tuned
+ * (see utils/ocrDeals.js). Keyed by flyerRunId because rows are rejected
+ * before the Flyer is saved.
+ */
+const OcrRejection = sequelize.define('OcrRejection', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  flyerRunId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Flyer.flyerRunId of the flyer being processed'
+  },
+  storeSlug: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Store slug (e.g. "kroger")'
+  },
+  imageUrl: {
+    type: DataTypes.STRING(1000),
+    allowNull: true,
+    comment: 'Flyer image the row was read from'
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'OCR provider name (services/ocr)'
+  },
+  row: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Row as returned by the provider (or the raw response if unparseable)'
+  },
+  reasons: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Validation errors'
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['flyerRunId'],
+      name: 'idx_ocrrejection_flyer_run'
+    },
+    {
+      fields: ['createdAt'],
+      name: 'idx_ocrrejection_created'
+    }
+  ]
+});
+
+module.exports = OcrRejection;
@@ -0,0 +1,91 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * PantryItem - What a user has at home
+ * Filled in when list items are checked off, used up by the user, and
+ * suggested back onto the list when running low or about to expire.
+ */
+const PantryItem = sequelize.define('PantryItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Foreign key to User table'
+  },
+  itemKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Normalized name + variant (DealMatcher getItemKey), one row per item'
+  },
+  itemName: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Base item name (e.g., "Milk")'
+  },
+  itemVariant: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Optional variant (e.g., "whole")'
+  },
+  category: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Product category (e.g., "Dairy")'
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 0
+    },
+    comment: 'How many are at home'
+  },
+  lowStockThreshold: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    validate: {
+      min: 0
+    },
+    comment: 'Running low below this quantity'
+  },
+  purchasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When it was last bought'
+  },
+  shelfLifeDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1
+    },
+    comment: 'Expected shelf life from purchase (null = keeps)'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'purchasedAt + shelfLifeDays'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'itemKey'],
+      name: 'idx_pantryitem_user_item'
+    },
+    {
+      fields: ['expiresAt'],
+      name: 'idx_pantryitem_expires'
+    }
+  ]
+});
+
+module.exports = PantryItem;
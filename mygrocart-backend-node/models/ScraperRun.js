@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ScraperRun - One store scraper run for one ZIP code
+ * Written by fetchAllStoreFlyers after every scraper it runs, so a chain
+ * whose site changed shows up as failures or a drop in deals instead of
+ * quietly returning nothing. Feeds the scraper circuit breaker and the
+ * admin scraper health view.
+ */
+const ScraperRun = sequelize.define('ScraperRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  storeSlug: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Scraper slug (e.g. "kroger")'
+  },
+  zipCode: {
+    type: DataTypes.STRING(10),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    validate: {
+      isIn: [['success', 'empty', 'failed']]
+    },
+    comment: 'success: valid flyers; empty: no flyers and no errors; failed: error or requests failing'
+  },
+  latencyMs: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  flyerCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Flyers that passed the scraper contract'
+  },
+  dealCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Pre-extracted deals in those flyers'
+  },
+  errorClass: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'timeout, network, blocked, http_error, invalid_flyer, parse or unknown'
+  },
+  errorMessage: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  anomaly: {
+    type: DataTypes.STRING(30),
+    allowNull: true,
+    comment: 'flyer_drop or deal_drop versus the same ZIP a week earlier, else its last successful run'
+  },
+  baselineDealCount: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'Deal count of the run the anomaly was measured against'
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['storeSlug', 'createdAt'],
+      name: 'idx_scraperrun_slug_created'
+    },
+    {
+      fields: ['storeSlug', 'zipCode', 'createdAt'],
+      name: 'idx_scraperrun_slug_zip_created'
+    }
+  ]
+});
+
+module.exports = ScraperRun;
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ShoppingList - A user's named shopping list (e.g., "Weekly", "Costco run")
+ * Each user has one default list, created on first use; UserListItems belong to a list.
+ */
+const ShoppingList = sequelize.define('ShoppingList', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Foreign key to User table (list owner)'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, 60]
+    },
+    comment: 'List name (e.g., "Weekly", "Thanksgiving")'
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    comment: 'List used when no list is specified (one per user)'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId'],
+      name: 'idx_shoppinglist_user'
+    }
+  ]
+});
+
+module.exports = ShoppingList;
@@ -0,0 +1,69 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ShoppingListMember - A person a shopping list is shared with
+ * Invites are by email and stay pending until the invitee accepts; the
+ * list owner is ShoppingList.userId and has no member row.
+ */
+const ShoppingListMember = sequelize.define('ShoppingListMember', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  listId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Foreign key to ShoppingList table'
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    },
+    comment: 'Invited email address (lowercase)'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Foreign key to User table (set when the invite is accepted)'
+  },
+  role: {
+    type: DataTypes.ENUM('editor', 'viewer'),
+    allowNull: false,
+    defaultValue: 'editor',
+    comment: 'editor: add/check off/remove items, viewer: read only'
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'accepted'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'Invite status'
+  },
+  invitedBy: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'User who sent the invite'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['listId', 'email'],
+      unique: true,
+      name: 'idx_listmember_list_email'
+    },
+    {
+      fields: ['userId'],
+      name: 'idx_listmember_user'
+    },
+    {
+      fields: ['email', 'status'],
+      name: 'idx_listmember_email_status'
+    }
+  ]
+});
+
+module.exports = ShoppingListMember;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { applyZipLocation } = require('../utils/geocoder');
 
 const Store = sequelize.define('Store', {
   storeId: {
@@ -50,7 +51,18 @@ const Store = sequelize.define('Store', {
     {
       fields: ['latitude', 'longitude']
     }
-  ]
+  ],
+  hooks: {
+    // Stores without scraped coordinates are placed at their ZIP's center
+    beforeCreate: (store) => {
+      applyZipLocation(store);
+    },
+    beforeUpdate: (store) => {
+      if (store.changed('zipCode') && !store.changed('latitude')) {
+        applyZipLocation(store, { force: true });
+      }
+    }
+  }
 });
 
 module.exports = Store;
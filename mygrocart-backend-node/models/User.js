@@ -2,6 +2,7 @@ const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
 const { sequelize } = require('../config/database');
+const { applyZipLocation } = require('../utils/geocoder');
 
 const User = sequelize.define('User', {
   userId: {
@@ -70,6 +71,17 @@ const User = sequelize.define('User', {
     allowNull: false,
     defaultValue: 10
   },
+  // Deal matching preferences (see utils/DealMatcher.js)
+  minMatchScore: {
+    type: DataTypes.FLOAT,
+    allowNull: false,
+    defaultValue: 0.4
+  },
+  preferredBrands: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
   isAdmin: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -82,12 +94,17 @@ const User = sequelize.define('User', {
         const salt = await bcrypt.genSalt(12);
         user.password = await bcrypt.hash(user.password, salt);
       }
+      applyZipLocation(user);
     },
     beforeUpdate: async (user) => {
       if (user.changed('password')) {
         const salt = await bcrypt.genSalt(12);
         user.password = await bcrypt.hash(user.password, salt);
       }
+      // Moving ZIP moves the user, unless coordinates were set explicitly
+      if (user.changed('zipCode') && !user.changed('latitude')) {
+        applyZipLocation(user, { force: true });
+      }
     }
   }
 });
@@ -16,6 +16,11 @@ const UserListItem = sequelize.define('UserListItem', {
     allowNull: false,
     comment: 'Foreign key to User table'
   },
+  listId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Foreign key to ShoppingList table (null only for rows created before named lists)'
+  },
   itemName: {
     type: DataTypes.STRING,
     allowNull: false,
@@ -45,6 +50,25 @@ const UserListItem = sequelize.define('UserListItem', {
     allowNull: false,
     defaultValue: false,
     comment: 'Whether item has been checked off the list'
+  },
+  recurrenceDays: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 1,
+      max: 365
+    },
+    comment: 'Repeat interval in days (null = one-off item)'
+  },
+  lastCheckedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the item was last checked off'
+  },
+  nextDueAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When a checked-off recurring item reappears unchecked'
   }
 }, {
   timestamps: true,
@@ -53,6 +77,10 @@ const UserListItem = sequelize.define('UserListItem', {
       fields: ['userId'],
       name: 'idx_userlistitem_user'
     },
+    {
+      fields: ['listId'],
+      name: 'idx_userlistitem_list'
+    },
     {
       fields: ['itemName'],
       name: 'idx_userlistitem_name'
@@ -60,6 +88,10 @@ const UserListItem = sequelize.define('UserListItem', {
     {
       fields: ['category'],
       name: 'idx_userlistitem_category'
+    },
+    {
+      fields: ['nextDueAt'],
+      name: 'idx_userlistitem_next_due'
     }
   ]
 });
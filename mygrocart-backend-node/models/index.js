@@ -10,8 +10,16 @@ const UserList = require('./UserList');
 // NEW: Flyer-based models (Weekly OCR system)
 const Flyer = require('./Flyer');
 const Deal = require('./Deal');
+const DealPriceHistory = require('./DealPriceHistory');
+const OcrRejection = require('./OcrRejection');
+const ShoppingList = require('./ShoppingList');
+const ShoppingListMember = require('./ShoppingListMember');
 const UserListItem = require('./UserListItem');
 const UserNotification = require('./UserNotification');
+const DealMatchFeedback = require('./DealMatchFeedback');
+const PantryItem = require('./PantryItem');
+const AdminAuditLog = require('./AdminAuditLog');
+const ScraperRun = require('./ScraperRun');
 
 // Phase 2 models (DEPRECATED - see PIVOT_PLAN_FLYER_OCR.md)
 const PriceHistory = require('./PriceHistory');
@@ -36,15 +44,42 @@ Store.hasMany(Flyer, { foreignKey: 'storeId', as: 'flyers' });
 
 // Deal associations
 Deal.belongsTo(Flyer, { foreignKey: 'flyerId', as: 'flyer' });
+// Copies of a deal from other flyers (utils/dealDedup.js); deleting the canonical deal frees them
+Deal.belongsTo(Deal, { foreignKey: 'duplicateOfId', as: 'duplicateOf', onDelete: 'SET NULL' });
+Deal.hasMany(Deal, { foreignKey: 'duplicateOfId', as: 'duplicates', onDelete: 'SET NULL' });
+
+// ShoppingList associations
+ShoppingList.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+ShoppingList.hasMany(UserListItem, { foreignKey: 'listId', as: 'items' });
+User.hasMany(ShoppingList, { foreignKey: 'userId', as: 'shoppingLists' });
+
+// ShoppingListMember associations
+ShoppingListMember.belongsTo(ShoppingList, { foreignKey: 'listId', as: 'list' });
+ShoppingListMember.belongsTo(User, { foreignKey: 'userId', as: 'user', constraints: false });
+ShoppingListMember.belongsTo(User, { foreignKey: 'invitedBy', as: 'inviter' });
+ShoppingList.hasMany(ShoppingListMember, { foreignKey: 'listId', as: 'members' });
 
 // UserListItem associations
 UserListItem.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+UserListItem.belongsTo(ShoppingList, { foreignKey: 'listId', as: 'list' });
 User.hasMany(UserListItem, { foreignKey: 'userId', as: 'listItems' });
 
 // UserNotification associations
 UserNotification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(UserNotification, { foreignKey: 'userId', as: 'notifications' });
 
+// DealMatchFeedback associations
+DealMatchFeedback.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+DealMatchFeedback.belongsTo(UserListItem, { foreignKey: 'listItemId', as: 'listItem', constraints: false });
+User.hasMany(DealMatchFeedback, { foreignKey: 'userId', as: 'matchFeedback' });
+
+// PantryItem associations
+PantryItem.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(PantryItem, { foreignKey: 'userId', as: 'pantryItems' });
+
+// AdminAuditLog associations
+AdminAuditLog.belongsTo(User, { foreignKey: 'adminUserId', as: 'admin', constraints: false });
+
 // =============================================================================
 // DEPRECATED ASSOCIATIONS (kept for backward compatibility)
 // =============================================================================
@@ -99,8 +134,16 @@ module.exports = {
   // NEW: Flyer-based models
   Flyer,
   Deal,
+  DealPriceHistory,
+  OcrRejection,
+  ShoppingList,
+  ShoppingListMember,
   UserListItem,
   UserNotification,
+  DealMatchFeedback,
+  PantryItem,
+  AdminAuditLog,
+  ScraperRun,
 
   // DEPRECATED: Old scraping system models (kept for backward compatibility)
   PriceHistory,
@@ -7,19 +7,41 @@ const { Op, fn, col, literal } = require('sequelize');
 
 // Import Sequelize models
 const User = require('../models/User');
-const { Product, StorePrice, Store, Flyer, Deal, UserListItem, UserNotification } = require('../models');
+const { Product, StorePrice, Store, Flyer, Deal, DealPriceHistory, OcrRejection, ShoppingList, ShoppingListMember, UserListItem, UserNotification, DealMatchFeedback, PantryItem, AdminAuditLog } = require('../models');
 const { enrichWithStoreBrandInfo } = require('../utils/StoreBrandMatcher');
-const { getOptimizedFlyerUrls, getFlyerThumbnailUrls } = require('../utils/cloudinary');
-const { calculateSavingsPercent, calculateSavingsAmount, parseMultiBuyDeal, calculateBOGOPrice } = require('../utils/dealCalculator');
+const { getOptimizedFlyerUrls } = require('../services/storage');
+const { calculateSavingsPercent, calculateSavingsAmount, parseMultiBuyDeal, calculateBOGOPrice, calculateDealCost } = require('../utils/dealCalculator');
+const { ensureUnitPrice, formatUnitPrice, compareDealValue, calculateUnitPrice, parsePackageSize } = require('../utils/unitPrice');
+const { optimizeTrip } = require('../utils/tripOptimizer');
+const { resolveLocation } = require('../utils/zipCentroids');
+const { matchDealsToListItem, getMatchOptions, getItemKey, getProductKeys, calculateMatchScore } = require('../utils/DealMatcher');
+const { getListRole, hasListRole, normalizeInviteEmail } = require('../utils/listPermissions');
+const { getRecurrenceUpdate, replenishDueItems } = require('../utils/recurringItems');
+const { getExpiresAt, getPantryStatus, getPurchaseUpdate, getRestockSuggestions } = require('../utils/pantry');
+const { HISTORY_WINDOW_DAYS, annotateStockUp, recordDealPrices, summarizePriceTrend } = require('../utils/priceHistory');
+const { predictNextSales } = require('../utils/saleCycle');
+const { getMergedFields } = require('../utils/dealReview');
+const { CANONICAL_DEAL, releaseDuplicates } = require('../utils/dealDedup');
+const { withFilter } = require('graphql-subscriptions');
+const { pubsub, listItemTopic } = require('../config/pubsub');
 
 // Import services
 const DynamicPriceDiscoveryService = require('../services/DynamicPriceDiscoveryService');
 const discoveryService = new DynamicPriceDiscoveryService();
 const ProgressiveDiscoveryService = require('../services/ProgressiveDiscoveryService');
 const progressiveDiscoveryService = new ProgressiveDiscoveryService();
-const FlyerService = require('../services/FlyerService');
-const flyerService = new FlyerService();
 const flyerQueue = require('../services/FlyerQueue');
+// The queue's FlyerService, so the app has one (server.js gives it the image storage)
+const flyerService = flyerQueue.flyerService;
+const { listScrapers } = require('../services/scrapers');
+const { getScraperHealth } = require('../services/scrapers/health');
+
+// Radius used when neither the query nor the user sets one
+const DEFAULT_SEARCH_RADIUS_MILES = 10;
+// Extra distance when picking candidate ZIPs by their center point
+const NEARBY_ZIP_MARGIN_MILES = 5;
+// Name of the list created for users who haven't made one
+const DEFAULT_LIST_NAME = 'My List';
 
 /**
  * Check if flyers exist for a ZIP code, and fetch them if not.
@@ -95,14 +117,511 @@ const requireAdmin = (user) => {
   }
 };
 
-// Helper function to mock geocoding (in production, use Google Maps API)
-const mockGeocode = (address, city, state, zipCode) => {
-  // Return NYC coordinates as default
+
+/**
+ * Load a user's deal match preferences and feedback for DealMatcher
+ * @param {object} user - User record
+ * @returns {Promise<object>} Options for matchDealsToListItem
+ */
+async function loadMatchOptions(user) {
+  const feedback = await DealMatchFeedback.findAll({
+    where: { userId: user.userId },
+    raw: true
+  });
+  return getMatchOptions(user, feedback);
+}
+
+// How long a request's loaded deals are reused (a subscription keeps its context open)
+const DEAL_MATCH_CACHE_MS = 60 * 1000;
+
+/**
+ * Current deals in a user's ZIP and their match options, loaded once per
+ * request: UserListItem.matchingDeals is asked for every item on a list.
+ * @param {object} context - GraphQL context (holds the cache)
+ * @param {string} userId - User whose ZIP and match feedback are used
+ * @returns {Promise<object>} { deals: plain deals, matchOptions }
+ */
+function loadDealMatchContext(context, userId) {
+  context.dealMatches = context.dealMatches || new Map();
+  const cached = context.dealMatches.get(userId);
+  if (cached && Date.now() - cached.loadedAt < DEAL_MATCH_CACHE_MS) {
+    return cached.loading;
+  }
+
+  const loading = (async () => {
+    const user = await User.findByPk(userId);
+    if (!user) return { deals: [], matchOptions: null };
+
+    const [deals, matchOptions] = await Promise.all([
+      Deal.findAll({
+        where: {
+          zipCode: user.zipCode,
+          validTo: { [Op.gte]: new Date() },
+          ...CANONICAL_DEAL
+        }
+      }),
+      loadMatchOptions(user)
+    ]);
+    return { deals: deals.map(deal => deal.get({ plain: true })), matchOptions };
+  })();
+  context.dealMatches.set(userId, { loading, loadedAt: Date.now() });
+  return loading;
+}
+
+/**
+ * Predicted next sales for every unchecked item on a list
+ *
+ * UserListItem.predictedNextSale is asked for every item on a list, so the
+ * work is done once per list: the products in the user's ZIP price history
+ * are scored against each item in memory (the same matching as current
+ * deals, synonyms included), then the history of the matched products is
+ * read in one query.
+ *
+ * @param {object} listItem - Any item on the list (listId, userId)
+ * @param {string} userId - User whose ZIP and match feedback are used
+ * @returns {Promise<Map<string, Array>>} List item ID -> predictions
+ */
+async function loadListSalePredictions(listItem, userId) {
+  const predictions = new Map();
+  const user = await User.findByPk(userId);
+  if (!user || !user.zipCode) return predictions;
+
+  const items = await UserListItem.findAll({
+    where: listItem.listId
+      ? { listId: listItem.listId, checked: false }
+      : { userId: listItem.userId, listId: null, checked: false },
+    raw: true
+  });
+  const since = new Date(Date.now() - HISTORY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  // One row per product sold in the ZIP (names differ only by size within a key)
+  const products = await DealPriceHistory.findAll({
+    attributes: ['productKey', [fn('MAX', col('productName')), 'productName']],
+    where: { zipCode: user.zipCode, validFrom: { [Op.gte]: since } },
+    group: ['productKey'],
+    raw: true
+  });
+
+  // Same matching as current deals, so rejected products don't count
+  const matchOptions = await loadMatchOptions(user);
+  const keysByItem = new Map();
+  for (const item of items) {
+    if (!getItemKey({ itemName: item.itemName })) continue;
+    keysByItem.set(item.id, new Set(products
+      .filter(product => calculateMatchScore(product, item, matchOptions) >= matchOptions.minScore)
+      .map(product => product.productKey)));
+  }
+
+  const matchedKeys = new Set([...keysByItem.values()].flatMap(keys => [...keys]));
+  const rows = matchedKeys.size === 0 ? [] : await DealPriceHistory.findAll({
+    where: {
+      zipCode: user.zipCode,
+      productKey: { [Op.in]: [...matchedKeys] },
+      validFrom: { [Op.gte]: since }
+    },
+    order: [['validFrom', 'ASC']],
+    raw: true
+  });
+
+  for (const item of items) {
+    const keys = keysByItem.get(item.id) || new Set();
+    predictions.set(item.id, predictNextSales(rows.filter(row => keys.has(row.productKey))));
+  }
+  return predictions;
+}
+
+/**
+ * A user's role on a shopping list
+ * @param {object} list - ShoppingList record
+ * @param {string} userId - User to check
+ * @returns {Promise<string|null>} 'owner', 'editor', 'viewer' or null
+ */
+async function findListRole(list, userId) {
+  if (list.userId === userId) return 'owner';
+
+  const membership = await ShoppingListMember.findOne({
+    where: { listId: list.id, userId, status: 'accepted' }
+  });
+  return getListRole(list, membership, userId);
+}
+
+/**
+ * Find a shopping list the user can access (their own or shared with them),
+ * or their default list (created on first use) when no list ID is given
+ * @param {string} userId - User accessing the list
+ * @param {string} [listId] - ShoppingList ID
+ * @param {string} [requiredRole] - Minimum role: 'viewer', 'editor' or 'owner'
+ * @returns {Promise<object>} ShoppingList record
+ */
+async function getShoppingList(userId, listId, requiredRole = 'viewer') {
+  if (listId) {
+    const list = await ShoppingList.findByPk(listId);
+    const role = list ? await findListRole(list, userId) : null;
+    if (!role) {
+      throw new Error('Shopping list not found');
+    }
+    if (!hasListRole(role, requiredRole)) {
+      throw new Error('You do not have permission to change this list');
+    }
+    return list;
+  }
+
+  const [list] = await ShoppingList.findOrCreate({
+    where: { userId, isDefault: true },
+    defaults: { userId, name: DEFAULT_LIST_NAME, isDefault: true }
+  });
+  return list;
+}
+
+/**
+ * Find a list item the user can access through its list
+ * @param {string} userId - User accessing the item
+ * @param {string} id - UserListItem ID
+ * @param {string} [requiredRole] - Minimum role on the item's list
+ * @returns {Promise<object>} UserListItem record
+ */
+async function getListItem(userId, id, requiredRole = 'viewer') {
+  const listItem = await UserListItem.findByPk(id);
+  if (!listItem) {
+    throw new Error('List item not found');
+  }
+
+  if (listItem.listId) {
+    await getShoppingList(userId, listItem.listId, requiredRole);
+  } else if (listItem.userId !== userId) {
+    throw new Error('List item not found');
+  }
+
+  return listItem;
+}
+
+/**
+ * Tell a list's subscribers that one of its items changed
+ * @param {string} listId - ShoppingList ID
+ * @param {string} type - 'ADDED', 'UPDATED' or 'REMOVED'
+ * @param {object} item - Plain UserListItem
+ * @param {string} changedBy - User who made the change
+ */
+function publishListItemChange(listId, type, item, changedBy) {
+  if (!listId) return;
+
+  pubsub.publish(listItemTopic(listId), {
+    listItemChanged: {
+      listId,
+      type,
+      itemId: item.id,
+      item: type === 'REMOVED' ? null : item,
+      changedBy
+    }
+  });
+}
+
+/**
+ * Add a checked-off list item to the user's pantry (or top up what's there)
+ * @param {string} userId - User who bought it
+ * @param {object} listItem - Checked-off UserListItem
+ * @returns {Promise<object>} PantryItem
+ */
+async function addToPantry(userId, listItem) {
+  const existing = await PantryItem.findOne({
+    where: { userId, itemKey: getItemKey(listItem) }
+  });
+  const update = getPurchaseUpdate(existing, listItem);
+
+  if (existing) {
+    return existing.update(update);
+  }
+  return PantryItem.create({ userId, ...update });
+}
+
+/**
+ * Load a pantry item owned by the user
+ * @param {string} userId - User ID
+ * @param {string} id - PantryItem ID
+ * @returns {Promise<object>} PantryItem
+ */
+async function getPantryItem(userId, id) {
+  const pantryItem = await PantryItem.findOne({ where: { id, userId } });
+  if (!pantryItem) {
+    throw new Error('Pantry item not found');
+  }
+  return pantryItem;
+}
+
+/**
+ * Get a deal for admin review
+ * @param {string} dealId - Deal ID
+ * @returns {Promise<object>} Deal record
+ */
+async function getReviewDeal(dealId) {
+  const deal = await Deal.findByPk(dealId);
+  if (!deal) {
+    throw new Error('Deal not found');
+  }
+  return deal;
+}
+
+/**
+ * Plain deal with dates as ISO strings for GraphQL
+ * @param {object} deal - Deal record or plain object
+ * @returns {object} Deal fields
+ */
+function toDealResult(deal) {
+  const plainDeal = typeof deal.get === 'function' ? deal.get({ plain: true }) : deal;
   return {
-    latitude: 40.7128 + (Math.random() - 0.5) * 0.1, // Add some variation
-    longitude: -74.0060 + (Math.random() - 0.5) * 0.1
+    ...plainDeal,
+    validFrom: new Date(plainDeal.validFrom).toISOString(),
+    validTo: new Date(plainDeal.validTo).toISOString(),
+    createdAt: new Date(plainDeal.createdAt).toISOString()
   };
-};
+}
+
+/**
+ * Take a deal out of the review queue as checked by an admin
+ * @param {object} user - Admin user
+ * @returns {object} Review fields to save on the deal
+ */
+function getReviewedFields(user) {
+  return {
+    needsReview: false,
+    reviewedAt: new Date(),
+    reviewedBy: user.userId
+  };
+}
+
+/**
+ * Record an admin action in the audit log (a failed write never undoes the action)
+ * @param {object} user - Admin user
+ * @param {string} action - What was done (e.g. 'flyer.delete')
+ * @param {object} target - { targetType, targetId }
+ * @param {object} [details] - What changed
+ * @returns {Promise<void>}
+ */
+async function recordAdminAction(user, action, { targetType, targetId }, details = null) {
+  try {
+    await AdminAuditLog.create({
+      adminUserId: user.userId,
+      action,
+      targetType,
+      targetId: String(targetId),
+      details
+    });
+  } catch (error) {
+    console.error(`[recordAdminAction] Failed to record ${action}:`, error.message);
+  }
+}
+
+/**
+ * Save a user's accept/reject decision on a deal for a list item.
+ * Keyed by product name + brand so it carries over to future flyers.
+ * @param {object} user - Authenticated user
+ * @param {string} listItemId - UserListItem ID
+ * @param {string} dealId - Deal ID
+ * @param {string} decision - 'accepted' or 'rejected'
+ * @returns {Promise<object>} Saved feedback record
+ */
+async function recordMatchFeedback(user, listItemId, dealId, decision) {
+  // Choosing matches changes the item, like the other item mutations
+  const listItem = await getListItem(user.userId, listItemId, 'editor');
+
+  const deal = await Deal.findByPk(dealId);
+  if (!deal) {
+    throw new Error('Deal not found');
+  }
+
+  const dealPlain = deal.get({ plain: true });
+  const { productKey, brandKey } = getProductKeys(dealPlain);
+  if (!productKey) {
+    throw new Error('Deal has no product name to remember');
+  }
+
+  const keys = {
+    userId: user.userId,
+    itemKey: getItemKey(listItem.get({ plain: true })),
+    productKey,
+    brandKey
+  };
+  const values = {
+    listItemId,
+    dealId,
+    decision,
+    productName: dealPlain.productName,
+    productBrand: dealPlain.productBrand || null
+  };
+
+  const existing = await DealMatchFeedback.findOne({ where: keys });
+  const feedback = existing
+    ? await existing.update(values)
+    : await DealMatchFeedback.create({ ...keys, ...values });
+
+  return feedback.get({ plain: true });
+}
+
+/**
+ * Find the deals matching each list item
+ * @param {Array} listItems - UserListItem records
+ * @param {Array} dealsPlain - Plain deal objects
+ * @param {object} matchOptions - Options from loadMatchOptions
+ * @returns {Map<string, object>} itemId -> { itemName, quantity, deals: [...] }
+ */
+function collectItemDeals(listItems, dealsPlain, matchOptions) {
+  const itemDealsMap = new Map();
+
+  for (const item of listItems) {
+    const itemPlain = item.get({ plain: true });
+    const itemDeals = {
+      itemName: item.itemName + (item.itemVariant ? ` (${item.itemVariant})` : ''),
+      quantity: item.quantity || 1,
+      deals: []
+    };
+    itemDealsMap.set(item.id, itemDeals);
+
+    for (const dealPlain of dealsPlain) {
+      // Check if deal matches this list item
+      if (calculateMatchScore(dealPlain, itemPlain, matchOptions) < matchOptions.minScore) continue;
+
+      const { unitPrice, unitPriceUnit } = ensureUnitPrice(dealPlain);
+      itemDeals.deals.push({
+        storeName: dealPlain.storeName,
+        productName: dealPlain.productName,
+        salePrice: dealPlain.salePrice,
+        regularPrice: dealPlain.regularPrice,
+        dealType: dealPlain.dealType,
+        quantity: dealPlain.quantity,
+        unit: dealPlain.unit,
+        unitPrice,
+        unitPriceUnit
+      });
+    }
+  }
+
+  return itemDealsMap;
+}
+
+/**
+ * Where clauses matching product keys that contain every word of a key as a
+ * whole word ("egg" finds "large egg", not "eggplant")
+ * @param {string} productKey - Normalized product key (space-separated words)
+ * @returns {Array<object>} Clauses for Op.and
+ */
+function productKeyWordsWhere(productKey) {
+  return productKey.split(' ').map(word => ({
+    productKey: { [Op.regexp]: `(^| )${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}( |$)` }
+  }));
+}
+
+/**
+ * Distance from the user to the nearest location of each store chain
+ * @param {object} user - User record with latitude/longitude
+ * @param {Array<string>} storeNames - Store names as they appear on deals
+ * @returns {Promise<Map<string, number|null>>} storeName -> miles (null if unknown)
+ */
+async function getStoreDistances(user, storeNames) {
+  const distances = new Map(storeNames.map(name => [name, null]));
+  if (user.latitude == null || user.longitude == null || storeNames.length === 0) {
+    return distances;
+  }
+
+  const stores = await Store.findAll({
+    where: {
+      latitude: { [Op.ne]: null },
+      longitude: { [Op.ne]: null },
+      [Op.or]: [
+        { storeName: { [Op.in]: storeNames } },
+        { chainName: { [Op.in]: storeNames } }
+      ]
+    }
+  });
+
+  for (const store of stores) {
+    const distance = calculateDistance(
+      parseFloat(user.latitude), parseFloat(user.longitude),
+      parseFloat(store.latitude), parseFloat(store.longitude)
+    );
+    for (const name of [store.storeName, store.chainName]) {
+      if (distances.has(name) && (distances.get(name) == null || distance < distances.get(name))) {
+        distances.set(name, parseFloat(distance.toFixed(1)));
+      }
+    }
+  }
+
+  return distances;
+}
+
+/**
+ * Find current flyers within a radius of a ZIP code.
+ * Flyers are located by their store's coordinates, falling back to the
+ * centroid of the flyer's ZIP. If the ZIP itself can't be located, only
+ * flyers for that exact ZIP are returned (with no distance).
+ * @param {string} zipCode - Center of the search
+ * @param {number} radiusMiles - Search radius
+ * @param {object} options - { where: extra Flyer conditions, include: extra includes }
+ * @returns {Promise<Array>} [{ flyer, distanceMiles }]
+ */
+async function findFlyersNearZip(zipCode, radiusMiles, { where = {}, include = [] } = {}) {
+  const currentWhere = { validTo: { [Op.gte]: new Date() }, ...where };
+  const storeInclude = { model: Store, as: 'store', required: false };
+  const origin = resolveLocation(null, zipCode);
+
+  if (!origin) {
+    const flyers = await Flyer.findAll({
+      where: { ...currentWhere, zipCode },
+      include: [storeInclude, ...include],
+      order: [['validFrom', 'DESC']]
+    });
+    return flyers.map(flyer => ({ flyer, distanceMiles: null }));
+  }
+
+  const distanceFrom = location => parseFloat(
+    calculateDistance(origin.latitude, origin.longitude, location.latitude, location.longitude).toFixed(1)
+  );
+
+  // Narrow to ZIPs with current flyers whose center is in range. The margin
+  // keeps ZIPs whose stores are in range even though their center isn't.
+  const zipRows = await Flyer.findAll({
+    attributes: [[fn('DISTINCT', col('zipCode')), 'zipCode']],
+    where: currentWhere,
+    raw: true
+  });
+  const nearbyZips = zipRows
+    .map(row => row.zipCode)
+    .filter(zip => {
+      if (zip === zipCode) return true;
+      const location = resolveLocation(null, zip);
+      return location && distanceFrom(location) <= radiusMiles + NEARBY_ZIP_MARGIN_MILES;
+    });
+
+  if (nearbyZips.length === 0) {
+    return [];
+  }
+
+  const flyers = await Flyer.findAll({
+    where: { ...currentWhere, zipCode: { [Op.in]: nearbyZips } },
+    include: [storeInclude, ...include],
+    order: [['validFrom', 'DESC']]
+  });
+
+  return flyers
+    .map(flyer => {
+      const location = resolveLocation(flyer.store, flyer.zipCode);
+      return { flyer, distanceMiles: location ? distanceFrom(location) : null };
+    })
+    .filter(({ distanceMiles }) => distanceMiles == null || distanceMiles <= radiusMiles);
+}
+
+/**
+ * Search radius for a user: the requested radius, else their travel radius
+ * @param {object} user - Authenticated user from context
+ * @param {number} radiusMiles - Radius passed to the query (optional)
+ * @returns {Promise<number>} Radius in miles
+ */
+async function getSearchRadius(user, radiusMiles) {
+  if (radiusMiles != null) {
+    return radiusMiles;
+  }
+  const dbUser = await User.findByPk(user.userId);
+  return dbUser?.travelRadiusMiles || DEFAULT_SEARCH_RADIUS_MILES;
+}
 
 const resolvers = {
   Query: {
@@ -159,7 +678,9 @@ const resolvers = {
                 ]
               },
               // Only show currently valid deals
-              { validTo: { [Op.gte]: new Date() } }
+              { validTo: { [Op.gte]: new Date() } },
+              // Copies of a deal from other flyers are only listed once
+              CANONICAL_DEAL
             ]
           },
           limit,
@@ -539,21 +1060,32 @@ const resolvers = {
     // NEW FLYER-BASED QUERIES
     // ===================================================================
 
-    getDealsNearMe: async (_, { zipCode, radiusMiles = 10, category, limit = 20, offset = 0 }, { user }) => {
+    getDealsNearMe: async (_, { zipCode, radiusMiles, category, stockUpOnly, limit = 20, offset = 0 }, { user }) => {
       try {
         if (!user) {
           throw new Error('Authentication required');
         }
 
+        // Deals come from every flyer within the radius, not just this ZIP
+        const radius = await getSearchRadius(user, radiusMiles);
+        const nearbyFlyers = await findFlyersNearZip(zipCode, radius);
+        const flyerDistances = new Map(nearbyFlyers.map(({ flyer, distanceMiles }) => [flyer.id, distanceMiles]));
+
         const where = {
-          zipCode,
-          validTo: { [Op.gte]: new Date() }
+          flyerId: { [Op.in]: Array.from(flyerDistances.keys()) },
+          validTo: { [Op.gte]: new Date() },
+          ...CANONICAL_DEAL
         };
 
         if (category) {
           where.productCategory = category;
         }
 
+        // At or near the 52-week low
+        if (stockUpOnly) {
+          where.isStockUp = true;
+        }
+
         // Cap limit at 100 to prevent excessive queries
         const cappedLimit = Math.min(limit, 100);
 
@@ -596,7 +1128,8 @@ const resolvers = {
               : null,
             savingsPercent: plainDeal.regularPrice
               ? parseFloat((((plainDeal.regularPrice - plainDeal.salePrice) / plainDeal.regularPrice) * 100).toFixed(0))
-              : null
+              : null,
+            distanceMiles: flyerDistances.get(plainDeal.flyerId) ?? null
           };
         });
 
@@ -614,6 +1147,53 @@ const resolvers = {
       }
     },
 
+    // Past flyer prices for products matching a search, most-tracked first
+    getDealPriceTrends: async (_, { query, storeName, weeks = 52, limit = 5 }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const { productKey } = getProductKeys({ productName: query });
+        if (!productKey) {
+          return [];
+        }
+
+        const cappedWeeks = Math.min(Math.max(weeks, 1), 104);
+        const where = {
+          [Op.and]: productKeyWordsWhere(productKey),
+          validFrom: { [Op.gte]: new Date(Date.now() - cappedWeeks * 7 * 24 * 60 * 60 * 1000) }
+        };
+        if (storeName) {
+          where.storeName = storeName;
+        }
+
+        // Newest first so the cap drops the oldest weeks, then back to oldest first
+        const rows = (await DealPriceHistory.findAll({
+          where,
+          order: [['validFrom', 'DESC']],
+          limit: 5000,
+          raw: true
+        })).reverse();
+
+        const rowsByProduct = new Map();
+        for (const row of rows) {
+          if (!rowsByProduct.has(row.productKey)) {
+            rowsByProduct.set(row.productKey, []);
+          }
+          rowsByProduct.get(row.productKey).push(row);
+        }
+
+        return [...rowsByProduct.values()]
+          .map(productRows => summarizePriceTrend(productRows, { weeks: cappedWeeks }))
+          .sort((a, b) => b.weeksOnSale - a.weeksOnSale)
+          .slice(0, Math.min(limit, 20));
+      } catch (error) {
+        console.error('[getDealPriceTrends] Error:', error.message);
+        return [];
+      }
+    },
+
     getDealsForStore: async (_, { storeId, category, limit = 20, offset = 0 }, { user }) => {
       try {
         if (!user) {
@@ -621,7 +1201,8 @@ const resolvers = {
         }
 
         const where = {
-          validTo: { [Op.gte]: new Date() }
+          validTo: { [Op.gte]: new Date() },
+          ...CANONICAL_DEAL
         };
 
         if (category) {
@@ -687,7 +1268,7 @@ const resolvers = {
       }
     },
 
-    searchDeals: async (_, { query, zipCode, limit = 20, offset = 0 }, { user }) => {
+    searchDeals: async (_, { query, zipCode, limit = 20, offset = 0, sortBy = 'PRICE' }, { user }) => {
       try {
         if (!user) {
           throw new Error('Authentication required');
@@ -698,12 +1279,36 @@ const resolvers = {
         // Cap limit at 100 to prevent excessive queries
         const cappedLimit = Math.min(limit, 100);
 
+        const where = {
+          zipCode,
+          productName: { [Op.iLike]: `%${searchTerm}%` },
+          validTo: { [Op.gte]: new Date() },
+          ...CANONICAL_DEAL
+        };
+
+        let order = [['salePrice', 'ASC']];
+        if (sortBy === 'UNIT_PRICE') {
+          // Unit prices are only comparable within a unit: rank the searched unit
+          // ("milk gallon") or the one most results use, then the other units
+          const searchedSize = parsePackageSize(query);
+          const [dominant] = searchedSize ? [] : await Deal.findAll({
+            where: { ...where, unitPriceUnit: { [Op.ne]: null } },
+            attributes: ['unitPriceUnit'],
+            group: ['unitPriceUnit'],
+            order: [[fn('COUNT', col('id')), 'DESC']],
+            limit: 1,
+            raw: true
+          });
+          const rankedUnit = searchedSize ? searchedSize.unit : dominant && dominant.unitPriceUnit;
+
+          order = [['unitPriceUnit', 'ASC NULLS LAST'], ['unitPrice', 'ASC NULLS LAST'], ['salePrice', 'ASC']];
+          if (rankedUnit) {
+            order.unshift([literal(`CASE WHEN "Deal"."unitPriceUnit" = ${Deal.sequelize.escape(rankedUnit)} THEN 0 ELSE 1 END`), 'ASC']);
+          }
+        }
+
         const { count, rows } = await Deal.findAndCountAll({
-          where: {
-            zipCode,
-            productName: { [Op.iLike]: `%${searchTerm}%` },
-            validTo: { [Op.gte]: new Date() }
-          },
+          where,
           include: [
             {
               model: Flyer,
@@ -711,7 +1316,7 @@ const resolvers = {
               include: [{ model: Store, as: 'store', required: false }]
             }
           ],
-          order: [['salePrice', 'ASC']],
+          order,
           limit: cappedLimit,
           offset
         });
@@ -792,27 +1397,16 @@ const resolvers = {
       }
     },
 
-    getCurrentFlyers: async (_, { zipCode, radiusMiles = 10 }, { user }) => {
+    getCurrentFlyers: async (_, { zipCode, radiusMiles }, { user }) => {
       try {
         if (!user) {
           throw new Error('Authentication required');
         }
 
-        const flyers = await Flyer.findAll({
-          where: {
-            zipCode,
-            validTo: { [Op.gte]: new Date() },
-            status: 'completed'
-          },
-          include: [
-            { model: Store, as: 'store', required: false },
-            {
-              model: Deal,
-              as: 'deals',
-              required: false
-            }
-          ],
-          order: [['validFrom', 'DESC']]
+        const radius = await getSearchRadius(user, radiusMiles);
+        const nearbyFlyers = await findFlyersNearZip(zipCode, radius, {
+          where: { status: 'completed' },
+          include: [{ model: Deal, as: 'deals', required: false }]
         });
 
         // Transform status to uppercase for GraphQL enum
@@ -823,10 +1417,11 @@ const resolvers = {
           'failed': 'FAILED'
         };
 
-        return flyers.map(flyer => {
+        return nearbyFlyers.map(({ flyer, distanceMiles }) => {
           const plainFlyer = flyer.get({ plain: true });
           return {
             ...plainFlyer,
+            distanceMiles,
             status: statusMap[plainFlyer.status?.toLowerCase()] || 'COMPLETED',
             // Apply Cloudinary transformations for optimized delivery
             imageUrls: plainFlyer.imageUrls ? getOptimizedFlyerUrls(plainFlyer.imageUrls) : []
@@ -841,77 +1436,181 @@ const resolvers = {
       }
     },
 
-    getMyListWithDeals: async (_, { userId }, { user }) => {
+    getMyShoppingLists: async (_, { userId }, { user }) => {
       try {
         if (!user || user.userId !== userId) {
           throw new Error('Unauthorized');
         }
 
-        const listItems = await UserListItem.findAll({
-          where: { userId, checked: false },
-          include: [{ model: User, as: 'user' }],
+        // Make sure the default list exists so there's always one to show
+        await getShoppingList(userId);
+
+        const lists = await ShoppingList.findAll({
+          where: { userId },
+          order: [['isDefault', 'DESC'], ['createdAt', 'ASC']]
+        });
+
+        // Lists other people shared with this user come after their own
+        const memberships = await ShoppingListMember.findAll({
+          where: { userId, status: 'accepted' },
+          include: [{ model: ShoppingList, as: 'list' }],
           order: [['createdAt', 'ASC']]
         });
 
-        return listItems.map(item => item.get({ plain: true }));
+        return [
+          ...lists.map(list => ({ ...list.get({ plain: true }), role: 'owner' })),
+          ...memberships
+            .filter(membership => membership.list)
+            .map(membership => ({
+              ...membership.list.get({ plain: true }),
+              isDefault: false,
+              role: membership.role
+            }))
+        ];
       } catch (error) {
         // Log detailed error internally
-        console.error('[getMyListWithDeals] Error:', error.message, error.stack);
+        console.error('[getMyShoppingLists] Error:', error.message, error.stack);
 
         // Return generic error to client
         return [];
       }
     },
 
-    matchDealsToMyList: async (_, { userId }, { user }) => {
+    getMyListInvites: async (_, { userId }, { user }) => {
       try {
         if (!user || user.userId !== userId) {
           throw new Error('Unauthorized');
         }
 
-        const dbUser = await User.findByPk(userId);
-        if (!dbUser) {
-          throw new Error('User not found');
-        }
-
-        const listItems = await UserListItem.findAll({
-          where: { userId, checked: false }
-        });
-
-        if (listItems.length === 0) {
-          return [];
-        }
-
-        const deals = await Deal.findAll({
-          where: {
-            zipCode: dbUser.zipCode,
-            validTo: { [Op.gte]: new Date() }
-          },
+        const invites = await ShoppingListMember.findAll({
+          where: { email: (user.email || '').toLowerCase(), status: 'pending' },
           include: [
-            {
-              model: Flyer,
-              as: 'flyer',
-              include: [{ model: Store, as: 'store', required: false }]
-            }
-          ]
+            { model: ShoppingList, as: 'list' },
+            { model: User, as: 'inviter', attributes: ['userId', 'name', 'email'] }
+          ],
+          order: [['createdAt', 'DESC']]
         });
 
-        const matches = [];
-
-        for (const item of listItems) {
-          const itemPlain = item.get({ plain: true });
+        return invites
+          .filter(invite => invite.list)
+          .map(invite => invite.get({ plain: true }));
+      } catch (error) {
+        // Log detailed error internally
+        console.error('[getMyListInvites] Error:', error.message, error.stack);
 
-          for (const deal of deals) {
-            const dealPlain = deal.get({ plain: true });
-            const dealText = dealPlain.productName.toLowerCase();
-            const itemName = itemPlain.itemName.toLowerCase();
-            const variant = itemPlain.itemVariant?.toLowerCase();
+        // Return generic error to client
+        return [];
+      }
+    },
 
-            if (!dealText.includes(itemName)) continue;
-            if (variant && !dealText.includes(variant)) continue;
+    getMyPantry: async (_, __, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
 
-            const score = variant && dealText.includes(variant) ? 1.0 : 0.5;
+        const pantryItems = await PantryItem.findAll({
+          where: { userId: user.userId },
+          order: [['itemName', 'ASC']]
+        });
 
+        return pantryItems.map(item => item.get({ plain: true }));
+      } catch (error) {
+        console.error('[getMyPantry] Error:', error.message);
+        return [];
+      }
+    },
+
+    // Low, expiring and expired pantry items not already on the list
+    getPantrySuggestions: async (_, { listId }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const list = await getShoppingList(user.userId, listId);
+        const [pantryItems, listItems] = await Promise.all([
+          PantryItem.findAll({ where: { userId: user.userId }, raw: true }),
+          UserListItem.findAll({ where: { listId: list.id, checked: false }, raw: true })
+        ]);
+
+        return getRestockSuggestions(pantryItems, listItems);
+      } catch (error) {
+        console.error('[getPantrySuggestions] Error:', error.message);
+        return [];
+      }
+    },
+
+    getMyListWithDeals: async (_, { userId, listId }, { user }) => {
+      try {
+        if (!user || user.userId !== userId) {
+          throw new Error('Unauthorized');
+        }
+
+        const list = await getShoppingList(userId, listId);
+        // Recurring items that are due come back unchecked
+        await replenishDueItems(UserListItem, { listId: list.id });
+        const listItems = await UserListItem.findAll({
+          where: { listId: list.id, checked: false },
+          include: [{ model: User, as: 'user' }],
+          order: [['createdAt', 'ASC']]
+        });
+
+        return listItems.map(item => item.get({ plain: true }));
+      } catch (error) {
+        // Log detailed error internally
+        console.error('[getMyListWithDeals] Error:', error.message, error.stack);
+
+        // Return generic error to client
+        return [];
+      }
+    },
+
+    matchDealsToMyList: async (_, { userId, listId }, { user }) => {
+      try {
+        if (!user || user.userId !== userId) {
+          throw new Error('Unauthorized');
+        }
+
+        const dbUser = await User.findByPk(userId);
+        if (!dbUser) {
+          throw new Error('User not found');
+        }
+
+        const list = await getShoppingList(userId, listId);
+        await replenishDueItems(UserListItem, { listId: list.id });
+        const listItems = await UserListItem.findAll({
+          where: { listId: list.id, checked: false }
+        });
+
+        if (listItems.length === 0) {
+          return [];
+        }
+
+        const deals = await Deal.findAll({
+          where: {
+            zipCode: dbUser.zipCode,
+            validTo: { [Op.gte]: new Date() },
+            ...CANONICAL_DEAL
+          },
+          include: [
+            {
+              model: Flyer,
+              as: 'flyer',
+              include: [{ model: Store, as: 'store', required: false }]
+            }
+          ]
+        });
+
+        const dealsPlain = deals.map(deal => deal.get({ plain: true }));
+        const matchOptions = await loadMatchOptions(dbUser);
+        const matches = [];
+
+        for (const item of listItems) {
+          const itemPlain = item.get({ plain: true });
+          const itemMatches = matchDealsToListItem(itemPlain, dealsPlain, matchOptions);
+
+          for (const { deal: dealPlain, score, matchReason, breakdown } of itemMatches) {
             matches.push({
               deal: {
                 ...dealPlain,
@@ -926,9 +1625,8 @@ const resolvers = {
               },
               listItem: itemPlain,
               matchScore: score,
-              matchReason: variant
-                ? `Matches "${itemName}" + "${variant}"`
-                : `Matches "${itemName}"`
+              matchReason,
+              breakdown
             });
           }
         }
@@ -944,7 +1642,7 @@ const resolvers = {
     },
 
     // Store deals ranking - ranks stores by how many list items have deals
-    getStoreDealsRanking: async (_, { userId }, { user }) => {
+    getStoreDealsRanking: async (_, { userId, listId }, { user }) => {
       try {
         if (!user || user.userId !== userId) {
           throw new Error('Unauthorized');
@@ -955,9 +1653,11 @@ const resolvers = {
           throw new Error('User not found');
         }
 
-        // Get user's unchecked list items
+        // Get the list's unchecked items
+        const list = await getShoppingList(userId, listId);
+        await replenishDueItems(UserListItem, { listId: list.id });
         const listItems = await UserListItem.findAll({
-          where: { userId, checked: false }
+          where: { listId: list.id, checked: false }
         });
 
         if (listItems.length === 0) {
@@ -974,7 +1674,8 @@ const resolvers = {
         const deals = await Deal.findAll({
           where: {
             zipCode: dbUser.zipCode,
-            validTo: { [Op.gte]: new Date() }
+            validTo: { [Op.gte]: new Date() },
+            ...CANONICAL_DEAL
           }
         });
 
@@ -988,55 +1689,34 @@ const resolvers = {
           };
         }
 
-        // Step 1: For each list item, find all matching deals and track best price per item
-        const itemDealsMap = new Map(); // itemId -> { itemName, deals: [{ storeName, salePrice, ... }] }
+        // Step 1: For each list item, find all matching deals
+        const dealsPlain = deals.map(deal => deal.get({ plain: true }));
+        const matchOptions = await loadMatchOptions(dbUser);
+        const itemDealsMap = collectItemDeals(listItems, dealsPlain, matchOptions); // itemId -> { itemName, deals }
         const storeDealsMap = new Map(); // storeName -> { deals: [], totalCost: 0 }
 
-        for (const item of listItems) {
-          const itemName = item.itemName.toLowerCase();
-          const variant = item.itemVariant?.toLowerCase();
-          const itemKey = item.id;
-
-          if (!itemDealsMap.has(itemKey)) {
-            itemDealsMap.set(itemKey, {
-              itemName: item.itemName + (item.itemVariant ? ` (${item.itemVariant})` : ''),
-              deals: []
-            });
-          }
-
-          for (const deal of deals) {
-            const dealPlain = deal.get({ plain: true });
-            const dealText = dealPlain.productName.toLowerCase();
-
-            // Check if deal matches this list item
-            if (!dealText.includes(itemName)) continue;
-            if (variant && !dealText.includes(variant)) continue;
-
-            // Track this deal for the item
-            itemDealsMap.get(itemKey).deals.push({
-              storeName: dealPlain.storeName,
-              productName: dealPlain.productName,
-              salePrice: dealPlain.salePrice,
-              regularPrice: dealPlain.regularPrice
-            });
-          }
-        }
-
-        // Step 2: Find the lowest price for each item across all stores
-        const lowestPricePerItem = new Map(); // itemId -> lowestPrice
+        // Step 2: Find the cheapest deal for each item across all stores, by what the
+        // quantity on the list costs (2 for $5 can beat a lower $/oz single when buying 2),
+        // then by unit price
+        const bestDealPerItem = new Map(); // itemId -> { deal, cost }
+        const isCheaper = (a, b) => a.cost.totalCost < b.cost.totalCost ||
+          (a.cost.totalCost === b.cost.totalCost && compareDealValue(a.deal, b.deal) < 0);
         for (const [itemId, itemData] of itemDealsMap) {
-          if (itemData.deals.length > 0) {
-            const prices = itemData.deals.map(d => d.salePrice).filter(p => p != null && !isNaN(p));
-            if (prices.length > 0) {
-              const lowestPrice = Math.min(...prices);
-              lowestPricePerItem.set(itemId, lowestPrice);
+          for (const deal of itemData.deals) {
+            if (deal.salePrice == null || isNaN(deal.salePrice)) continue;
+
+            const candidate = { deal, cost: calculateDealCost(deal, itemData.quantity) };
+            const best = bestDealPerItem.get(itemId);
+            if (!best || isCheaper(candidate, best)) {
+              bestDealPerItem.set(itemId, candidate);
             }
           }
         }
 
-        // Step 3: Build store data with total cost and savings vs lowest
+        // Step 3: Build store data with the cost of the user's quantity at each store
         for (const [itemId, itemData] of itemDealsMap) {
-          const lowestPrice = lowestPricePerItem.get(itemId) || 0;
+          const best = bestDealPerItem.get(itemId);
+          const lowestPrice = best ? parseFloat(best.deal.salePrice) : 0;
 
           for (const deal of itemData.deals) {
             // Skip deals without valid sale price
@@ -1048,31 +1728,49 @@ const resolvers = {
               storeDealsMap.set(storeName, {
                 storeName,
                 matchedItems: new Map(), // itemId -> deal info (use best price per item per store)
+                bestDeals: new Map(), // itemId -> { deal, cost } behind matchedItems, for comparisons
                 totalCost: 0
               });
             }
 
             const storeData = storeDealsMap.get(storeName);
 
-            // Only keep the best (lowest) price per item per store
-            const existingDeal = storeData.matchedItems.get(itemId);
-            if (!existingDeal || deal.salePrice < existingDeal.salePrice) {
+            // Only keep the cheapest deal for the quantity on the list per item per store
+            // (BOGO / multi-buy aware)
+            const candidate = { deal, cost: calculateDealCost(deal, itemData.quantity) };
+            const existing = storeData.bestDeals.get(itemId);
+            if (!existing || isCheaper(candidate, existing)) {
               const salePrice = parseFloat(deal.salePrice) || 0;
               const regularPrice = deal.regularPrice ? parseFloat(deal.regularPrice) : null;
+              const { cost } = candidate;
+              const additionalQuantityNeeded = cost.additionalQuantityNeeded || 0;
+              const multiBuy = additionalQuantityNeeded > 0 ? parseMultiBuyDeal(deal.quantity) : null;
 
+              storeData.bestDeals.set(itemId, candidate);
               storeData.matchedItems.set(itemId, {
                 listItemName: itemData.itemName,
                 dealProductName: deal.productName || 'Unknown Product',
                 salePrice: salePrice,
                 regularPrice: regularPrice,
+                unitPrice: deal.unitPrice,
+                unitPriceUnit: deal.unitPriceUnit ? deal.unitPriceUnit.toUpperCase() : null,
+                unitPriceLabel: formatUnitPrice(deal),
+                quantity: itemData.quantity,
+                totalCost: cost.totalCost,
+                explanation: cost.explanation,
+                dealApplied: cost.dealApplied,
+                additionalQuantityNeeded,
+                unlockMessage: multiBuy
+                  ? `Buy ${additionalQuantityNeeded} more to get ${multiBuy.quantity} for $${multiBuy.totalPrice.toFixed(2)}`
+                  : null,
                 lowestPrice: lowestPrice,
-                // Savings vs regular price (if available)
-                savings: regularPrice ? parseFloat((regularPrice - salePrice).toFixed(2)) : null,
+                // Savings vs regular price for the whole quantity (if available)
+                savings: regularPrice ? cost.savings : null,
                 savingsPercent: regularPrice
-                  ? parseFloat((((regularPrice - salePrice) / regularPrice) * 100).toFixed(0))
+                  ? parseFloat(((cost.savings / (regularPrice * itemData.quantity)) * 100).toFixed(0))
                   : null,
-                // Is this the lowest price across all stores?
-                isBestPrice: salePrice === lowestPrice
+                // Is this the cheapest deal across all stores?
+                isBestPrice: !isCheaper(best, candidate)
               });
             }
           }
@@ -1082,7 +1780,7 @@ const resolvers = {
         for (const storeData of storeDealsMap.values()) {
           storeData.totalCost = 0;
           for (const deal of storeData.matchedItems.values()) {
-            storeData.totalCost += deal.salePrice;
+            storeData.totalCost += deal.totalCost;
           }
         }
 
@@ -1153,6 +1851,127 @@ const resolvers = {
       }
     },
 
+    // Split the list across up to maxStores stores to minimize cost plus extra stops
+    optimizeShoppingTrip: async (_, { userId, listId, maxStores, costPerMile, stopPenalty }, { user }) => {
+      const emptyPlan = (listItemCount, message) => ({
+        stops: [],
+        assignments: [],
+        unassignedItems: [],
+        itemsCost: 0,
+        extraStopCost: 0,
+        totalCost: 0,
+        bestSingleStore: null,
+        bestSingleStoreCost: null,
+        savingsVsBestSingleStore: 0,
+        listItemCount,
+        message
+      });
+
+      try {
+        if (!user || user.userId !== userId) {
+          throw new Error('Unauthorized');
+        }
+
+        const dbUser = await User.findByPk(userId);
+        if (!dbUser) {
+          throw new Error('User not found');
+        }
+
+        const list = await getShoppingList(userId, listId);
+        await replenishDueItems(UserListItem, { listId: list.id });
+        const listItems = await UserListItem.findAll({
+          where: { listId: list.id, checked: false }
+        });
+        if (listItems.length === 0) {
+          return emptyPlan(0, 'Add items to your shopping list to plan a trip');
+        }
+
+        const deals = await Deal.findAll({
+          where: {
+            zipCode: dbUser.zipCode,
+            validTo: { [Op.gte]: new Date() },
+            ...CANONICAL_DEAL
+          }
+        });
+        const dealsPlain = deals.map(deal => deal.get({ plain: true }));
+        const matchOptions = await loadMatchOptions(dbUser);
+        const itemDealsMap = collectItemDeals(listItems, dealsPlain, matchOptions);
+
+        // Cheapest offer per item per store, for the quantity on the list, and
+        // the item's regular cost for plans that skip every store with a deal on it
+        const items = [];
+        for (const [itemId, itemData] of itemDealsMap) {
+          const offers = new Map();
+          let regularCost = null;
+          for (const deal of itemData.deals) {
+            if (deal.salePrice == null || isNaN(deal.salePrice)) continue;
+
+            const regularPrice = parseFloat(deal.regularPrice);
+            if (regularPrice > 0) {
+              regularCost = Math.max(regularCost || 0, parseFloat((regularPrice * itemData.quantity).toFixed(2)));
+            }
+
+            const storeName = deal.storeName || 'Unknown Store';
+            const cost = calculateDealCost(deal, itemData.quantity);
+            if (!offers.has(storeName) || cost.totalCost < offers.get(storeName).totalCost) {
+              offers.set(storeName, {
+                dealProductName: deal.productName || 'Unknown Product',
+                quantity: itemData.quantity,
+                totalCost: cost.totalCost,
+                explanation: cost.explanation
+              });
+            }
+          }
+          items.push({ itemId, itemName: itemData.itemName, regularCost, offers });
+        }
+
+        const storeNames = [...new Set(items.flatMap(item => Array.from(item.offers.keys())))];
+        const storeDistances = await getStoreDistances(dbUser, storeNames);
+        const { plan, bestSingleStore, savingsVsBestSingleStore } = optimizeTrip(items, storeDistances, {
+          maxStores,
+          costPerMile,
+          stopPenalty
+        });
+
+        if (!plan) {
+          return emptyPlan(listItems.length, 'No matching deals found for your list items');
+        }
+
+        const stopCount = plan.stops.length;
+        return {
+          ...plan,
+          bestSingleStore: bestSingleStore ? bestSingleStore.stops[0].storeName : null,
+          bestSingleStoreCost: bestSingleStore ? bestSingleStore.totalCost : null,
+          savingsVsBestSingleStore,
+          listItemCount: listItems.length,
+          message: stopCount === 1
+            ? `Everything is cheapest at ${plan.stops[0].storeName}`
+            : `Split your list across ${stopCount} stores`
+        };
+      } catch (error) {
+        console.error('[optimizeShoppingTrip] Error:', error.message, error.stack);
+        return emptyPlan(0, 'Error planning your shopping trip');
+      }
+    },
+
+    getMyMatchFeedback: async (_, { userId }, { user }) => {
+      try {
+        if (!user || user.userId !== userId) {
+          throw new Error('Unauthorized');
+        }
+
+        const feedback = await DealMatchFeedback.findAll({
+          where: { userId },
+          order: [['updatedAt', 'DESC']]
+        });
+
+        return feedback.map(entry => entry.get({ plain: true }));
+      } catch (error) {
+        console.error('[getMyMatchFeedback] Error:', error.message, error.stack);
+        return [];
+      }
+    },
+
     getMyNotifications: async (_, { userId, limit = 20 }, { user }) => {
       try {
         if (!user || user.userId !== userId) {
@@ -1531,6 +2350,131 @@ const resolvers = {
         console.error('[adminGetAllFlyers] Error:', error.message, error.stack);
         return [];
       }
+    },
+
+    adminGetOcrRejections: async (_, { flyerRunId, limit = 50, offset = 0 }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const where = {};
+        if (flyerRunId) {
+          where.flyerRunId = flyerRunId;
+        }
+
+        return await OcrRejection.findAll({
+          where,
+          order: [['createdAt', 'DESC']],
+          limit: Math.min(limit, 200),
+          offset,
+          raw: true
+        });
+      } catch (error) {
+        console.error('[adminGetOcrRejections] Error:', error.message);
+        return [];
+      }
+    },
+
+    adminGetAuditLog: async (_, { targetType, targetId, limit = 50, offset = 0 }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const where = {};
+        if (targetType) {
+          where.targetType = targetType;
+        }
+        if (targetId) {
+          where.targetId = targetId;
+        }
+
+        const entries = await AdminAuditLog.findAll({
+          where,
+          include: [{ model: User, as: 'admin', attributes: ['email'], required: false }],
+          order: [['createdAt', 'DESC']],
+          limit: Math.min(limit, 200),
+          offset
+        });
+        return entries.map(entry => {
+          const { admin, ...fields } = entry.get({ plain: true });
+          return { ...fields, adminEmail: admin ? admin.email : null };
+        });
+      } catch (error) {
+        console.error('[adminGetAuditLog] Error:', error.message);
+        return [];
+      }
+    },
+
+    adminGetScrapers: async (_, __, { user }) => {
+      requireAdmin(user);
+
+      return listScrapers().map(scraper => ({
+        ...scraper,
+        options: JSON.stringify(scraper.options)
+      }));
+    },
+
+    // Circuit state, last run and recent success rate per scraper
+    adminGetScraperHealth: async (_, __, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const health = await getScraperHealth(listScrapers());
+        return health.map(({ state, retryAt, ...scraper }) => ({
+          ...scraper,
+          circuitState: state,
+          retryAt: retryAt ? retryAt.toISOString() : null
+        }));
+      } catch (error) {
+        console.error('[adminGetScraperHealth] Error:', error.message);
+        throw error;
+      }
+    },
+
+    // Deals flagged as likely misreads, lowest confidence first
+    adminGetDealReviewQueue: async (_, { storeName, limit = 25, offset = 0 }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const where = { needsReview: true };
+        if (storeName) {
+          where.storeName = storeName;
+        }
+
+        const { count, rows } = await Deal.findAndCountAll({
+          where,
+          include: [{ model: Flyer, as: 'flyer', attributes: ['id', 'flyerName', 'imageUrls'] }],
+          order: [['confidence', 'ASC'], ['createdAt', 'ASC']],
+          limit: Math.min(limit, 100),
+          offset
+        });
+
+        // Same product in the same flyer - candidates to merge
+        const deals = rows.map(deal => deal.get({ plain: true }));
+        const flyerDeals = await Deal.findAll({
+          where: { flyerId: { [Op.in]: [...new Set(deals.map(deal => deal.flyerId))] } },
+          raw: true
+        });
+
+        const items = deals.map(({ flyer, ...deal }) => {
+          const { productKey } = getProductKeys(deal);
+          const duplicates = flyerDeals.filter(other =>
+            other.id !== deal.id &&
+            other.flyerId === deal.flyerId &&
+            getProductKeys(other).productKey === productKey
+          );
+
+          return {
+            deal: toDealResult(deal),
+            flyerImageUrl: deal.flyerImageUrl || flyer?.imageUrls?.[deal.pageIndex ?? 0] || null,
+            flyerName: flyer?.flyerName || null,
+            duplicates: duplicates.map(toDealResult)
+          };
+        });
+
+        return { items, totalCount: count };
+      } catch (error) {
+        console.error('[adminGetDealReviewQueue] Error:', error.message);
+        return { items: [], totalCount: 0 };
+      }
     }
   },
 
@@ -1543,10 +2487,8 @@ const resolvers = {
           throw new Error('User with this email already exists');
         }
 
-        // Mock geocoding
-        const { latitude, longitude } = mockGeocode(address, city, state, zipCode);
-
-        // Create new user (password will be hashed by the model hook)
+        // Create new user (password is hashed and coordinates are filled
+        // in from the ZIP code by the model hooks)
         const newUser = await User.create({
           email,
           password,
@@ -1554,8 +2496,6 @@ const resolvers = {
           city,
           state,
           zipCode,
-          latitude,
-          longitude,
           travelRadiusMiles
         });
 
@@ -1636,39 +2576,107 @@ const resolvers = {
       return userWithoutPassword;
     },
 
-    addGroceryListItem: async (_, { userId, upc, quantity }) => {
-      try {
-        const UserList = require('../models/UserList');
-
-        // Check if item already exists in database
-        const existingItem = await UserList.findOne({
-          where: { userId, upc },
-          include: [{ model: Product, as: 'product' }]
-        });
+    updateProfile: async (_, { name, address, city, state, zipCode }, context) => {
+      if (!context.user) {
+        throw new Error('Authentication required');
+      }
 
-        let listItem;
+      if (zipCode !== undefined && zipCode !== null && !/^\d{5}$/.test(zipCode)) {
+        throw new Error('ZIP code must be 5 digits');
+      }
 
-        if (existingItem) {
-          // Update existing item quantity
-          existingItem.quantity += quantity;
-          await existingItem.save();
-          listItem = existingItem;
-        } else {
-          // Create new item in database
-          listItem = await UserList.create({
-            userId,
-            upc,
-            quantity
-          });
+      const user = await User.findOne({ where: { userId: context.user.userId } });
+      if (!user) {
+        throw new Error('User not found');
+      }
 
-          // Fetch with product relation
-          listItem = await UserList.findOne({
-            where: { listItemId: listItem.listItemId },
-            include: [{ model: Product, as: 'product' }]
-          });
+      const updates = { name, address, city, state, zipCode };
+      for (const [field, value] of Object.entries(updates)) {
+        if (value !== undefined && value !== null) {
+          user[field] = typeof value === 'string' ? value.trim() : value;
         }
+      }
 
-        // Return plain object
+      // Coordinates follow the ZIP code (see User model hooks)
+      const zipChanged = user.changed('zipCode');
+      await user.save();
+
+      if (zipChanged) {
+        ensureFlyersForZip(user.zipCode);
+      }
+
+      const { password, ...userWithoutPassword } = user.toJSON();
+      return userWithoutPassword;
+    },
+
+    updateMatchPreferences: async (_, { minMatchScore, preferredBrands }, context) => {
+      if (!context.user) {
+        throw new Error('Authentication required');
+      }
+
+      if (minMatchScore !== undefined && minMatchScore !== null && (minMatchScore < 0 || minMatchScore > 1)) {
+        throw new Error('Minimum match score must be between 0 and 1');
+      }
+
+      const user = await User.findOne({ where: { userId: context.user.userId } });
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (minMatchScore !== undefined && minMatchScore !== null) {
+        user.minMatchScore = minMatchScore;
+      }
+      if (preferredBrands) {
+        // Trim and de-duplicate (case-insensitive), keeping the user's spelling
+        const seen = new Set();
+        user.preferredBrands = preferredBrands
+          .map(brand => brand.trim())
+          .filter(brand => {
+            const key = brand.toLowerCase();
+            if (!brand || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+          });
+      }
+      await user.save();
+
+      const { password, ...userWithoutPassword } = user.toJSON();
+      return userWithoutPassword;
+    },
+
+    addGroceryListItem: async (_, { userId, upc, quantity }) => {
+      try {
+        const UserList = require('../models/UserList');
+
+        // Check if item already exists in database
+        const existingItem = await UserList.findOne({
+          where: { userId, upc },
+          include: [{ model: Product, as: 'product' }]
+        });
+
+        let listItem;
+
+        if (existingItem) {
+          // Update existing item quantity
+          existingItem.quantity += quantity;
+          await existingItem.save();
+          listItem = existingItem;
+        } else {
+          // Create new item in database
+          listItem = await UserList.create({
+            userId,
+            upc,
+            quantity
+          });
+
+          // Fetch with product relation
+          listItem = await UserList.findOne({
+            where: { listItemId: listItem.listItemId },
+            include: [{ model: Product, as: 'product' }]
+          });
+        }
+
+        // Return plain object
         return listItem.get({ plain: true });
       } catch (error) {
         console.error('Error adding grocery list item to database:', error.message);
@@ -1868,26 +2876,99 @@ const resolvers = {
     // NEW FLYER-BASED MUTATIONS
     // ===================================================================
 
-    addListItem: async (_, { itemName, itemVariant, category, quantity = 1 }, { user }) => {
+    createShoppingList: async (_, { name }, { user }) => {
       try {
         if (!user) {
           throw new Error('Authentication required');
         }
 
+        // The first list a user makes becomes their default
+        const existingLists = await ShoppingList.count({ where: { userId: user.userId } });
+        const list = await ShoppingList.create({
+          userId: user.userId,
+          name: name.trim(),
+          isDefault: existingLists === 0
+        });
+
+        return { ...list.get({ plain: true }), role: 'owner' };
+      } catch (error) {
+        // Log detailed error internally
+        console.error('[createShoppingList] Error:', error.message, error.stack);
+
+        // Return generic error to client
+        throw new Error('Failed to create list. Please try again.');
+      }
+    },
+
+    renameShoppingList: async (_, { id, name }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const list = await getShoppingList(user.userId, id, 'owner');
+        await list.update({ name: name.trim() });
+
+        return { ...list.get({ plain: true }), role: 'owner' };
+      } catch (error) {
+        // Log detailed error internally
+        console.error('[renameShoppingList] Error:', error.message, error.stack);
+
+        // Return generic error to client
+        throw new Error('Failed to rename list. Please try again.');
+      }
+    },
+
+    // Deletes a list and its items. The default list can't be deleted.
+    deleteShoppingList: async (_, { id }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const list = await ShoppingList.findOne({
+          where: { id, userId: user.userId }
+        });
+
+        if (!list || list.isDefault) {
+          return false;
+        }
+
+        await UserListItem.destroy({ where: { listId: list.id } });
+        await ShoppingListMember.destroy({ where: { listId: list.id } });
+        await list.destroy();
+        return true;
+      } catch (error) {
+        console.error('[deleteShoppingList] Error:', error.message);
+        return false;
+      }
+    },
+
+    addListItem: async (_, { itemName, itemVariant, category, quantity = 1, listId, recurrenceDays }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const list = await getShoppingList(user.userId, listId, 'editor');
         const listItem = await UserListItem.create({
           userId: user.userId,
+          listId: list.id,
           itemName,
           itemVariant: itemVariant || null,
           category: category || null,
           quantity,
-          checked: false
+          checked: false,
+          ...(recurrenceDays && getRecurrenceUpdate({ checked: false }, { recurrenceDays }))
         });
 
         const createdItem = await UserListItem.findByPk(listItem.id, {
           include: [{ model: User, as: 'user' }]
         });
 
-        return createdItem.get({ plain: true });
+        const itemPlain = createdItem.get({ plain: true });
+        publishListItemChange(list.id, 'ADDED', itemPlain, user.userId);
+        return itemPlain;
       } catch (error) {
         // Log detailed error internally
         console.error('[addListItem] Error:', error.message, error.stack);
@@ -1897,28 +2978,35 @@ const resolvers = {
       }
     },
 
-    updateListItem: async (_, { id, quantity, checked }, { user }) => {
+    updateListItem: async (_, { id, quantity, checked, recurrenceDays }, { user }) => {
       try {
         if (!user) {
           throw new Error('Authentication required');
         }
 
-        const [rowsUpdated, [updatedItem]] = await UserListItem.update(
-          {
-            ...(quantity !== undefined && quantity !== null && { quantity }),
-            ...(checked !== undefined && checked !== null && { checked })
-          },
-          {
-            where: { id, userId: user.userId },
-            returning: true
-          }
-        );
+        const listItem = await getListItem(user.userId, id, 'editor');
+        const boughtNow = checked === true && !listItem.checked;
+        const recurrenceChanges = {
+          ...(checked !== undefined && checked !== null && { checked }),
+          ...(recurrenceDays !== undefined && recurrenceDays !== null && { recurrenceDays })
+        };
+        await listItem.update({
+          ...(quantity !== undefined && quantity !== null && { quantity }),
+          ...(Object.keys(recurrenceChanges).length > 0 && getRecurrenceUpdate(listItem, recurrenceChanges))
+        });
 
-        if (rowsUpdated === 0) {
-          throw new Error('List item not found or unauthorized');
+        // Checking an item off means it was bought - it goes in the pantry
+        if (boughtNow) {
+          try {
+            await addToPantry(user.userId, listItem);
+          } catch (pantryError) {
+            console.error('[updateListItem] Pantry error:', pantryError.message);
+          }
         }
 
-        return updatedItem.get({ plain: true });
+        const itemPlain = listItem.get({ plain: true });
+        publishListItemChange(listItem.listId, 'UPDATED', itemPlain, user.userId);
+        return itemPlain;
       } catch (error) {
         // Log detailed error internally
         console.error('[updateListItem] Error:', error.message, error.stack);
@@ -1928,24 +3016,301 @@ const resolvers = {
       }
     },
 
+    moveListItem: async (_, { id, listId }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const listItem = await getListItem(user.userId, id, 'editor');
+        const list = await getShoppingList(user.userId, listId, 'editor');
+        const previousListId = listItem.listId;
+        await listItem.update({ listId: list.id });
+
+        const itemPlain = listItem.get({ plain: true });
+        if (previousListId !== list.id) {
+          publishListItemChange(previousListId, 'REMOVED', itemPlain, user.userId);
+          publishListItemChange(list.id, 'ADDED', itemPlain, user.userId);
+        }
+        return itemPlain;
+      } catch (error) {
+        // Log detailed error internally
+        console.error('[moveListItem] Error:', error.message, error.stack);
+
+        // Return generic error to client
+        throw new Error('Failed to move item to that list. Please try again.');
+      }
+    },
+
     removeListItem: async (_, { id }, { user }) => {
       try {
         if (!user) {
           throw new Error('Authentication required');
         }
 
-        const listItem = await UserListItem.findOne({
-          where: { id, userId: user.userId }
+        const listItem = await getListItem(user.userId, id, 'editor');
+        const itemPlain = listItem.get({ plain: true });
+
+        await listItem.destroy();
+        publishListItemChange(itemPlain.listId, 'REMOVED', itemPlain, user.userId);
+        return true;
+      } catch (error) {
+        console.error('[removeListItem] Error:', error.message);
+        return false;
+      }
+    },
+
+    // Invite someone to a list by email. They see it under getMyListInvites
+    // once they sign in with that address.
+    inviteToShoppingList: async (_, { listId, email, role = 'EDITOR' }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const inviteEmail = normalizeInviteEmail(email);
+        if (!inviteEmail) {
+          throw new Error('Please enter a valid email address');
+        }
+        if (inviteEmail === (user.email || '').toLowerCase()) {
+          throw new Error('You already have access to this list');
+        }
+
+        if (role === 'OWNER') {
+          throw new Error('Lists can only have one owner');
+        }
+
+        const list = await getShoppingList(user.userId, listId, 'owner');
+
+        // Re-inviting an address updates the role and keeps an accepted invite accepted
+        const existing = await ShoppingListMember.findOne({
+          where: { listId: list.id, email: inviteEmail }
         });
+        const member = existing
+          ? await existing.update({ role: role.toLowerCase() })
+          : await ShoppingListMember.create({
+              listId: list.id,
+              email: inviteEmail,
+              role: role.toLowerCase(),
+              status: 'pending',
+              invitedBy: user.userId
+            });
 
-        if (!listItem) {
+        return member.get({ plain: true });
+      } catch (error) {
+        // Log detailed error internally
+        console.error('[inviteToShoppingList] Error:', error.message, error.stack);
+
+        // Return generic error to client
+        const userFacing = ['valid email', 'already have access', 'one owner'];
+        throw new Error(userFacing.some(text => error.message.includes(text))
+          ? error.message
+          : 'Failed to share list. Please try again.');
+      }
+    },
+
+    respondToListInvite: async (_, { inviteId, accept }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const invite = await ShoppingListMember.findOne({
+          where: { id: inviteId, email: (user.email || '').toLowerCase(), status: 'pending' }
+        });
+        if (!invite) {
           return false;
         }
 
-        await listItem.destroy();
+        if (accept) {
+          await invite.update({ userId: user.userId, status: 'accepted' });
+        } else {
+          await invite.destroy();
+        }
         return true;
       } catch (error) {
-        console.error('[removeListItem] Error:', error.message);
+        console.error('[respondToListInvite] Error:', error.message);
+        return false;
+      }
+    },
+
+    updateListMemberRole: async (_, { memberId, role }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        if (role === 'OWNER') {
+          throw new Error('Lists can only have one owner');
+        }
+
+        const member = await ShoppingListMember.findByPk(memberId);
+        if (!member) {
+          throw new Error('List member not found');
+        }
+
+        await getShoppingList(user.userId, member.listId, 'owner');
+        await member.update({ role: role.toLowerCase() });
+
+        return member.get({ plain: true });
+      } catch (error) {
+        // Log detailed error internally
+        console.error('[updateListMemberRole] Error:', error.message, error.stack);
+
+        // Return generic error to client
+        throw new Error('Failed to update member. Please try again.');
+      }
+    },
+
+    // Owners can remove anyone; members can remove themselves (leave the list)
+    removeListMember: async (_, { memberId }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const member = await ShoppingListMember.findByPk(memberId);
+        if (!member) {
+          return false;
+        }
+
+        if (member.userId !== user.userId) {
+          await getShoppingList(user.userId, member.listId, 'owner');
+        }
+
+        await member.destroy();
+        return true;
+      } catch (error) {
+        console.error('[removeListMember] Error:', error.message);
+        return false;
+      }
+    },
+
+    addPantryItem: async (_, { itemName, itemVariant, category, quantity = 1, shelfLifeDays }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const item = { itemName: itemName.trim(), itemVariant: itemVariant || null, category: category || null, quantity };
+        const existing = await PantryItem.findOne({
+          where: { userId: user.userId, itemKey: getItemKey(item) }
+        });
+        const update = getPurchaseUpdate(existing, item);
+        if (shelfLifeDays) {
+          update.shelfLifeDays = shelfLifeDays;
+          update.expiresAt = getExpiresAt(update.purchasedAt, shelfLifeDays);
+        }
+
+        const pantryItem = existing
+          ? await existing.update(update)
+          : await PantryItem.create({ userId: user.userId, ...update });
+        return pantryItem.get({ plain: true });
+      } catch (error) {
+        console.error('[addPantryItem] Error:', error.message);
+        throw new Error('Failed to add pantry item. Please try again.');
+      }
+    },
+
+    updatePantryItem: async (_, { id, quantity, lowStockThreshold, shelfLifeDays }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const pantryItem = await getPantryItem(user.userId, id);
+        await pantryItem.update({
+          ...(quantity !== undefined && quantity !== null && { quantity }),
+          ...(lowStockThreshold !== undefined && lowStockThreshold !== null && { lowStockThreshold }),
+          ...(shelfLifeDays !== undefined && shelfLifeDays !== null && {
+            shelfLifeDays,
+            expiresAt: getExpiresAt(pantryItem.purchasedAt, shelfLifeDays)
+          })
+        });
+
+        return pantryItem.get({ plain: true });
+      } catch (error) {
+        console.error('[updatePantryItem] Error:', error.message);
+        throw new Error('Failed to update pantry item. Please try again.');
+      }
+    },
+
+    // Use some up (never goes below zero)
+    usePantryItem: async (_, { id, amount }, { user }) => {
+      const used = amount == null ? 1 : amount;
+      // A negative amount would add stock
+      if (!(used > 0)) {
+        throw new Error('Amount must be at least 1');
+      }
+
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const pantryItem = await getPantryItem(user.userId, id);
+        await pantryItem.update({ quantity: Math.max(0, pantryItem.quantity - used) });
+
+        return pantryItem.get({ plain: true });
+      } catch (error) {
+        console.error('[usePantryItem] Error:', error.message);
+        throw new Error('Failed to update pantry item. Please try again.');
+      }
+    },
+
+    removePantryItem: async (_, { id }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const pantryItem = await getPantryItem(user.userId, id);
+        await pantryItem.destroy();
+        return true;
+      } catch (error) {
+        console.error('[removePantryItem] Error:', error.message);
+        return false;
+      }
+    },
+
+    acceptDealMatch: async (_, { listItemId, dealId }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        return await recordMatchFeedback(user, listItemId, dealId, 'accepted');
+      } catch (error) {
+        console.error('[acceptDealMatch] Error:', error.message, error.stack);
+        throw new Error('Failed to save your choice. Please try again.');
+      }
+    },
+
+    rejectDealMatch: async (_, { listItemId, dealId }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        return await recordMatchFeedback(user, listItemId, dealId, 'rejected');
+      } catch (error) {
+        console.error('[rejectDealMatch] Error:', error.message, error.stack);
+        throw new Error('Failed to save your choice. Please try again.');
+      }
+    },
+
+    clearDealMatchFeedback: async (_, { id }, { user }) => {
+      try {
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        const deleted = await DealMatchFeedback.destroy({
+          where: { id, userId: user.userId }
+        });
+        return deleted > 0;
+      } catch (error) {
+        console.error('[clearDealMatchFeedback] Error:', error.message);
         return false;
       }
     },
@@ -2073,6 +3438,10 @@ const resolvers = {
           };
         }
 
+        // Keep their prices for stock-up signals
+        const deals = await Deal.findAll({ where: { zipCode }, raw: true });
+        await recordDealPrices(DealPriceHistory, deals);
+
         // Delete deals for this ZIP code first (due to foreign key)
         const deletedDeals = await Deal.destroy({
           where: { zipCode }
@@ -2240,6 +3609,228 @@ const resolvers = {
       }
     },
 
+    triggerFlyerReprocess: async (_, { flyerId }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const flyer = await Flyer.findByPk(flyerId);
+        if (!flyer) {
+          throw new Error('Flyer not found');
+        }
+        const blocker = await flyerService.getReprocessBlocker(flyer);
+        if (blocker) {
+          return { jobId: '', status: 'skipped', message: blocker };
+        }
+
+        const result = await flyerQueue.addReprocessJob(flyerId, {
+          triggeredBy: 'admin',
+          zipCode: flyer.zipCode
+        });
+        await recordAdminAction(user, 'flyer.reprocess', { targetType: 'flyer', targetId: flyerId }, {
+          jobId: result.jobId || null,
+          status: result.status
+        });
+
+        return {
+          jobId: result.jobId || '',
+          status: result.status,
+          message: result.message
+        };
+      } catch (error) {
+        console.error('[triggerFlyerReprocess] Error:', error.message, error.stack);
+        return {
+          jobId: '',
+          status: 'error',
+          message: error.message
+        };
+      }
+    },
+
+    deleteFlyer: async (_, { flyerId }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const { flyer, deletedDeals } = await flyerService.deleteFlyer(flyerId);
+        // The flyer is gone, so keep enough to tell which one it was
+        await recordAdminAction(user, 'flyer.delete', { targetType: 'flyer', targetId: flyerId }, {
+          storeName: flyer.storeName,
+          flyerName: flyer.flyerName,
+          flyerRunId: flyer.flyerRunId,
+          zipCode: flyer.zipCode,
+          validFrom: flyer.validFrom,
+          validTo: flyer.validTo,
+          deletedDeals
+        });
+
+        return true;
+      } catch (error) {
+        console.error('[deleteFlyer] Error:', error.message, error.stack);
+        throw new Error(`Failed to delete flyer: ${error.message}`);
+      }
+    },
+
+    updateFlyer: async (_, { flyerId, ...fields }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const { changes } = await flyerService.updateFlyerMetadata(flyerId, fields);
+        if (Object.keys(changes).length > 0) {
+          await recordAdminAction(user, 'flyer.update', { targetType: 'flyer', targetId: flyerId }, { changes });
+        }
+
+        const flyer = await Flyer.findByPk(flyerId, {
+          include: [{ model: Deal, as: 'deals', required: false }]
+        });
+        const plainFlyer = flyer.get({ plain: true });
+        return {
+          ...plainFlyer,
+          status: (plainFlyer.status || 'completed').toUpperCase(),
+          imageUrls: plainFlyer.imageUrls ? getOptimizedFlyerUrls(plainFlyer.imageUrls) : []
+        };
+      } catch (error) {
+        console.error('[updateFlyer] Error:', error.message, error.stack);
+        throw new Error(`Failed to update flyer: ${error.message}`);
+      }
+    },
+
+    // Fix a misread deal; saving an admin's edits approves it
+    adminUpdateDeal: async (_, { dealId, dealType, ...fields }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const deal = await getReviewDeal(dealId);
+        const updates = {};
+        for (const [field, value] of Object.entries(fields)) {
+          if (value === undefined) continue;
+          updates[field] = typeof value === 'string' ? value.trim() || null : value;
+        }
+        if (dealType) {
+          updates.dealType = dealType.toLowerCase();
+        }
+        if ('unit' in updates) {
+          updates.unit = updates.unit || 'each';
+        }
+        if ('productName' in updates && !updates.productName) {
+          throw new Error('Product name is required');
+        }
+        if ('salePrice' in updates && updates.salePrice === null) {
+          throw new Error('Sale price is required');
+        }
+
+        // Replace the misread price in the history with the corrected one, and
+        // judge the corrected price against the other weeks like saveDeals does
+        await DealPriceHistory.destroy({ where: { dealId } });
+        const edited = { ...deal.get({ plain: true }), ...updates };
+        const unitPrice = calculateUnitPrice(edited);
+        const [{ isStockUp, low52WeekPrice }] = await annotateStockUp(DealPriceHistory, [{ ...edited, ...unitPrice }]);
+        await deal.update({
+          ...updates,
+          ...unitPrice,
+          isStockUp,
+          low52WeekPrice,
+          ...getReviewedFields(user)
+        });
+        await recordDealPrices(DealPriceHistory, [deal.get({ plain: true })]);
+
+        return toDealResult(deal);
+      } catch (error) {
+        console.error('[adminUpdateDeal] Error:', error.message);
+        throw error;
+      }
+    },
+
+    // The deal was read correctly
+    adminApproveDeal: async (_, { dealId }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const deal = await getReviewDeal(dealId);
+        await deal.update({
+          ...getReviewedFields(user),
+          // Checked by a person, so DealMatcher can trust it fully
+          confidence: 1,
+          fieldConfidence: deal.fieldConfidence ? { productName: 1, salePrice: 1, dealType: 1 } : null
+        });
+
+        return toDealResult(deal);
+      } catch (error) {
+        console.error('[adminApproveDeal] Error:', error.message);
+        throw error;
+      }
+    },
+
+    adminMergeDeals: async (_, { keepDealId, duplicateDealIds }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const keep = await getReviewDeal(keepDealId);
+        const ids = duplicateDealIds.filter(id => id !== keepDealId);
+        const duplicates = await Deal.findAll({
+          where: { id: { [Op.in]: ids }, flyerId: keep.flyerId },
+          raw: true
+        });
+        if (duplicates.length !== ids.length) {
+          return {
+            success: false,
+            message: 'Duplicates must be deals from the same flyer',
+            affectedCount: 0
+          };
+        }
+
+        await keep.update({
+          ...getMergedFields(keep.get({ plain: true }), duplicates),
+          ...getReviewedFields(user)
+        });
+
+        // Users' accept/reject decisions follow the deal that's kept
+        await DealMatchFeedback.update({ dealId: keepDealId }, { where: { dealId: { [Op.in]: ids } } });
+        await DealPriceHistory.destroy({ where: { dealId: { [Op.in]: ids } } });
+        await releaseDuplicates(Deal, ids);
+        const deletedDeals = await Deal.destroy({ where: { id: { [Op.in]: ids } } });
+
+        console.log(`[adminMergeDeals] Merged ${deletedDeals} duplicate(s) into deal ${keepDealId}`);
+
+        return {
+          success: true,
+          message: `Merged ${deletedDeals} duplicate deal${deletedDeals === 1 ? '' : 's'} into "${keep.productName}"`,
+          affectedCount: deletedDeals
+        };
+      } catch (error) {
+        console.error('[adminMergeDeals] Error:', error.message);
+        return {
+          success: false,
+          message: error.message,
+          affectedCount: 0
+        };
+      }
+    },
+
+    adminDeleteDeal: async (_, { dealId }, { user }) => {
+      try {
+        requireAdmin(user);
+
+        const deal = await getReviewDeal(dealId);
+
+        // A misread price shouldn't count toward stock-up signals
+        await DealPriceHistory.destroy({ where: { dealId } });
+        await releaseDuplicates(Deal, [dealId]);
+        await deal.destroy();
+
+        return {
+          success: true,
+          message: `Deleted deal "${deal.productName}"`,
+          affectedCount: 1
+        };
+      } catch (error) {
+        console.error('[adminDeleteDeal] Error:', error.message);
+        return {
+          success: false,
+          message: error.message,
+          affectedCount: 0
+        };
+      }
+    },
+
     // ===================================================================
     // UPLOAD FLYER MUTATION (Atlanta Pilot - Direct Scraper Integration)
     // ===================================================================
@@ -2366,43 +3957,137 @@ const resolvers = {
     }
   },
 
+  // DealMatchFeedback field resolver to convert decision to uppercase for GraphQL enum
+  DealMatchFeedback: {
+    decision: (parent) => parent.decision.toUpperCase()
+  },
+
   // Deal field resolver to convert dealType to uppercase for GraphQL enum
   Deal: {
     dealType: (parent) => {
       // Database stores lowercase, GraphQL enum expects uppercase
       return (parent.dealType || 'sale').toUpperCase();
+    },
+    // Deals saved before unit prices were stored are computed on the fly
+    unitPrice: (parent) => ensureUnitPrice(parent).unitPrice,
+    unitPriceUnit: (parent) => {
+      const { unitPriceUnit } = ensureUnitPrice(parent);
+      return unitPriceUnit ? unitPriceUnit.toUpperCase() : null;
+    },
+    unitPriceLabel: (parent) => formatUnitPrice(ensureUnitPrice(parent)),
+    // Sample and pre-history deals have no signal
+    isStockUp: (parent) => !!parent.isStockUp,
+    low52WeekPrice: (parent) => (parent.low52WeekPrice != null ? parseFloat(parent.low52WeekPrice) : null),
+    needsReview: (parent) => !!parent.needsReview,
+    reviewReasons: (parent) => parent.reviewReasons || [],
+    reviewedAt: (parent) => (parent.reviewedAt ? new Date(parent.reviewedAt).toISOString() : null),
+    duplicates: async (parent) => {
+      if (parent.duplicateOfId || !parent.id) return [];
+      return Deal.findAll({
+        where: { duplicateOfId: parent.id },
+        include: [{ model: Flyer, as: 'flyer' }],
+        order: [['createdAt', 'ASC']]
+      });
+    }
+  },
+
+  DealPricePoint: {
+    unitPriceUnit: (parent) => (parent.unitPriceUnit ? parent.unitPriceUnit.toUpperCase() : null)
+  },
+
+  OcrRejection: {
+    row: (parent) => (parent.row === null || parent.row === undefined ? null : JSON.stringify(parent.row)),
+    reasons: (parent) => parent.reasons || [],
+    createdAt: (parent) => new Date(parent.createdAt).toISOString()
+  },
+
+  AdminAuditEntry: {
+    details: (parent) => (parent.details === null || parent.details === undefined ? null : JSON.stringify(parent.details)),
+    createdAt: (parent) => new Date(parent.createdAt).toISOString()
+  },
+
+  ScraperRun: {
+    createdAt: (parent) => new Date(parent.createdAt).toISOString()
+  },
+
+  SalePrediction: {
+    dealType: (parent) => (parent.dealType ? parent.dealType.toUpperCase() : null)
+  },
+
+  Subscription: {
+    // Live item changes on a list, for everyone it's shared with
+    listItemChanged: {
+      subscribe: async (root, args, context, info) => {
+        const { user } = context;
+        if (!user) {
+          throw new Error('Authentication required');
+        }
+
+        await getShoppingList(user.userId, args.listId);
+        // Access is checked again for every change, so a member removed
+        // from the list stops getting its updates without reconnecting
+        return withFilter(
+          () => pubsub.asyncIterator(listItemTopic(args.listId)),
+          () => getShoppingList(user.userId, args.listId).then(() => true, () => false)
+        )(root, args, context, info);
+      }
+    }
+  },
+
+  ShoppingList: {
+    // Items still to buy
+    itemCount: (parent) => UserListItem.count({
+      where: { listId: parent.id, checked: false }
+    }),
+    role: async (parent, _, { user }) => {
+      const role = parent.role || (user ? await findListRole(parent, user.userId) : null);
+      return (role || 'viewer').toUpperCase();
+    },
+    ownerName: async (parent) => {
+      const owner = await User.findByPk(parent.userId, { attributes: ['name', 'email'] });
+      return owner ? owner.name || owner.email : null;
+    },
+    members: async (parent) => {
+      const members = await ShoppingListMember.findAll({
+        where: { listId: parent.id },
+        include: [{ model: User, as: 'user', attributes: ['userId', 'name'] }],
+        order: [['createdAt', 'ASC']]
+      });
+      return members.map(member => member.get({ plain: true }));
     }
   },
 
+  ShoppingListMember: {
+    role: (parent) => parent.role.toUpperCase(),
+    status: (parent) => parent.status.toUpperCase(),
+    name: (parent) => (parent.user ? parent.user.name : null),
+    listName: (parent) => (parent.list ? parent.list.name : null),
+    invitedByName: (parent) => (parent.inviter ? parent.inviter.name || parent.inviter.email : null)
+  },
+
+  PantryItem: {
+    status: (parent) => getPantryStatus(parent).toUpperCase(),
+    purchasedAt: (parent) => (parent.purchasedAt ? new Date(parent.purchasedAt).toISOString() : null),
+    expiresAt: (parent) => (parent.expiresAt ? new Date(parent.expiresAt).toISOString() : null)
+  },
+
+  PantrySuggestion: {
+    status: (parent) => parent.status.toUpperCase()
+  },
+
   // UserListItem field resolver for matching deals
   UserListItem: {
-    matchingDeals: async (parent) => {
+    nextDueAt: (parent) => (parent.nextDueAt ? new Date(parent.nextDueAt).toISOString() : null),
+    matchingDeals: async (parent, _, context = {}) => {
       try {
-        // Get the user to find their ZIP code
-        const user = await User.findByPk(parent.userId);
-        if (!user) return [];
-
-        // Get current deals for user's ZIP
-        const deals = await Deal.findAll({
-          where: {
-            zipCode: user.zipCode,
-            validTo: { [Op.gte]: new Date() }
-          }
-        });
-
-        const itemName = parent.itemName.toLowerCase();
-        const variant = parent.itemVariant?.toLowerCase();
+        // Loaded once per request for the whole list (see loadDealMatchContext)
+        const userId = context.user ? context.user.userId : parent.userId;
+        const { deals, matchOptions } = await loadDealMatchContext(context, userId);
 
         // Match deals to this list item
         const matched = deals
-          .filter(deal => {
-            const dealText = deal.productName.toLowerCase();
-            if (!dealText.includes(itemName)) return false;
-            if (variant && !dealText.includes(variant)) return false;
-            return true;
-          })
-          .map(deal => {
-            const dealPlain = deal.get({ plain: true });
+          .filter(dealPlain => calculateMatchScore(dealPlain, parent, matchOptions) >= matchOptions.minScore)
+          .map(dealPlain => {
             return {
               ...dealPlain,
               // Convert dealType to uppercase for GraphQL enum
@@ -2421,6 +4106,32 @@ const resolvers = {
         console.error('[UserListItem.matchingDeals] Error:', error.message);
         return [];
       }
+    },
+    // Next sale at each chain, from past flyers in the user's ZIP for products matching the item
+    predictedNextSale: async (parent, _, context) => {
+      try {
+        if (parent.checked) return [];
+
+        // Loaded for the whole list once per request (see loadListSalePredictions)
+        const userId = context.user ? context.user.userId : parent.userId;
+        const cacheKey = `${parent.listId || parent.userId}|${userId}`;
+        context.salePredictions = context.salePredictions || new Map();
+        if (!context.salePredictions.has(cacheKey)) {
+          context.salePredictions.set(cacheKey, loadListSalePredictions(parent, userId));
+        }
+        let predictions = await context.salePredictions.get(cacheKey);
+        // An item added since (a subscription reuses its context) loads the list again
+        if (!predictions.has(parent.id)) {
+          const loading = loadListSalePredictions(parent, userId);
+          context.salePredictions.set(cacheKey, loading);
+          predictions = await loading;
+        }
+
+        return predictions.get(parent.id) || [];
+      } catch (error) {
+        console.error('[UserListItem.predictedNextSale] Error:', error.message);
+        return [];
+      }
     }
   }
 };
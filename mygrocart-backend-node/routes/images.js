@@ -0,0 +1,36 @@
+const express = require('express');
+const { LocalImageStorage } = require('../services/storage');
+
+const router = express.Router();
+const storage = new LocalImageStorage();
+
+/**
+ * GET /flyers/:path
+ * Serve a flyer page image from local storage (services/storage).
+ * Mounted at /flyers behind the API rate limiter, ahead of express.static, so
+ * every request under /flyers is answered here: JPEG pages or a 404.
+ * Query params: w (width; snapped to the widths the app uses, resized once and kept)
+ */
+router.get('/*', async (req, res) => {
+  try {
+    const image = await storage.readImage(`flyers${req.path}`, { width: req.query.w });
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found'
+      });
+    }
+
+    res.set('Content-Type', 'image/jpeg');
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(image);
+  } catch (error) {
+    console.error('[images] Error serving', req.path, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load image'
+    });
+  }
+});
+
+module.exports = router;
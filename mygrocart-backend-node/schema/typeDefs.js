@@ -13,6 +13,8 @@ const typeDefs = gql`
     latitude: Float
     longitude: Float
     travelRadiusMiles: Int!
+    minMatchScore: Float!
+    preferredBrands: [String!]!
     isAdmin: Boolean!
     createdAt: String!
     updatedAt: String!
@@ -240,6 +242,8 @@ const typeDefs = gql`
     dealCount: Int
     processedAt: String
     createdAt: String!
+    # Miles from the searched ZIP (getCurrentFlyers only)
+    distanceMiles: Float
   }
 
   enum FlyerStatus {
@@ -260,15 +264,87 @@ const typeDefs = gql`
     salePrice: Float!
     regularPrice: Float
     unit: String
+    unitPrice: Float
+    unitPriceUnit: UnitPriceUnit
+    unitPriceLabel: String
     dealType: DealType!
     quantity: String
     validFrom: String!
     validTo: String!
     savings: Float
     savingsPercent: Float
+    # Overall OCR confidence (0-1): provider reliability times the field confidences
     confidence: Float
+    fieldConfidence: DealFieldConfidence
     imageUrl: String
+    # At or near the lowest price for this product at this store in 52 weeks
+    isStockUp: Boolean!
+    # Lowest per-item price in the last 52 weeks (null until there's history)
+    low52WeekPrice: Float
+    # Flyer page image and text the deal was read from (OCR deals only)
+    flyerImageUrl: String
+    rawText: String
+    # Where the deal is printed: index into flyer.imageUrls and its box on that page
+    pageIndex: Int
+    boundingBox: DealBoundingBox
+    # Flagged as a likely misread, waiting in the admin review queue
+    needsReview: Boolean!
+    reviewReasons: [String!]!
+    reviewedAt: String
+    # Set when this deal is a copy of a deal from another flyer (the canonical deal)
+    duplicateOfId: ID
+    # Copies of this deal saved from other flyers, with the flyer each came from
+    duplicates: [Deal!]!
     createdAt: String!
+    # Miles from the searched ZIP (getDealsNearMe only)
+    distanceMiles: Float
+  }
+
+  # Position on a flyer page as fractions of its width and height, from the top-left corner
+  type DealBoundingBox {
+    x: Float!
+    y: Float!
+    width: Float!
+    height: Float!
+  }
+
+  # OCR confidence in each field's reading (0-1)
+  type DealFieldConfidence {
+    productName: Float!
+    salePrice: Float!
+    dealType: Float!
+  }
+
+  # One store's lowest sale price in a flyer week
+  type DealPricePoint {
+    storeName: String!
+    weekOf: String!
+    itemPrice: Float!
+    unitPrice: Float
+    unitPriceUnit: UnitPriceUnit
+  }
+
+  type DealPriceStoreStats {
+    storeName: String!
+    minPrice: Float!
+    avgPrice: Float!
+    maxPrice: Float!
+    weeksOnSale: Int!
+    # Share of weeks (since first seen) this store had it on sale, 0-1
+    saleFrequency: Float!
+  }
+
+  # Sale price history for one product (normalized name) across stores
+  type DealPriceTrend {
+    productKey: String!
+    productName: String!
+    points: [DealPricePoint!]!
+    stores: [DealPriceStoreStats!]!
+    minPrice: Float!
+    avgPrice: Float!
+    maxPrice: Float!
+    weeksOnSale: Int!
+    saleFrequency: Float!
   }
 
   enum DealType {
@@ -279,23 +355,175 @@ const typeDefs = gql`
     CLEARANCE
   }
 
+  # Canonical unit for Deal.unitPrice (weights per oz, volumes per fl oz)
+  enum UnitPriceUnit {
+    OZ
+    FL_OZ
+    COUNT
+  }
+
+  enum DealSortOrder {
+    PRICE
+    UNIT_PRICE
+  }
+
+  type ShoppingList {
+    id: ID!
+    name: String!
+    isDefault: Boolean!
+    itemCount: Int!
+    # The current user's role on the list
+    role: ListRole!
+    ownerName: String
+    members: [ShoppingListMember!]!
+    createdAt: String!
+  }
+
+  enum ListRole {
+    OWNER
+    EDITOR
+    VIEWER
+  }
+
+  enum ListInviteStatus {
+    PENDING
+    ACCEPTED
+  }
+
+  # Someone a list is shared with (an invite until it's accepted)
+  type ShoppingListMember {
+    id: ID!
+    listId: ID!
+    email: String!
+    name: String
+    role: ListRole!
+    status: ListInviteStatus!
+    listName: String
+    invitedByName: String
+    createdAt: String!
+  }
+
+  enum ListItemChangeType {
+    ADDED
+    UPDATED
+    REMOVED
+  }
+
+  type ListItemChange {
+    listId: ID!
+    type: ListItemChangeType!
+    itemId: ID!
+    # null when the item was removed
+    item: UserListItem
+    changedBy: ID!
+  }
+
+  enum PantryStatus {
+    OK
+    LOW
+    EXPIRING
+    EXPIRED
+  }
+
+  # Something at home; added when list items are checked off
+  type PantryItem {
+    id: ID!
+    itemName: String!
+    itemVariant: String
+    category: String
+    quantity: Int!
+    # LOW below this quantity (1: out of stock)
+    lowStockThreshold: Int!
+    purchasedAt: String
+    # Expected shelf life from purchase; null if it keeps
+    shelfLifeDays: Int
+    expiresAt: String
+    status: PantryStatus!
+  }
+
+  type PantrySuggestion {
+    pantryItem: PantryItem!
+    status: PantryStatus!
+  }
+
   type UserListItem {
     id: ID!
     user: User!
+    listId: ID
     itemName: String!
     itemVariant: String
     category: String
     quantity: Int!
     checked: Boolean!
+    # Repeat interval in days; null for one-off items
+    recurrenceDays: Int
+    # When a checked-off recurring item reappears unchecked
+    nextDueAt: String
     matchingDeals: [Deal!]
+    # When each chain will likely put this item on sale next, soonest first
+    predictedNextSale: [SalePrediction!]!
     createdAt: String!
   }
 
+  # Next sale at a chain, predicted from its past flyer sale cycle
+  type SalePrediction {
+    storeName: String!
+    # Start (Sunday) of the predicted sale week
+    predictedDate: String!
+    weeksUntil: Int!
+    # Typical weeks between sales at this chain
+    cycleWeeks: Int!
+    predictedPrice: Float!
+    # Deal type the chain usually runs (null if unknown)
+    dealType: DealType
+    # 0-1; lower when the cycle is irregular, history is short or a sale was missed
+    confidence: Float!
+    salesSeen: Int!
+  }
+
   type DealMatch {
     deal: Deal!
     listItem: UserListItem!
     matchScore: Float!
     matchReason: String!
+    breakdown: MatchScoreBreakdown
+  }
+
+  # Signals behind a match score (0-1 each). A null signal had nothing to
+  # compare and counted as neutral.
+  type MatchScoreBreakdown {
+    nameMatch: Float!
+    matchType: MatchType!
+    matchedTerm: String!
+    tokenOverlap: Float!
+    variantMatch: Float
+    categoryAgreement: Float
+    brandPreference: Float
+    ocrConfidence: Float
+    userFeedback: MatchFeedbackDecision
+  }
+
+  enum MatchType {
+    EXACT
+    SYNONYM
+    SPECIFIC_PRODUCT
+  }
+
+  # A user's decision on a suggested deal. Applies to the same product
+  # (normalized name + brand) in future flyers, not just this deal.
+  type DealMatchFeedback {
+    id: ID!
+    listItemId: ID
+    decision: MatchFeedbackDecision!
+    productName: String!
+    productBrand: String
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  enum MatchFeedbackDecision {
+    ACCEPTED
+    REJECTED
   }
 
   type UserNotification {
@@ -340,12 +568,54 @@ const typeDefs = gql`
     dealProductName: String!
     salePrice: Float!
     regularPrice: Float
+    unitPrice: Float
+    unitPriceUnit: UnitPriceUnit
+    unitPriceLabel: String
+    quantity: Int!
+    totalCost: Float!
+    explanation: String
+    dealApplied: Boolean!
+    additionalQuantityNeeded: Int!
+    unlockMessage: String
     lowestPrice: Float
     savings: Float
     savingsPercent: Float
     isBestPrice: Boolean
   }
 
+  # Multi-store shopping trip plan
+  type TripStop {
+    storeName: String!
+    distanceMiles: Float
+    itemCount: Int!
+    subtotal: Float!
+    stopCost: Float!
+  }
+
+  type TripItemAssignment {
+    listItemId: ID!
+    listItemName: String!
+    storeName: String!
+    dealProductName: String!
+    quantity: Int!
+    totalCost: Float!
+    explanation: String
+  }
+
+  type ShoppingTripPlan {
+    stops: [TripStop!]!
+    assignments: [TripItemAssignment!]!
+    unassignedItems: [String!]!
+    itemsCost: Float!
+    extraStopCost: Float!
+    totalCost: Float!
+    bestSingleStore: String
+    bestSingleStoreCost: Float
+    savingsVsBestSingleStore: Float!
+    listItemCount: Int!
+    message: String!
+  }
+
   type StoreDealsRankingResult {
     rankings: [StoreDealsRanking!]!
     bestStore: String
@@ -390,18 +660,35 @@ const typeDefs = gql`
     # ===================================================================
 
     # Flyer queries
-    getDealsNearMe(zipCode: String!, radiusMiles: Float, category: String, limit: Int, offset: Int): DealConnection!
+    getDealsNearMe(zipCode: String!, radiusMiles: Float, category: String, stockUpOnly: Boolean, limit: Int, offset: Int): DealConnection!
+    # Flyer price history for products matching a search (weeks defaults to 52)
+    getDealPriceTrends(query: String!, storeName: String, weeks: Int, limit: Int): [DealPriceTrend!]!
     getDealsForStore(storeId: ID!, category: String, limit: Int, offset: Int): DealConnection!
-    searchDeals(query: String!, zipCode: String!, limit: Int, offset: Int): DealConnection!
+    searchDeals(query: String!, zipCode: String!, limit: Int, offset: Int, sortBy: DealSortOrder): DealConnection!
     getFlyer(flyerId: ID!): Flyer
     getCurrentFlyers(zipCode: String!, radiusMiles: Float): [Flyer!]!
 
     # Shopping list with deal matching
-    getMyListWithDeals(userId: ID!): [UserListItem!]!
-    matchDealsToMyList(userId: ID!): [DealMatch!]!
+    # (listId defaults to the user's default list)
+    getMyShoppingLists(userId: ID!): [ShoppingList!]!
+    getMyListInvites(userId: ID!): [ShoppingListMember!]!
+    getMyListWithDeals(userId: ID!, listId: ID): [UserListItem!]!
+    getMyPantry: [PantryItem!]!
+    # Pantry items to buy again (low, expiring or expired) that aren't on the list yet
+    getPantrySuggestions(listId: ID): [PantrySuggestion!]!
+    matchDealsToMyList(userId: ID!, listId: ID): [DealMatch!]!
 
     # Store deals ranking (flyer-based comparison)
-    getStoreDealsRanking(userId: ID!): StoreDealsRankingResult!
+    getStoreDealsRanking(userId: ID!, listId: ID): StoreDealsRankingResult!
+    optimizeShoppingTrip(
+      userId: ID!
+      listId: ID
+      maxStores: Int
+      costPerMile: Float
+      stopPenalty: Float
+    ): ShoppingTripPlan!
+
+    getMyMatchFeedback(userId: ID!): [DealMatchFeedback!]!
 
     # Notifications
     getMyNotifications(userId: ID!, limit: Int): [UserNotification!]!
@@ -420,6 +707,8 @@ const typeDefs = gql`
 
     # User settings
     updateTravelRadius(travelRadiusMiles: Int!): User!
+    updateProfile(name: String, address: String, city: String, state: String, zipCode: String): User!
+    updateMatchPreferences(minMatchScore: Float, preferredBrands: [String!]): User!
 
     # Grocery list management (DEPRECATED - use new UserListItem mutations)
     addGroceryListItem(userId: String!, upc: String!, quantity: Int!): UserList!
@@ -477,11 +766,35 @@ const typeDefs = gql`
     # NEW FLYER-BASED MUTATIONS
     # ===================================================================
 
-    # Shopping list mutations (UserListItem-based)
-    addListItem(itemName: String!, itemVariant: String, category: String, quantity: Int): UserListItem!
-    updateListItem(id: ID!, quantity: Int, checked: Boolean): UserListItem!
+    # Named shopping lists
+    createShoppingList(name: String!): ShoppingList!
+    renameShoppingList(id: ID!, name: String!): ShoppingList!
+    deleteShoppingList(id: ID!): Boolean!
+
+    # Shopping list mutations (UserListItem-based, listId defaults to the default list)
+    # recurrenceDays repeats an item that many days after it's checked off (0 stops repeating)
+    addListItem(itemName: String!, itemVariant: String, category: String, quantity: Int, listId: ID, recurrenceDays: Int): UserListItem!
+    updateListItem(id: ID!, quantity: Int, checked: Boolean, recurrenceDays: Int): UserListItem!
+    moveListItem(id: ID!, listId: ID!): UserListItem!
+
+    # Shared lists (invite by email; owner manages members, members can leave)
+    inviteToShoppingList(listId: ID!, email: String!, role: ListRole): ShoppingListMember!
+    respondToListInvite(inviteId: ID!, accept: Boolean!): Boolean!
+    updateListMemberRole(memberId: ID!, role: ListRole!): ShoppingListMember!
+    removeListMember(memberId: ID!): Boolean!
     removeListItem(id: ID!): Boolean!
 
+    # Pantry (checked-off list items are added automatically)
+    addPantryItem(itemName: String!, itemVariant: String, category: String, quantity: Int, shelfLifeDays: Int): PantryItem!
+    updatePantryItem(id: ID!, quantity: Int, lowStockThreshold: Int, shelfLifeDays: Int): PantryItem!
+    usePantryItem(id: ID!, amount: Int): PantryItem!
+    removePantryItem(id: ID!): Boolean!
+
+    # Deal match feedback ("yes, this one" / "not this")
+    acceptDealMatch(listItemId: ID!, dealId: ID!): DealMatchFeedback!
+    rejectDealMatch(listItemId: ID!, dealId: ID!): DealMatchFeedback!
+    clearDealMatchFeedback(id: ID!): Boolean!
+
     # Notification mutations
     markNotificationRead(notificationId: ID!): UserNotification!
 
@@ -510,6 +823,37 @@ const typeDefs = gql`
     # Force re-process all flyers for a ZIP code (deletes and re-fetches with new quality settings)
     reprocessFlyers(zipCode: String!): FlyerReprocessResult!
 
+    # Single-flyer actions (admin only, recorded in the admin audit log)
+    # Queue re-reading one flyer's pages with OCR, keeping the flyer. Flyers whose
+    # deals come from store data (Flipp, store APIs) are refused - refresh their ZIP instead
+    triggerFlyerReprocess(flyerId: ID!): FlyerReprocessJob!
+    deleteFlyer(flyerId: ID!): Boolean!
+    # Deals copy the store and dates, so they're updated too
+    updateFlyer(
+      flyerId: ID!
+      flyerName: String
+      storeName: String
+      validFrom: String
+      validTo: String
+    ): Flyer!
+
+    # Review queue (admin only): edits and approvals take a deal out of the queue
+    adminUpdateDeal(
+      dealId: ID!
+      productName: String
+      productBrand: String
+      productCategory: String
+      salePrice: Float
+      regularPrice: Float
+      unit: String
+      dealType: DealType
+      quantity: String
+    ): Deal!
+    adminApproveDeal(dealId: ID!): Deal!
+    # Keep one deal, fill its missing fields from the duplicates, delete the duplicates
+    adminMergeDeals(keepDealId: ID!, duplicateDealIds: [ID!]!): AdminActionResult!
+    adminDeleteDeal(dealId: ID!): AdminActionResult!
+
     # Directly upload a flyer with known image URLs (admin only)
     # Used by direct store scrapers (Kroger, Publix, Food Depot) for the Atlanta pilot
     uploadFlyer(
@@ -603,6 +947,111 @@ const typeDefs = gql`
     dealsByStore: [StoreDealCount!]!
   }
 
+  # OCR output row that failed validation
+  type OcrRejection {
+    id: ID!
+    flyerRunId: String
+    storeSlug: String
+    imageUrl: String
+    provider: String!
+    # Row as returned by the provider, as JSON
+    row: String
+    reasons: [String!]!
+    createdAt: String!
+  }
+
+  # Deal flagged for admin review
+  type DealReviewItem {
+    deal: Deal!
+    # Flyer page image to check the deal against (falls back to the flyer's first page)
+    flyerImageUrl: String
+    flyerName: String
+    # Other deals in the same flyer for the same product (merge candidates)
+    duplicates: [Deal!]!
+  }
+
+  type DealReviewQueue {
+    items: [DealReviewItem!]!
+    totalCount: Int!
+  }
+
+  type FlyerReprocessJob {
+    # Empty when Redis isn't configured and the flyer is reprocessed in the background
+    jobId: String!
+    # "queued", "processing", "skipped" (flyer can't be re-read with OCR) or "error"
+    status: String!
+    message: String!
+  }
+
+  # Admin action on a flyer or deal
+  type AdminAuditEntry {
+    id: ID!
+    # e.g. "flyer.reprocess", "flyer.delete", "flyer.update"
+    action: String!
+    targetType: String!
+    targetId: String!
+    adminUserId: ID!
+    adminEmail: String
+    # What changed, as JSON
+    details: String
+    createdAt: String!
+  }
+
+  # A registered store flyer scraper (services/scrapers)
+  type ScraperInfo {
+    slug: String!
+    storeName: String!
+    # flipp_api, direct_api or direct_scrape
+    source: String!
+    # deals, pageImages, flippTiles, hotspots
+    capabilities: [String!]!
+    # State codes the chain operates in; null means nationwide
+    regions: [String!]
+    # false when switched off in SCRAPER_CONFIG
+    enabled: Boolean!
+    # Constructor options, as JSON
+    options: String
+  }
+
+  # One scraper run for one ZIP code (fetchAllStoreFlyers)
+  type ScraperRun {
+    id: ID!
+    zipCode: String!
+    # success, empty (no flyers, no errors) or failed
+    status: String!
+    latencyMs: Int!
+    flyerCount: Int!
+    dealCount: Int!
+    # timeout, network, blocked, http_error, invalid_flyer, parse or unknown
+    errorClass: String
+    errorMessage: String
+    # flyer_drop or deal_drop versus the same ZIP a week earlier, else its
+    # last successful run
+    anomaly: String
+    baselineDealCount: Int
+    createdAt: String!
+  }
+
+  # A scraper's health over its recent runs
+  type ScraperHealth {
+    slug: String!
+    storeName: String!
+    enabled: Boolean!
+    # Circuits are per ZIP; these show the worst one in recent runs:
+    # closed, open (skipped until retryAt) or half_open (next run is a trial)
+    circuitState: String!
+    consecutiveFailures: Int!
+    retryAt: String
+    # ZIPs whose circuit isn't closed
+    circuitZipCodes: [String!]!
+    lastRun: ScraperRun
+    # Share of recent runs that didn't fail (empty flyer drops count as
+    # failures); null before the first run
+    successRate: Float
+    avgLatencyMs: Int
+    recentRuns: [ScraperRun!]!
+  }
+
   type AdminActionResult {
     success: Boolean!
     message: String!
@@ -676,6 +1125,11 @@ const typeDefs = gql`
     adminGetQueueStatus: FlyerQueueStatus!
     adminGetFlyerStats(zipCode: String): FlyerStats!
     adminGetAllFlyers(zipCode: String, status: String, limit: Int, offset: Int): [Flyer!]!
+    adminGetOcrRejections(flyerRunId: String, limit: Int, offset: Int): [OcrRejection!]!
+    adminGetDealReviewQueue(storeName: String, limit: Int, offset: Int): DealReviewQueue!
+    adminGetAuditLog(targetType: String, targetId: ID, limit: Int, offset: Int): [AdminAuditEntry!]!
+    adminGetScrapers: [ScraperInfo!]!
+    adminGetScraperHealth: [ScraperHealth!]!
   }
 
   # Price Discovery Types
@@ -715,6 +1169,11 @@ const typeDefs = gql`
     pricesDiscovered: Int!
     pricesFailed: Int!
   }
+
+  type Subscription {
+    # Items added, updated or removed on a shared list (over WebSocket)
+    listItemChanged(listId: ID!): ListItemChange!
+  }
 `;
 
 module.exports = typeDefs;
@@ -0,0 +1,88 @@
+/**
+ * Backfill: User and Store coordinates
+ *
+ * Fills latitude/longitude from the offline ZIP centroid table
+ * (see utils/geocoder.js):
+ * - Users: all of them. Coordinates saved before the geocoder existed were
+ *   random points around NYC, so every user is re-geocoded, and users with
+ *   an unknown ZIP lose them (no location rather than a made-up one).
+ * - Stores: only those missing coordinates (scraped ones are kept).
+ *
+ * Usage: node scripts/backfill_locations.js
+ */
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, Store } = require('../models');
+const { geocodeAddress } = require('../utils/geocoder');
+
+/**
+ * Geocode records by ZIP and save the coordinates
+ * @param {Object} Model - Sequelize model
+ * @param {string} idField - Primary key
+ * @param {Array} records - Records with zipCode
+ * @returns {Promise<Object>} { updated, unknown } (unknown ZIPs get null coordinates)
+ */
+async function geocodeRecords(Model, idField, records) {
+  let updated = 0;
+  let unknown = 0;
+
+  for (const record of records) {
+    const location = geocodeAddress(record);
+    if (location) {
+      updated++;
+    } else {
+      unknown++;
+    }
+
+    // hooks: false - coordinates are being set explicitly
+    await Model.update(
+      { latitude: location ? location.latitude : null, longitude: location ? location.longitude : null },
+      { where: { [idField]: record[idField] }, hooks: false }
+    );
+  }
+
+  return { updated, unknown };
+}
+
+async function runBackfill() {
+  console.log('========================================');
+  console.log('Running Backfill: User and Store Locations');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    console.log('📝 Geocoding users...');
+    const users = await User.findAll({ attributes: ['userId', 'zipCode'] });
+    const userResult = await geocodeRecords(User, 'userId', users);
+    console.log(`✅ Geocoded ${userResult.updated} users (${userResult.unknown} with unknown ZIP codes, coordinates cleared)\n`);
+
+    console.log('📝 Geocoding stores missing coordinates...');
+    const stores = await Store.findAll({
+      attributes: ['storeId', 'zipCode'],
+      where: {
+        [Op.or]: [{ latitude: null }, { longitude: null }]
+      }
+    });
+    const storeResult = await geocodeRecords(Store, 'storeId', stores);
+    console.log(`✅ Geocoded ${storeResult.updated} stores (${storeResult.unknown} with unknown ZIP codes)\n`);
+
+    console.log('========================================');
+    console.log('✅ Backfill completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Backfill failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runBackfill();
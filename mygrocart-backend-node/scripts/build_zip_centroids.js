@@ -0,0 +1,110 @@
+/**
+ * Build ZIP Centroid Table
+ *
+ * Writes databases/zip-centroids.json, the offline ZIP -> [latitude, longitude]
+ * table used by utils/zipCentroids.js for distance filtering.
+ *
+ * Each ZIP's point is the internal point of its Census ZIP Code Tabulation
+ * Area (ZCTA), from the Census ZCTA Gazetteer:
+ * - A Gazetteer file, if a path is given (e.g. a newer year's
+ *   2023_Gaz_zcta_national.txt, tab-separated with INTPTLAT/INTPTLONG):
+ *   https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html
+ * - Otherwise the 2021 Gazetteer from the us-zips dev dependency
+ *
+ * Usage:
+ *   node scripts/build_zip_centroids.js [path/to/Gaz_zcta_national.txt]
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DB_DIR = path.join(__dirname, '../databases');
+const OUTPUT_FILE = path.join(DB_DIR, 'zip-centroids.json');
+
+/**
+ * Sanity check that a point is inside the US (rejects bad rows)
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {boolean} True if the point is plausible
+ */
+function isUsPoint(latitude, longitude) {
+  return latitude >= 17 && latitude <= 72 && longitude >= -180 && longitude <= -64;
+}
+
+/**
+ * Round a coordinate to 4 decimals (about 10 meters)
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Read centroids from a Census ZCTA Gazetteer file
+ * @param {string} filePath - Path to the tab-separated Gazetteer file
+ * @returns {Object} ZIP -> [latitude, longitude]
+ */
+function readGazetteer(filePath) {
+  const lines = fs.readFileSync(filePath, 'utf-8').split(/\r?\n/).filter(Boolean);
+  const header = lines[0].split('\t').map(column => column.trim());
+  const zipIndex = header.indexOf('GEOID');
+  const latIndex = header.indexOf('INTPTLAT');
+  const lngIndex = header.indexOf('INTPTLONG');
+
+  if (zipIndex === -1 || latIndex === -1 || lngIndex === -1) {
+    throw new Error('Expected GEOID, INTPTLAT and INTPTLONG columns');
+  }
+
+  const centroids = {};
+  for (const line of lines.slice(1)) {
+    const columns = line.split('\t');
+    const latitude = parseFloat(columns[latIndex]);
+    const longitude = parseFloat(columns[lngIndex]);
+    if (isUsPoint(latitude, longitude)) {
+      centroids[columns[zipIndex].trim()] = [round(latitude), round(longitude)];
+    }
+  }
+
+  return centroids;
+}
+
+/**
+ * Read centroids from the us-zips package (the 2021 Census ZCTA Gazetteer's
+ * INTPTLAT/INTPTLONG, packaged so the table can be rebuilt without downloading)
+ * @returns {Object} ZIP -> [latitude, longitude]
+ */
+function readUsZips() {
+  const usZips = require('us-zips');
+
+  const centroids = {};
+  for (const [zip, { latitude, longitude }] of Object.entries(usZips)) {
+    if (/^\d{5}$/.test(zip) && isUsPoint(latitude, longitude)) {
+      centroids[zip] = [round(latitude), round(longitude)];
+    }
+  }
+  return centroids;
+}
+
+function main() {
+  const gazetteerPath = process.argv[2];
+
+  console.log('📍 Building ZIP centroid table...');
+  const centroids = gazetteerPath ? readGazetteer(gazetteerPath) : readUsZips();
+  const source = `census-gazetteer:${gazetteerPath ? path.basename(gazetteerPath) : '2021_Gaz_zcta_national.txt'}`;
+
+  const sorted = {};
+  for (const zip of Object.keys(centroids).sort()) {
+    sorted[zip] = centroids[zip];
+  }
+
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify({
+    source,
+    generatedAt: new Date().toISOString(),
+    centroids: sorted
+  }) + '\n');
+
+  console.log(`✅ Wrote ${Object.keys(sorted).length} ZIP centroids to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main();
@@ -0,0 +1,41 @@
+/**
+ * Migration: Add admin audit log
+ *
+ * Creates the AdminAuditLogs table, written by the single-flyer admin
+ * actions (triggerFlyerReprocess, deleteFlyer, updateFlyer).
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { AdminAuditLog } = require('../models');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Admin Audit Log');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Create AdminAuditLogs table (no-op if it already exists)
+    console.log('📝 Creating AdminAuditLogs table...');
+    await AdminAuditLog.sync();
+    console.log('✅ AdminAuditLogs table ready\n');
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
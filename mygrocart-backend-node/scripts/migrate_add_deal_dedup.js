@@ -0,0 +1,72 @@
+/**
+ * Migration: Add cross-flyer deal dedup
+ *
+ * Adds Deals.duplicateOfId (the canonical deal a deal is a copy of), then
+ * groups the deals that are still valid (see utils/dealDedup.js) so copies
+ * saved before this stop counting twice.
+ */
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Deal } = require('../models');
+const { groupDuplicateDeals, dedupeDeals } = require('../utils/dealDedup');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Deal Dedup');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    console.log('📝 Adding duplicateOfId to Deals table...');
+    await sequelize.query(`
+      ALTER TABLE "Deals"
+      ADD COLUMN IF NOT EXISTS "duplicateOfId" UUID REFERENCES "Deals" ("id") ON DELETE SET NULL;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS idx_deal_duplicate_of ON "Deals" ("duplicateOfId");
+    `);
+    console.log('✅ Added duplicateOfId\n');
+
+    // One ZIP at a time, so each findAll stays small
+    console.log('📝 Grouping copies of current deals...');
+    const zipCodes = await Deal.findAll({
+      attributes: [[sequelize.fn('DISTINCT', sequelize.col('zipCode')), 'zipCode']],
+      where: { validTo: { [Op.gte]: new Date() } },
+      raw: true
+    });
+
+    let groups = 0;
+    let linked = 0;
+    for (const { zipCode } of zipCodes) {
+      const deals = await Deal.findAll({
+        where: { zipCode, validTo: { [Op.gte]: new Date() } },
+        raw: true
+      });
+      if (groupDuplicateDeals(deals).length === 0) continue;
+
+      const result = await dedupeDeals(Deal, deals);
+      groups += result.groups;
+      linked += result.linked;
+    }
+    console.log(`✅ Found ${groups} deals saved more than once; linked ${linked} copies\n`);
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
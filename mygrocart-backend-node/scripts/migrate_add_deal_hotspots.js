@@ -0,0 +1,47 @@
+/**
+ * Migration: Add deal hotspots
+ *
+ * Adds to Deals:
+ * - pageIndex (flyer page the deal is printed on)
+ * - boundingBox (where on that page, as 0-1 fractions)
+ *
+ * Existing deals keep null and get no hotspot; new flyers fill these in
+ * (see utils/flyerHotspots.js).
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Deal Hotspots');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    console.log('📝 Adding hotspot columns to Deals table...');
+    await sequelize.query(`
+      ALTER TABLE "Deals"
+      ADD COLUMN IF NOT EXISTS "pageIndex" INTEGER,
+      ADD COLUMN IF NOT EXISTS "boundingBox" JSONB;
+    `);
+    console.log('✅ Added hotspot columns\n');
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
@@ -0,0 +1,81 @@
+/**
+ * Migration: Add deal review queue
+ *
+ * Adds to Deals:
+ * - flyerImageUrl (flyer page the deal was read from)
+ * - needsReview, reviewReasons, reviewedAt, reviewedBy (admin review queue)
+ *
+ * Then checks the deals that are still valid (see utils/dealReview.js) so
+ * the queue starts with this week's likely misreads.
+ */
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Deal, DealPriceHistory } = require('../models');
+const { annotateReview } = require('../utils/dealReview');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Deal Review');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    console.log('📝 Adding review columns to Deals table...');
+    await sequelize.query(`
+      ALTER TABLE "Deals"
+      ADD COLUMN IF NOT EXISTS "flyerImageUrl" VARCHAR(1000),
+      ADD COLUMN IF NOT EXISTS "needsReview" BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS "reviewReasons" JSONB,
+      ADD COLUMN IF NOT EXISTS "reviewedAt" TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS "reviewedBy" UUID;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS idx_deal_needs_review ON "Deals" ("needsReview");
+    `);
+    console.log('✅ Added review columns\n');
+
+    // One flyer at a time, so duplicates are counted per flyer
+    console.log('📝 Checking current deals for review...');
+    const deals = await Deal.findAll({
+      where: { validTo: { [Op.gte]: new Date() }, reviewedAt: null },
+      raw: true
+    });
+    const dealsByFlyer = new Map();
+    for (const deal of deals) {
+      if (!dealsByFlyer.has(deal.flyerId)) dealsByFlyer.set(deal.flyerId, []);
+      dealsByFlyer.get(deal.flyerId).push(deal);
+    }
+
+    let flagged = 0;
+    for (const flyerDeals of dealsByFlyer.values()) {
+      const annotated = await annotateReview(DealPriceHistory, flyerDeals);
+      for (const deal of annotated.filter(annotatedDeal => annotatedDeal.needsReview)) {
+        await Deal.update(
+          { needsReview: true, reviewReasons: deal.reviewReasons },
+          { where: { id: deal.id } }
+        );
+        flagged++;
+      }
+    }
+    console.log(`✅ Flagged ${flagged} of ${deals.length} current deals for review\n`);
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
@@ -0,0 +1,59 @@
+/**
+ * Migration: Add flyer deal source
+ *
+ * Adds to Flyers:
+ * - dealSource ('scraper' when deals come from store data, 'ocr' when they
+ *   are read from the page images)
+ *
+ * Backfills existing flyers: OCR has always saved the model's response as
+ * each deal's rawText and scrapers never do, so a flyer whose deals all lack
+ * rawText came from store data. Flyers without deals stay 'ocr'.
+ * Admin reprocessing is refused for 'scraper' flyers (see
+ * FlyerService.getReprocessBlocker).
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Flyer Deal Source');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    console.log('📝 Adding dealSource column to Flyers table...');
+    await sequelize.query(`
+      ALTER TABLE "Flyers"
+      ADD COLUMN IF NOT EXISTS "dealSource" VARCHAR(10) NOT NULL DEFAULT 'ocr';
+    `);
+    console.log('✅ Added dealSource column\n');
+
+    console.log('📝 Marking flyers whose deals came from store data...');
+    const [, updated] = await sequelize.query(`
+      UPDATE "Flyers" f
+      SET "dealSource" = 'scraper'
+      WHERE f."dealSource" = 'ocr'
+        AND EXISTS (SELECT 1 FROM "Deals" d WHERE d."flyerId" = f.id)
+        AND NOT EXISTS (SELECT 1 FROM "Deals" d WHERE d."flyerId" = f.id AND d."rawText" IS NOT NULL);
+    `);
+    console.log(`✅ Marked ${updated?.rowCount ?? 0} flyer(s) as scraper\n`);
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
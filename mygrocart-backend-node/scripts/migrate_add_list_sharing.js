@@ -0,0 +1,41 @@
+/**
+ * Migration: Add shared shopping lists
+ *
+ * Adds:
+ * - ShoppingListMembers table (list invites and members with their roles)
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { ShoppingListMember } = require('../models');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add List Sharing');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Create ShoppingListMembers table (no-op if it already exists)
+    console.log('📝 Creating ShoppingListMembers table...');
+    await ShoppingListMember.sync();
+    console.log('✅ ShoppingListMembers table ready\n');
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
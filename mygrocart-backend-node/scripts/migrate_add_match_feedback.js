@@ -0,0 +1,41 @@
+/**
+ * Migration: Add deal match feedback
+ *
+ * Adds:
+ * - DealMatchFeedbacks table (user accept/reject decisions on deal matches)
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { DealMatchFeedback } = require('../models');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Match Feedback');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Create DealMatchFeedbacks table (no-op if it already exists)
+    console.log('📝 Creating DealMatchFeedbacks table...');
+    await DealMatchFeedback.sync();
+    console.log('✅ DealMatchFeedbacks table ready\n');
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
@@ -0,0 +1,68 @@
+/**
+ * Migration: Add deal matching preferences
+ *
+ * Adds:
+ * - User.minMatchScore
+ * - User.preferredBrands
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Match Preferences');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Add minMatchScore to Users table
+    console.log('📝 Adding minMatchScore column to Users table...');
+    try {
+      await sequelize.query(`
+        ALTER TABLE "Users"
+        ADD COLUMN IF NOT EXISTS "minMatchScore" FLOAT DEFAULT 0.4 NOT NULL;
+      `);
+      console.log('✅ Added minMatchScore column\n');
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        console.log('⏭️  Column minMatchScore already exists\n');
+      } else {
+        throw error;
+      }
+    }
+
+    // Add preferredBrands to Users table
+    console.log('📝 Adding preferredBrands column to Users table...');
+    try {
+      await sequelize.query(`
+        ALTER TABLE "Users"
+        ADD COLUMN IF NOT EXISTS "preferredBrands" JSON DEFAULT '[]' NOT NULL;
+      `);
+      console.log('✅ Added preferredBrands column\n');
+    } catch (error) {
+      if (error.message.includes('already exists')) {
+        console.log('⏭️  Column preferredBrands already exists\n');
+      } else {
+        throw error;
+      }
+    }
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
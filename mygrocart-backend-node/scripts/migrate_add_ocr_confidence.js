@@ -0,0 +1,51 @@
+/**
+ * Migration: Add OCR field confidence and rejection log
+ *
+ * Adds:
+ * - Deal.fieldConfidence (per-field OCR confidence, see utils/ocrDeals.js)
+ * - OcrRejections table (OCR rows that failed validation)
+ *
+ * Existing deals keep their flat confidence and no field confidence.
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { OcrRejection } = require('../models');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add OCR Confidence');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    console.log('📝 Adding fieldConfidence column to Deals table...');
+    await sequelize.query(`
+      ALTER TABLE "Deals"
+      ADD COLUMN IF NOT EXISTS "fieldConfidence" JSONB;
+    `);
+    console.log('✅ Added fieldConfidence column\n');
+
+    // Create OcrRejections table (no-op if it already exists)
+    console.log('📝 Creating OcrRejections table...');
+    await OcrRejection.sync();
+    console.log('✅ OcrRejections table ready\n');
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
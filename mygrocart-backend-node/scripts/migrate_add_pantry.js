@@ -0,0 +1,41 @@
+/**
+ * Migration: Add pantry inventory
+ *
+ * Adds:
+ * - PantryItems table (what each user has at home)
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { PantryItem } = require('../models');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Pantry');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Create PantryItems table (no-op if it already exists)
+    console.log('📝 Creating PantryItems table...');
+    await PantryItem.sync();
+    console.log('✅ PantryItems table ready\n');
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
@@ -0,0 +1,96 @@
+/**
+ * Migration: Add deal price history and stock-up signals
+ *
+ * Adds:
+ * - DealPriceHistory table (past flyer prices per product and store)
+ * - Deal.isStockUp and Deal.low52WeekPrice
+ *
+ * Then records every existing deal's price and flags current deals that are
+ * at or near their 52-week low (see utils/priceHistory.js).
+ */
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Deal, DealPriceHistory } = require('../models');
+const { annotateStockUp, recordDealPrices } = require('../utils/priceHistory');
+
+const BATCH_SIZE = 500;
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Price History');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Create DealPriceHistories table (no-op if it already exists)
+    console.log('📝 Creating DealPriceHistories table...');
+    await DealPriceHistory.sync();
+    console.log('✅ DealPriceHistories table ready\n');
+
+    console.log('📝 Adding stock-up columns to Deals table...');
+    await sequelize.query(`
+      ALTER TABLE "Deals"
+      ADD COLUMN IF NOT EXISTS "isStockUp" BOOLEAN NOT NULL DEFAULT false,
+      ADD COLUMN IF NOT EXISTS "low52WeekPrice" DECIMAL(10, 2);
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "idx_deal_stock_up" ON "Deals" ("isStockUp");
+    `);
+    console.log('✅ Added stock-up columns\n');
+
+    // Record existing deals, oldest first
+    console.log('📝 Recording existing deal prices...');
+    let recorded = 0;
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const deals = await Deal.findAll({
+        order: [['validFrom', 'ASC'], ['id', 'ASC']],
+        limit: BATCH_SIZE,
+        offset,
+        raw: true
+      });
+      if (deals.length === 0) break;
+
+      await recordDealPrices(DealPriceHistory, deals);
+      recorded += deals.length;
+    }
+    console.log(`✅ Recorded ${recorded} deal prices\n`);
+
+    // Flag current deals
+    console.log('📝 Flagging stock-up prices on current deals...');
+    const currentDeals = await Deal.findAll({
+      where: { validTo: { [Op.gte]: new Date() } },
+      raw: true
+    });
+    let flagged = 0;
+    for (let i = 0; i < currentDeals.length; i += BATCH_SIZE) {
+      const annotated = await annotateStockUp(DealPriceHistory, currentDeals.slice(i, i + BATCH_SIZE));
+      for (const deal of annotated) {
+        await Deal.update(
+          { isStockUp: deal.isStockUp, low52WeekPrice: deal.low52WeekPrice },
+          { where: { id: deal.id }, hooks: false }
+        );
+        if (deal.isStockUp) flagged++;
+      }
+    }
+    console.log(`✅ ${flagged} of ${currentDeals.length} current deals are stock-up prices\n`);
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
@@ -0,0 +1,49 @@
+/**
+ * Migration: Add recurring list items
+ *
+ * Adds to UserListItems:
+ * - recurrenceDays (repeat interval, null = one-off)
+ * - lastCheckedAt
+ * - nextDueAt (when a checked-off recurring item reappears)
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Recurring Items');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    console.log('📝 Adding recurrence columns to UserListItems table...');
+    await sequelize.query(`
+      ALTER TABLE "UserListItems"
+      ADD COLUMN IF NOT EXISTS "recurrenceDays" INTEGER CHECK ("recurrenceDays" BETWEEN 1 AND 365),
+      ADD COLUMN IF NOT EXISTS "lastCheckedAt" TIMESTAMP WITH TIME ZONE,
+      ADD COLUMN IF NOT EXISTS "nextDueAt" TIMESTAMP WITH TIME ZONE;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "idx_userlistitem_next_due" ON "UserListItems" ("nextDueAt");
+    `);
+    console.log('✅ Added recurrence columns\n');
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
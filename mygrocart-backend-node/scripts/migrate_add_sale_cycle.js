@@ -0,0 +1,53 @@
+/**
+ * Migration: Add deal type to price history
+ *
+ * Adds DealPriceHistories.dealType so sale-cycle predictions can say what
+ * kind of deal a chain usually runs (see utils/saleCycle.js), and fills it
+ * in from the Deals that are still around.
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Sale Cycle');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    console.log('📝 Adding dealType column to DealPriceHistories table...');
+    await sequelize.query(`
+      ALTER TABLE "DealPriceHistories"
+      ADD COLUMN IF NOT EXISTS "dealType" VARCHAR(20);
+    `);
+    console.log('✅ Added dealType column\n');
+
+    // History recorded from deals that have since been deleted stays null
+    console.log('📝 Backfilling deal types from existing deals...');
+    const [, updated] = await sequelize.query(`
+      UPDATE "DealPriceHistories" AS h
+      SET "dealType" = d."dealType"::text
+      FROM "Deals" AS d
+      WHERE h."dealId" = d.id AND h."dealType" IS NULL;
+    `);
+    console.log(`✅ Backfilled ${updated?.rowCount ?? 0} history rows\n`);
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
@@ -0,0 +1,41 @@
+/**
+ * Migration: Add scraper runs
+ *
+ * Creates the ScraperRuns table, written by fetchAllStoreFlyers for scraper
+ * health monitoring and the scraper circuit breaker.
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { ScraperRun } = require('../models');
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Scraper Runs');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Create ScraperRuns table (no-op if it already exists)
+    console.log('📝 Creating ScraperRuns table...');
+    await ScraperRun.sync();
+    console.log('✅ ScraperRuns table ready\n');
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
@@ -0,0 +1,76 @@
+/**
+ * Migration: Add named shopping lists
+ *
+ * Adds:
+ * - ShoppingLists table
+ * - UserListItem.listId
+ *
+ * Then gives every user with list items a default "My List" and moves
+ * their existing items into it.
+ */
+
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const { ShoppingList, UserListItem } = require('../models');
+
+const DEFAULT_LIST_NAME = 'My List';
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Shopping Lists');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Create ShoppingLists table (no-op if it already exists)
+    console.log('📝 Creating ShoppingLists table...');
+    await ShoppingList.sync();
+    console.log('✅ ShoppingLists table ready\n');
+
+    // Add listId column to UserListItems table
+    console.log('📝 Adding listId column to UserListItems table...');
+    await sequelize.query(`
+      ALTER TABLE "UserListItems"
+      ADD COLUMN IF NOT EXISTS "listId" UUID REFERENCES "ShoppingLists"("id") ON DELETE SET NULL;
+    `);
+    await sequelize.query(`
+      CREATE INDEX IF NOT EXISTS "idx_userlistitem_list" ON "UserListItems" ("listId");
+    `);
+    console.log('✅ Added listId column\n');
+
+    // Move existing items into each user's default list
+    console.log('📝 Moving existing items into default lists...');
+    const rows = await UserListItem.findAll({
+      attributes: ['userId'],
+      where: { listId: null },
+      group: ['userId'],
+      raw: true
+    });
+
+    for (const { userId } of rows) {
+      const [list] = await ShoppingList.findOrCreate({
+        where: { userId, isDefault: true },
+        defaults: { userId, name: DEFAULT_LIST_NAME, isDefault: true }
+      });
+      await UserListItem.update({ listId: list.id }, { where: { userId, listId: null } });
+    }
+    console.log(`✅ Moved items for ${rows.length} users\n`);
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
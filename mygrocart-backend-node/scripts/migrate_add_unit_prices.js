@@ -0,0 +1,85 @@
+/**
+ * Migration: Add deal unit prices
+ *
+ * Adds:
+ * - Deal.unitPrice
+ * - Deal.unitPriceUnit
+ *
+ * Then backfills both for existing deals (see utils/unitPrice.js)
+ */
+
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Deal } = require('../models');
+const { calculateUnitPrice } = require('../utils/unitPrice');
+
+const BATCH_SIZE = 500;
+
+async function runMigration() {
+  console.log('========================================');
+  console.log('Running Migration: Add Deal Unit Prices');
+  console.log('========================================\n');
+
+  try {
+    // Connect to database
+    console.log('🔌 Connecting to database...');
+    await sequelize.authenticate();
+    console.log('✅ Database connected\n');
+
+    // Add unit price columns to Deals table
+    console.log('📝 Adding unitPrice and unitPriceUnit columns to Deals table...');
+    await sequelize.query(`
+      ALTER TABLE "Deals"
+      ADD COLUMN IF NOT EXISTS "unitPrice" FLOAT,
+      ADD COLUMN IF NOT EXISTS "unitPriceUnit" VARCHAR(10);
+    `);
+    console.log('✅ Added unit price columns\n');
+
+    // Backfill deals that don't have a unit price yet
+    console.log('📝 Backfilling unit prices...');
+    let updated = 0;
+    let lastId = null;
+
+    while (true) {
+      const where = { unitPriceUnit: null };
+      if (lastId) {
+        where.id = { [Op.gt]: lastId };
+      }
+
+      const deals = await Deal.findAll({
+        where,
+        attributes: ['id', 'productName', 'salePrice', 'unit', 'quantity'],
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+
+      if (deals.length === 0) break;
+
+      for (const deal of deals) {
+        const { unitPrice, unitPriceUnit } = calculateUnitPrice(deal.get({ plain: true }));
+        if (unitPriceUnit) {
+          await Deal.update({ unitPrice, unitPriceUnit }, { where: { id: deal.id } });
+          updated++;
+        }
+      }
+
+      lastId = deals[deals.length - 1].id;
+      console.log(`   ...${updated} deals updated`);
+    }
+    console.log(`✅ Backfilled ${updated} deals\n`);
+
+    console.log('========================================');
+    console.log('✅ Migration completed successfully!');
+    console.log('========================================\n');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    console.error(error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+runMigration();
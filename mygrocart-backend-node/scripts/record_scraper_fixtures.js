@@ -0,0 +1,64 @@
+/**
+ * Record Scraper Fixtures
+ *
+ * Runs store scrapers against the live sites in record mode, saving every
+ * response to tests/fixtures/scrapers/<slug>.json. tests/scraperFixtures.test.js
+ * replays those files, so re-record after a site changes its responses and
+ * update the test's expected output to match.
+ *
+ * An existing fixture is replaced, not merged, so stale requests don't linger.
+ *
+ * The checked-in fixtures are hand-built (recordedAt null, with a note) until
+ * this script has been run against the live sites, and the replay tests only
+ * cover parsing for those. Record them from a machine that can reach the sites.
+ *
+ * Usage:
+ *   node scripts/record_scraper_fixtures.js [zipCode] [slug ...]
+ *   node scripts/record_scraper_fixtures.js 30132 kroger lidl
+ */
+
+const fs = require('fs');
+const { ScraperRegistry, getScraperConfig } = require('../services/scrapers');
+const { getFixturePath } = require('../services/scrapers/httpClient');
+const { validateScraperFlyer } = require('../services/scrapers/contract');
+
+async function main() {
+  const [zipCode = '30132', ...slugs] = process.argv.slice(2);
+  const selected = slugs.length > 0 ? slugs : Object.keys(ScraperRegistry);
+
+  let failures = 0;
+
+  for (const slug of selected) {
+    const ScraperClass = ScraperRegistry[slug];
+    if (!ScraperClass) {
+      console.error(`[RecordFixtures] Unknown scraper "${slug}" (have: ${Object.keys(ScraperRegistry).join(', ')})`);
+      failures++;
+      continue;
+    }
+
+    const fixturePath = getFixturePath(slug);
+    fs.rmSync(fixturePath, { force: true });
+
+    const scraper = new ScraperClass({ ...getScraperConfig(slug).options, httpMode: 'record' });
+    const flyers = await scraper.fetchFlyers(zipCode);
+
+    if (!fs.existsSync(fixturePath)) {
+      console.error(`[RecordFixtures] ${slug}: no responses recorded`);
+      failures++;
+      continue;
+    }
+
+    const problems = flyers.flatMap(flyer => validateScraperFlyer(flyer, ScraperClass.meta).errors);
+    console.log(`[RecordFixtures] ${slug}: ${flyers.length} flyer(s) -> ${fixturePath}`);
+    if (flyers.length === 0 || problems.length > 0) {
+      console.warn(`[RecordFixtures] ${slug}: check the recording - ${problems.join('; ') || 'no flyers returned'}`);
+    }
+  }
+
+  process.exit(failures > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+  console.error('[RecordFixtures] Failed:', err);
+  process.exit(1);
+});
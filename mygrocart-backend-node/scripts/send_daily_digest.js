@@ -8,14 +8,26 @@
 require('dotenv').config();
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
-const { User, UserListItem, Deal, UserNotification } = require('../models');
-const { matchDealsToListItem } = require('../utils/DealMatcher');
+const { User, UserListItem, Deal, UserNotification, DealMatchFeedback } = require('../models');
+const { matchDealsToListItem, getMatchOptions } = require('../utils/DealMatcher');
+const { dueItemsWhere, replenishDueItems } = require('../utils/recurringItems');
+const { CANONICAL_DEAL } = require('../utils/dealDedup');
+
+// Recurring items due back within this many days are matched too, so their
+// deals show up before they reappear on the list
+const RECURRING_LOOKAHEAD_DAYS = 3;
 
 async function sendDailyDigests() {
   console.log('=== Daily Digest Started ===');
   console.log(`Time: ${new Date().toISOString()}`);
 
   try {
+    // Put recurring items that are due back on everyone's lists
+    const replenished = await replenishDueItems(UserListItem);
+    console.log(`Replenished ${replenished} recurring items`);
+
+    const dueSoonBy = new Date(Date.now() + RECURRING_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000);
+
     // Get users with notifications enabled and unchecked list items
     const users = await User.findAll({
       where: {
@@ -29,9 +41,12 @@ async function sendDailyDigests() {
     let notificationsSent = 0;
 
     for (const user of users) {
-      // Get user's unchecked list items
+      // Get user's unchecked list items, plus recurring items due back soon
       const listItems = await UserListItem.findAll({
-        where: { userId: user.id, checked: false }
+        where: {
+          userId: user.id,
+          [Op.or]: [{ checked: false }, dueItemsWhere(dueSoonBy)]
+        }
       });
 
       if (listItems.length === 0) continue;
@@ -40,16 +55,22 @@ async function sendDailyDigests() {
       const deals = await Deal.findAll({
         where: {
           zipCode: user.zipCode,
-          validTo: { [Op.gte]: new Date() }
+          validTo: { [Op.gte]: new Date() },
+          ...CANONICAL_DEAL
         }
       });
 
       if (deals.length === 0) continue;
 
-      // Match deals to list items
+      // Match deals to list items (plain objects so DealMatcher can reuse
+      // each deal's tokenized name across all of the user's items)
+      const dealsPlain = deals.map(deal => deal.get({ plain: true }));
+      // Rejected products stay out of the digest, accepted ones rank first
+      const feedback = await DealMatchFeedback.findAll({ where: { userId: user.id }, raw: true });
+      const matchOptions = getMatchOptions(user, feedback);
       const allMatches = [];
       for (const item of listItems) {
-        const matches = matchDealsToListItem(item, deals);
+        const matches = matchDealsToListItem(item.get({ plain: true }), dealsPlain, matchOptions);
         if (matches.length > 0) {
           allMatches.push({ item, matches });
         }
@@ -36,16 +36,17 @@ async function testPipeline() {
       console.log(`   Sample URL: ${images[0].substring(0, 80)}...`);
     }
 
-    // Step 4: Test OCR (if OPENAI_API_KEY is set)
-    if (process.env.OPENAI_API_KEY && images.length > 0) {
-      console.log('\n4. Testing OCR extraction (first image only)...');
-      const deals = await flyerService.extractDealsWithOCR([images[0]]);
+    // Step 4: Test OCR (if the store's OCR provider is configured)
+    const ocrProvider = flyerService.getOcrProvider(testFlyer.merchant_slug);
+    if (ocrProvider && ocrProvider.isConfigured() && images.length > 0) {
+      console.log(`\n4. Testing OCR extraction with ${ocrProvider.name} (first image only)...`);
+      const deals = await flyerService.extractDealsWithOCR([images[0]], { storeSlug: testFlyer.merchant_slug });
       console.log(`   Extracted ${deals.length} deals:`);
       deals.slice(0, 5).forEach(d => {
         console.log(`   - ${d.productName}: $${d.salePrice} (${d.dealType})`);
       });
     } else {
-      console.log('\n4. Skipping OCR test (no OPENAI_API_KEY)');
+      console.log('\n4. Skipping OCR test (OCR provider not configured)');
     }
   }
 
@@ -17,9 +17,11 @@
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
 const { sequelize } = require('../config/database');
-const { User, Flyer } = require('../models');
+const { User, Flyer, DealPriceHistory } = require('../models');
 const { Op } = require('sequelize');
 const FlyerService = require('../services/FlyerService');
+const { recordDealPrices } = require('../utils/priceHistory');
+const { releaseDuplicates } = require('../utils/dealDedup');
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
@@ -54,6 +56,15 @@ async function refreshFlyers() {
       console.log(`\nCleaning up ${expiredFlyers.length} expired flyers...`);
       const expiredIds = expiredFlyers.map(f => f.id);
 
+      // Keep their prices for stock-up signals
+      const expiredDeals = await Deal.findAll({
+        where: { flyerId: { [Op.in]: expiredIds } },
+        raw: true
+      });
+      await recordDealPrices(DealPriceHistory, expiredDeals);
+      // A copy in a flyer that runs longer takes over as the canonical deal
+      await releaseDuplicates(Deal, expiredDeals.map(deal => deal.id));
+
       // Delete deals first (foreign key constraint)
       const dealsDeleted = await Deal.destroy({
         where: { flyerId: { [Op.in]: expiredIds } }
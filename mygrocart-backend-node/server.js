@@ -3,6 +3,9 @@ const express = require('express');
 const { ApolloServer } = require('@apollo/server');
 const { expressMiddleware } = require('@apollo/server/express4');
 const { ApolloServerPluginDrainHttpServer } = require('@apollo/server/plugin/drainHttpServer');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
 const http = require('http');
 const cors = require('cors');
 const dotenv = require('dotenv');
@@ -21,7 +24,7 @@ if (!process.env.NODE_ENV) {
 // Import GraphQL schema and resolvers
 const typeDefs = require('./schema/typeDefs');
 const resolvers = require('./resolvers');
-const { getUser } = require('./middleware/auth');
+const { getUser, getUserFromToken } = require('./middleware/auth');
 const { connectDB } = require('./config/database');
 
 // Import Redis configuration
@@ -34,8 +37,16 @@ const models = require('./models');
 
 // Import API routes
 const scrapingRoutes = require('./routes/scraping');
+const imageRoutes = require('./routes/images');
+const { getConfiguredImageStorage } = require('./services/storage');
 
 async function startServer() {
+  // Fail fast if the chosen image storage can't run (e.g. S3 without its SDK),
+  // then use this one instance for every flyer
+  const imageStorage = getConfiguredImageStorage();
+  flyerQueue.flyerService.setImageStorage(imageStorage);
+  console.log(`Flyer images stored with: ${imageStorage.name}`);
+
   // Create Express app
   const app = express();
 
@@ -43,12 +54,39 @@ async function startServer() {
   app.set('trust proxy', 1);
 
   const httpServer = http.createServer(app);
+  const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+  // GraphQL subscriptions over WebSocket (graphql-ws protocol) on the same path.
+  // Clients send the token as connectionParams.authorization.
+  const wsServer = new WebSocketServer({
+    server: httpServer,
+    path: '/graphql'
+  });
+  const wsServerCleanup = useServer({
+    schema,
+    context: async (ctx) => {
+      const token = ctx.connectionParams?.authorization?.replace('Bearer ', '');
+      const user = await getUserFromToken(token);
+      return { user };
+    }
+  }, wsServer);
 
   // Create Apollo Server
   const server = new ApolloServer({
-    typeDefs,
-    resolvers,
-    plugins: [ApolloServerPluginDrainHttpServer({ httpServer })],
+    schema,
+    plugins: [
+      ApolloServerPluginDrainHttpServer({ httpServer }),
+      // Close WebSocket connections when the server shuts down
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              await wsServerCleanup.dispose();
+            }
+          };
+        }
+      }
+    ],
     introspection: true, // Enable GraphQL Playground in development
     playground: true
   });
@@ -131,6 +169,9 @@ async function startServer() {
   // API Routes with rate limiting
   app.use('/api/scraping', apiLimiter, scrapingRoutes);
 
+  // Flyer page images in local storage (resized on request)
+  app.use('/flyers', apiLimiter, imageRoutes);
+
   // Serve static files (for potential frontend deployment)
   app.use(express.static('public'));
 
@@ -169,6 +210,7 @@ async function startServer() {
   
   console.log(`🚀 MyGroCart Backend ready!`);
   console.log(`📊 GraphQL endpoint: http://localhost:${PORT}/graphql`);
+  console.log(`🔌 Subscriptions: ws://localhost:${PORT}/graphql`);
   console.log(`🏥 Health check: http://localhost:${PORT}/health`);
   console.log(`🎮 GraphQL Playground: http://localhost:${PORT}/graphql`);
 }
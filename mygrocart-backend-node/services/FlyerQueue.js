@@ -10,6 +10,7 @@ const FlyerService = require('./FlyerService');
  * - Automatic retries on failure
  * - Job status tracking for admin dashboard
  * - Weekly automatic refresh for all active ZIP codes
+ * - Re-reading single flyers with OCR (admin reprocess)
  */
 class FlyerQueue {
   constructor() {
@@ -60,25 +61,28 @@ class FlyerQueue {
         if (job.data.type === 'weekly-refresh') {
           return this.processWeeklyRefresh();
         }
+        if (job.data.type === 'flyer-reprocess') {
+          return this.flyerService.reprocessFlyer(job.data.flyerId);
+        }
         return this.processJob(job);
       });
 
       // Event handlers
       this.queue.on('completed', (job, result) => {
-        console.log(`[FlyerQueue] Job ${job.id} completed for ZIP ${job.data.zipCode}`);
-        this.processingZips.delete(job.data.zipCode);
-        this.addToHistory(job, 'completed', result);
+        console.log(`[FlyerQueue] Job ${job.id} completed for ${this.getJobTarget(job)}`);
+        this.finishJob(job, 'completed', result);
       });
 
       this.queue.on('failed', (job, err) => {
-        console.error(`[FlyerQueue] Job ${job.id} failed for ZIP ${job.data.zipCode}:`, err.message);
-        this.processingZips.delete(job.data.zipCode);
-        this.addToHistory(job, 'failed', { error: err.message });
+        console.error(`[FlyerQueue] Job ${job.id} failed for ${this.getJobTarget(job)}:`, err.message);
+        this.finishJob(job, 'failed', { error: err.message });
       });
 
       this.queue.on('active', (job) => {
-        console.log(`[FlyerQueue] Job ${job.id} started for ZIP ${job.data.zipCode}`);
-        this.processingZips.add(job.data.zipCode);
+        console.log(`[FlyerQueue] Job ${job.id} started for ${this.getJobTarget(job)}`);
+        if (this.holdsZip(job)) {
+          this.processingZips.add(job.data.zipCode);
+        }
       });
 
       this.queue.on('error', (error) => {
@@ -215,6 +219,106 @@ class FlyerQueue {
     };
   }
 
+  /**
+   * Queue re-reading one flyer's pages with OCR (FlyerService.reprocessFlyer)
+   * @param {string} flyerId - Flyer ID
+   * @param {object} options - { triggeredBy, zipCode }
+   * @returns {Promise<object>} Job info or existing job status
+   */
+  async addReprocessJob(flyerId, options = {}) {
+    const { triggeredBy = 'system', zipCode = null } = options;
+
+    // If queue not initialized, process directly (fallback)
+    if (!this.isInitialized || !this.queue) {
+      console.log(`[FlyerQueue] Queue not available, reprocessing flyer ${flyerId} directly`);
+
+      // Process in background (don't await)
+      this.flyerService.reprocessFlyer(flyerId)
+        .then(result => {
+          console.log(`[FlyerQueue] Direct reprocessing finished for flyer ${flyerId}: ${result.message}`);
+        })
+        .catch(error => {
+          console.error(`[FlyerQueue] Direct reprocessing failed for flyer ${flyerId}:`, error.message);
+        });
+
+      return {
+        success: true,
+        status: 'processing',
+        message: `Started reprocessing flyer ${flyerId} (direct mode)`
+      };
+    }
+
+    // One reprocess job per flyer at a time; a finished one is replaced
+    const jobId = `reprocess-${flyerId}`;
+    const existingJob = await this.queue.getJob(jobId);
+    if (existingJob) {
+      const state = await existingJob.getState();
+      if (state !== 'completed' && state !== 'failed') {
+        return {
+          success: true,
+          status: state === 'active' ? 'processing' : 'queued',
+          jobId: existingJob.id,
+          message: `Flyer ${flyerId} is already queued for reprocessing`
+        };
+      }
+      await existingJob.remove();
+    }
+
+    const job = await this.queue.add({
+      type: 'flyer-reprocess',
+      flyerId,
+      zipCode,
+      triggeredBy,
+      timestamp: new Date().toISOString()
+    }, {
+      priority: 1, // An admin is waiting on it
+      jobId
+    });
+
+    console.log(`[FlyerQueue] Added job ${job.id} to reprocess flyer ${flyerId}`);
+
+    return {
+      success: true,
+      status: 'queued',
+      jobId: job.id,
+      message: `Flyer ${flyerId} queued for reprocessing`
+    };
+  }
+
+  /**
+   * What a job works on, for logs
+   * @param {object} job - Bull job
+   * @returns {string} e.g. "ZIP 30132" or "flyer <id>"
+   */
+  getJobTarget(job) {
+    if (job.data.type === 'flyer-reprocess') return `flyer ${job.data.flyerId}`;
+    if (job.data.type === 'weekly-refresh') return 'weekly refresh';
+    return `ZIP ${job.data.zipCode}`;
+  }
+
+  /**
+   * Whether a job marks its ZIP as processing while it runs. Reprocessing one
+   * flyer doesn't tie up its whole ZIP, so it must not release it either.
+   * @param {object} job - Bull job
+   * @returns {boolean} True if the job holds job.data.zipCode
+   */
+  holdsZip(job) {
+    return job.data.type !== 'flyer-reprocess';
+  }
+
+  /**
+   * Release a finished job's ZIP and record it in the history
+   * @param {object} job - Bull job
+   * @param {string} status - 'completed' or 'failed'
+   * @param {object} result - Job result, or { error } for failed jobs
+   */
+  finishJob(job, status, result) {
+    if (this.holdsZip(job)) {
+      this.processingZips.delete(job.data.zipCode);
+    }
+    this.addToHistory(job, status, result);
+  }
+
   /**
    * Get queue status for admin dashboard
    * @returns {Promise<object>} Queue statistics
@@ -1,22 +1,23 @@
 const axios = require('axios');
-const { Flyer, Deal, Store } = require('../models');
+const { Flyer, Deal, DealPriceHistory, OcrRejection, Store } = require('../models');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
-const OpenAI = require('openai');
 const { fetchAllStoreFlyers } = require('./scrapers');
-const cloudinary = require('cloudinary').v2;
 const pLimit = require('p-limit');
 const sharp = require('sharp');
-const fs = require('fs').promises;
-const path = require('path');
+const { calculateUnitPrice } = require('../utils/unitPrice');
+const { annotateStockUp, recordDealPrices } = require('../utils/priceHistory');
+const { annotateReview } = require('../utils/dealReview');
+const { dedupeDeals, releaseDuplicates } = require('../utils/dealDedup');
+const { normalizeOcrDeals } = require('../utils/ocrDeals');
+const { getOcrProviderForStore } = require('./ocr');
+const { getConfiguredImageStorage, getFlyerImageKey } = require('./storage');
+const { locateFlippDeals } = require('../utils/flyerHotspots');
 
 // Limit sharp memory usage to stay within Render free tier (512MB)
 sharp.cache({ memory: 50 }); // Max 50MB for sharp cache
 sharp.concurrency(1); // Process one image at a time
 
-// Configure Cloudinary (reads from CLOUDINARY_URL env var)
-cloudinary.config();
-
 /**
  * Safely parse Unix timestamp to Date, with fallback
  */
@@ -43,19 +44,26 @@ const safeParseDate = (timestamp, fallbackDays = 0) => {
  * 1. Fetches flyers from direct store scrapers (high quality)
  * 2. Supplements with WeeklyAds2 API for broader coverage
  * 3. Downloads flyer images from store CDNs
- * 4. Uploads images to Cloudinary
- * 5. Processes flyers with OCR (GPT-4o Mini)
+ * 4. Stores page images (pluggable backends, see services/storage)
+ * 5. Processes flyers with OCR (pluggable providers, see services/ocr)
  * 6. Saves flyers and deals to database
  */
 class FlyerService {
-  constructor() {
+  /**
+   * @param {object} [options] - { ocrProvider } to use one OCR provider for
+   *   every store (e.g. a fake in tests) instead of the configured ones,
+   *   { imageStorage } to use an image storage backend instead of the configured one
+   */
+  constructor(options = {}) {
     this.WEEKLYADS2_API = 'https://www.weeklyads2.com/wp-content/themes/wead/modules/flyers/flyer.php';
     this.CDN_BASE_URL = 'https://weadflipp-957b.kxcdn.com';
 
-    // Initialize OpenAI client (optional - will skip OCR if not configured)
-    this.openai = process.env.OPENAI_API_KEY
-      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-      : null;
+    // OCR providers (optional - will skip OCR if not configured)
+    this.ocrProvider = options.ocrProvider || null;
+    this.ocrProviders = new Map();
+
+    // Image storage (resolved on first use, see getImageStorage)
+    this.imageStorage = options.imageStorage || null;
 
     // Grocery stores we support (WeeklyAds2 slug filter)
     // Atlanta pilot stores + supplemental chains
@@ -498,26 +506,8 @@ class FlyerService {
           const response = await axios.head(pageUrl, { timeout: 5000 });
 
           if (response.status === 200) {
-            if (process.env.CLOUDINARY_URL) {
-              // Upload to Cloudinary for better OCR quality
-              try {
-                const result = await cloudinary.uploader.upload(pageUrl, {
-                  folder: `flyers/${flyer.flyer_run_id}`,
-                  public_id: `page_${page + 1}_lowres`,
-                  resource_type: 'image',
-                  overwrite: true,
-                  timeout: 30000
-                });
-                imageUrls.push(result.secure_url);
-                console.log(`[FlyerService] Uploaded page ${page + 1}/${pageCount} to Cloudinary`);
-              } catch (uploadError) {
-                // Fallback to CDN URL
-                imageUrls.push(pageUrl);
-                console.log(`[FlyerService] Using CDN URL for page ${page + 1}`);
-              }
-            } else {
-              imageUrls.push(pageUrl);
-            }
+            // Copy to our storage for better OCR quality (CDN URL if that fails)
+            imageUrls.push(await this.storeRemoteImage(pageUrl, flyer.flyer_run_id, `page_${page + 1}_lowres`));
           }
         } catch {
           // Page doesn't exist, stop
@@ -637,52 +627,13 @@ class FlyerService {
         pageBuffers = [stitchedImage];
       }
 
-      // Upload to Cloudinary
+      // Store pages
       const imageUrls = [];
 
       for (let i = 0; i < pageBuffers.length; i++) {
-        if (process.env.CLOUDINARY_URL) {
-          try {
-            const result = await new Promise((resolve, reject) => {
-              const uploadStream = cloudinary.uploader.upload_stream(
-                {
-                  folder: `flyers/${flyer.flyer_run_id}`,
-                  public_id: `page_${i + 1}_med`,
-                  resource_type: 'image',
-                  overwrite: true
-                },
-                (error, result) => {
-                  if (error) reject(error);
-                  else resolve(result);
-                }
-              );
-              uploadStream.end(pageBuffers[i]);
-            });
-
-            imageUrls.push(result.secure_url);
-            console.log(`[FlyerService] Uploaded medium-quality page ${i + 1}/${pageBuffers.length}`);
-          } catch (uploadError) {
-            console.error(`[FlyerService] Cloudinary upload failed:`, uploadError.message);
-            // Fallback to CDN tile URL
-            imageUrls.push(`${this.CDN_BASE_URL}/${flyerPath}4_0_0.jpg`);
-          }
-        } else {
-          // Save locally when Cloudinary is not configured
-          try {
-            const flyerDir = path.join(__dirname, '..', 'public', 'flyers', String(flyer.flyer_run_id).replace(/[^a-zA-Z0-9-_]/g, '_'));
-            await fs.mkdir(flyerDir, { recursive: true });
-            const filePath = path.join(flyerDir, `page_${i + 1}.jpg`);
-            await fs.writeFile(filePath, pageBuffers[i]);
-            const port = process.env.PORT || 5001;
-            const host = process.env.BACKEND_URL || `http://localhost:${port}`;
-            const localUrl = `${host}/flyers/${String(flyer.flyer_run_id).replace(/[^a-zA-Z0-9-_]/g, '_')}/page_${i + 1}.jpg`;
-            imageUrls.push(localUrl);
-            console.log(`[FlyerService] Saved page ${i + 1}/${pageBuffers.length} locally`);
-          } catch (saveErr) {
-            console.error(`[FlyerService] Local save failed:`, saveErr.message);
-            imageUrls.push(`${this.CDN_BASE_URL}/${flyerPath}4_0_0.jpg`);
-          }
-        }
+        const storedUrl = await this.storePageImage(pageBuffers[i], flyer.flyer_run_id, `page_${i + 1}_med`);
+        // Fallback to CDN tile URL
+        imageUrls.push(storedUrl || `${this.CDN_BASE_URL}/${flyerPath}4_0_0.jpg`);
 
         await this.delay(100);
       }
@@ -788,36 +739,11 @@ class FlyerService {
         pageBuffers = [stitchedImage];
       }
 
-      // Upload to Cloudinary
+      // Store pages
       const imageUrls = [];
       for (let i = 0; i < pageBuffers.length; i++) {
-        if (process.env.CLOUDINARY_URL) {
-          try {
-            const result = await new Promise((resolve, reject) => {
-              const uploadStream = cloudinary.uploader.upload_stream(
-                {
-                  folder: `flyers/${flyer.flyer_run_id}`,
-                  public_id: `page_${i + 1}_z${zoomLevel}`,
-                  resource_type: 'image',
-                  overwrite: true
-                },
-                (error, result) => {
-                  if (error) reject(error);
-                  else resolve(result);
-                }
-              );
-              uploadStream.end(pageBuffers[i]);
-            });
-
-            imageUrls.push(result.secure_url);
-            console.log(`[FlyerService] Uploaded page ${i + 1}/${pageBuffers.length} to Cloudinary`);
-          } catch (uploadError) {
-            console.error(`[FlyerService] Cloudinary upload failed:`, uploadError.message);
-            imageUrls.push(`${this.CDN_BASE_URL}/${flyerPath}${zoomLevel}_0_0.jpg`);
-          }
-        } else {
-          imageUrls.push(`${this.CDN_BASE_URL}/${flyerPath}${zoomLevel}_0_0.jpg`);
-        }
+        const storedUrl = await this.storePageImage(pageBuffers[i], flyer.flyer_run_id, `page_${i + 1}_z${zoomLevel}`);
+        imageUrls.push(storedUrl || `${this.CDN_BASE_URL}/${flyerPath}${zoomLevel}_0_0.jpg`);
 
         await this.delay(100);
       }
@@ -832,7 +758,7 @@ class FlyerService {
   /**
    * Download flyer images from CDN - now with full-page stitching
    * @param {object} flyer - Flyer object from API
-   * @returns {Promise<Array>} Array of image URLs (Cloudinary or fallback CDN)
+   * @returns {Promise<Array>} Array of image URLs (stored or fallback CDN)
    */
   async downloadFlyerImages(flyer) {
     const TILE_SIZE = 256;
@@ -909,39 +835,13 @@ class FlyerService {
         pageBuffers = [fullFlyerBuffer];
       }
 
-      // Step 3: Upload pages to Cloudinary
+      // Step 3: Store pages
       const imageUrls = [];
 
       for (let i = 0; i < pageBuffers.length; i++) {
-        if (process.env.CLOUDINARY_URL) {
-          try {
-            const result = await new Promise((resolve, reject) => {
-              const uploadStream = cloudinary.uploader.upload_stream(
-                {
-                  folder: `flyers/${flyer.flyer_run_id}`,
-                  public_id: `page_${i + 1}_full`,
-                  resource_type: 'image',
-                  overwrite: true
-                },
-                (error, result) => {
-                  if (error) reject(error);
-                  else resolve(result);
-                }
-              );
-              uploadStream.end(pageBuffers[i]);
-            });
-
-            imageUrls.push(result.secure_url);
-            console.log(`[FlyerService] Uploaded page ${i + 1}/${pageBuffers.length} to Cloudinary`);
-          } catch (uploadError) {
-            console.error(`[FlyerService] Cloudinary upload failed for page ${i + 1}:`, uploadError.message);
-            // Fallback to CDN tile URL
-            imageUrls.push(`${this.CDN_BASE_URL}/${flyerPath}5_0_0.jpg`);
-          }
-        } else {
-          // No Cloudinary - save locally or use CDN fallback
-          imageUrls.push(`${this.CDN_BASE_URL}/${flyerPath}5_0_0.jpg`);
-        }
+        const storedUrl = await this.storePageImage(pageBuffers[i], flyer.flyer_run_id, `page_${i + 1}_full`);
+        // Fallback to CDN tile URL
+        imageUrls.push(storedUrl || `${this.CDN_BASE_URL}/${flyerPath}5_0_0.jpg`);
 
         // Rate limiting between uploads
         await this.delay(100);
@@ -956,179 +856,152 @@ class FlyerService {
   }
 
   /**
-   * Upload images to Cloudinary
-   * @param {Array} imageUrls - Array of image URLs from CDN
-   * @param {string} flyerId - Flyer ID for organizing uploads
-   * @returns {Promise<Array>} Array of Cloudinary URLs
+   * Use an image storage backend built elsewhere (server.js builds the
+   * configured one at startup and hands it to the shared FlyerService)
+   * @param {object} imageStorage - Image storage backend
    */
-  async uploadToCloudinary(imageUrls, flyerId) {
-    // Skip if CLOUDINARY_URL not configured
-    if (!process.env.CLOUDINARY_URL) {
-      console.log(`[FlyerService] Cloudinary not configured - returning ${imageUrls.length} CDN URLs`);
-      return imageUrls;
+  setImageStorage(imageStorage) {
+    this.imageStorage = imageStorage;
+  }
+
+  /**
+   * Image storage backend (injected backend wins, see services/storage)
+   * @returns {object} Image storage backend
+   */
+  getImageStorage() {
+    if (!this.imageStorage) {
+      this.imageStorage = getConfiguredImageStorage();
     }
+    return this.imageStorage;
+  }
 
-    const uploadedUrls = [];
-    const MAX_RETRIES = 2;
+  /**
+   * Store a page image we built (stitched or split)
+   * @param {Buffer} buffer - JPEG data
+   * @param {string} flyerRunId - Flyer run ID (storage folder)
+   * @param {string} name - Image name (e.g. "page_1")
+   * @returns {Promise<string|null>} Stored image URL, or null if storing failed
+   */
+  async storePageImage(buffer, flyerRunId, name) {
+    const storage = this.getImageStorage();
+    try {
+      const url = await storage.saveImage(buffer, getFlyerImageKey(flyerRunId, name));
+      console.log(`[FlyerService] Stored ${name} (${storage.name})`);
+      return url;
+    } catch (error) {
+      console.error(`[FlyerService] ${storage.name} storage failed for ${name}:`, error.message);
+      return null;
+    }
+  }
 
-    for (let i = 0; i < imageUrls.length; i++) {
-      let retries = 0;
-      let uploaded = false;
+  /**
+   * Copy a remote page image to our storage
+   * @param {string} sourceUrl - Image URL on the store's CDN
+   * @param {string} flyerRunId - Flyer run ID (storage folder)
+   * @param {string} name - Image name (e.g. "page_1")
+   * @param {Object} [options] - { attempts } before falling back (default 1)
+   * @returns {Promise<string>} Stored image URL, or sourceUrl if not copied
+   */
+  async storeRemoteImage(sourceUrl, flyerRunId, name, { attempts = 1 } = {}) {
+    const storage = this.getImageStorage();
+    if (!storage.copiesRemote) {
+      return sourceUrl;
+    }
 
-      while (retries < MAX_RETRIES && !uploaded) {
-        try {
-          const result = await cloudinary.uploader.upload(imageUrls[i], {
-            folder: `flyers/${flyerId}`,
-            public_id: `page_${i + 1}`,
-            resource_type: 'image',
-            overwrite: true,
-            timeout: 30000
-          });
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const url = await storage.saveImageFromUrl(sourceUrl, getFlyerImageKey(flyerRunId, name));
+        console.log(`[FlyerService] Stored ${name} (${storage.name})`);
+        return url;
+      } catch (error) {
+        console.error(`[FlyerService] ${storage.name} storage failed for ${name} (attempt ${attempt}/${attempts}):`, error.message);
 
-          uploadedUrls.push(result.secure_url);
-          uploaded = true;
-          console.log(`[FlyerService] Uploaded page ${i + 1}/${imageUrls.length} to Cloudinary`);
-        } catch (error) {
-          retries++;
-          console.error(`[FlyerService] Cloudinary upload failed for page ${i + 1} (attempt ${retries}/${MAX_RETRIES}):`, error.message);
-
-          if (retries >= MAX_RETRIES) {
-            // Fallback to CDN URL after all retries exhausted
-            uploadedUrls.push(imageUrls[i]);
-            console.warn(`[FlyerService] Using CDN fallback for page ${i + 1}`);
-          } else {
-            // Exponential backoff before retry
-            await this.delay(1000 * retries);
-          }
+        if (attempt < attempts) {
+          // Exponential backoff before retry
+          await this.delay(1000 * attempt);
         }
       }
     }
 
-    console.log(`[FlyerService] Uploaded ${uploadedUrls.length} images to Cloudinary`);
-    return uploadedUrls;
+    // Fallback to CDN URL after all retries exhausted
+    console.warn(`[FlyerService] Using CDN fallback for ${name}`);
+    return sourceUrl;
   }
 
   /**
-   * Process flyer with OCR (GPT-4o Mini)
-   * @param {Array} imageUrls - Array of flyer image URLs
-   * @returns {Promise<Array>} Array of extracted deals
+   * Copy flyer page images to our storage
+   * @param {Array} imageUrls - Array of image URLs from CDN
+   * @param {string} flyerRunId - Flyer run ID for organizing uploads
+   * @returns {Promise<Array>} Array of stored URLs (CDN URL where copying failed)
    */
-  async extractDealsWithOCR(imageUrls) {
-    // Skip if OpenAI not configured
-    if (!this.openai) {
-      console.log(`[FlyerService] OpenAI not configured - skipping OCR for ${imageUrls.length} images`);
-      return [];
+  async storeRemoteImages(imageUrls, flyerRunId) {
+    if (!this.getImageStorage().copiesRemote) {
+      console.log(`[FlyerService] Image storage does not copy remote pages - returning ${imageUrls.length} CDN URLs`);
+      return imageUrls;
     }
 
-    const deals = [];
+    const storedUrls = [];
+    for (let i = 0; i < imageUrls.length; i++) {
+      storedUrls.push(await this.storeRemoteImage(imageUrls[i], flyerRunId, `page_${i + 1}`, { attempts: 2 }));
+    }
 
-    for (const imageUrl of imageUrls) {
-      // Rate limit: 100 requests/minute = 600ms delay
-      await this.delay(600);
+    console.log(`[FlyerService] Stored ${storedUrls.length} images`);
+    return storedUrls;
+  }
 
-      try {
-        const response = await this.openai.chat.completions.create({
-          model: "gpt-4o-mini",
-          messages: [
-            {
-              role: "user",
-              content: [
-                {
-                  type: "text",
-                  text: `Analyze this grocery store flyer image and extract all deals.
-For each deal, provide a JSON object with:
-- product_name (required): The product name
-- brand (optional): Brand name if visible
-- sale_price (required): The sale price as a number
-- regular_price (optional): Regular price if shown
-- unit (optional): "each", "lb", "oz", etc.
-- deal_type: "sale", "bogo", "multi_buy", or "coupon"
-- quantity (optional): e.g., "2 for $5", "Buy 1 Get 1"
-- category (optional): "produce", "dairy", "meat", "bakery", "frozen", "beverages", "snacks", "pantry", "household", "personal_care"
-
-Return ONLY a JSON array of deals. If no deals found, return [].
-Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99, "regular_price": 5.49, "unit": "gallon", "deal_type": "sale", "category": "dairy"}]`
-                },
-                {
-                  type: "image_url",
-                  image_url: {
-                    url: imageUrl,
-                    detail: "high"
-                  }
-                }
-              ]
-            }
-          ],
-          max_tokens: 4096
-        });
+  /**
+   * OCR provider for a store (injected provider wins, see services/ocr)
+   * @param {string} [storeSlug] - Store slug for per-store provider settings
+   * @returns {object|null} OCR provider or null if misconfigured
+   */
+  getOcrProvider(storeSlug) {
+    if (this.ocrProvider) {
+      return this.ocrProvider;
+    }
 
-        const content = response.choices[0].message.content;
+    const key = (storeSlug || '').toLowerCase();
+    if (!this.ocrProviders.has(key)) {
+      this.ocrProviders.set(key, getOcrProviderForStore(storeSlug));
+    }
+    return this.ocrProviders.get(key);
+  }
 
-        // Parse JSON from response with validation
-        const jsonMatch = content.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          let parsedDeals;
-          try {
-            parsedDeals = JSON.parse(jsonMatch[0]);
+  /**
+   * Process flyer with OCR
+   *
+   * Rows that fail validation (utils/ocrDeals.js) are saved to OcrRejections
+   * rather than dropped silently.
+   *
+   * @param {Array} imageUrls - Array of flyer image URLs
+   * @param {object} [options] - { storeSlug } to pick the store's OCR provider,
+   *   { flyerRunId } to tag rejected rows
+   * @returns {Promise<Array>} Array of extracted deals
+   */
+  async extractDealsWithOCR(imageUrls, { storeSlug, flyerRunId } = {}) {
+    const provider = this.getOcrProvider(storeSlug);
 
-            if (!Array.isArray(parsedDeals)) {
-              throw new Error('OCR response is not an array');
-            }
+    // Skip if no provider is usable (e.g. no API key)
+    if (!provider || !provider.isConfigured()) {
+      console.log(`[FlyerService] OCR provider ${provider ? provider.name : '(none)'} not configured - skipping OCR for ${imageUrls.length} images`);
+      return [];
+    }
 
-            // Validate and sanitize each deal
-            parsedDeals = parsedDeals.filter(d => {
-              // If sale_price is missing but quantity has "X for $Y" pattern, parse it
-              if (typeof d.sale_price !== 'number' && d.quantity) {
-                const multiBuyMatch = d.quantity.match(/(\d+)\s*for\s*\$?([\d.]+)/i);
-                if (multiBuyMatch) {
-                  const qty = parseInt(multiBuyMatch[1]);
-                  const totalPrice = parseFloat(multiBuyMatch[2]);
-                  if (qty > 0 && totalPrice > 0) {
-                    d.sale_price = totalPrice / qty; // Per-unit price
-                    d.deal_type = 'multi_buy';
-                    console.log(`[FlyerService] Parsed multi-buy: ${d.quantity} -> $${d.sale_price.toFixed(2)} each`);
-                  }
-                }
-              }
+    const deals = [];
 
-              // Also try parsing sale_price if it's a string like "$3.99"
-              if (typeof d.sale_price === 'string') {
-                const priceMatch = d.sale_price.match(/\$?([\d.]+)/);
-                if (priceMatch) {
-                  d.sale_price = parseFloat(priceMatch[1]);
-                }
-              }
+    for (const [pageIndex, imageUrl] of imageUrls.entries()) {
+      if (provider.requestDelayMs) {
+        await this.delay(provider.requestDelayMs);
+      }
 
-              if (!d.product_name || typeof d.sale_price !== 'number' || isNaN(d.sale_price)) {
-                console.warn('[FlyerService] Skipping invalid deal:', d);
-                return false;
-              }
-              if (d.sale_price < 0 || d.sale_price > 10000) {
-                console.warn('[FlyerService] Invalid price:', d.sale_price);
-                return false;
-              }
-              return true;
-            });
-
-            deals.push(...parsedDeals.map(d => ({
-              productName: d.product_name,
-              productBrand: d.brand || null,
-              productCategory: d.category || null,
-              salePrice: parseFloat(d.sale_price),
-              regularPrice: d.regular_price ? parseFloat(d.regular_price) : null,
-              unit: d.unit || 'each',
-              dealType: d.deal_type || 'sale',
-              quantity: d.quantity || null,
-              confidence: 0.9, // GPT-4o Mini is generally reliable
-              rawText: content.substring(0, 500)
-            })));
-
-            console.log(`[FlyerService] Extracted ${parsedDeals.length} deals from image`);
-          } catch (parseError) {
-            console.error('[FlyerService] Failed to parse OCR response:', parseError.message);
-            // Continue with next image
-          }
-        }
+      try {
+        const { deals: rawDeals, rawText } = await provider.extractDeals(imageUrl);
+        const { deals: imageDeals, rejections } = normalizeOcrDeals(rawDeals, { confidence: provider.confidence, rawText });
+        // The page image is shown next to the deal in the admin review queue
+        // and, with pageIndex, places its hotspot in the flyer viewer
+        deals.push(...imageDeals.map(deal => ({ ...deal, flyerImageUrl: imageUrl, pageIndex })));
+
+        console.log(`[FlyerService] Extracted ${imageDeals.length} deals from image (${provider.name}), rejected ${rejections.length}`);
+        await this.logOcrRejections(rejections, { flyerRunId, storeSlug, imageUrl, provider: provider.name });
       } catch (error) {
         console.error(`[FlyerService] OCR failed for ${imageUrl}:`, error.message);
         // Continue with other images
@@ -1139,6 +1012,29 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
     return deals;
   }
 
+  /**
+   * Save OCR rows that failed validation (failures here never stop a flyer)
+   * @param {Array} rejections - [{ row, reasons }] from normalizeOcrDeals
+   * @param {object} source - { flyerRunId, storeSlug, imageUrl, provider }
+   * @returns {Promise<void>}
+   */
+  async logOcrRejections(rejections, { flyerRunId, storeSlug, imageUrl, provider }) {
+    if (rejections.length === 0) return;
+
+    try {
+      await OcrRejection.bulkCreate(rejections.map(({ row, reasons }) => ({
+        flyerRunId: flyerRunId ? String(flyerRunId) : null,
+        storeSlug: storeSlug || null,
+        imageUrl: imageUrl ? imageUrl.substring(0, 1000) : null,
+        provider,
+        row,
+        reasons
+      })));
+    } catch (error) {
+      console.error('[FlyerService] Failed to log OCR rejections:', error.message);
+    }
+  }
+
   /**
    * Save flyer and deals to database
    * @param {object} flyerData - Flyer metadata from API
@@ -1188,7 +1084,8 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
           imageUrls: flyerData.imageUrls || [],
           flyerPath: flyerData.flyerPath,
           status: deals.length > 0 ? 'completed' : 'pending',
-          processedAt: deals.length > 0 ? new Date() : null
+          processedAt: deals.length > 0 ? new Date() : null,
+          dealSource: flyerData.dealSource || 'ocr'
         }, { transaction });
 
         await transaction.commit();
@@ -1224,35 +1121,15 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
         imageUrls: flyerData.imageUrls || [],
         flyerPath: flyerData.flyerPath,
         status: deals.length > 0 ? 'completed' : 'pending',
-        processedAt: deals.length > 0 ? new Date() : null
+        processedAt: deals.length > 0 ? new Date() : null,
+        dealSource: flyerData.dealSource || 'ocr'
       }, { transaction });
 
       console.log(`[FlyerService] Saved flyer ${flyer.id} for ${sanitizedMerchant}`);
 
       // Save deals if any using bulkCreate for better performance
       if (deals.length > 0) {
-        await Deal.bulkCreate(
-          deals.map(deal => ({
-            flyerId: flyer.id,
-            storeName: sanitizedMerchant,
-            zipCode: sanitizedZipCode,
-            productName: deal.productName,
-            productBrand: deal.productBrand || null,
-            productCategory: deal.productCategory || null,
-            salePrice: deal.salePrice,
-            regularPrice: deal.regularPrice || null,
-            unit: deal.unit || 'each',
-            dealType: deal.dealType || 'sale',
-            quantity: deal.quantity || null,
-            validFrom: safeParseDate(flyerData.valid_from, 0),
-            validTo: safeParseDate(flyerData.valid_to, 7),
-            confidence: deal.confidence || 0.0,
-            rawText: deal.rawText || null,
-            imageUrl: deal.imageUrl || null
-          })),
-          { transaction }
-        );
-
+        await this.saveDeals(flyer, deals, { transaction });
         console.log(`[FlyerService] Saved ${deals.length} deals for flyer ${flyer.id}`);
       }
 
@@ -1269,8 +1146,56 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
   }
 
   /**
-   * Fetch flyers using direct store scrapers (Kroger, Publix, Food Depot).
+   * Save a flyer's deals, flagging stock-up prices and likely misreads
+   * against past weeks, then adding this week to the price history and
+   * linking deals another flyer already has (utils/dealDedup.js)
+   * @param {object} flyer - Saved Flyer record (store, ZIP and dates are copied to each deal)
+   * @param {Array} deals - Deals from OCR or a scraper
+   * @param {object} [options] - { transaction }
+   * @returns {Promise<Array>} Saved Deal records
+   */
+  async saveDeals(flyer, deals, { transaction } = {}) {
+    const dealRows = deals.map(deal => ({
+      flyerId: flyer.id,
+      storeName: flyer.storeName,
+      zipCode: flyer.zipCode,
+      productName: deal.productName,
+      productBrand: deal.productBrand || null,
+      productCategory: deal.productCategory || null,
+      salePrice: deal.salePrice,
+      regularPrice: deal.regularPrice || null,
+      unit: deal.unit || 'each',
+      ...calculateUnitPrice({ ...deal, unit: deal.unit || 'each' }),
+      dealType: deal.dealType || 'sale',
+      quantity: deal.quantity || null,
+      validFrom: flyer.validFrom,
+      validTo: flyer.validTo,
+      confidence: deal.confidence || 0.0,
+      fieldConfidence: deal.fieldConfidence || null,
+      rawText: deal.rawText || null,
+      imageUrl: deal.imageUrl || null,
+      flyerImageUrl: deal.flyerImageUrl || null,
+      pageIndex: Number.isInteger(deal.pageIndex) ? deal.pageIndex : null,
+      boundingBox: deal.boundingBox || null
+    }));
+
+    const stockUpRows = await annotateStockUp(DealPriceHistory, dealRows, { transaction });
+    const annotatedRows = await annotateReview(DealPriceHistory, stockUpRows, { transaction });
+    const savedDeals = await Deal.bulkCreate(annotatedRows, { transaction });
+    const plainDeals = savedDeals.map(deal => deal.get({ plain: true }));
+    await recordDealPrices(DealPriceHistory, plainDeals, { transaction });
+
+    const { groups, linked } = await dedupeDeals(Deal, plainDeals, { transaction });
+    if (groups > 0) {
+      console.log(`[FlyerService] ${groups} deal(s) in flyer ${flyer.id} already saved from another flyer (${linked} linked)`);
+    }
+    return savedDeals;
+  }
+
+  /**
+   * Fetch flyers using the registered direct store scrapers (services/scrapers).
    * These scrape flyer images directly from store sources for higher quality.
+   * Flyers come back normalized to the scraper contract (services/scrapers/contract.js).
    *
    * @param {string} zipCode - 5-digit ZIP code
    * @returns {Promise<Array>} Array of scraper flyer objects
@@ -1278,7 +1203,7 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
   async fetchFlyersFromScrapers(zipCode) {
     try {
       console.log(`[FlyerService] Fetching flyers from direct store scrapers for ZIP ${zipCode}...`);
-      const flyers = await fetchAllStoreFlyers(zipCode, { rateLimitMs: 1500 });
+      const flyers = await fetchAllStoreFlyers(zipCode);
       console.log(`[FlyerService] Direct scrapers returned ${flyers.length} flyer(s) for ZIP ${zipCode}`);
       return flyers;
     } catch (error) {
@@ -1289,7 +1214,7 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
 
   /**
    * Process a single flyer from a direct store scraper.
-   * Downloads images from store CDN, uploads to Cloudinary, runs OCR.
+   * Downloads images from store CDN, copies them to image storage, runs OCR.
    *
    * @param {object} scraperFlyer - Flyer object from a direct scraper
    * @returns {Promise<object>} Processing result { success, dealsCount }
@@ -1305,7 +1230,8 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
    * @param {number} flyerHeight - Full flyer height in native pixels
    * @param {string} flyerRunId - Unique run ID for saving
    * @param {string} storeName - Store name for logging
-   * @returns {Promise<Array<string>>} Array of page image URLs
+   * @returns {Promise<Object>} { imageUrls, pageBounds } - page image URLs and each page's
+   *   native-pixel extent ({ left, right, top, bottom }), for placing deals on pages
    */
   async stitchFlyerPerPage(flyerId, flyerPath, flyerWidth, flyerHeight, flyerRunId, storeName) {
     const TILE_SIZE = 256;
@@ -1322,7 +1248,7 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
       let pages = pagesRes.data;
       if (!Array.isArray(pages) || pages.length === 0) {
         console.warn(`[FlyerService] No pages found for flyer ${flyerId}`);
-        return [];
+        return { imageUrls: [], pageBounds: [] };
       }
 
       // Sort pages by left coordinate (left-to-right order)
@@ -1340,8 +1266,7 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
 
       // Step 3: Process each page individually
       const imageUrls = [];
-      const flyerDir = path.join(__dirname, '..', 'public', 'flyers', flyerRunId.replace(/[^a-zA-Z0-9-_]/g, '_'));
-      await fs.mkdir(flyerDir, { recursive: true });
+      const pageBounds = [];
 
       for (let pageIdx = 0; pageIdx < pages.length; pageIdx++) {
         const page = pages[pageIdx];
@@ -1392,27 +1317,19 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
         // Free tile memory immediately
         tiles.length = 0;
 
-        // Save locally or to Cloudinary
-        if (process.env.CLOUDINARY_URL) {
-          try {
-            const result = await new Promise((resolve, reject) => {
-              const uploadStream = cloudinary.uploader.upload_stream(
-                { folder: `flyers/${flyerRunId}`, public_id: `page_${pageIdx + 1}`, resource_type: 'image', overwrite: true },
-                (error, result) => { if (error) reject(error); else resolve(result); }
-              );
-              uploadStream.end(pageBuffer);
-            });
-            imageUrls.push(result.secure_url);
-          } catch (uploadErr) {
-            console.warn(`[FlyerService] Cloudinary upload failed for page ${pageIdx + 1}: ${uploadErr.message}`);
-          }
-        } else {
-          // Save locally
-          const filePath = path.join(flyerDir, `page_${pageIdx + 1}.jpg`);
-          await fs.writeFile(filePath, pageBuffer);
-          const port = process.env.PORT || 5001;
-          const host = process.env.BACKEND_URL || `http://localhost:${port}`;
-          imageUrls.push(`${host}/flyers/${flyerRunId.replace(/[^a-zA-Z0-9-_]/g, '_')}/page_${pageIdx + 1}.jpg`);
+        // Native extent of the stitched image (Flipp item boxes measure y down from the top)
+        const bounds = {
+          left: startCol * tileNativeWidth,
+          right: endCol * tileNativeWidth,
+          top: 0,
+          bottom: flyerHeight
+        };
+
+        // Pages that fail to store are skipped
+        const storedUrl = await this.storePageImage(pageBuffer, flyerRunId, `page_${pageIdx + 1}`);
+        if (storedUrl) {
+          imageUrls.push(storedUrl);
+          pageBounds.push(bounds);
         }
 
         console.log(`[FlyerService] Page ${pageIdx + 1}/${pages.length}: ${pageCols}x${totalRows} tiles stitched`);
@@ -1423,10 +1340,10 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
         await this.delay(200); // Allow GC to run between pages
       }
 
-      return imageUrls;
+      return { imageUrls, pageBounds };
     } catch (error) {
       console.error(`[FlyerService] Per-page stitching failed for ${storeName}: ${error.message}`);
-      return [];
+      return { imageUrls: [], pageBounds: [] };
     }
   }
 
@@ -1451,8 +1368,9 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
       // If so, skip image validation and OCR entirely
       const hasPreExtractedDeals = scraperFlyer.preExtractedDeals && scraperFlyer.preExtractedDeals.length > 0;
 
-      let cloudinaryUrls = [];
+      let pageImageUrls = [];
       let enrichedDeals = [];
+      let pageBounds = [];
 
       if (hasPreExtractedDeals) {
         console.log(`[FlyerService] ${scraperFlyer.storeName} provided ${scraperFlyer.preExtractedDeals.length} pre-extracted deals — skipping OCR`);
@@ -1460,25 +1378,28 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
 
         // Generate flyer page images by stitching tiles per-page
         // Production uses zoom 3 (fewer tiles, lower memory) to stay within 512MB
-        if (scraperFlyer.flippPath && scraperFlyer.flippFlyerId) {
+        const { flippTiles } = scraperFlyer;
+        if (flippTiles && flippTiles.flyerId) {
           console.log(`[FlyerService] Stitching flyer pages for ${scraperFlyer.storeName}...`);
           try {
-            cloudinaryUrls = await this.stitchFlyerPerPage(
-              scraperFlyer.flippFlyerId,
-              scraperFlyer.flippPath,
-              scraperFlyer.flippWidth || 0,
-              scraperFlyer.flippHeight || 0,
+            const stitched = await this.stitchFlyerPerPage(
+              flippTiles.flyerId,
+              flippTiles.path,
+              flippTiles.width || 0,
+              flippTiles.height || 0,
               flyerRunId,
               scraperFlyer.storeName
             );
-            console.log(`[FlyerService] Stitched ${cloudinaryUrls.length} page(s) for ${scraperFlyer.storeName}`);
+            pageImageUrls = stitched.imageUrls;
+            pageBounds = stitched.pageBounds;
+            console.log(`[FlyerService] Stitched ${pageImageUrls.length} page(s) for ${scraperFlyer.storeName}`);
           } catch (stitchErr) {
             console.warn(`[FlyerService] Tile stitching failed for ${scraperFlyer.storeName}: ${stitchErr.message}`);
           }
         }
 
         // Use provided image URLs (stock_premium overview images from Flipp)
-        if (cloudinaryUrls.length === 0 && scraperFlyer.imageUrls && scraperFlyer.imageUrls.length > 0) {
+        if (pageImageUrls.length === 0 && scraperFlyer.imageUrls && scraperFlyer.imageUrls.length > 0) {
           const validImageUrls = [];
           for (const url of scraperFlyer.imageUrls.slice(0, 10)) {
             try {
@@ -1492,9 +1413,12 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
             await this.delay(200);
           }
           if (validImageUrls.length > 0) {
-            cloudinaryUrls = await this.uploadToCloudinary(validImageUrls, flyerRunId);
+            pageImageUrls = await this.storeRemoteImages(validImageUrls, flyerRunId);
           }
         }
+
+        // Place Flipp items on the stitched pages (no hotspots on overview images)
+        enrichedDeals = locateFlippDeals(enrichedDeals, pageBounds);
       } else {
         // No pre-extracted deals — validate images, upload, and OCR
         const validImageUrls = [];
@@ -1517,8 +1441,8 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
 
         console.log(`[FlyerService] Found ${validImageUrls.length}/${scraperFlyer.imageUrls.length} valid image URLs for ${scraperFlyer.storeName}`);
 
-        cloudinaryUrls = await this.uploadToCloudinary(validImageUrls, flyerRunId);
-        const deals = await this.extractDealsWithOCR(cloudinaryUrls);
+        pageImageUrls = await this.storeRemoteImages(validImageUrls, flyerRunId);
+        const deals = await this.extractDealsWithOCR(pageImageUrls, { storeSlug: scraperFlyer.storeSlug, flyerRunId });
         enrichedDeals = await this.enrichDealsWithImages(deals);
       }
 
@@ -1532,9 +1456,10 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
         postal_code: scraperFlyer.zipCode,
         valid_from: new Date(scraperFlyer.validFrom).getTime() / 1000,
         valid_to: new Date(scraperFlyer.validTo).getTime() / 1000,
-        imageUrls: cloudinaryUrls,
+        imageUrls: pageImageUrls,
         flyerPath: null, // No tile path for direct scrapers
-        source: 'direct_scrape'
+        source: 'direct_scrape',
+        dealSource: hasPreExtractedDeals ? 'scraper' : 'ocr'
       };
 
       await this.saveFlyer(flyerData, enrichedDeals);
@@ -1641,11 +1566,14 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
           // Download images
           const imageUrls = await this.downloadFlyerImages(flyerData);
 
-          // Upload to Cloudinary
-          const cloudinaryUrls = await this.uploadToCloudinary(imageUrls, flyerData.flyer_run_id);
+          // Copy pages to our storage
+          const pageImageUrls = await this.storeRemoteImages(imageUrls, flyerData.flyer_run_id);
 
           // Extract deals with OCR
-          const deals = await this.extractDealsWithOCR(cloudinaryUrls);
+          const deals = await this.extractDealsWithOCR(pageImageUrls, {
+            storeSlug: flyerData.merchant_slug,
+            flyerRunId: flyerData.flyer_run_id
+          });
 
           // Enrich deals with product images from OpenFoodFacts
           const enrichedDeals = await this.enrichDealsWithImages(deals);
@@ -1653,7 +1581,7 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
           // Save to database
           await this.saveFlyer({
             ...flyerData,
-            imageUrls: cloudinaryUrls,
+            imageUrls: pageImageUrls,
             flyerPath: this.parseFlyerPath(flyerData)
           }, enrichedDeals);
 
@@ -1764,11 +1692,14 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
           // Download images
           const imageUrls = await this.downloadFlyerImages(flyerData);
 
-          // Upload to Cloudinary
-          const cloudinaryUrls = await this.uploadToCloudinary(imageUrls, flyerData.flyer_run_id);
+          // Copy pages to our storage
+          const pageImageUrls = await this.storeRemoteImages(imageUrls, flyerData.flyer_run_id);
 
           // Extract deals with OCR
-          const deals = await this.extractDealsWithOCR(cloudinaryUrls);
+          const deals = await this.extractDealsWithOCR(pageImageUrls, {
+            storeSlug: flyerData.merchant_slug,
+            flyerRunId: flyerData.flyer_run_id
+          });
 
           // Enrich deals with product images
           const enrichedDeals = await this.enrichDealsWithImages(deals);
@@ -1777,7 +1708,7 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
           await this.saveFlyer({
             ...flyerData,
             postal_code: zipCode,  // Use the requested ZIP, not the API's postal_code
-            imageUrls: cloudinaryUrls,
+            imageUrls: pageImageUrls,
             flyerPath: this.parseFlyerPath(flyerData)
           }, enrichedDeals);
 
@@ -1876,6 +1807,10 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
       const flyerIds = flyers.map(f => f.id);
 
       if (flyerIds.length > 0) {
+        // Keep their prices - stock-up signals need past weeks
+        const deals = await Deal.findAll({ where: { flyerId: flyerIds }, raw: true });
+        await recordDealPrices(DealPriceHistory, deals);
+
         await Deal.destroy({
           where: { flyerId: flyerIds }
         });
@@ -1915,6 +1850,187 @@ Example: [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99,
     };
   }
 
+  /**
+   * Why a flyer can't be re-read with OCR. Deals read from store data
+   * (Flipp items, store APIs - dealSource 'scraper') would be swapped for OCR
+   * guesses and lose their hotspots, so those flyers are scraped again instead.
+   *
+   * @param {object} flyer - Flyer record
+   * @returns {Promise<string|null>} Reason, or null if it can be reprocessed
+   */
+  async getReprocessBlocker(flyer) {
+    if (!flyer.imageUrls || flyer.imageUrls.length === 0) {
+      return 'Flyer has no page images to read';
+    }
+
+    if (flyer.dealSource === 'scraper') {
+      return `${flyer.storeName} deals come from the store's own data, not OCR - refresh ZIP ${flyer.zipCode} to scrape them again`;
+    }
+    return null;
+  }
+
+  /**
+   * Re-read one flyer's pages with OCR and replace its deals.
+   * The flyer keeps its ID, run ID and page images; if nothing can be read
+   * the old deals are kept. Runs as a FlyerQueue job.
+   *
+   * @param {string} flyerId - Flyer ID
+   * @returns {Promise<object>} { success, previousDealsCount, dealsCount, message }
+   */
+  async reprocessFlyer(flyerId) {
+    const flyer = await Flyer.findByPk(flyerId);
+    if (!flyer) {
+      throw new Error('Flyer not found');
+    }
+    const blocker = await this.getReprocessBlocker(flyer);
+    if (blocker) {
+      return { success: false, previousDealsCount: 0, dealsCount: 0, message: blocker };
+    }
+
+    const previousStatus = flyer.status;
+    const previousDeals = await Deal.findAll({ where: { flyerId }, attributes: ['id'], raw: true });
+    await flyer.update({ status: 'processing' });
+
+    try {
+      const deals = await this.extractDealsWithOCR(flyer.imageUrls, { storeSlug: flyer.storeSlug, flyerRunId: flyer.flyerRunId });
+      if (deals.length === 0) {
+        await flyer.update({ status: previousStatus });
+        return {
+          success: false,
+          previousDealsCount: previousDeals.length,
+          dealsCount: 0,
+          message: `No deals read from ${flyer.imageUrls.length} page(s) - kept the existing ${previousDeals.length} deals`
+        };
+      }
+      const enrichedDeals = await this.enrichDealsWithImages(deals);
+
+      // Swap the deals in one go; the old prices are this flyer's week, re-recorded from the new deals
+      const previousDealIds = previousDeals.map(deal => deal.id);
+      const transaction = await sequelize.transaction();
+      try {
+        await DealPriceHistory.destroy({ where: { dealId: { [Op.in]: previousDealIds } }, transaction });
+        await releaseDuplicates(Deal, previousDealIds, { transaction });
+        await Deal.destroy({ where: { flyerId }, transaction });
+        await this.saveDeals(flyer, enrichedDeals, { transaction });
+        await flyer.update({ status: 'completed', processedAt: new Date() }, { transaction });
+        await transaction.commit();
+      } catch (error) {
+        await transaction.rollback();
+        throw error;
+      }
+
+      console.log(`[FlyerService] Reprocessed flyer ${flyerId}: ${previousDeals.length} -> ${enrichedDeals.length} deals`);
+      return {
+        success: true,
+        previousDealsCount: previousDeals.length,
+        dealsCount: enrichedDeals.length,
+        message: `Re-read ${flyer.imageUrls.length} page(s): ${enrichedDeals.length} deals (was ${previousDeals.length})`
+      };
+    } catch (error) {
+      // Nothing was replaced - the flyer still has its old deals
+      console.error(`[FlyerService] Error reprocessing flyer ${flyerId}:`, error.message);
+      await flyer.update({ status: previousStatus });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete one flyer and its deals
+   * @param {string} flyerId - Flyer ID
+   * @returns {Promise<object>} { flyer: the deleted flyer's fields, deletedDeals }
+   */
+  async deleteFlyer(flyerId) {
+    const flyer = await Flyer.findByPk(flyerId);
+    if (!flyer) {
+      throw new Error('Flyer not found');
+    }
+
+    // Keep their prices - stock-up signals need past weeks
+    const deals = await Deal.findAll({ where: { flyerId }, raw: true });
+    await recordDealPrices(DealPriceHistory, deals);
+    await releaseDuplicates(Deal, deals.map(deal => deal.id));
+
+    const deletedDeals = await Deal.destroy({ where: { flyerId } });
+    await flyer.destroy();
+
+    console.log(`[FlyerService] Deleted flyer ${flyerId} and ${deletedDeals} deals`);
+    return { flyer: flyer.get({ plain: true }), deletedDeals };
+  }
+
+  /**
+   * Edit a flyer's name, store or validity dates. Deals copy the store and
+   * dates, so they are updated to match.
+   *
+   * @param {string} flyerId - Flyer ID
+   * @param {object} fields - Any of { flyerName, storeName, validFrom, validTo }
+   * @returns {Promise<object>} { flyer, changes: { field: { from, to } } }
+   */
+  async updateFlyerMetadata(flyerId, fields) {
+    const flyer = await Flyer.findByPk(flyerId);
+    if (!flyer) {
+      throw new Error('Flyer not found');
+    }
+
+    const updates = {};
+    for (const field of ['flyerName', 'storeName']) {
+      if (fields[field] === undefined || fields[field] === null) continue;
+      const value = String(fields[field]).trim();
+      if (!value) {
+        throw new Error(`${field} cannot be empty`);
+      }
+      updates[field] = value.substring(0, 255);
+    }
+    for (const field of ['validFrom', 'validTo']) {
+      if (!fields[field]) continue;
+      const date = new Date(fields[field]);
+      if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${field} date`);
+      }
+      updates[field] = date;
+    }
+
+    const validFrom = updates.validFrom || flyer.validFrom;
+    const validTo = updates.validTo || flyer.validTo;
+    if (new Date(validTo) < new Date(validFrom)) {
+      throw new Error('validTo must be on or after validFrom');
+    }
+
+    const toValue = value => (value instanceof Date ? value.toISOString() : value);
+    const changes = {};
+    for (const [field, value] of Object.entries(updates)) {
+      if (toValue(flyer[field]) !== toValue(value)) {
+        changes[field] = { from: toValue(flyer[field]), to: toValue(value) };
+      }
+    }
+    if (Object.keys(changes).length === 0) {
+      return { flyer, changes };
+    }
+
+    const changed = Object.fromEntries(Object.keys(changes).map(field => [field, updates[field]]));
+    const dealFields = Object.fromEntries(
+      Object.entries(changed).filter(([field]) => field !== 'flyerName')
+    );
+
+    const transaction = await sequelize.transaction();
+    try {
+      await flyer.update(changed, { transaction });
+      if (Object.keys(dealFields).length > 0) {
+        // New store or dates can make the deals copies of different deals
+        const deals = await Deal.findAll({ where: { flyerId }, raw: true, transaction });
+        await releaseDuplicates(Deal, deals.map(deal => deal.id), { transaction });
+        await Deal.update({ ...dealFields, duplicateOfId: null }, { where: { flyerId }, transaction });
+        await dedupeDeals(Deal, deals.map(deal => ({ ...deal, ...dealFields, duplicateOfId: null })), { transaction });
+      }
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    console.log(`[FlyerService] Updated flyer ${flyerId}: ${Object.keys(changes).join(', ')}`);
+    return { flyer, changes };
+  }
+
   /**
    * Helper: Delay execution for rate limiting
    * @param {number} ms - Milliseconds to delay
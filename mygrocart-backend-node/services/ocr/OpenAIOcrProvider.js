@@ -0,0 +1,107 @@
+/**
+ * OpenAIOcrProvider
+ *
+ * Reads flyer images with a vision model over the OpenAI chat completions
+ * API. Works with any OpenAI-compatible server: set OCR_BASE_URL to point at
+ * a local model server (e.g. Ollama or vLLM at http://localhost:11434/v1)
+ * instead of api.openai.com.
+ */
+
+const OpenAI = require('openai');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+const FLYER_PROMPT = `Analyze this grocery store flyer image and extract all deals.
+Return a JSON object {"deals": [...]}. For each deal, provide a JSON object with:
+- product_name (required): The product name
+- brand (optional): Brand name if visible
+- sale_price (required): The sale price as a number
+- regular_price (optional): Regular price if shown
+- unit (optional): "each", "lb", "oz", etc.
+- deal_type: "sale", "bogo", "multi_buy", or "coupon"
+- quantity (optional): e.g., "2 for $5", "Buy 1 Get 1"
+- category (optional): "produce", "dairy", "meat", "bakery", "frozen", "beverages", "snacks", "pantry", "household", "personal_care"
+- confidence (required): How sure you are of each reading, 0 to 1: {"product_name": ..., "sale_price": ..., "deal_type": ...}
+- bounding_box (optional): Where the deal is printed, as fractions of the image width and height from the top-left corner: {"x": ..., "y": ..., "width": ..., "height": ...}
+
+Return ONLY the JSON object. If no deals found, return {"deals": []}.
+Example: {"deals": [{"product_name": "Whole Milk", "brand": "Horizon", "sale_price": 3.99, "regular_price": 5.49, "unit": "gallon", "deal_type": "sale", "category": "dairy", "confidence": {"product_name": 0.95, "sale_price": 0.9, "deal_type": 0.8}, "bounding_box": {"x": 0.05, "y": 0.1, "width": 0.3, "height": 0.2}}]}`;
+
+/**
+ * Deals array from a model response
+ * @param {string} content - Response text ({"deals": [...]} or a bare array, maybe in code fences)
+ * @returns {Array|null} Raw deals, or null if the response isn't parseable
+ */
+function parseDealsResponse(content) {
+  const text = content.replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '').trim();
+  const candidates = [text, text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1), text.slice(text.indexOf('['), text.lastIndexOf(']') + 1)];
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (Array.isArray(parsed)) return parsed;
+      if (parsed && Array.isArray(parsed.deals)) return parsed.deals;
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+class OpenAIOcrProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseURL = options.baseURL || process.env.OCR_BASE_URL || null;
+    this.apiKey = options.apiKey || process.env.OCR_API_KEY || process.env.OPENAI_API_KEY || null;
+    this.model = options.model || process.env.OCR_MODEL || DEFAULT_MODEL;
+
+    // Rate limit: 100 requests/minute = 600ms delay (local servers don't need one)
+    this.requestDelayMs = options.requestDelayMs ?? (this.baseURL ? 0 : 600);
+
+    // GPT-4o Mini is generally reliable
+    this.confidence = options.confidence ?? 0.9;
+
+    // Local servers usually don't check the key, but the client requires one
+    this.client = options.client || (this.isConfigured()
+      ? new OpenAI({ apiKey: this.apiKey || 'not-needed', baseURL: this.baseURL || undefined })
+      : null);
+  }
+
+  isConfigured() {
+    return Boolean(this.apiKey || this.baseURL);
+  }
+
+  /**
+   * Extract deals from one flyer image
+   * @param {string} imageUrl - Public image URL
+   * @returns {Promise<Object>} { deals: raw deals (null if unparseable), rawText: model response }
+   */
+  async extractDeals(imageUrl) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: FLYER_PROMPT },
+            {
+              type: 'image_url',
+              image_url: {
+                url: imageUrl,
+                detail: 'high'
+              }
+            }
+          ]
+        }
+      ],
+      response_format: { type: 'json_object' },
+      max_tokens: 4096
+    });
+
+    const content = response.choices[0].message.content || '';
+    return { deals: parseDealsResponse(content), rawText: content };
+  }
+}
+
+module.exports = OpenAIOcrProvider;
+module.exports.parseDealsResponse = parseDealsResponse;
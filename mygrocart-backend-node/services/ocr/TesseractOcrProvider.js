@@ -0,0 +1,64 @@
+/**
+ * TesseractOcrProvider
+ *
+ * Reads flyer images locally with Tesseract (tesseract.js), so OCR works
+ * without an API key or a model server. Tesseract only returns text, so deals
+ * are pulled out of it line by line (utils/ocrDeals.js parseDealsFromText),
+ * which misses more than a vision model does - hence the lower confidence.
+ */
+
+const { parseDealsFromText } = require('../../utils/ocrDeals');
+
+class TesseractOcrProvider {
+  constructor(options = {}) {
+    this.name = 'tesseract';
+    this.lang = options.lang || process.env.TESSERACT_LANG || 'eng';
+    this.requestDelayMs = options.requestDelayMs ?? 0;
+    this.confidence = options.confidence ?? 0.6;
+
+    // tesseract.js is loaded on first use so the API doesn't pay for it
+    this.tesseract = options.tesseract || null;
+  }
+
+  loadTesseract() {
+    if (!this.tesseract) {
+      try {
+        this.tesseract = require('tesseract.js');
+      } catch (err) {
+        // Someone chose this provider, so say why OCR is off instead of just skipping it
+        console.warn(`[TesseractOcrProvider] tesseract.js could not be loaded - OCR is off until it is installed: ${err.message}`);
+        return null;
+      }
+    }
+    return this.tesseract;
+  }
+
+  isConfigured() {
+    return Boolean(this.loadTesseract());
+  }
+
+  /**
+   * Extract deals from one flyer image
+   * @param {string} imageUrl - Public image URL
+   * @returns {Promise<Object>} { deals: raw deals, rawText: recognized text }
+   */
+  async extractDeals(imageUrl) {
+    const { createWorker } = this.loadTesseract();
+
+    // A fresh worker per image keeps memory flat on small instances
+    const worker = await createWorker(this.lang);
+    try {
+      const { data } = await worker.recognize(imageUrl);
+
+      // Line confidences become per-field confidences when available
+      const lines = Array.isArray(data.lines) && data.lines.length > 0
+        ? data.lines.map(line => ({ text: line.text, confidence: line.confidence }))
+        : data.text;
+      return { deals: parseDealsFromText(lines), rawText: data.text };
+    } finally {
+      await worker.terminate();
+    }
+  }
+}
+
+module.exports = TesseractOcrProvider;
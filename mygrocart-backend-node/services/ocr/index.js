@@ -0,0 +1,97 @@
+/**
+ * OCR Provider Registry
+ *
+ * Exports the flyer OCR providers and picks one per store or environment.
+ *
+ * Each provider implements:
+ *   constructor(options = {})
+ *   name, confidence (0-1 for its deals), requestDelayMs (pause between images)
+ *   isConfigured() -> false skips OCR (no API key, library not installed, ...)
+ *   async extractDeals(imageUrl) -> { deals: raw deals (null if unparseable), rawText }
+ *
+ * Raw deals use the flyer prompt's shape (product_name, sale_price, ...,
+ * optionally a per-field confidence) and are validated by FlyerService
+ * against OCR_DEAL_SCHEMA (utils/ocrDeals.js). Tests can pass any
+ * object with this interface to `new FlyerService({ ocrProvider })`.
+ *
+ * Environment:
+ *   OCR_PROVIDER         - Default provider (default "openai")
+ *   OCR_STORE_PROVIDERS  - Per-store overrides, e.g. "aldi:tesseract,publix:openai"
+ *   OCR_BASE_URL         - OpenAI-compatible server (e.g. a local model server)
+ *   OCR_MODEL            - Model name (default gpt-4o-mini)
+ *   OCR_API_KEY          - API key (falls back to OPENAI_API_KEY)
+ *   TESSERACT_LANG       - Tesseract language (default "eng")
+ */
+
+const OpenAIOcrProvider = require('./OpenAIOcrProvider');
+const TesseractOcrProvider = require('./TesseractOcrProvider');
+
+const DEFAULT_OCR_PROVIDER = 'openai';
+
+/**
+ * OcrProviderRegistry maps provider names to their classes.
+ */
+const OcrProviderRegistry = {
+  openai: OpenAIOcrProvider,
+  tesseract: TesseractOcrProvider
+};
+
+/**
+ * Parse OCR_STORE_PROVIDERS ("slug:provider,slug:provider")
+ * @param {string} value - Setting value
+ * @returns {Object} Store slug -> provider name
+ */
+function parseStoreProviders(value) {
+  const storeProviders = {};
+  for (const entry of (value || '').split(',')) {
+    const [slug, providerName] = entry.split(':').map(part => part && part.trim().toLowerCase());
+    if (slug && providerName) {
+      storeProviders[slug] = providerName;
+    }
+  }
+  return storeProviders;
+}
+
+/**
+ * Get an OCR provider instance by name.
+ *
+ * @param {string} providerName - Provider name (e.g., 'openai', 'tesseract')
+ * @param {object} options - Options passed to the provider constructor
+ * @returns {object|null} Provider instance or null if not found
+ */
+function getOcrProvider(providerName, options = {}) {
+  const normalizedName = (providerName || '').toLowerCase().trim();
+  const ProviderClass = OcrProviderRegistry[normalizedName];
+
+  if (!ProviderClass) {
+    console.warn(`[OcrProviderRegistry] No OCR provider registered as: "${providerName}"`);
+    return null;
+  }
+
+  return new ProviderClass(options);
+}
+
+/**
+ * Get the OCR provider configured for a store (falls back to OCR_PROVIDER).
+ *
+ * @param {string} [storeSlug] - The store's slug identifier (e.g., 'kroger')
+ * @param {object} options - Options passed to the provider constructor
+ * @returns {object|null} Provider instance or null if misconfigured
+ */
+function getOcrProviderForStore(storeSlug, options = {}) {
+  const storeProviders = parseStoreProviders(process.env.OCR_STORE_PROVIDERS);
+  const slug = (storeSlug || '').toLowerCase().trim();
+  const providerName = storeProviders[slug] || process.env.OCR_PROVIDER || DEFAULT_OCR_PROVIDER;
+
+  return getOcrProvider(providerName, options);
+}
+
+module.exports = {
+  OpenAIOcrProvider,
+  TesseractOcrProvider,
+  OcrProviderRegistry,
+  DEFAULT_OCR_PROVIDER,
+  parseStoreProviders,
+  getOcrProvider,
+  getOcrProviderForStore
+};
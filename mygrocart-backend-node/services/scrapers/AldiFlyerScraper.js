@@ -9,7 +9,7 @@
  * and structured deal data (no OCR needed).
  */
 
-const axios = require('axios');
+const { createScraperHttpClient } = require('./httpClient');
 
 // Flipp API credentials for ALDI (extracted from their public iframe.js)
 const FLIPP_ACCESS_TOKEN = '29d9bfdcf546dc601c10c64ed1e932f5';
@@ -18,17 +18,26 @@ const FLIPP_STORE_CODE = '440-018'; // Default US ALDI store code
 const FLIPP_API_BASE = 'https://dam.flippenterprise.net/flyerkit';
 
 class AldiFlyerScraper {
+  static meta = {
+    slug: 'aldi',
+    storeName: 'ALDI',
+    source: 'flipp_api',
+    capabilities: ['deals', 'pageImages'],
+    regions: null,
+    defaultOptions: { rateLimitMs: 1500 }
+  };
+
   constructor(options = {}) {
     this.rateLimitMs = options.rateLimitMs || 1500;
 
-    this.httpClient = axios.create({
+    this.httpClient = createScraperHttpClient(AldiFlyerScraper.meta.slug, {
       timeout: 20000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
         'Accept': 'application/json',
         'Referer': 'https://www.aldi.us/'
       }
-    });
+    }, options);
   }
 
   async delay(ms) {
@@ -190,8 +199,7 @@ class AldiFlyerScraper {
         zipCode,
         source: 'flipp_api',
         // Embed pre-extracted deals — no OCR needed
-        preExtractedDeals: deals,
-        flippPublicationId: publicationId
+        preExtractedDeals: deals
       };
     } catch (error) {
       console.error(`[AldiFlyerScraper] Failed to fetch ALDI flyer: ${error.message}`);
@@ -9,7 +9,7 @@
  * Nearest store to ZIP 30132: store_code 51 (Dallas, GA)
  */
 
-const axios = require('axios');
+const { createScraperHttpClient } = require('./httpClient');
 
 const FLIPP_API_BASE = 'https://dam.flippenterprise.net/flyerkit';
 const FLIPP_ACCESS_TOKEN = '32f09b3d4ec0fe31895bbfa7a048d0f1';
@@ -21,16 +21,26 @@ const FOOD_DEPOT_STORES = [
 ];
 
 class FoodDepotFlyerScraper {
+  // Only the Georgia stores in FOOD_DEPOT_STORES are known
+  static meta = {
+    slug: 'food-depot',
+    storeName: 'Food Depot',
+    source: 'flipp_api',
+    capabilities: ['deals', 'pageImages'],
+    regions: ['GA'],
+    defaultOptions: { rateLimitMs: 1500 }
+  };
+
   constructor(options = {}) {
     this.rateLimitMs = options.rateLimitMs || 1500;
 
-    this.httpClient = axios.create({
+    this.httpClient = createScraperHttpClient(FoodDepotFlyerScraper.meta.slug, {
       timeout: 15000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
         'Accept': 'application/json'
       }
-    });
+    }, options);
   }
 
   async delay(ms) {
@@ -192,8 +202,7 @@ class FoodDepotFlyerScraper {
         validTo: validToStr,
         zipCode,
         source: 'flipp_api',
-        preExtractedDeals: deals,
-        flippPublicationId: publicationId
+        preExtractedDeals: deals
       };
     } catch (error) {
       console.error(`[FoodDepotFlyerScraper] Failed to fetch Food Depot flyer: ${error.message}`);
@@ -9,21 +9,31 @@
  * 2. GET /api/flipp/flyers/{id}/flyer_items → all deal products with prices
  */
 
-const axios = require('axios');
+const { createScraperHttpClient } = require('./httpClient');
+const { getFlippItemBox } = require('../../utils/flyerHotspots');
 
 const FLIPP_API_BASE = 'https://dam.flippenterprise.net/api/flipp';
 
 class KrogerFlyerScraper {
+  static meta = {
+    slug: 'kroger',
+    storeName: 'Kroger',
+    source: 'flipp_api',
+    capabilities: ['deals', 'pageImages', 'flippTiles', 'hotspots'],
+    regions: ['AL', 'AR', 'GA', 'IL', 'IN', 'KY', 'LA', 'MI', 'MS', 'OH', 'SC', 'TN', 'TX', 'VA', 'WV'],
+    defaultOptions: { rateLimitMs: 1500 }
+  };
+
   constructor(options = {}) {
     this.rateLimitMs = options.rateLimitMs || 1500;
 
-    this.httpClient = axios.create({
+    this.httpClient = createScraperHttpClient(KrogerFlyerScraper.meta.slug, {
       timeout: 15000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
         'Accept': 'application/json'
       }
-    });
+    }, options);
   }
 
   async delay(ms) {
@@ -132,7 +142,8 @@ class KrogerFlyerScraper {
           unit: 'each',
           dealType: 'sale',
           productCategory: null,
-          imageUrl: item.cutout_image_url || null
+          imageUrl: item.cutout_image_url || null,
+          flippBox: getFlippItemBox(item)
         };
 
         if (deal.productName && deal.salePrice) {
@@ -172,10 +183,12 @@ class KrogerFlyerScraper {
         zipCode,
         source: 'flipp_api',
         preExtractedDeals: deals,
-        flippFlyerId: flyerMeta.id,
-        flippPath: flyerMeta.path,
-        flippWidth: flyerMeta.width,
-        flippHeight: flyerMeta.height
+        flippTiles: flyerMeta.path ? {
+          flyerId: flyerMeta.id,
+          path: flyerMeta.path,
+          width: flyerMeta.width,
+          height: flyerMeta.height
+        } : null
       };
     } catch (error) {
       console.error(`[KrogerFlyerScraper] Failed to fetch Kroger flyer: ${error.message}`);
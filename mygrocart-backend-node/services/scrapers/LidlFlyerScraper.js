@@ -6,22 +6,31 @@
  * via mobileapi.lidl.com with product names, prices, and images.
  */
 
-const axios = require('axios');
+const { createScraperHttpClient } = require('./httpClient');
 
 // Lidl store IDs are discovered via the store locator API
 const LIDL_API_BASE = 'https://mobileapi.lidl.com/v1';
 
 class LidlFlyerScraper {
+  static meta = {
+    slug: 'lidl',
+    storeName: 'Lidl',
+    source: 'direct_api',
+    capabilities: ['deals'],
+    regions: ['DC', 'DE', 'GA', 'MD', 'NC', 'NJ', 'NY', 'PA', 'SC', 'VA'],
+    defaultOptions: { rateLimitMs: 1500 }
+  };
+
   constructor(options = {}) {
     this.rateLimitMs = options.rateLimitMs || 1500;
 
-    this.httpClient = axios.create({
+    this.httpClient = createScraperHttpClient(LidlFlyerScraper.meta.slug, {
       timeout: 15000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
         'Accept': 'application/json'
       }
-    });
+    }, options);
   }
 
   async delay(ms) {
@@ -185,11 +194,13 @@ class LidlFlyerScraper {
         validTo: validToStr,
         zipCode,
         source: 'direct_api',
-        storeAddress: store.address,
-        storeCity: store.city,
-        storeState: store.state,
-        storeLatitude: store.latitude,
-        storeLongitude: store.longitude,
+        storeLocation: {
+          address: store.address,
+          city: store.city,
+          state: store.state,
+          latitude: store.latitude ?? null,
+          longitude: store.longitude ?? null
+        },
         // Embed pre-extracted deals — no OCR needed
         preExtractedDeals: deals
       };
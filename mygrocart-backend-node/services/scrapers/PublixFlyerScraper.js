@@ -9,19 +9,29 @@
  * 2. GET dam.flippenterprise.net/api/flipp/flyers/{id}/flyer_items → all deals
  */
 
-const axios = require('axios');
+const { createScraperHttpClient } = require('./httpClient');
+const { getFlippItemBox } = require('../../utils/flyerHotspots');
 
 class PublixFlyerScraper {
+  static meta = {
+    slug: 'publix',
+    storeName: 'Publix',
+    source: 'flipp_api',
+    capabilities: ['deals', 'pageImages', 'flippTiles', 'hotspots'],
+    regions: ['AL', 'FL', 'GA', 'KY', 'NC', 'SC', 'TN', 'VA'],
+    defaultOptions: { rateLimitMs: 1500 }
+  };
+
   constructor(options = {}) {
     this.rateLimitMs = options.rateLimitMs || 1500;
 
-    this.httpClient = axios.create({
+    this.httpClient = createScraperHttpClient(PublixFlyerScraper.meta.slug, {
       timeout: 15000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
         'Accept': 'application/json'
       }
-    });
+    }, options);
   }
 
   async delay(ms) {
@@ -135,7 +145,8 @@ class PublixFlyerScraper {
           unit: 'each',
           dealType: 'sale',
           productCategory: null,
-          imageUrl: item.cutout_image_url || null
+          imageUrl: item.cutout_image_url || null,
+          flippBox: getFlippItemBox(item)
         };
 
         if (deal.productName && deal.salePrice) {
@@ -174,10 +185,12 @@ class PublixFlyerScraper {
         zipCode,
         source: 'flipp_api',
         preExtractedDeals: deals,
-        flippFlyerId: flyerMeta.id,
-        flippPath: flyerMeta.path,
-        flippWidth: flyerMeta.width,
-        flippHeight: flyerMeta.height
+        flippTiles: flyerMeta.path ? {
+          flyerId: flyerMeta.id,
+          path: flyerMeta.path,
+          width: flyerMeta.width,
+          height: flyerMeta.height
+        } : null
       };
     } catch (error) {
       console.error(`[PublixFlyerScraper] Failed to fetch Publix flyer: ${error.message}`);
@@ -6,7 +6,7 @@
  * uses their own viewer system.
  */
 
-const axios = require('axios');
+const { createScraperHttpClient } = require('./httpClient');
 
 // Known Wegmans store locations near Dallas, GA (ZIP 30132)
 // Note: Wegmans has limited GA presence — nearest may be further away
@@ -25,16 +25,26 @@ const WEGMANS_STORES_NEAR_30132 = [
 ];
 
 class WegmansFlyerScraper {
+  // Only the Atlanta store in WEGMANS_STORES_NEAR_30132 is known
+  static meta = {
+    slug: 'wegmans',
+    storeName: "Wegman's",
+    source: 'direct_scrape',
+    capabilities: ['pageImages'],
+    regions: ['GA'],
+    defaultOptions: { rateLimitMs: 1500 }
+  };
+
   constructor(options = {}) {
     this.rateLimitMs = options.rateLimitMs || 1500;
 
-    this.httpClient = axios.create({
+    this.httpClient = createScraperHttpClient(WegmansFlyerScraper.meta.slug, {
       timeout: 20000,
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
       }
-    });
+    }, options);
 
     this.WEEKLY_AD_URL = 'https://www.wegmans.com/weekly-circular/';
   }
@@ -66,7 +76,9 @@ class WegmansFlyerScraper {
   async fetchFlyerMetaFromWebsite() {
     try {
       const response = await this.httpClient.get(this.WEEKLY_AD_URL, { timeout: 15000 });
-      const html = response.data;
+      // Meta and link tags hold share previews and icons (og:image is a
+      // "Weekly Circular" banner), not pages
+      const html = response.data.replace(/<(meta|link)\b[^>]*>/gi, '');
 
       // Look for circular image URLs or API data embedded in page
       const imageMatches = html.match(/https?:\/\/[^"'\s]*circular[^"'\s]*\.(jpg|png|webp)/gi);
@@ -136,11 +148,13 @@ class WegmansFlyerScraper {
         validTo: validToStr,
         zipCode,
         source: 'direct_scrape',
-        storeAddress: store.address,
-        storeCity: store.city,
-        storeState: store.state,
-        storeLatitude: store.latitude,
-        storeLongitude: store.longitude
+        storeLocation: {
+          address: store.address,
+          city: store.city,
+          state: store.state,
+          latitude: store.latitude ?? null,
+          longitude: store.longitude ?? null
+        }
       };
     } catch (error) {
       console.error(`[WegmansFlyerScraper] Failed to fetch flyer for Wegmans at ${store.address}: ${error.message}`);
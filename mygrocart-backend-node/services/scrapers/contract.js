@@ -0,0 +1,222 @@
+/**
+ * Scraper Contract
+ *
+ * What every store flyer scraper declares about itself (static `meta`) and
+ * the flyer objects it must return. The registry (./index.js) checks both
+ * at runtime: scrapers with bad metadata aren't registered, and flyers that
+ * fail SCRAPER_FLYER_SCHEMA are dropped with their errors logged (as are
+ * single deals that fail SCRAPER_DEAL_SCHEMA), so FlyerService only ever
+ * sees the normalized shape.
+ *
+ * Scraper metadata:
+ *   slug            - Store slug, also the registry key (e.g. "food-lion")
+ *   storeName       - Display name (e.g. "Food Lion")
+ *   source          - Where the data comes from (SCRAPER_SOURCES)
+ *   capabilities    - What the flyers carry (SCRAPER_CAPABILITIES)
+ *   regions         - State codes the chain operates in, or null for nationwide
+ *   defaultOptions  - Constructor options, overridable per scraper (SCRAPER_CONFIG)
+ */
+
+const { validateSchema } = require('../../utils/jsonSchema');
+const { getZipState } = require('../../utils/zipStates');
+
+const SCRAPER_SOURCES = ['flipp_api', 'direct_api', 'direct_scrape'];
+
+/**
+ * deals       - Structured deals (preExtractedDeals), no OCR needed
+ * pageImages  - Flyer page image URLs (imageUrls), OCR'd when there are no deals
+ * flippTiles  - Flipp tile grid (flippTiles) for stitching full-resolution pages
+ * hotspots    - Deals carry their Flipp position (flippBox) for clickable pages
+ */
+const SCRAPER_CAPABILITIES = ['deals', 'pageImages', 'flippTiles', 'hotspots'];
+
+/**
+ * JSON Schema for a scraper's static `meta`
+ */
+const SCRAPER_META_SCHEMA = {
+  type: 'object',
+  required: ['slug', 'storeName', 'source', 'capabilities', 'regions'],
+  properties: {
+    slug: { type: 'string', minLength: 2, maxLength: 50 },
+    storeName: { type: 'string', minLength: 1, maxLength: 100 },
+    source: { type: 'string', enum: SCRAPER_SOURCES },
+    capabilities: { type: 'array', items: { type: 'string', enum: SCRAPER_CAPABILITIES } },
+    regions: { type: ['array', 'null'], items: { type: 'string', minLength: 2, maxLength: 2 } },
+    defaultOptions: { type: 'object' }
+  }
+};
+
+/**
+ * JSON Schema for one pre-extracted deal (becomes a Deal row)
+ */
+const SCRAPER_DEAL_SCHEMA = {
+  type: 'object',
+  required: ['productName', 'salePrice'],
+  properties: {
+    productName: { type: 'string', minLength: 1, maxLength: 255 },
+    productBrand: { type: ['string', 'null'] },
+    salePrice: { type: 'number', minimum: 0 },
+    regularPrice: { type: ['number', 'null'], minimum: 0 },
+    unit: { type: ['string', 'null'] },
+    dealType: { type: ['string', 'null'] },
+    productCategory: { type: ['string', 'null'] },
+    imageUrl: { type: ['string', 'null'] },
+    flippBox: { type: ['object', 'null'] }
+  }
+};
+
+/**
+ * JSON Schema for a normalized scraper flyer (dates are "YYYY-MM-DD")
+ */
+const SCRAPER_FLYER_SCHEMA = {
+  type: 'object',
+  required: ['storeName', 'storeSlug', 'flyerName', 'zipCode', 'validFrom', 'validTo', 'source', 'imageUrls', 'preExtractedDeals'],
+  properties: {
+    storeName: { type: 'string', minLength: 1, maxLength: 100 },
+    storeSlug: { type: 'string', minLength: 2, maxLength: 50 },
+    flyerName: { type: 'string', minLength: 1, maxLength: 255 },
+    zipCode: { type: 'string', minLength: 5, maxLength: 5 },
+    validFrom: { type: 'string', minLength: 10, maxLength: 10 },
+    validTo: { type: 'string', minLength: 10, maxLength: 10 },
+    source: { type: 'string', enum: SCRAPER_SOURCES },
+    imageUrls: { type: 'array', items: { type: 'string', minLength: 1 } },
+    // Checked one by one against SCRAPER_DEAL_SCHEMA
+    preExtractedDeals: { type: 'array' },
+    // Flipp tile grid, when the flyer can be stitched page by page
+    flippTiles: {
+      type: ['object', 'null'],
+      required: ['flyerId', 'path'],
+      properties: {
+        flyerId: { type: ['number', 'string'] },
+        path: { type: 'string', minLength: 1 },
+        width: { type: ['number', 'null'], minimum: 0 },
+        height: { type: ['number', 'null'], minimum: 0 }
+      }
+    },
+    // The store the flyer is for, when the scraper looked one up
+    storeLocation: {
+      type: ['object', 'null'],
+      properties: {
+        address: { type: ['string', 'null'] },
+        city: { type: ['string', 'null'] },
+        state: { type: ['string', 'null'] },
+        latitude: { type: ['number', 'string', 'null'] },
+        longitude: { type: ['number', 'string', 'null'] }
+      }
+    }
+  }
+};
+
+/**
+ * Check a scraper's static metadata
+ * @param {Object} meta - Scraper metadata
+ * @returns {Array<string>} Errors, empty when valid
+ */
+function validateScraperMeta(meta) {
+  if (!meta) {
+    return ['meta is required'];
+  }
+  return validateSchema(meta, SCRAPER_META_SCHEMA, 'meta');
+}
+
+/**
+ * Normalize a flyer date to "YYYY-MM-DD"
+ * @param {Date|string|number} value - Date, ISO string, or Unix time (seconds or ms)
+ * @returns {string|null} Date string or null if unparseable
+ */
+function normalizeFlyerDate(value) {
+  if (value == null || value === '') return null;
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    return value.substring(0, 10);
+  }
+
+  let date;
+  if (typeof value === 'number') {
+    // Unix seconds are well under 1e11; milliseconds are well over
+    date = new Date(value < 1e11 ? value * 1000 : value);
+  } else {
+    date = new Date(value);
+  }
+
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Normalize a scraper flyer and check it against the contract
+ * @param {Object} flyer - Flyer returned by a scraper's fetchFlyers
+ * @param {Object} meta - The scraper's metadata
+ * @returns {Object} { flyer: normalized flyer or null, errors: Array<string>,
+ *   droppedDeals: Array<string> (why each invalid deal was left out) }
+ */
+function validateScraperFlyer(flyer, meta) {
+  if (!flyer || typeof flyer !== 'object') {
+    return { flyer: null, errors: ['flyer must be object'], droppedDeals: [] };
+  }
+
+  // One bad deal shouldn't cost the whole flyer
+  const deals = [];
+  const droppedDeals = [];
+  (Array.isArray(flyer.preExtractedDeals) ? flyer.preExtractedDeals : []).forEach((deal, index) => {
+    const dealErrors = validateSchema(deal, SCRAPER_DEAL_SCHEMA, `preExtractedDeals[${index}]`);
+    if (dealErrors.length === 0) {
+      deals.push(deal);
+    } else {
+      droppedDeals.push(dealErrors.join('; '));
+    }
+  });
+
+  const normalized = {
+    storeName: flyer.storeName || meta.storeName,
+    storeSlug: flyer.storeSlug || meta.slug,
+    flyerName: flyer.flyerName || 'Weekly Ad',
+    zipCode: flyer.zipCode != null ? String(flyer.zipCode) : undefined,
+    validFrom: normalizeFlyerDate(flyer.validFrom),
+    validTo: normalizeFlyerDate(flyer.validTo),
+    source: flyer.source || meta.source,
+    imageUrls: flyer.imageUrls || [],
+    preExtractedDeals: deals,
+    flippTiles: flyer.flippTiles || null,
+    storeLocation: flyer.storeLocation || null
+  };
+
+  const errors = validateSchema(normalized, SCRAPER_FLYER_SCHEMA);
+  if (normalized.validFrom === null) errors.push('validFrom must be a date');
+  if (normalized.validTo === null) errors.push('validTo must be a date');
+  if (normalized.validFrom && normalized.validTo && normalized.validTo < normalized.validFrom) {
+    errors.push('validTo must be on or after validFrom');
+  }
+  if (normalized.storeSlug !== meta.slug) {
+    errors.push(`storeSlug must be ${meta.slug}`);
+  }
+  if (normalized.imageUrls.length === 0 && deals.length === 0) {
+    errors.push('flyer must have imageUrls or preExtractedDeals');
+  }
+
+  return { flyer: errors.length === 0 ? normalized : null, errors, droppedDeals };
+}
+
+/**
+ * Whether a scraper covers a ZIP code (unknown ZIPs are tried everywhere)
+ * @param {Object} meta - Scraper metadata
+ * @param {string} zipCode - ZIP code
+ * @returns {boolean} Whether to run the scraper for the ZIP
+ */
+function supportsZipCode(meta, zipCode) {
+  if (!meta.regions) return true;
+
+  const state = getZipState(zipCode);
+  return !state || meta.regions.includes(state);
+}
+
+module.exports = {
+  SCRAPER_SOURCES,
+  SCRAPER_CAPABILITIES,
+  SCRAPER_META_SCHEMA,
+  SCRAPER_DEAL_SCHEMA,
+  SCRAPER_FLYER_SCHEMA,
+  validateScraperMeta,
+  normalizeFlyerDate,
+  validateScraperFlyer,
+  supportsZipCode
+};
@@ -0,0 +1,304 @@
+/**
+ * Scraper Health - Run tracking, circuit breaking and drop detection
+ *
+ * fetchAllStoreFlyers records a ScraperRun for every scraper it runs
+ * (latency, flyer and deal counts, error class), so a chain that stops
+ * returning flyers after a site change is visible on the admin dashboard
+ * (adminGetScraperHealth) instead of only in the logs:
+ * - After SCRAPER_BREAKER_THRESHOLD failed runs in a row for a ZIP the
+ *   scraper's circuit for that ZIP opens and it is skipped there for
+ *   SCRAPER_BREAKER_COOLDOWN_MINUTES. After that one run is let through
+ *   (half open); success closes it again. Circuits are per ZIP because many
+ *   failures are local (no store nearby, a region the site blocks), and a
+ *   chain that fails in a few ZIPs shouldn't be skipped where it works.
+ * - A run that returns no flyers, or far fewer deals, than the same ZIP did
+ *   a week earlier is marked as an anomaly. Without a run from a week earlier
+ *   it is compared to the ZIP's last successful run, however old, so a chain
+ *   that has been empty for weeks stays flagged.
+ * - An empty run flagged as a flyer drop counts as a failure for the circuit:
+ *   sites that change usually stop returning flyers rather than erroring.
+ *   Empty runs in a ZIP that never had flyers (no store nearby) don't.
+ *
+ * Health checks never stop scraping: if the database is unavailable the
+ * circuit counts as closed and the run just isn't recorded.
+ */
+
+const { Op } = require('sequelize');
+const { ScraperRun } = require('../../models');
+
+// Failed runs in a row that open the circuit (SCRAPER_BREAKER_THRESHOLD overrides)
+const BREAKER_THRESHOLD = 3;
+
+// How long an open circuit skips the scraper (SCRAPER_BREAKER_COOLDOWN_MINUTES overrides)
+const BREAKER_COOLDOWN_MINUTES = 360;
+
+// A run with less than this share of last week's deals is a deal drop
+const DEAL_DROP_RATIO = 0.5;
+
+// Last week's run needs this many deals before a drop in deals means anything
+const MIN_BASELINE_DEALS = 10;
+
+// "Last week" is a successful run for the same ZIP 5 to 10 days earlier
+const BASELINE_MIN_DAYS = 5;
+const BASELINE_MAX_DAYS = 10;
+
+// Runs per scraper the admin health view summarizes
+const HEALTH_WINDOW = 20;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Circuit breaker settings
+ * @returns {Object} { threshold, cooldownMs }
+ */
+function getBreakerSettings() {
+  const threshold = parseInt(process.env.SCRAPER_BREAKER_THRESHOLD, 10);
+  const cooldownMinutes = parseFloat(process.env.SCRAPER_BREAKER_COOLDOWN_MINUTES);
+  return {
+    threshold: threshold > 0 ? threshold : BREAKER_THRESHOLD,
+    cooldownMs: (cooldownMinutes >= 0 ? cooldownMinutes : BREAKER_COOLDOWN_MINUTES) * 60 * 1000
+  };
+}
+
+/**
+ * Classify why a scraper (or one of its requests) failed
+ * @param {Error} err - Error thrown by the scraper or its HTTP client
+ * @returns {string} timeout, blocked, http_error, network, parse or unknown
+ */
+function classifyScraperError(err) {
+  if (!err) return 'unknown';
+
+  if (['ECONNABORTED', 'ETIMEDOUT'].includes(err.code) || /timeout/i.test(err.message || '')) {
+    return 'timeout';
+  }
+  if (err.response) {
+    return [401, 403, 429].includes(err.response.status) ? 'blocked' : 'http_error';
+  }
+  if (err.isAxiosError || ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'EAI_AGAIN'].includes(err.code)) {
+    return 'network';
+  }
+  if (err instanceof TypeError || err instanceof SyntaxError) {
+    return 'parse';
+  }
+  return 'unknown';
+}
+
+/**
+ * Whether a run counts as a failure for the circuit and success rate: it
+ * failed, or came back empty where the ZIP used to have flyers
+ * @param {Object} run - ScraperRun row
+ * @returns {boolean}
+ */
+function isFailedRun(run) {
+  return run.status === 'failed' || (run.status === 'empty' && run.anomaly === 'flyer_drop');
+}
+
+/**
+ * Circuit state from a scraper's latest runs for one ZIP
+ * @param {Array} runs - ScraperRun rows, newest first
+ * @param {Date} [now] - Current time
+ * @returns {Object} { state: 'closed'|'open'|'half_open', consecutiveFailures, retryAt }
+ */
+function getCircuitState(runs, now = new Date()) {
+  const { threshold, cooldownMs } = getBreakerSettings();
+
+  let consecutiveFailures = 0;
+  while (consecutiveFailures < runs.length && isFailedRun(runs[consecutiveFailures])) {
+    consecutiveFailures++;
+  }
+
+  if (consecutiveFailures < threshold) {
+    return { state: 'closed', consecutiveFailures, retryAt: null };
+  }
+
+  const retryAt = new Date(new Date(runs[0].createdAt).getTime() + cooldownMs);
+  return {
+    state: now < retryAt ? 'open' : 'half_open',
+    consecutiveFailures,
+    retryAt
+  };
+}
+
+/**
+ * Compare a run to an earlier successful run for the same ZIP
+ * @param {Object} run - { flyerCount, dealCount }
+ * @param {Object|null} baseline - Successful run to compare against (see findBaselineRun)
+ * @returns {string|null} 'flyer_drop', 'deal_drop' or null
+ */
+function detectRunAnomaly(run, baseline) {
+  if (!baseline) return null;
+
+  if (run.flyerCount === 0 && baseline.flyerCount > 0) {
+    return 'flyer_drop';
+  }
+  if (baseline.dealCount >= MIN_BASELINE_DEALS && run.dealCount < baseline.dealCount * DEAL_DROP_RATIO) {
+    return 'deal_drop';
+  }
+  return null;
+}
+
+/**
+ * Outcome of a scraper run, from what it returned
+ * @param {Object} result
+ * @param {Array} result.flyers - Flyers that passed the scraper contract
+ * @param {Array<string>} result.invalidFlyerErrors - Why other flyers were dropped
+ * @param {Array<Error>} [result.requestErrors] - Requests that failed during the run
+ * @returns {Object} { status, flyerCount, dealCount, errorClass, errorMessage }
+ */
+function summarizeScraperRun({ flyers, invalidFlyerErrors, requestErrors = [] }) {
+  const flyerCount = flyers.length;
+  const dealCount = flyers.reduce((sum, flyer) => sum + (flyer.preExtractedDeals || []).length, 0);
+
+  if (flyerCount > 0) {
+    return { status: 'success', flyerCount, dealCount, errorClass: null, errorMessage: null };
+  }
+  if (requestErrors.length > 0) {
+    const error = requestErrors[requestErrors.length - 1];
+    return { status: 'failed', flyerCount, dealCount, errorClass: classifyScraperError(error), errorMessage: error.message };
+  }
+  if (invalidFlyerErrors.length > 0) {
+    return { status: 'failed', flyerCount, dealCount, errorClass: 'invalid_flyer', errorMessage: invalidFlyerErrors.join('; ') };
+  }
+  return { status: 'empty', flyerCount, dealCount, errorClass: null, errorMessage: null };
+}
+
+/**
+ * Circuit states per ZIP, worst first (open, then half open, then closed)
+ * @param {Array} runs - ScraperRun rows for one scraper, newest first
+ * @param {Date} [now] - Current time
+ * @returns {Array<Object>} { zipCode, state, consecutiveFailures, retryAt }
+ */
+function getZipCircuitStates(runs, now = new Date()) {
+  const runsByZip = new Map();
+  for (const run of runs) {
+    if (!runsByZip.has(run.zipCode)) runsByZip.set(run.zipCode, []);
+    runsByZip.get(run.zipCode).push(run);
+  }
+
+  const severity = { open: 0, half_open: 1, closed: 2 };
+  return [...runsByZip.entries()]
+    .map(([zipCode, zipRuns]) => ({ zipCode, ...getCircuitState(zipRuns, now) }))
+    .sort((a, b) => severity[a.state] - severity[b.state]);
+}
+
+/**
+ * Whether a scraper may run now for a ZIP
+ * @param {string} storeSlug - Scraper slug
+ * @param {string} zipCode - ZIP code about to be scraped
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Circuit state (see getCircuitState)
+ */
+async function checkScraperCircuit(storeSlug, zipCode, now = new Date()) {
+  try {
+    const runs = await ScraperRun.findAll({
+      where: { storeSlug, zipCode },
+      order: [['createdAt', 'DESC']],
+      limit: getBreakerSettings().threshold
+    });
+    return getCircuitState(runs, now);
+  } catch (err) {
+    console.warn(`[ScraperHealth] Could not check circuit for ${storeSlug} (${zipCode}): ${err.message}`);
+    return { state: 'closed', consecutiveFailures: 0, retryAt: null };
+  }
+}
+
+/**
+ * Successful run a new run is compared against: the same ZIP's run a week
+ * earlier, else its last successful run of any age
+ * @param {Object} run - { storeSlug, zipCode }
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} ScraperRun, or null if the ZIP never succeeded
+ */
+async function findBaselineRun(run, now) {
+  const where = { storeSlug: run.storeSlug, zipCode: run.zipCode, status: 'success' };
+  const order = [['createdAt', 'DESC']];
+
+  const lastWeek = await ScraperRun.findOne({
+    where: {
+      ...where,
+      createdAt: {
+        [Op.gte]: new Date(now.getTime() - BASELINE_MAX_DAYS * DAY_MS),
+        [Op.lte]: new Date(now.getTime() - BASELINE_MIN_DAYS * DAY_MS)
+      }
+    },
+    order
+  });
+  if (lastWeek) return lastWeek;
+
+  return ScraperRun.findOne({
+    where: { ...where, createdAt: { [Op.lt]: now } },
+    order
+  });
+}
+
+/**
+ * Save a scraper run, marking it if it dropped against an earlier run
+ * @param {Object} run - { storeSlug, zipCode, status, latencyMs, flyerCount, dealCount, errorClass, errorMessage }
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} ScraperRun, or null if it couldn't be saved
+ */
+async function recordScraperRun(run, now = new Date()) {
+  try {
+    const baseline = await findBaselineRun(run, now);
+
+    const anomaly = detectRunAnomaly(run, baseline);
+    if (anomaly) {
+      console.warn(`[ScraperHealth] ${run.storeSlug} (${run.zipCode}): ${anomaly} - ${run.flyerCount} flyer(s), ${run.dealCount} deal(s) vs ${baseline.flyerCount} flyer(s), ${baseline.dealCount} deal(s) before`);
+    }
+
+    return await ScraperRun.create({
+      ...run,
+      anomaly,
+      baselineDealCount: anomaly ? baseline.dealCount : null
+    });
+  } catch (err) {
+    console.warn(`[ScraperHealth] Could not record run for ${run.storeSlug}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Health of each scraper from its latest runs. The circuit shown is the
+ * worst of the ZIPs in those runs, with every ZIP that isn't closed.
+ * @param {Array<Object>} scrapers - listScrapers() entries
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Scraper info with circuit, last run and recent success rate
+ */
+async function getScraperHealth(scrapers, now = new Date()) {
+  return Promise.all(scrapers.map(async (scraper) => {
+    const runs = await ScraperRun.findAll({
+      where: { storeSlug: scraper.slug },
+      order: [['createdAt', 'DESC']],
+      limit: HEALTH_WINDOW
+    });
+
+    const lastRun = runs[0] || null;
+    const latencies = runs.map(run => run.latencyMs);
+    const circuits = getZipCircuitStates(runs, now);
+    const { zipCode, ...worstCircuit } = circuits[0] || { state: 'closed', consecutiveFailures: 0, retryAt: null };
+
+    return {
+      ...scraper,
+      ...worstCircuit,
+      circuitZipCodes: circuits.filter(circuit => circuit.state !== 'closed').map(circuit => circuit.zipCode),
+      lastRun,
+      runCount: runs.length,
+      successRate: runs.length > 0 ? runs.filter(run => !isFailedRun(run)).length / runs.length : null,
+      avgLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length) : null,
+      recentRuns: runs
+    };
+  }));
+}
+
+module.exports = {
+  getBreakerSettings,
+  classifyScraperError,
+  isFailedRun,
+  getCircuitState,
+  getZipCircuitStates,
+  detectRunAnomaly,
+  summarizeScraperRun,
+  checkScraperCircuit,
+  recordScraperRun,
+  getScraperHealth
+};
@@ -0,0 +1,223 @@
+/**
+ * Scraper HTTP Client
+ *
+ * The axios instance every store scraper makes its requests with. Besides
+ * talking to the live site it can record what the site answers into a
+ * fixture file, or replay a fixture file without touching the network, so
+ * scrapers can be tested offline against real responses
+ * (tests/scraperFixtures.test.js, scripts/record_scraper_fixtures.js).
+ *
+ * Fixtures are one JSON file per scraper slug:
+ *   { recordedAt, entries: [{ key, request: { method, url, params }, response: { status, data } }] }
+ * Fixtures written by hand rather than recorded have recordedAt null and a
+ * note saying so; recording replaces them.
+ * Requests are matched on method, URL and query params. Secret-looking
+ * params (REDACTED_PARAMS) are left out of fixtures and of the match.
+ *
+ * Modes (constructor option `httpMode`, else SCRAPER_HTTP_MODE):
+ *   live    - Plain HTTP (default)
+ *   record  - Plain HTTP, saving each response to the scraper's fixture
+ *   replay  - Answer from the fixture; a request with no recording fails
+ *
+ * Fixture directory: constructor option `fixtureDir`, else SCRAPER_FIXTURE_DIR,
+ * else tests/fixtures/scrapers.
+ *
+ * Scrapers catch their own request errors and return no flyers, so the client
+ * keeps them in `client.requestErrors` for scraper health monitoring (./health.js).
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const HTTP_MODES = ['live', 'record', 'replay'];
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'scrapers');
+
+// Tokens are public widget tokens today, but fixtures shouldn't carry credentials
+const REDACTED_PARAMS = ['access_token', 'api_key', 'apikey', 'key', 'token'];
+
+/**
+ * Fixture file for a scraper
+ * @param {string} slug - Scraper slug
+ * @param {string} [fixtureDir] - Fixture directory
+ * @returns {string} Absolute file path
+ */
+function getFixturePath(slug, fixtureDir) {
+  return path.join(fixtureDir || process.env.SCRAPER_FIXTURE_DIR || DEFAULT_FIXTURE_DIR, `${slug}.json`);
+}
+
+/**
+ * Query params without secrets, in a stable order
+ * @param {Object} [params] - Request params
+ * @returns {Object} Params safe to store and match on
+ */
+function getRecordedParams(params) {
+  const recorded = {};
+  for (const name of Object.keys(params || {}).sort()) {
+    if (!REDACTED_PARAMS.includes(name.toLowerCase())) {
+      recorded[name] = params[name];
+    }
+  }
+  return recorded;
+}
+
+/**
+ * Key a request is recorded and replayed under
+ * @param {Object} config - axios request config (method, url, params)
+ * @returns {string} e.g. 'GET https://backflipp.wishabi.com/flipp/flyers {"locale":"en-us",...}'
+ */
+function getRequestKey(config) {
+  const method = (config.method || 'get').toUpperCase();
+  return `${method} ${config.url} ${JSON.stringify(getRecordedParams(config.params))}`;
+}
+
+/**
+ * Read a fixture file
+ * @param {string} fixturePath - File path
+ * @returns {Object} Fixture ({ entries: [] } when the file doesn't exist)
+ */
+function readFixture(fixturePath) {
+  try {
+    return JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return { entries: [] };
+    }
+    throw err;
+  }
+}
+
+/**
+ * axios adapter that answers from a fixture file
+ * @param {string} fixturePath - File path
+ * @returns {Function} axios adapter
+ */
+function createReplayAdapter(fixturePath) {
+  let entries = null;
+
+  return async (config) => {
+    // Read lazily so a scraper can be constructed before its fixture exists
+    if (!entries) {
+      entries = new Map(readFixture(fixturePath).entries.map(entry => [entry.key, entry]));
+    }
+
+    const key = getRequestKey(config);
+    const entry = entries.get(key);
+    if (!entry) {
+      throw new axios.AxiosError(
+        `No recorded response for ${key} in ${path.basename(fixturePath)}`,
+        'ERR_NO_FIXTURE',
+        config
+      );
+    }
+
+    const response = {
+      data: entry.response.data,
+      status: entry.response.status,
+      statusText: '',
+      headers: {},
+      config,
+      request: {}
+    };
+
+    if (!config.validateStatus || config.validateStatus(response.status)) {
+      return response;
+    }
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      axios.AxiosError.ERR_BAD_RESPONSE,
+      config,
+      response.request,
+      response
+    );
+  };
+}
+
+/**
+ * Save responses into a fixture file as they arrive
+ * @param {import('axios').AxiosInstance} client - Scraper HTTP client
+ * @param {string} fixturePath - File path
+ */
+function recordResponses(client, fixturePath) {
+  const record = (response) => {
+    const fixture = readFixture(fixturePath);
+    const key = getRequestKey(response.config);
+    const entry = {
+      key,
+      request: {
+        method: (response.config.method || 'get').toUpperCase(),
+        url: response.config.url,
+        params: getRecordedParams(response.config.params)
+      },
+      response: { status: response.status, data: response.data }
+    };
+
+    fixture.recordedAt = new Date().toISOString();
+    delete fixture.note;
+    fixture.entries = fixture.entries.filter(existing => existing.key !== key).concat(entry);
+
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+    fs.writeFileSync(fixturePath, `${JSON.stringify(fixture, null, 2)}\n`);
+  };
+
+  client.interceptors.response.use(
+    (response) => {
+      record(response);
+      return response;
+    },
+    (error) => {
+      // Error statuses are part of what the site does, so they're recorded too
+      if (error.response) {
+        record(error.response);
+      }
+      return Promise.reject(error);
+    }
+  );
+}
+
+/**
+ * Keep failed requests on the client (client.requestErrors)
+ * @param {import('axios').AxiosInstance} client - Scraper HTTP client
+ */
+function trackRequestErrors(client) {
+  client.requestErrors = [];
+  client.interceptors.response.use(null, (error) => {
+    client.requestErrors.push(error);
+    return Promise.reject(error);
+  });
+}
+
+/**
+ * Create the HTTP client for a scraper
+ * @param {string} slug - Scraper slug (names its fixture file)
+ * @param {Object} axiosConfig - axios.create config (timeout, headers, ...)
+ * @param {Object} [options] - Scraper constructor options ({ httpMode, fixtureDir })
+ * @returns {import('axios').AxiosInstance} axios instance (with requestErrors)
+ */
+function createScraperHttpClient(slug, axiosConfig = {}, options = {}) {
+  const mode = options.httpMode || process.env.SCRAPER_HTTP_MODE || 'live';
+  if (!HTTP_MODES.includes(mode)) {
+    throw new Error(`Unknown scraper HTTP mode "${mode}" (expected ${HTTP_MODES.join(', ')})`);
+  }
+
+  const fixturePath = getFixturePath(slug, options.fixtureDir);
+
+  const client = mode === 'replay'
+    ? axios.create({ ...axiosConfig, adapter: createReplayAdapter(fixturePath) })
+    : axios.create(axiosConfig);
+
+  if (mode === 'record') {
+    recordResponses(client, fixturePath);
+  }
+  trackRequestErrors(client);
+  return client;
+}
+
+module.exports = {
+  HTTP_MODES,
+  REDACTED_PARAMS,
+  getFixturePath,
+  getRequestKey,
+  createScraperHttpClient
+};
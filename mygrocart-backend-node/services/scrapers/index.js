@@ -1,21 +1,65 @@
 /**
  * Scraper Registry
  *
- * Exports all store-specific flyer scrapers and a ScraperRegistry
- * that maps store slugs to their scraper classes.
+ * Discovers the store-specific flyer scrapers in this directory and maps
+ * store slugs to their scraper classes. Adding a chain is one file named
+ * `<Store>FlyerScraper.js` - it's registered under its `meta.slug` and picked
+ * up by FlyerService.fetchFlyersFromScrapers and the admin scraper list.
  *
- * Each scraper implements:
+ * Each scraper implements (see ./contract.js):
+ *   static meta -> { slug, storeName, source, capabilities, regions, defaultOptions }
  *   constructor(options = {})
- *   async fetchFlyers(zipCode) -> Array of flyer objects
+ *   async fetchFlyers(zipCode) -> Array of flyer objects (SCRAPER_FLYER_SCHEMA)
  *   async getStoreLocations(zipCode) -> Array of store info objects
+ *
+ * Environment:
+ *   SCRAPER_CONFIG - Per-scraper settings as JSON, keyed by slug:
+ *                    {"wegmans": {"enabled": false}, "kroger": {"rateLimitMs": 2000}}
+ *                    "enabled" switches a scraper off; other keys are
+ *                    constructor options (over the scraper's defaultOptions)
+ *
+ * Every run is recorded for health monitoring, and scrapers that keep
+ * failing for a ZIP are skipped there for a while (see ./health.js).
  */
 
-const KrogerFlyerScraper = require('./KrogerFlyerScraper');
-const PublixFlyerScraper = require('./PublixFlyerScraper');
-const FoodDepotFlyerScraper = require('./FoodDepotFlyerScraper');
-const LidlFlyerScraper = require('./LidlFlyerScraper');
-const AldiFlyerScraper = require('./AldiFlyerScraper');
-const FoodLionFlyerScraper = require('./FoodLionFlyerScraper');
+const fs = require('fs');
+const path = require('path');
+const { validateScraperMeta, validateScraperFlyer, supportsZipCode } = require('./contract');
+const { classifyScraperError, summarizeScraperRun, checkScraperCircuit, recordScraperRun } = require('./health');
+
+const SCRAPER_FILE_SUFFIX = 'FlyerScraper.js';
+
+/**
+ * Load every *FlyerScraper.js module in this directory
+ * @returns {Object} { scraperClasses: class name -> class, registry: slug -> class }
+ */
+function discoverScrapers() {
+  const scraperClasses = {};
+  const registry = {};
+
+  const files = fs.readdirSync(__dirname).filter(file => file.endsWith(SCRAPER_FILE_SUFFIX)).sort();
+  for (const file of files) {
+    const ScraperClass = require(path.join(__dirname, file));
+    const errors = validateScraperMeta(ScraperClass.meta);
+
+    if (errors.length > 0) {
+      console.error(`[ScraperRegistry] Not registering ${file}: ${errors.join('; ')}`);
+      continue;
+    }
+    if (registry[ScraperClass.meta.slug]) {
+      console.error(`[ScraperRegistry] Not registering ${file}: slug "${ScraperClass.meta.slug}" is already taken`);
+      continue;
+    }
+
+    scraperClasses[ScraperClass.name] = ScraperClass;
+    registry[ScraperClass.meta.slug] = ScraperClass;
+  }
+
+  return { scraperClasses, registry };
+}
+
+const { scraperClasses, registry } = discoverScrapers();
+
 /**
  * ScraperRegistry maps store slugs to their scraper classes.
  * Use this to instantiate scrapers by store name dynamically.
@@ -25,20 +69,47 @@ const FoodLionFlyerScraper = require('./FoodLionFlyerScraper');
  * const scraper = new ScraperClass({ rateLimitMs: 2000 });
  * const flyers = await scraper.fetchFlyers('30132');
  */
-const ScraperRegistry = {
-  kroger: KrogerFlyerScraper,
-  publix: PublixFlyerScraper,
-  'food-depot': FoodDepotFlyerScraper,
-  lidl: LidlFlyerScraper,
-  aldi: AldiFlyerScraper,
-  'food-lion': FoodLionFlyerScraper
-};
+const ScraperRegistry = registry;
+
+/**
+ * Parse SCRAPER_CONFIG
+ * @param {string} value - Setting value (JSON object keyed by slug)
+ * @returns {Object} Store slug -> settings
+ */
+function parseScraperConfig(value) {
+  if (!value) return {};
+
+  try {
+    const config = JSON.parse(value);
+    return config && typeof config === 'object' && !Array.isArray(config) ? config : {};
+  } catch (err) {
+    console.warn(`[ScraperRegistry] Ignoring SCRAPER_CONFIG: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Settings for one scraper: whether it runs and its constructor options
+ *
+ * @param {string} storeSlug - The store's slug identifier (e.g., 'kroger')
+ * @returns {Object|null} { enabled, options } or null if no scraper is registered
+ */
+function getScraperConfig(storeSlug) {
+  const ScraperClass = ScraperRegistry[storeSlug];
+  if (!ScraperClass) return null;
+
+  const { enabled = true, ...options } = parseScraperConfig(process.env.SCRAPER_CONFIG)[storeSlug] || {};
+  return {
+    enabled: enabled !== false,
+    options: { ...ScraperClass.meta.defaultOptions, ...options }
+  };
+}
 
 /**
  * Get a scraper instance for a given store slug.
  *
  * @param {string} storeSlug - The store's slug identifier (e.g., 'kroger', 'publix')
- * @param {object} options - Options passed to the scraper constructor
+ * @param {object} options - Options passed to the scraper constructor (over its configured options)
  * @returns {object|null} Scraper instance or null if not found
  */
 function getScraperForStore(storeSlug, options = {}) {
@@ -50,11 +121,26 @@ function getScraperForStore(storeSlug, options = {}) {
     return null;
   }
 
-  return new ScraperClass(options);
+  return new ScraperClass({ ...getScraperConfig(normalizedSlug).options, ...options });
 }
 
 /**
- * Fetch flyers for all registered stores near a given ZIP code.
+ * Describe every registered scraper (for the admin scraper list).
+ *
+ * @returns {Array<Object>} { slug, storeName, source, capabilities, regions, enabled, options }
+ */
+function listScrapers() {
+  return Object.values(ScraperRegistry).map(ScraperClass => {
+    const { slug, storeName, source, capabilities, regions } = ScraperClass.meta;
+    const { enabled, options } = getScraperConfig(slug);
+    return { slug, storeName, source, capabilities, regions, enabled, options };
+  });
+}
+
+/**
+ * Fetch flyers for all enabled stores that operate near a given ZIP code.
+ * Flyers are normalized to the scraper contract; ones that fail it are dropped.
+ * Each scraper's run is recorded, and scrapers with an open circuit are skipped.
  *
  * @param {string} zipCode - 5-digit ZIP code
  * @param {object} options - Options passed to each scraper constructor
@@ -64,19 +150,55 @@ async function fetchAllStoreFlyers(zipCode, options = {}) {
   console.log(`[ScraperRegistry] Fetching flyers for all stores near ZIP ${zipCode}...`);
 
   const allFlyers = [];
-  const slugs = Object.keys(ScraperRegistry);
 
-  for (const slug of slugs) {
+  for (const [slug, ScraperClass] of Object.entries(ScraperRegistry)) {
+    if (!getScraperConfig(slug).enabled) {
+      console.log(`[ScraperRegistry] ${slug}: disabled by SCRAPER_CONFIG`);
+      continue;
+    }
+    if (!supportsZipCode(ScraperClass.meta, zipCode)) {
+      continue;
+    }
+
+    const circuit = await checkScraperCircuit(slug, zipCode);
+    if (circuit.state === 'open') {
+      console.warn(`[ScraperRegistry] ${slug}: skipped for ZIP ${zipCode} after ${circuit.consecutiveFailures} failed runs, retrying after ${circuit.retryAt.toISOString()}`);
+      continue;
+    }
+
+    const startedAt = Date.now();
+    let outcome;
+
     try {
       const scraper = getScraperForStore(slug, options);
       if (!scraper) continue;
 
-      const flyers = await scraper.fetchFlyers(zipCode);
+      const rawFlyers = await scraper.fetchFlyers(zipCode);
+      const flyers = [];
+      const invalidFlyerErrors = [];
+
+      for (const rawFlyer of rawFlyers) {
+        const { flyer, errors, droppedDeals } = validateScraperFlyer(rawFlyer, ScraperClass.meta);
+        if (!flyer) {
+          console.warn(`[ScraperRegistry] ${slug}: dropping invalid flyer: ${errors.join('; ')}`);
+          invalidFlyerErrors.push(...errors);
+          continue;
+        }
+        if (droppedDeals.length > 0) {
+          console.warn(`[ScraperRegistry] ${slug}: dropped ${droppedDeals.length} invalid deal(s), e.g. ${droppedDeals[0]}`);
+        }
+        flyers.push(flyer);
+      }
+
       allFlyers.push(...flyers);
+      outcome = summarizeScraperRun({ flyers, invalidFlyerErrors, requestErrors: scraper.httpClient?.requestErrors });
       console.log(`[ScraperRegistry] ${slug}: fetched ${flyers.length} flyer(s)`);
     } catch (err) {
       console.error(`[ScraperRegistry] Error fetching flyers for ${slug}:`, err.message);
+      outcome = { status: 'failed', flyerCount: 0, dealCount: 0, errorClass: classifyScraperError(err), errorMessage: err.message };
     }
+
+    await recordScraperRun({ storeSlug: slug, zipCode, latencyMs: Date.now() - startedAt, ...outcome });
   }
 
   console.log(`[ScraperRegistry] Total flyers fetched: ${allFlyers.length}`);
@@ -84,13 +206,11 @@ async function fetchAllStoreFlyers(zipCode, options = {}) {
 }
 
 module.exports = {
-  KrogerFlyerScraper,
-  PublixFlyerScraper,
-  FoodDepotFlyerScraper,
-  LidlFlyerScraper,
-  AldiFlyerScraper,
-  FoodLionFlyerScraper,
+  ...scraperClasses,
   ScraperRegistry,
+  parseScraperConfig,
+  getScraperConfig,
   getScraperForStore,
+  listScrapers,
   fetchAllStoreFlyers
 };
@@ -0,0 +1,88 @@
+/**
+ * CloudinaryImageStorage
+ *
+ * Stores flyer page images on Cloudinary (CLOUDINARY_URL). Cloudinary
+ * resizes and re-encodes on delivery from transformations in the URL
+ * (utils/cloudinary.js).
+ */
+
+const cloudinary = require('cloudinary').v2;
+const { addCloudinaryTransformations } = require('../../utils/cloudinary');
+
+// Reads CLOUDINARY_URL
+cloudinary.config();
+
+/**
+ * Cloudinary folder and public ID for a storage key
+ * @param {string} key - e.g. "flyers/kroger-30132-2025-06-01/page_1"
+ * @returns {Object} { folder, publicId }
+ */
+function splitKey(key) {
+  const slash = key.lastIndexOf('/');
+  return { folder: key.substring(0, slash), publicId: key.substring(slash + 1) };
+}
+
+class CloudinaryImageStorage {
+  constructor(options = {}) {
+    this.name = 'cloudinary';
+    this.cloudinary = options.cloudinary || cloudinary;
+    // Remote pages are copied so they outlive the store's CDN
+    this.copiesRemote = true;
+  }
+
+  isConfigured() {
+    return Boolean(process.env.CLOUDINARY_URL);
+  }
+
+  /**
+   * Store an image we built (e.g. stitched flyer tiles)
+   * @param {Buffer} buffer - JPEG data
+   * @param {string} key - Storage key, without extension
+   * @returns {Promise<string>} Public URL
+   */
+  async saveImage(buffer, key) {
+    const { folder, publicId } = splitKey(key);
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = this.cloudinary.uploader.upload_stream(
+        { folder, public_id: publicId, resource_type: 'image', overwrite: true },
+        (error, uploaded) => { if (error) reject(error); else resolve(uploaded); }
+      );
+      uploadStream.end(buffer);
+    });
+    return result.secure_url;
+  }
+
+  /**
+   * Copy a remote image (Cloudinary fetches it itself)
+   * @param {string} sourceUrl - Image URL
+   * @param {string} key - Storage key, without extension
+   * @returns {Promise<string>} Public URL
+   */
+  async saveImageFromUrl(sourceUrl, key) {
+    const { folder, publicId } = splitKey(key);
+    const result = await this.cloudinary.uploader.upload(sourceUrl, {
+      folder,
+      public_id: publicId,
+      resource_type: 'image',
+      overwrite: true,
+      timeout: 30000
+    });
+    return result.secure_url;
+  }
+
+  ownsUrl(url) {
+    return typeof url === 'string' && url.includes('res.cloudinary.com');
+  }
+
+  /**
+   * URL for a smaller, re-encoded copy
+   * @param {string} url - Stored image URL
+   * @param {Object} options - { width, quality }
+   * @returns {string} Transformed URL
+   */
+  resizeUrl(url, { width, quality = 'auto:good' } = {}) {
+    return addCloudinaryTransformations(url, { width, quality, format: 'auto' });
+  }
+}
+
+module.exports = CloudinaryImageStorage;
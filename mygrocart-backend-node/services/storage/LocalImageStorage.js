@@ -0,0 +1,182 @@
+/**
+ * LocalImageStorage
+ *
+ * Stores flyer page images on local disk, served by Express
+ * (routes/images.js) with resizing via sharp, so the flyer pipeline runs on
+ * a dev box with no image service at all.
+ *
+ * Files live under LOCAL_STORAGE_DIR (default public/) at "<key>.jpg" and
+ * are served from BACKEND_URL at the same path. Resized copies are written
+ * next to them ("<key>.w300.jpg") the first time they're asked for.
+ */
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+
+// Widths the app shows pages at (getFlyerThumbnailUrls, getOptimizedFlyerUrls);
+// other requested widths snap to these so a query string can't fill the disk
+const RESIZE_WIDTHS = [300, 1200];
+const RESIZE_QUALITY = 80;
+const RESIZED_FILE = /\.w\d+\.jpg$/;
+
+/**
+ * Whether data starts like a JPEG (every image saved here is one)
+ * @param {Buffer} buffer - File data
+ * @returns {boolean} True for JPEG data
+ */
+function isJpeg(buffer) {
+  return buffer.length > 2 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+/**
+ * Snap a requested width to one we resize to
+ * @param {string|number} width - Requested width
+ * @returns {number|null} Smallest width at least as wide (or the largest), null for none
+ */
+function snapWidth(width) {
+  const requested = parseInt(width, 10);
+  if (!(requested > 0)) return null;
+  return RESIZE_WIDTHS.find(allowed => allowed >= requested) || RESIZE_WIDTHS[RESIZE_WIDTHS.length - 1];
+}
+
+class LocalImageStorage {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(options.rootDir || process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', '..', 'public'));
+    const port = process.env.PORT || 5001;
+    this.baseUrl = (options.baseUrl || process.env.BACKEND_URL || `http://localhost:${port}`).replace(/\/+$/, '');
+    // Off when local storage is only the fallback: remote pages are then used where they are
+    this.copiesRemote = options.copyRemote ?? true;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * File for a storage key or URL path, or null if it would leave the storage directory
+   * @param {string} relativePath - e.g. "flyers/kroger-30132-2025-06-01/page_1.jpg"
+   * @returns {string|null} Absolute file path
+   */
+  resolveFile(relativePath) {
+    const filePath = path.resolve(this.rootDir, relativePath.replace(/^\/+/, ''));
+    return filePath.startsWith(this.rootDir + path.sep) ? filePath : null;
+  }
+
+  /**
+   * Store an image we built (e.g. stitched flyer tiles)
+   * @param {Buffer} buffer - JPEG data
+   * @param {string} key - Storage key, without extension
+   * @returns {Promise<string>} Public URL
+   */
+  async saveImage(buffer, key) {
+    const filePath = this.resolveFile(`${key}.jpg`);
+    if (!filePath) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    // Drop copies resized from an image this replaces
+    await Promise.all(RESIZE_WIDTHS.map(width => fs.rm(this.getResizedFile(filePath, width), { force: true })));
+    return `${this.baseUrl}/${key}.jpg`;
+  }
+
+  /**
+   * Download a remote image and store it
+   * @param {string} sourceUrl - Image URL
+   * @param {string} key - Storage key, without extension
+   * @returns {Promise<string>} Public URL
+   */
+  async saveImageFromUrl(sourceUrl, key) {
+    const response = await axios.get(sourceUrl, { responseType: 'arraybuffer', timeout: 30000 });
+    return this.saveImage(Buffer.from(response.data), key);
+  }
+
+  ownsUrl(url) {
+    return typeof url === 'string' && url.startsWith(`${this.baseUrl}/`);
+  }
+
+  /**
+   * URL for a smaller copy (resized when served, see readImage)
+   * @param {string} url - Stored image URL
+   * @param {Object} options - { width } (quality is fixed for local copies)
+   * @returns {string} URL with a w query parameter
+   */
+  resizeUrl(url, { width } = {}) {
+    const targetWidth = snapWidth(width);
+    if (!this.ownsUrl(url) || !targetWidth) {
+      return url;
+    }
+
+    const resized = new URL(url);
+    resized.searchParams.set('w', String(targetWidth));
+    return resized.toString();
+  }
+
+  /**
+   * File holding a resized copy of an image
+   * @param {string} filePath - Original image file
+   * @param {number} width - One of RESIZE_WIDTHS
+   * @returns {string} e.g. ".../page_1.w300.jpg"
+   */
+  getResizedFile(filePath, width) {
+    return filePath.replace(/(\.jpg)?$/, `.w${width}.jpg`);
+  }
+
+  /**
+   * Read a stored image, resized if asked. Only JPEG files are images here;
+   * anything else in the directory (or a file sharp can't decode) is not served.
+   * @param {string} relativePath - URL path of the image
+   * @param {Object} [options] - { width } from the query string
+   * @returns {Promise<Buffer|null>} JPEG data, or null if there is no such image
+   */
+  async readImage(relativePath, { width } = {}) {
+    const filePath = this.resolveFile(relativePath);
+    if (!filePath || !filePath.endsWith('.jpg')) return null;
+
+    // Resized copies are served as they are, never resized again
+    const targetWidth = RESIZED_FILE.test(filePath) ? null : snapWidth(width);
+    const resizedFile = targetWidth ? this.getResizedFile(filePath, targetWidth) : null;
+    if (resizedFile) {
+      try {
+        return await fs.readFile(resizedFile);
+      } catch {
+        // Not resized yet
+      }
+    }
+
+    let buffer;
+    try {
+      buffer = await fs.readFile(filePath);
+    } catch {
+      return null;
+    }
+    if (!isJpeg(buffer)) {
+      return null;
+    }
+    if (!resizedFile) {
+      return buffer;
+    }
+
+    let resized;
+    try {
+      resized = await sharp(buffer)
+        .resize({ width: targetWidth, withoutEnlargement: true })
+        .jpeg({ quality: RESIZE_QUALITY })
+        .toBuffer();
+    } catch {
+      // Named .jpg but not an image sharp can read
+      return null;
+    }
+    // Written aside and renamed so a concurrent request never reads half a file
+    const tempFile = `${resizedFile}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tempFile, resized);
+    await fs.rename(tempFile, resizedFile);
+    return resized;
+  }
+}
+
+module.exports = LocalImageStorage;
@@ -0,0 +1,110 @@
+/**
+ * S3ImageStorage
+ *
+ * Stores flyer page images in an S3-compatible bucket: AWS S3, or a
+ * self-hosted MinIO / R2 / Spaces via S3_ENDPOINT. The bucket (or a CDN in
+ * front of it, S3_PUBLIC_URL) must allow public reads. Images are served as
+ * stored - there's no resizing on delivery.
+ */
+
+const axios = require('axios');
+
+class S3ImageStorage {
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.S3_BUCKET || null;
+    this.region = options.region || process.env.S3_REGION || 'us-east-1';
+    this.endpoint = (options.endpoint || process.env.S3_ENDPOINT || '').replace(/\/+$/, '') || null;
+    this.accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY_ID || null;
+    this.secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY || null;
+
+    // MinIO and most self-hosted servers only support path-style URLs
+    const defaultPublicUrl = this.endpoint
+      ? `${this.endpoint}/${this.bucket}`
+      : `https://${this.bucket}.s3.${this.region}.amazonaws.com`;
+    this.publicUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || defaultPublicUrl).replace(/\/+$/, '');
+    this.copiesRemote = true;
+
+    // @aws-sdk/client-s3 is loaded on first use so other backends don't need it
+    this.s3 = options.s3 || null;
+  }
+
+  /**
+   * S3 client, created on first use
+   * @returns {Object} { client, PutObjectCommand }
+   * @throws {Error} If @aws-sdk/client-s3 isn't installed
+   */
+  loadS3() {
+    if (!this.s3) {
+      let sdk;
+      try {
+        sdk = require('@aws-sdk/client-s3');
+      } catch (error) {
+        throw new Error(`S3 image storage needs @aws-sdk/client-s3, which could not be loaded: ${error.message}`);
+      }
+
+      const credentials = this.accessKeyId && this.secretAccessKey
+        ? { accessKeyId: this.accessKeyId, secretAccessKey: this.secretAccessKey }
+        : undefined; // SDK default chain (env, instance role, ...)
+      this.s3 = {
+        client: new sdk.S3Client({
+          region: this.region,
+          endpoint: this.endpoint || undefined,
+          forcePathStyle: Boolean(this.endpoint),
+          credentials
+        }),
+        PutObjectCommand: sdk.PutObjectCommand
+      };
+    }
+    return this.s3;
+  }
+
+  /**
+   * Whether a bucket is set. Throws if the SDK is missing: with S3 asked for,
+   * quietly writing pages to local disk would lose them on the next deploy.
+   * @returns {boolean} Whether S3 can be used
+   */
+  isConfigured() {
+    if (!this.bucket) return false;
+    this.loadS3();
+    return true;
+  }
+
+  /**
+   * Store an image we built (e.g. stitched flyer tiles)
+   * @param {Buffer} buffer - JPEG data
+   * @param {string} key - Storage key, without extension
+   * @returns {Promise<string>} Public URL
+   */
+  async saveImage(buffer, key) {
+    const { client, PutObjectCommand } = this.loadS3();
+    await client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: `${key}.jpg`,
+      Body: buffer,
+      ContentType: 'image/jpeg'
+    }));
+    return `${this.publicUrl}/${key}.jpg`;
+  }
+
+  /**
+   * Download a remote image and store it
+   * @param {string} sourceUrl - Image URL
+   * @param {string} key - Storage key, without extension
+   * @returns {Promise<string>} Public URL
+   */
+  async saveImageFromUrl(sourceUrl, key) {
+    const response = await axios.get(sourceUrl, { responseType: 'arraybuffer', timeout: 30000 });
+    return this.saveImage(Buffer.from(response.data), key);
+  }
+
+  ownsUrl(url) {
+    return typeof url === 'string' && url.startsWith(`${this.publicUrl}/`);
+  }
+
+  resizeUrl(url) {
+    return url;
+  }
+}
+
+module.exports = S3ImageStorage;
@@ -0,0 +1,167 @@
+/**
+ * Image Storage Registry
+ *
+ * Exports the flyer image storage backends and picks one from the environment.
+ *
+ * Each backend implements:
+ *   constructor(options = {})
+ *   name, copiesRemote (false: remote page images are used where they are)
+ *   isConfigured() -> false falls back to local storage; throws if the backend
+ *                      is set up but can't run (e.g. its SDK is missing)
+ *   async saveImage(buffer, key) -> public URL
+ *   async saveImageFromUrl(sourceUrl, key) -> public URL
+ *   ownsUrl(url) -> true if the URL points at this backend
+ *   resizeUrl(url, { width, quality }) -> URL of a smaller copy (or url itself)
+ *
+ * Keys are paths without extension ("flyers/<flyerRunId>/page_1"). Tests can
+ * pass any object with this interface to `new FlyerService({ imageStorage })`.
+ *
+ * Environment:
+ *   STORAGE_PROVIDER      - "cloudinary", "local" or "s3" (default: cloudinary
+ *                           if CLOUDINARY_URL is set, else local)
+ *   CLOUDINARY_URL        - Cloudinary credentials
+ *   LOCAL_STORAGE_DIR     - Local image directory (default public/)
+ *   BACKEND_URL           - Public URL of this server, for local image URLs
+ *   S3_BUCKET             - Bucket name
+ *   S3_REGION             - Region (default us-east-1)
+ *   S3_ENDPOINT           - S3-compatible server, e.g. MinIO (http://localhost:9000)
+ *   S3_ACCESS_KEY_ID      - Access key (default: AWS SDK credential chain)
+ *   S3_SECRET_ACCESS_KEY  - Secret key
+ *   S3_PUBLIC_URL         - Public base URL of the bucket (default: from endpoint/region)
+ */
+
+const CloudinaryImageStorage = require('./CloudinaryImageStorage');
+const LocalImageStorage = require('./LocalImageStorage');
+const S3ImageStorage = require('./S3ImageStorage');
+
+/**
+ * ImageStorageRegistry maps backend names to their classes.
+ */
+const ImageStorageRegistry = {
+  cloudinary: CloudinaryImageStorage,
+  local: LocalImageStorage,
+  s3: S3ImageStorage
+};
+
+/**
+ * Get an image storage backend by name.
+ *
+ * @param {string} storageName - Backend name (e.g., 'local', 's3')
+ * @param {object} options - Options passed to the backend constructor
+ * @returns {object|null} Backend instance or null if not found
+ */
+function getImageStorage(storageName, options = {}) {
+  const normalizedName = (storageName || '').toLowerCase().trim();
+  const StorageClass = ImageStorageRegistry[normalizedName];
+
+  if (!StorageClass) {
+    console.warn(`[ImageStorageRegistry] No image storage registered as: "${storageName}"`);
+    return null;
+  }
+
+  return new StorageClass(options);
+}
+
+/**
+ * Get the image storage backend configured for this environment.
+ *
+ * With nothing configured, pages we build are written to local disk and
+ * remote page images are used where they are (the behaviour before
+ * STORAGE_PROVIDER existed). Called at startup (server.js) so a backend
+ * that can't run stops the server instead of failing on the first flyer.
+ *
+ * @param {object} options - Options passed to the backend constructor
+ * @returns {object} Backend instance
+ * @throws {Error} If the chosen backend is set up but can't run
+ */
+function getConfiguredImageStorage(options = {}) {
+  const storageName = process.env.STORAGE_PROVIDER;
+  if (!storageName) {
+    return process.env.CLOUDINARY_URL
+      ? new CloudinaryImageStorage(options)
+      : new LocalImageStorage({ copyRemote: false, ...options });
+  }
+
+  const storage = getImageStorage(storageName, options);
+  if (storage && storage.isConfigured()) {
+    return storage;
+  }
+
+  if (storage) {
+    console.warn(`[ImageStorageRegistry] "${storageName}" storage is not configured, using local storage`);
+  }
+  return new LocalImageStorage(options);
+}
+
+/**
+ * Storage key for a flyer page image
+ * @param {string} flyerRunId - Flyer run ID
+ * @param {string} name - Image name (e.g. "page_1")
+ * @returns {string} Key like "flyers/kroger-30132-2025-06-01/page_1"
+ */
+function getFlyerImageKey(flyerRunId, name) {
+  const safeRunId = String(flyerRunId || 'unknown').replace(/[^a-zA-Z0-9-_]/g, '_');
+  return `flyers/${safeRunId}/${name}`;
+}
+
+// Backends that can resize on delivery, for URLs stored under any past configuration
+const resizingBackends = [];
+
+/**
+ * URL for a smaller copy of a stored image, whichever backend stored it
+ * @param {string} url - Image URL
+ * @param {Object} options - { width, quality }
+ * @returns {string} Resized URL, or url unchanged if its host can't resize
+ */
+function resizeImageUrl(url, options = {}) {
+  if (!url || typeof url !== 'string') {
+    return url;
+  }
+
+  if (resizingBackends.length === 0) {
+    resizingBackends.push(new CloudinaryImageStorage(), new LocalImageStorage());
+  }
+
+  const storage = resizingBackends.find(backend => backend.ownsUrl(url));
+  return storage ? storage.resizeUrl(url, options) : url;
+}
+
+/**
+ * Get optimized flyer image URLs with responsive sizing
+ * @param {string[]} imageUrls - Original flyer image URLs
+ * @returns {string[]} Optimized image URLs
+ */
+function getOptimizedFlyerUrls(imageUrls) {
+  if (!Array.isArray(imageUrls)) {
+    return imageUrls;
+  }
+
+  // Good balance of quality and file size for flyers
+  return imageUrls.map(url => resizeImageUrl(url, { width: 1200 }));
+}
+
+/**
+ * Get thumbnail URLs for flyer previews
+ * @param {string[]} imageUrls - Original flyer image URLs
+ * @returns {string[]} Thumbnail URLs
+ */
+function getFlyerThumbnailUrls(imageUrls) {
+  if (!Array.isArray(imageUrls)) {
+    return imageUrls;
+  }
+
+  return imageUrls.map(url => resizeImageUrl(url, { width: 300, quality: 'auto' }));
+}
+
+module.exports = {
+  CloudinaryImageStorage,
+  LocalImageStorage,
+  S3ImageStorage,
+  ImageStorageRegistry,
+  getImageStorage,
+  getConfiguredImageStorage,
+  getFlyerImageKey,
+  resizeImageUrl,
+  getOptimizedFlyerUrls,
+  getFlyerThumbnailUrls
+};
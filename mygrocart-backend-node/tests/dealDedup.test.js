@@ -0,0 +1,201 @@
+/**
+ * Deal Dedup Test Suite
+ *
+ * Tests for grouping copies of a deal saved from different flyers
+ * (database calls are stubbed):
+ * - Matching on store, ZIP, normalized name, price and validity window
+ * - Picking the canonical deal
+ * - Linking new deals to copies already saved
+ * - Promoting a copy when its canonical deal is deleted
+ * - FlyerService.saveDeals running the dedup stage
+ *
+ * Based on current implementation in:
+ * - utils/dealDedup.js
+ * - services/FlyerService.js
+ */
+
+const { Deal, DealPriceHistory } = require('../models');
+const FlyerService = require('../services/FlyerService');
+const {
+  CANONICAL_DEAL,
+  getStoreKey,
+  getDedupKey,
+  compareCanonical,
+  groupDuplicateDeals,
+  dedupeDeals,
+  releaseDuplicates
+} = require('../utils/dealDedup');
+
+describe('Deal Dedup', () => {
+  const deal = (id, overrides = {}) => ({
+    id,
+    flyerId: `flyer-${id}`,
+    productName: 'Kroger Grade A Large Eggs, 12 ct',
+    storeName: 'Kroger',
+    zipCode: '30132',
+    salePrice: 1.99,
+    unit: 'each',
+    validFrom: new Date('2025-06-04T00:00:00Z'),
+    validTo: new Date('2025-06-10T00:00:00Z'),
+    confidence: 0,
+    fieldConfidence: null,
+    duplicateOfId: null,
+    createdAt: new Date('2025-06-04T08:00:00Z'),
+    ...overrides
+  });
+
+  // Stands in for the Deal model
+  const fakeDeal = (rows = []) => ({
+    findAll: jest.fn().mockResolvedValue(rows),
+    update: jest.fn().mockResolvedValue([1])
+  });
+
+  describe('getDedupKey', () => {
+    test('should match the same deal written differently', () => {
+      const key = getDedupKey(deal('a'));
+
+      expect(getDedupKey(deal('b', { productName: 'KROGER Grade A Large Eggs 12ct', storeName: "Kroger " }))).toBe(key);
+      expect(getStoreKey("Wegman's")).toBe(getStoreKey('WEGMANS'));
+    });
+
+    test('should tell apart other stores, ZIPs and prices', () => {
+      const key = getDedupKey(deal('a'));
+
+      expect(getDedupKey(deal('b', { storeName: 'Publix' }))).not.toBe(key);
+      expect(getDedupKey(deal('b', { zipCode: '30157' }))).not.toBe(key);
+      expect(getDedupKey(deal('b', { salePrice: 2.19 }))).not.toBe(key);
+    });
+
+    test('should skip deals without a name or price', () => {
+      expect(getDedupKey(deal('a', { productName: '' }))).toBeNull();
+      expect(getDedupKey(deal('a', { salePrice: 0 }))).toBeNull();
+    });
+  });
+
+  describe('compareCanonical', () => {
+    test('should prefer reviewed, unflagged, store data and confident deals', () => {
+      const ocr = deal('ocr', { fieldConfidence: { salePrice: 0.9 }, confidence: 0.9 });
+      const sortedIds = (...deals) => deals.sort(compareCanonical).map(d => d.id);
+
+      expect(sortedIds(deal('plain'), deal('reviewed', { reviewedAt: new Date() }))).toEqual(['reviewed', 'plain']);
+      expect(sortedIds(deal('flagged', { needsReview: true }), deal('plain'))).toEqual(['plain', 'flagged']);
+      expect(sortedIds(ocr, deal('scraped'))).toEqual(['scraped', 'ocr']);
+      expect(sortedIds(deal('low', { confidence: 0.5 }), deal('high', { confidence: 0.8 }))).toEqual(['high', 'low']);
+      expect(sortedIds(deal('bare'), deal('detailed', { imageUrl: 'eggs.jpg' }))).toEqual(['detailed', 'bare']);
+      expect(sortedIds(deal('new', { createdAt: new Date('2025-06-05') }), deal('old'))).toEqual(['old', 'new']);
+    });
+  });
+
+  describe('groupDuplicateDeals', () => {
+    test('should group copies whose weeks overlap', () => {
+      const groups = groupDuplicateDeals([
+        deal('direct', { imageUrl: 'eggs.jpg' }),
+        deal('weeklyads', { validFrom: new Date('2025-06-03T00:00:00Z'), validTo: new Date('2025-06-09T00:00:00Z') }),
+        deal('next-week', { validFrom: new Date('2025-06-11T00:00:00Z'), validTo: new Date('2025-06-17T00:00:00Z') }),
+        deal('milk', { productName: 'Whole Milk' })
+      ]);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].canonical.id).toBe('direct');
+      expect(groups[0].duplicates.map(d => d.id)).toEqual(['weeklyads']);
+    });
+
+    test('should chain windows that overlap one after another', () => {
+      const week = (id, from, to) => deal(id, { validFrom: new Date(from), validTo: new Date(to) });
+
+      const groups = groupDuplicateDeals([
+        week('a', '2025-06-01', '2025-06-05'),
+        week('c', '2025-06-08', '2025-06-12'),
+        week('b', '2025-06-04', '2025-06-09')
+      ]);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].duplicates).toHaveLength(2);
+    });
+  });
+
+  describe('dedupeDeals', () => {
+    test('should link new deals to a copy already saved from another flyer', async () => {
+      const saved = deal('saved', { createdAt: new Date('2025-06-03') });
+      const Model = fakeDeal([saved, deal('other-store', { storeName: 'Publix' })]);
+
+      const result = await dedupeDeals(Model, [deal('new')], { transaction: 'tx' });
+
+      expect(result).toEqual({ groups: 1, linked: 1 });
+      const { where } = Model.findAll.mock.calls[0][0];
+      expect(Object.getOwnPropertySymbols(where.id).map(op => where.id[op])).toEqual([['new']]);
+      expect(Model.update).toHaveBeenCalledWith(
+        { duplicateOfId: 'saved' },
+        expect.objectContaining({ transaction: 'tx' })
+      );
+    });
+
+    test('should make a better new deal canonical in place of the saved one', async () => {
+      const saved = deal('saved', { needsReview: true });
+      const copy = deal('copy', { duplicateOfId: 'saved', createdAt: new Date('2025-06-05') });
+      const Model = fakeDeal([saved, copy]);
+
+      const result = await dedupeDeals(Model, [deal('new')]);
+
+      expect(result).toEqual({ groups: 1, linked: 2 });
+      expect(Model.update).toHaveBeenCalledTimes(1);
+      const [fields, { where }] = Model.update.mock.calls[0];
+      expect(fields).toEqual({ duplicateOfId: 'new' });
+      expect(Object.getOwnPropertySymbols(where.id).map(op => where.id[op])).toEqual([['copy', 'saved']]);
+    });
+
+    test('should leave deals with no copies alone', async () => {
+      const Model = fakeDeal([deal('milk', { productName: 'Whole Milk' })]);
+
+      expect(await dedupeDeals(Model, [deal('new')])).toEqual({ groups: 0, linked: 0 });
+      expect(await dedupeDeals(Model, [])).toEqual({ groups: 0, linked: 0 });
+      expect(Model.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseDuplicates', () => {
+    test('should promote the best copy of a deleted canonical deal', async () => {
+      const Model = fakeDeal([
+        deal('copy-1', { duplicateOfId: 'deleted', createdAt: new Date('2025-06-05') }),
+        deal('copy-2', { duplicateOfId: 'deleted' })
+      ]);
+
+      expect(await releaseDuplicates(Model, ['deleted'])).toBe(2);
+      expect(Model.update).toHaveBeenCalledWith({ duplicateOfId: null }, expect.objectContaining({ where: { id: 'copy-2' } }));
+      expect(Model.update.mock.calls[1][0]).toEqual({ duplicateOfId: 'copy-2' });
+    });
+
+    test('should do nothing without deals', async () => {
+      const Model = fakeDeal();
+
+      expect(await releaseDuplicates(Model, [])).toBe(0);
+      expect(Model.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('FlyerService.saveDeals', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should link saved deals to copies from other flyers', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(DealPriceHistory, 'findAll').mockResolvedValue([]);
+      jest.spyOn(DealPriceHistory, 'bulkCreate').mockResolvedValue([]);
+      jest.spyOn(Deal, 'bulkCreate').mockImplementation(async rows => rows.map((row, i) => ({
+        get: () => ({ ...row, id: `new-${i}`, duplicateOfId: null, createdAt: new Date() })
+      })));
+      jest.spyOn(Deal, 'findAll').mockResolvedValue([deal('saved', { createdAt: new Date('2025-06-03') })]);
+      const update = jest.spyOn(Deal, 'update').mockResolvedValue([1]);
+      const flyer = { id: 'flyer-2', storeName: 'Kroger', zipCode: '30132', validFrom: deal('x').validFrom, validTo: deal('x').validTo };
+
+      await new FlyerService().saveDeals(flyer, [{ productName: 'Kroger Grade A Large Eggs 12 ct', salePrice: 1.99 }]);
+
+      expect(update).toHaveBeenCalledWith({ duplicateOfId: 'saved' }, expect.any(Object));
+    });
+  });
+
+  test('should only read canonical deals', () => {
+    expect(CANONICAL_DEAL).toEqual({ duplicateOfId: null });
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * Deal Matcher Test Suite
+ *
+ * Tests for matching flyer deals to shopping list items:
+ * - Plural/stem folding
+ * - Synonym and specific-product (hyponym) matching
+ * - Negative phrases and brand names
+ * - Variant matching
+ * - Graded scores and their breakdown
+ * - User accept/reject feedback
+ * - Store proximity
+ * - Matching deals for a whole list loaded once per request (database calls are stubbed)
+ *
+ * Based on current implementation in:
+ * - utils/DealMatcher.js
+ * - utils/matchDictionary.js
+ * - utils/textNormalizer.js
+ * - resolvers/index.js (UserListItem.matchingDeals)
+ */
+
+const {
+  DEFAULT_MIN_MATCH_SCORE,
+  matchDealsToListItem,
+  getItemKey,
+  getProductKeys,
+  calculateMatchScore,
+  scoreMatch,
+  generateMatchReason,
+  filterDealsByProximity
+} = require('../utils/DealMatcher');
+const { normalizeText, stem, tokenize, productKey } = require('../utils/textNormalizer');
+const { User, Deal, DealMatchFeedback } = require('../models');
+const resolvers = require('../resolvers');
+
+const deal = (productName, extra = {}) => ({ productName, salePrice: 2.99, ...extra });
+const item = (itemName, itemVariant = null) => ({ itemName, itemVariant });
+
+describe('Deal Matcher', () => {
+  describe('Text Normalization', () => {
+    test('should fold hyphens and ampersands', () => {
+      expect(normalizeText('Coca-Cola & Sprite')).toBe('coca cola and sprite');
+    });
+
+    test('should keep percentages and decimals', () => {
+      expect(normalizeText('Milk 2% 1.5 Gal.')).toBe('milk 2% 1.5 gal');
+    });
+
+    test('should fold plurals to the same stem as singulars', () => {
+      expect(stem('eggs')).toBe(stem('egg'));
+      expect(stem('berries')).toBe(stem('berry'));
+      expect(stem('cookies')).toBe(stem('cookie'));
+      expect(stem('tomatoes')).toBe(stem('tomato'));
+      expect(stem('peaches')).toBe(stem('peach'));
+      expect(stem('loaves')).toBe('loaf');
+    });
+
+    test('should not strip words ending in ss/us/is', () => {
+      expect(stem('swiss')).toBe('swiss');
+      expect(stem('hummus')).toBe('hummus');
+    });
+
+    test('should leave tokens containing digits alone', () => {
+      expect(tokenize('Coke 12pk')).toEqual(['coke', '12pk']);
+    });
+
+    test('should drop pack sizes from product keys', () => {
+      expect(productKey('Eggland\'s Best Large Eggs 12 ct')).toBe(productKey('Eggland\'s Best Large Eggs, 18ct'));
+    });
+  });
+
+  describe('Name Matching', () => {
+    test('should match plural list item to singular deal', () => {
+      expect(calculateMatchScore(deal('Large Grade A Egg'), item('Eggs'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+    });
+
+    test('should match on whole words only', () => {
+      expect(calculateMatchScore(deal('Fresh Eggplant'), item('Egg'))).toBe(0);
+    });
+
+    test('should match soda to a specific brand of soda', () => {
+      expect(calculateMatchScore(deal('Coca-Cola 12pk', { productBrand: 'Coca-Cola' }), item('Soda'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+    });
+
+    test('should match synonyms of the list item', () => {
+      expect(calculateMatchScore(deal('Angel Soft Bath Tissue 12 Rolls'), item('Toilet Paper'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+    });
+
+    test('should match a general item to a kind of that item', () => {
+      expect(calculateMatchScore(deal('Atlantic Salmon Fillets'), item('Fish'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+      expect(calculateMatchScore(deal('Driscoll Strawberries 1 lb'), item('Berries'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+    });
+
+    test('should not match a specific item to a different specific item', () => {
+      expect(calculateMatchScore(deal('Pepsi 12pk'), item('Coca-Cola'))).toBe(0);
+    });
+
+    test('should match unknown multi-word items when all words appear', () => {
+      expect(calculateMatchScore(deal('Ben Greek Style Plain Yogurt'), item('Greek Style Yogurt'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+    });
+  });
+
+  describe('Negative Phrases and Brands', () => {
+    test('should not match "Chicken of the Sea" tuna to chicken', () => {
+      expect(calculateMatchScore(deal('Chicken of the Sea Tuna'), item('Chicken'))).toBe(0);
+    });
+
+    test('should ignore the brand when matching the item name', () => {
+      const tuna = deal('Chicken of the Sea Chunk Light', { productBrand: 'Chicken of the Sea' });
+      expect(calculateMatchScore(tuna, item('Chicken'))).toBe(0);
+    });
+
+    test('should still match the brand when the shopper typed it', () => {
+      const tuna = deal('Chicken of the Sea Chunk Light', { productBrand: 'Chicken of the Sea' });
+      expect(calculateMatchScore(tuna, item('Chicken of the Sea'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+    });
+
+    test('should not match peanut butter to butter', () => {
+      expect(calculateMatchScore(deal('Jif Peanut Butter 16oz'), item('Butter'))).toBe(0);
+    });
+
+    test('should match peanut butter when the shopper asked for it', () => {
+      expect(calculateMatchScore(deal('Jif Peanut Butter 16oz'), item('Peanut Butter'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+    });
+
+    test('should still match real chicken', () => {
+      expect(calculateMatchScore(deal('Perdue Chicken Breasts'), item('Chicken'))).toBeGreaterThanOrEqual(DEFAULT_MIN_MATCH_SCORE);
+    });
+  });
+
+  describe('Variant Matching', () => {
+    test('should score higher when name and variant match', () => {
+      const breast = calculateMatchScore(deal('Perdue Boneless Chicken Breast'), item('Chicken', 'Breast'));
+      const plain = calculateMatchScore(deal('Perdue Boneless Chicken Breast'), item('Chicken'));
+      expect(breast).toBeGreaterThan(plain);
+    });
+
+    test('should score below the default threshold when the variant is missing', () => {
+      const score = calculateMatchScore(deal('Perdue Chicken Thighs'), item('Chicken', 'Breast'));
+      expect(score).toBeGreaterThan(0);
+      expect(score).toBeLessThan(DEFAULT_MIN_MATCH_SCORE);
+    });
+
+    test('should match variant synonyms', () => {
+      const { breakdown } = scoreMatch(deal('Horizon Reduced Fat Milk'), item('Milk', '2%'));
+      expect(breakdown.variantMatch).toBe(1);
+    });
+
+    test('should treat "Any" as no variant', () => {
+      const { breakdown } = scoreMatch(deal('Whole Milk Gallon'), item('Milk', 'Any'));
+      expect(breakdown.variantMatch).toBeNull();
+    });
+  });
+
+  describe('Match Reasons and Ranking', () => {
+    test('should name the specific product in the reason', () => {
+      const coke = deal('Coca-Cola 12pk');
+      const soda = item('Soda');
+      expect(generateMatchReason(coke, soda, calculateMatchScore(coke, soda))).toBe('Matches "Soda" via "coca cola"');
+    });
+
+    test('should leave negative-phrase deals out of the matches', () => {
+      const matches = matchDealsToListItem(item('Eggs'), [
+        deal('Eggland Best Large Eggs'),
+        deal('Egg Noodles'),
+        deal('Organic Brown Eggs')
+      ]);
+
+      expect(matches.map(m => m.deal.productName).sort()).toEqual([
+        'Eggland Best Large Eggs',
+        'Organic Brown Eggs'
+      ]);
+    });
+  });
+
+  describe('Graded Scores', () => {
+    test('should rank exact names above synonyms above specific products', () => {
+      const exact = scoreMatch(deal('Soda 12pk'), item('Soda'));
+      const synonym = scoreMatch(deal('Soft Drink 12pk'), item('Soda'));
+      const specific = scoreMatch(deal('Pepsi 12pk'), item('Soda'));
+
+      expect(exact.breakdown.matchType).toBe('EXACT');
+      expect(synonym.breakdown.matchType).toBe('SYNONYM');
+      expect(specific.breakdown.matchType).toBe('SPECIFIC_PRODUCT');
+      expect(exact.breakdown.nameMatch).toBeGreaterThan(synonym.breakdown.nameMatch);
+      expect(synonym.breakdown.nameMatch).toBeGreaterThan(specific.breakdown.nameMatch);
+    });
+
+    test('should report token overlap against the deal\'s descriptive words', () => {
+      expect(scoreMatch(deal('Eggs'), item('Eggs')).breakdown.tokenOverlap).toBe(1);
+      expect(scoreMatch(deal('Organic Brown Eggs 12 ct'), item('Eggs')).breakdown.tokenOverlap).toBe(0.33);
+    });
+
+    test('should reward category agreement', () => {
+      const dairy = calculateMatchScore(deal('Whole Milk', { productCategory: 'Dairy' }), item('Milk'));
+      const unknown = calculateMatchScore(deal('Whole Milk'), item('Milk'));
+      const bakery = calculateMatchScore(deal('Whole Milk', { productCategory: 'Bakery' }), item('Milk'));
+
+      expect(dairy).toBeGreaterThan(unknown);
+      expect(unknown).toBeGreaterThan(bakery);
+    });
+
+    test('should reward preferred brands', () => {
+      const perdue = deal('Perdue Chicken Breast', { productBrand: 'Perdue' });
+      const tyson = deal('Tyson Chicken Breast', { productBrand: 'Tyson' });
+      const options = { preferredBrands: ['Perdue'] };
+
+      expect(scoreMatch(perdue, item('Chicken'), options).breakdown.brandPreference).toBe(1);
+      expect(calculateMatchScore(perdue, item('Chicken'), options))
+        .toBeGreaterThan(calculateMatchScore(tyson, item('Chicken'), options));
+    });
+
+    test('should factor in OCR confidence', () => {
+      const sure = calculateMatchScore(deal('Whole Milk', { confidence: 0.95 }), item('Milk'));
+      const unsure = calculateMatchScore(deal('Whole Milk', { confidence: 0.2 }), item('Milk'));
+      expect(sure).toBeGreaterThan(unsure);
+    });
+
+    test('should keep scores between 0 and 1', () => {
+      const best = deal('Milk 2%', { productCategory: 'Dairy', productBrand: 'Horizon', confidence: 1 });
+      const score = calculateMatchScore(best, item('Milk', '2%'), { preferredBrands: ['Horizon'] });
+      expect(score).toBe(1);
+    });
+
+    test('should return no breakdown when the name doesn\'t match', () => {
+      expect(scoreMatch(deal('Pepsi 12pk'), item('Milk'))).toEqual({ score: 0, breakdown: null });
+    });
+
+    test('should honor a custom minimum score', () => {
+      const deals = [deal('Perdue Chicken Breast'), deal('Perdue Chicken Thighs')];
+
+      expect(matchDealsToListItem(item('Chicken', 'Breast'), deals)).toHaveLength(1);
+      expect(matchDealsToListItem(item('Chicken', 'Breast'), deals, { minScore: 0.1 })).toHaveLength(2);
+    });
+  });
+
+  describe('User Feedback', () => {
+    // Feedback is recorded against one week's deal and applied to the next
+    const feedbackFor = (decision, listItem, recordedDeal) => ({
+      itemKey: getItemKey(listItem),
+      ...getProductKeys(recordedDeal),
+      decision,
+      updatedAt: new Date()
+    });
+
+    test('should suppress a rejected product in later flyers', () => {
+      const chicken = item('Chicken');
+      const feedback = [feedbackFor('rejected', chicken, deal('Tyson Chicken Thighs 3 lb', { productBrand: 'Tyson' }))];
+
+      const nextWeek = deal('Tyson Chicken Thighs 5 lb', { productBrand: 'Tyson' });
+      expect(calculateMatchScore(nextWeek, chicken, { feedback })).toBe(0);
+      expect(calculateMatchScore(deal('Perdue Chicken Thighs'), chicken, { feedback })).toBeGreaterThan(0);
+    });
+
+    test('should boost an accepted product', () => {
+      const chicken = item('Chicken');
+      const feedback = [feedbackFor('accepted', chicken, deal('Perdue Chicken Breast 2 lb'))];
+      const nextWeek = deal('Perdue Chicken Breast 3 lb');
+
+      const boosted = scoreMatch(nextWeek, chicken, { feedback });
+      expect(boosted.score).toBeGreaterThan(calculateMatchScore(nextWeek, chicken));
+      expect(boosted.breakdown.userFeedback).toBe('ACCEPTED');
+      expect(generateMatchReason(nextWeek, chicken, boosted.score, { feedback })).toContain('you picked this before');
+    });
+
+    test('should only apply feedback to the list item it was given for', () => {
+      const feedback = [feedbackFor('rejected', item('Chicken'), deal('Perdue Chicken Breast'))];
+      expect(calculateMatchScore(deal('Perdue Chicken Breast'), item('Chicken', 'Breast'), { feedback })).toBeGreaterThan(0);
+    });
+
+    test('should not apply feedback to a different brand of the same product', () => {
+      const chicken = item('Chicken');
+      const feedback = [feedbackFor('rejected', chicken, deal('Chicken Breast', { productBrand: 'Tyson' }))];
+      expect(calculateMatchScore(deal('Chicken Breast', { productBrand: 'Perdue' }), chicken, { feedback })).toBeGreaterThan(0);
+    });
+  });
+
+  describe('Proximity', () => {
+    const bronxUser = { zipCode: '10473', latitude: null, longitude: null };
+    const atlantaStore = { latitude: 33.9237, longitude: -84.8408 };
+
+    test('should keep deals within the radius', () => {
+      const deals = [
+        deal('Milk', { zipCode: '10473' }),
+        deal('Eggs', { zipCode: '10473', flyer: { store: atlantaStore } })
+      ];
+
+      expect(filterDealsByProximity(deals, bronxUser, 10).map(d => d.productName)).toEqual(['Milk']);
+    });
+
+    test('should prefer user coordinates over their ZIP', () => {
+      const atlantaUser = { zipCode: '10473', latitude: 33.92, longitude: -84.84 };
+      const deals = [deal('Eggs', { zipCode: '10473', flyer: { store: atlantaStore } })];
+
+      expect(filterDealsByProximity(deals, atlantaUser, 10)).toHaveLength(1);
+    });
+
+    test('should keep everything when the user cannot be located', () => {
+      const deals = [deal('Eggs', { flyer: { store: atlantaStore } })];
+
+      expect(filterDealsByProximity(deals, { zipCode: null }, 10)).toHaveLength(1);
+    });
+  });
+
+  describe('UserListItem.matchingDeals', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should load deals and feedback once for every item on a list', async () => {
+      const findUser = jest.spyOn(User, 'findByPk').mockResolvedValue({ userId: 'user-1', zipCode: '07001' });
+      const findDeals = jest.spyOn(Deal, 'findAll').mockResolvedValue([
+        { get: () => deal('Horizon Whole Milk', { id: 'deal-1', regularPrice: 4.99 }) },
+        { get: () => deal('Large Brown Eggs', { id: 'deal-2' }) }
+      ]);
+      const findFeedback = jest.spyOn(DealMatchFeedback, 'findAll').mockResolvedValue([]);
+      const context = { user: { userId: 'user-1' } };
+      const { matchingDeals } = resolvers.UserListItem;
+
+      const [milk, eggs, bread] = await Promise.all([
+        matchingDeals({ ...item('Milk'), userId: 'user-1' }, {}, context),
+        matchingDeals({ ...item('Eggs'), userId: 'user-1' }, {}, context),
+        matchingDeals({ ...item('Bread'), userId: 'user-1' }, {}, context)
+      ]);
+
+      expect(milk.map(d => d.id)).toEqual(['deal-1']);
+      expect(milk[0].savings).toBe(2);
+      expect(eggs.map(d => d.id)).toEqual(['deal-2']);
+      expect(bread).toEqual([]);
+      expect(findUser).toHaveBeenCalledTimes(1);
+      expect(findDeals).toHaveBeenCalledTimes(1);
+      expect(findFeedback).toHaveBeenCalledTimes(1);
+    });
+  });
+});
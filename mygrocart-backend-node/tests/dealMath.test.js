@@ -7,13 +7,19 @@
  * - BOGO deal calculations
  * - Total cost calculations
  * - Edge cases and error handling
+ * - Choosing each store's deal by the cost of the list quantity (database calls are stubbed)
  *
  * Based on current implementation in:
- * - resolvers/index.js (savingsPercent calculation)
+ * - resolvers/index.js (savingsPercent calculation, getStoreDealsRanking)
  * - services/FlyerService.js (multi-buy parsing)
  * - models/Deal.js (validation)
+ * - utils/dealCalculator.js (quantity-aware deal cost)
  */
 
+const { calculateDealCost } = require('../utils/dealCalculator');
+const { User, Deal, DealMatchFeedback, ShoppingList, UserListItem } = require('../models');
+const resolvers = require('../resolvers');
+
 describe('Deal Math Logic', () => {
   describe('Savings Percentage Calculation', () => {
     /**
@@ -476,6 +482,84 @@ describe('Deal Math Logic', () => {
     });
   });
 
+  describe('Quantity-Aware Deal Cost', () => {
+    const soup = { dealType: 'multi_buy', quantity: '2 for $5', salePrice: '5.00', regularPrice: '3.49' };
+
+    test('should price complete multi-buy sets at the deal price', () => {
+      const result = calculateDealCost(soup, 4);
+
+      expect(result.totalCost).toBe(10);
+      expect(result.savings).toBe(3.96);
+      expect(result.dealApplied).toBe(true);
+      expect(result.additionalQuantityNeeded).toBe(0);
+      expect(result.explanation).toBe('2 × (2 for $5.00) = $10.00');
+    });
+
+    test('should charge regular price below the multi-buy minimum', () => {
+      const result = calculateDealCost(soup, 1);
+
+      expect(result.totalCost).toBe(3.49);
+      expect(result.dealApplied).toBe(false);
+      expect(result.additionalQuantityNeeded).toBe(1);
+      expect(result.explanation).toBe('1 × $3.49 = $3.49 (need 2 for full deal)');
+    });
+
+    test('should flag the items needed to complete the next set', () => {
+      const result = calculateDealCost({ ...soup, quantity: '3 for $10' }, 4);
+
+      expect(result.totalCost).toBe(13.49);
+      expect(result.dealApplied).toBe(true);
+      expect(result.additionalQuantityNeeded).toBe(2);
+    });
+
+    test('should apply BOGO to the user quantity', () => {
+      const result = calculateDealCost({ dealType: 'bogo', salePrice: '4.99', regularPrice: '4.99' }, 3);
+
+      expect(result.totalCost).toBe(9.98);
+      expect(result.savings).toBe(4.99);
+      expect(result.explanation).toBe('Buy 2, get 1 free = $9.98');
+    });
+
+    test('should accept prices stored as strings for simple sales', () => {
+      const result = calculateDealCost({ dealType: 'sale', salePrice: '3.99', regularPrice: null }, 2);
+
+      expect(result.totalCost).toBe(7.98);
+      expect(result.savings).toBe(0);
+      expect(result.explanation).toBe('2 × $3.99 = $7.98');
+    });
+  });
+
+  describe('Store Deal Rankings', () => {
+    const dealRecord = values => ({ get: () => ({ storeName: 'ShopRite', regularPrice: null, ...values }) });
+    const yogurt = { id: 'item-1', itemName: 'Yogurt', itemVariant: null, quantity: 2 };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should pick the deal that costs least for the quantity on the list', async () => {
+      jest.spyOn(User, 'findByPk').mockResolvedValue({ userId: 'user-1', zipCode: '07001' });
+      jest.spyOn(ShoppingList, 'findByPk').mockResolvedValue({ id: 'list-1', userId: 'user-1' });
+      jest.spyOn(UserListItem, 'update').mockResolvedValue([0]);
+      jest.spyOn(UserListItem, 'findAll').mockResolvedValue([{ ...yogurt, get: () => yogurt }]);
+      jest.spyOn(DealMatchFeedback, 'findAll').mockResolvedValue([]);
+      // The single has the lower $/oz, but two of them cost $5.98 against $5.00
+      jest.spyOn(Deal, 'findAll').mockResolvedValue([
+        dealRecord({ productName: 'Chobani Greek Yogurt 32 oz', salePrice: '2.99', dealType: 'sale', quantity: null }),
+        dealRecord({ productName: 'Chobani Greek Yogurt 24 oz', salePrice: '5.00', dealType: 'multi_buy', quantity: '2 for $5' })
+      ]);
+
+      const result = await resolvers.Query.getStoreDealsRanking(
+        null, { userId: 'user-1', listId: 'list-1' }, { user: { userId: 'user-1' } }
+      );
+
+      const [shopRite] = result.rankings;
+      expect(shopRite.totalCost).toBe(5);
+      expect(shopRite.deals[0].dealProductName).toBe('Chobani Greek Yogurt 24 oz');
+      expect(shopRite.deals[0].isBestPrice).toBe(true);
+    });
+  });
+
   describe('Price Validation Edge Cases', () => {
     /**
      * From models/Deal.js validation:
@@ -0,0 +1,174 @@
+/**
+ * Deal Review Test Suite
+ *
+ * Tests for flagging deals for the admin review queue:
+ * - Low OCR confidence (OCR deals only)
+ * - Sale price at or above the regular price
+ * - Price outliers against past weeks
+ * - The same deal twice in one flyer
+ * - Merging duplicates
+ * - Admin price corrections (database calls are stubbed)
+ *
+ * Based on current implementation in:
+ * - utils/dealReview.js
+ * - resolvers/index.js (adminUpdateDeal)
+ */
+
+const { toPriceHistoryRow } = require('../utils/priceHistory');
+const { Deal, DealPriceHistory } = require('../models');
+const resolvers = require('../resolvers');
+const {
+  REVIEW_CONFIDENCE_THRESHOLD,
+  getReviewThreshold,
+  getPriceRatio,
+  getReviewReasons,
+  annotateReview,
+  getMergedFields
+} = require('../utils/dealReview');
+
+describe('Deal Review', () => {
+  const now = new Date('2025-06-01T12:00:00Z');
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  const deal = (salePrice, validFrom = '2025-05-25', overrides = {}) => ({
+    flyerId: 'flyer-1',
+    productName: 'Tropicana Orange Juice 52 oz',
+    storeName: 'ShopRite',
+    zipCode: '07001',
+    salePrice,
+    unit: 'each',
+    validFrom: new Date(validFrom),
+    ...overrides
+  });
+
+  // Past weeks at $4.99, $3.99 and $4.49
+  const history = [
+    deal(4.99, '2025-05-04'),
+    deal(3.99, '2025-05-11'),
+    deal(4.49, '2025-05-18')
+  ].map(toPriceHistoryRow);
+
+  describe('getReviewThreshold', () => {
+    test('should default and allow an override', () => {
+      delete process.env.DEAL_REVIEW_CONFIDENCE;
+      expect(getReviewThreshold()).toBe(REVIEW_CONFIDENCE_THRESHOLD);
+
+      process.env.DEAL_REVIEW_CONFIDENCE = '0.8';
+      expect(getReviewThreshold()).toBe(0.8);
+    });
+  });
+
+  describe('getPriceRatio', () => {
+    test('should compare to the median past price', () => {
+      expect(getPriceRatio(deal(8.98), history, now)).toBeCloseTo(2);
+    });
+
+    test('should need enough past weeks', () => {
+      expect(getPriceRatio(deal(44.9), history.slice(0, 2), now)).toBeNull();
+    });
+  });
+
+  describe('getReviewReasons', () => {
+    test('should pass a plausible deal', () => {
+      expect(getReviewReasons(
+        deal(3.99, '2025-05-25', { regularPrice: 4.99, confidence: 0.9, fieldConfidence: {} }),
+        { history, now }
+      )).toEqual([]);
+    });
+
+    test('should flag low OCR confidence only for OCR deals', () => {
+      expect(getReviewReasons(deal(3.99, '2025-05-25', { confidence: 0.42, fieldConfidence: {} }), { now }))
+        .toEqual(['Low OCR confidence (42%)']);
+      // Store data has no field confidence
+      expect(getReviewReasons(deal(3.99, '2025-05-25', { confidence: 0 }), { now })).toEqual([]);
+    });
+
+    test('should flag a sale price that is not below the regular price', () => {
+      expect(getReviewReasons(deal(4.99, '2025-05-25', { regularPrice: '4.99' }), { now }))
+        .toEqual(['Sale price $4.99 is not below the regular price $4.99']);
+    });
+
+    test('should flag prices far from the usual price', () => {
+      expect(getReviewReasons(deal(44.9), { history, now })).toEqual(['Price is 10.0x the usual price at ShopRite']);
+      expect(getReviewReasons(deal(0.45), { history, now })).toEqual(['Price is 10% of the usual price at ShopRite']);
+    });
+
+    test('should flag a deal that appears more than once', () => {
+      expect(getReviewReasons(deal(3.99), { copies: 2, now })).toEqual(['Appears 2 times in this flyer']);
+    });
+  });
+
+  describe('annotateReview', () => {
+    test('should flag deals against loaded history and count copies per flyer', async () => {
+      const findAll = jest.fn().mockResolvedValue(history);
+      const annotated = await annotateReview({ findAll }, [
+        deal(3.99),
+        deal(3.99),
+        deal(3.99, '2025-05-25', { flyerId: 'flyer-2' }),
+        deal(44.9, '2025-05-25', { flyerId: 'flyer-2' })
+      ], { now });
+
+      expect(findAll).toHaveBeenCalledTimes(1);
+      expect(annotated.map(row => row.needsReview)).toEqual([true, true, false, true]);
+      expect(annotated[0].reviewReasons).toEqual(['Appears 2 times in this flyer']);
+      expect(annotated[2].reviewReasons).toBeNull();
+    });
+  });
+
+  describe('getMergedFields', () => {
+    test('should fill missing fields from duplicates', () => {
+      const keep = deal(3.99, '2025-05-25', { productBrand: null, regularPrice: null, imageUrl: 'keep.jpg' });
+      const duplicates = [
+        deal(3.99, '2025-05-25', { productBrand: 'Tropicana', imageUrl: 'other.jpg' }),
+        deal(3.99, '2025-05-25', { regularPrice: 4.99 })
+      ];
+
+      expect(getMergedFields(keep, duplicates)).toEqual({ productBrand: 'Tropicana', regularPrice: 4.99 });
+    });
+
+    test('should not take a regular price at or under the sale price', () => {
+      expect(getMergedFields(deal(3.99), [deal(2.99, '2025-05-25', { regularPrice: 3.5 })])).toEqual({});
+    });
+  });
+
+  describe('adminUpdateDeal', () => {
+    const admin = { userId: 'admin-1', isAdmin: true };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should recompute unit price and stock-up fields for a corrected price', async () => {
+      // Misread as $9.99; really $3.99, the 52-week low of the last few weeks
+      const weeksAgo = weeks => new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000);
+      const recentHistory = [[4.99, 3], [3.99, 2], [4.49, 1]]
+        .map(([price, weeks]) => toPriceHistoryRow(deal(price, weeksAgo(weeks))));
+      let saved = { id: 'deal-1', ...deal(9.99, weeksAgo(0)), validTo: weeksAgo(-1), createdAt: weeksAgo(0), isStockUp: false, low52WeekPrice: null };
+      const record = {
+        get: () => saved,
+        update: jest.fn(async values => { saved = { ...saved, ...values }; })
+      };
+      jest.spyOn(Deal, 'findByPk').mockResolvedValue(record);
+      jest.spyOn(DealPriceHistory, 'destroy').mockResolvedValue(1);
+      const findHistory = jest.spyOn(DealPriceHistory, 'findAll').mockResolvedValue(recentHistory);
+      jest.spyOn(DealPriceHistory, 'bulkCreate').mockResolvedValue([]);
+
+      const result = await resolvers.Mutation.adminUpdateDeal(null, { dealId: 'deal-1', salePrice: 3.99 }, { user: admin });
+
+      expect(findHistory).toHaveBeenCalledTimes(1);
+      expect(record.update).toHaveBeenCalledWith(expect.objectContaining({
+        salePrice: 3.99,
+        unitPrice: 0.0767,
+        unitPriceUnit: 'oz',
+        isStockUp: true,
+        low52WeekPrice: 3.99,
+        needsReview: false
+      }));
+      expect(result.isStockUp).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Flyer Admin Test Suite
+ *
+ * Tests for single-flyer admin actions (database calls are stubbed):
+ * - Re-reading one flyer while keeping its identity
+ * - Refusing to OCR flyers whose deals come from store data
+ * - Queueing reprocess jobs on the flyer queue without releasing their ZIP
+ * - Editing flyer metadata and carrying it to the deals
+ * - Deleting one flyer and keeping its prices
+ *
+ * Based on current implementation in:
+ * - services/FlyerService.js
+ * - services/FlyerQueue.js
+ * - resolvers/index.js (Mutation.triggerFlyerReprocess)
+ */
+
+const { Flyer, Deal, DealPriceHistory, AdminAuditLog } = require('../models');
+const { sequelize } = require('../config/database');
+const FlyerService = require('../services/FlyerService');
+const flyerQueue = require('../services/FlyerQueue');
+const resolvers = require('../resolvers');
+
+describe('Flyer Admin', () => {
+  let flyerService;
+  let transaction;
+
+  const fakeFlyer = (overrides = {}) => {
+    const flyer = {
+      id: 'flyer-1',
+      flyerRunId: 'kroger-30132-2025-06-01',
+      storeName: 'Kroger',
+      storeSlug: 'kroger',
+      flyerName: 'Weekly Ad',
+      zipCode: '30132',
+      validFrom: new Date('2025-06-01T00:00:00Z'),
+      validTo: new Date('2025-06-07T00:00:00Z'),
+      imageUrls: ['page1.jpg', 'page2.jpg'],
+      status: 'completed',
+      dealSource: 'ocr',
+      ...overrides
+    };
+    flyer.update = jest.fn(async (fields) => Object.assign(flyer, fields));
+    flyer.destroy = jest.fn().mockResolvedValue();
+    flyer.get = () => ({ ...flyer });
+    return flyer;
+  };
+
+  beforeEach(() => {
+    flyerService = new FlyerService();
+    transaction = { commit: jest.fn().mockResolvedValue(), rollback: jest.fn().mockResolvedValue() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    jest.spyOn(Deal, 'destroy').mockResolvedValue(2);
+    jest.spyOn(Deal, 'update').mockResolvedValue([2]);
+    jest.spyOn(DealPriceHistory, 'destroy').mockResolvedValue(2);
+    jest.spyOn(DealPriceHistory, 'bulkCreate').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reprocessFlyer', () => {
+    test('should replace the deals and keep the flyer', async () => {
+      const flyer = fakeFlyer();
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(flyer);
+      jest.spyOn(Deal, 'findAll').mockResolvedValue([{ id: 'old-1' }, { id: 'old-2' }]);
+      const newDeals = [{ productName: 'Whole Milk', salePrice: 3.99 }];
+      jest.spyOn(flyerService, 'extractDealsWithOCR').mockResolvedValue(newDeals);
+      jest.spyOn(flyerService, 'enrichDealsWithImages').mockImplementation(async deals => deals);
+      const saveDeals = jest.spyOn(flyerService, 'saveDeals').mockResolvedValue([]);
+
+      const result = await flyerService.reprocessFlyer('flyer-1');
+
+      expect(result).toMatchObject({ success: true, previousDealsCount: 2, dealsCount: 1 });
+      expect(flyerService.extractDealsWithOCR).toHaveBeenCalledWith(
+        ['page1.jpg', 'page2.jpg'],
+        { storeSlug: 'kroger', flyerRunId: 'kroger-30132-2025-06-01' }
+      );
+      expect(Deal.destroy).toHaveBeenCalledWith({ where: { flyerId: 'flyer-1' }, transaction });
+      expect(saveDeals).toHaveBeenCalledWith(flyer, newDeals, { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+      expect(flyer.status).toBe('completed');
+      expect(flyer.destroy).not.toHaveBeenCalled();
+    });
+
+    test('should keep the old deals when nothing can be read', async () => {
+      const flyer = fakeFlyer();
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(flyer);
+      jest.spyOn(Deal, 'findAll').mockResolvedValue([{ id: 'old-1' }]);
+      jest.spyOn(flyerService, 'extractDealsWithOCR').mockResolvedValue([]);
+
+      const result = await flyerService.reprocessFlyer('flyer-1');
+
+      expect(result).toMatchObject({ success: false, previousDealsCount: 1, dealsCount: 0 });
+      expect(Deal.destroy).not.toHaveBeenCalled();
+      expect(flyer.status).toBe('completed');
+    });
+
+    test('should fail for a missing flyer', async () => {
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(null);
+
+      await expect(flyerService.reprocessFlyer('missing')).rejects.toThrow('Flyer not found');
+    });
+
+    test('should keep deals read from store data', async () => {
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(fakeFlyer({ dealSource: 'scraper' }));
+      jest.spyOn(flyerService, 'extractDealsWithOCR');
+
+      const result = await flyerService.reprocessFlyer('flyer-1');
+
+      expect(result).toMatchObject({ success: false, dealsCount: 0 });
+      expect(result.message).toContain('refresh ZIP 30132');
+      expect(flyerService.extractDealsWithOCR).not.toHaveBeenCalled();
+      expect(Deal.destroy).not.toHaveBeenCalled();
+    });
+
+    test('should save which source a scraper flyer\'s deals came from', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(Flyer, 'findOne').mockResolvedValue(null);
+      const saveFlyer = jest.spyOn(flyerService, 'saveFlyer').mockResolvedValue({});
+
+      await flyerService.processScraperFlyer({
+        storeName: 'Aldi',
+        storeSlug: 'aldi',
+        zipCode: '30132',
+        validFrom: '2025-06-01',
+        validTo: '2025-06-07',
+        imageUrls: [],
+        preExtractedDeals: [{ productName: 'Whole Milk', salePrice: 2.99 }]
+      });
+
+      expect(saveFlyer).toHaveBeenCalledWith(expect.objectContaining({ dealSource: 'scraper' }), expect.any(Array));
+    });
+  });
+
+  describe('triggerFlyerReprocess', () => {
+    const admin = { userId: 'admin-1', isAdmin: true };
+    const { triggerFlyerReprocess } = resolvers.Mutation;
+
+    let queue;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(AdminAuditLog, 'create').mockResolvedValue({});
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(fakeFlyer({ storeName: 'ShopRite', storeSlug: 'shoprite' }));
+      queue = {
+        getJob: jest.fn().mockResolvedValue(null),
+        add: jest.fn(async (data, options) => ({ id: options.jobId, data }))
+      };
+      flyerQueue.queue = queue;
+      flyerQueue.isInitialized = true;
+    });
+
+    afterEach(() => {
+      flyerQueue.queue = null;
+      flyerQueue.isInitialized = false;
+    });
+
+    test('should queue a job and return its ID', async () => {
+      const result = await triggerFlyerReprocess(null, { flyerId: 'flyer-1' }, { user: admin });
+
+      expect(result).toEqual({ jobId: 'reprocess-flyer-1', status: 'queued', message: expect.any(String) });
+      expect(queue.add).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'flyer-reprocess', flyerId: 'flyer-1', zipCode: '30132' }),
+        expect.objectContaining({ jobId: 'reprocess-flyer-1' })
+      );
+      expect(AdminAuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'flyer.reprocess',
+        details: { jobId: 'reprocess-flyer-1', status: 'queued' }
+      }));
+    });
+
+    test('should not queue a flyer twice', async () => {
+      queue.getJob.mockResolvedValue({ id: 'reprocess-flyer-1', getState: async () => 'waiting' });
+
+      const result = await triggerFlyerReprocess(null, { flyerId: 'flyer-1' }, { user: admin });
+
+      expect(result).toMatchObject({ jobId: 'reprocess-flyer-1', status: 'queued' });
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    test('should refuse flyers with store data deals', async () => {
+      Flyer.findByPk.mockResolvedValue(fakeFlyer({ dealSource: 'scraper' }));
+
+      const result = await triggerFlyerReprocess(null, { flyerId: 'flyer-1' }, { user: admin });
+
+      expect(result.status).toBe('skipped');
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+
+    test('should require an admin', async () => {
+      const result = await triggerFlyerReprocess(null, { flyerId: 'flyer-1' }, { user: { userId: 'user-1' } });
+
+      expect(result).toMatchObject({ status: 'error', message: 'Admin access required' });
+      expect(queue.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('FlyerQueue jobs finishing', () => {
+    afterEach(() => {
+      flyerQueue.processingZips.clear();
+    });
+
+    test('should keep a ZIP busy when a reprocess job for one of its flyers ends', () => {
+      flyerQueue.processingZips.add('30132');
+
+      flyerQueue.finishJob({ id: 'reprocess-flyer-1', data: { type: 'flyer-reprocess', flyerId: 'flyer-1', zipCode: '30132' } }, 'completed', {});
+      flyerQueue.finishJob({ id: 'reprocess-flyer-2', data: { type: 'flyer-reprocess', flyerId: 'flyer-2', zipCode: '30132' } }, 'failed', { error: 'boom' });
+      expect(flyerQueue.isProcessing('30132')).toBe(true);
+
+      flyerQueue.finishJob({ id: 'zip-30132', data: { zipCode: '30132' } }, 'completed', {});
+      expect(flyerQueue.isProcessing('30132')).toBe(false);
+    });
+  });
+
+  describe('updateFlyerMetadata', () => {
+    test('should return only the fields that changed', async () => {
+      const flyer = fakeFlyer();
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(flyer);
+      jest.spyOn(Deal, 'findAll').mockResolvedValue([]);
+
+      const { changes } = await flyerService.updateFlyerMetadata('flyer-1', {
+        flyerName: ' Bonus Savings ',
+        storeName: 'Kroger',
+        validTo: '2025-06-08T00:00:00Z'
+      });
+
+      expect(changes).toEqual({
+        flyerName: { from: 'Weekly Ad', to: 'Bonus Savings' },
+        validTo: { from: '2025-06-07T00:00:00.000Z', to: '2025-06-08T00:00:00.000Z' }
+      });
+      expect(flyer.flyerName).toBe('Bonus Savings');
+      // Deals copy the dates but not the flyer name, and are linked to copies again
+      expect(Deal.update).toHaveBeenCalledWith(
+        { validTo: new Date('2025-06-08T00:00:00Z'), duplicateOfId: null },
+        { where: { flyerId: 'flyer-1' }, transaction }
+      );
+    });
+
+    test('should not touch deals when only the name changes', async () => {
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(fakeFlyer());
+
+      await flyerService.updateFlyerMetadata('flyer-1', { flyerName: 'Bonus Savings' });
+
+      expect(Deal.update).not.toHaveBeenCalled();
+    });
+
+    test('should reject bad values', async () => {
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(fakeFlyer());
+
+      await expect(flyerService.updateFlyerMetadata('flyer-1', { validFrom: 'next week' }))
+        .rejects.toThrow('Invalid validFrom date');
+      await expect(flyerService.updateFlyerMetadata('flyer-1', { validFrom: '2025-06-10' }))
+        .rejects.toThrow('validTo must be on or after validFrom');
+      await expect(flyerService.updateFlyerMetadata('flyer-1', { storeName: '  ' }))
+        .rejects.toThrow('storeName cannot be empty');
+    });
+  });
+
+  describe('deleteFlyer', () => {
+    test('should keep the deal prices and delete the flyer', async () => {
+      const flyer = fakeFlyer();
+      jest.spyOn(Flyer, 'findByPk').mockResolvedValue(flyer);
+      jest.spyOn(Deal, 'findAll').mockResolvedValue([{
+        id: 'deal-1',
+        productName: 'Whole Milk',
+        storeName: 'Kroger',
+        salePrice: 3.99,
+        unit: 'each',
+        validFrom: flyer.validFrom
+      }]);
+
+      const result = await flyerService.deleteFlyer('flyer-1');
+
+      expect(result.deletedDeals).toBe(2);
+      expect(result.flyer.flyerRunId).toBe('kroger-30132-2025-06-01');
+      expect(DealPriceHistory.bulkCreate).toHaveBeenCalledTimes(1);
+      expect(flyer.destroy).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Flyer Hotspots Test Suite
+ *
+ * Tests for placing deals on flyer pages:
+ * - Reading Flipp item positions
+ * - Checking and clamping reported bounding boxes
+ * - Mapping Flipp items onto stitched pages (y measured down from the top)
+ * - Placing the items of a recorded Kroger flyer
+ *
+ * Based on current implementation in:
+ * - utils/flyerHotspots.js
+ * - services/scrapers/KrogerFlyerScraper.js
+ */
+
+
+const {
+  getFlippItemBox,
+  normalizeBoundingBox,
+  getPageRegion,
+  locateFlippDeals
+} = require('../utils/flyerHotspots');
+const { ScraperRegistry } = require('../services/scrapers');
+
+describe('Flyer Hotspots', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Two 1000x2000 pages side by side, as stitchFlyerPerPage reports them
+  const pages = [
+    { left: 0, right: 1000, top: 0, bottom: 2000 },
+    { left: 1000, right: 2000, top: 0, bottom: 2000 }
+  ];
+
+  describe('getFlippItemBox', () => {
+    test('should read the item position', () => {
+      expect(getFlippItemBox({ left: 100, top: 200, width: 250, height: 400 }))
+        .toEqual({ left: 100, top: 200, width: 250, height: 400 });
+    });
+
+    test('should return null without a usable position', () => {
+      expect(getFlippItemBox({ name: 'Banner' })).toBeNull();
+      expect(getFlippItemBox({ left: 100, top: 200, width: 0, height: 400 })).toBeNull();
+    });
+  });
+
+  describe('normalizeBoundingBox', () => {
+    test('should accept an object or an [x, y, width, height] array', () => {
+      const expected = { x: 0.1, y: 0.2, width: 0.3, height: 0.4 };
+      expect(normalizeBoundingBox({ x: 0.1, y: 0.2, width: 0.3, height: 0.4 })).toEqual(expected);
+      expect(normalizeBoundingBox([0.1, 0.2, 0.3, 0.4])).toEqual(expected);
+    });
+
+    test('should clamp to the page', () => {
+      expect(normalizeBoundingBox({ x: -0.1, y: 0.8, width: 0.5, height: 0.5 }))
+        .toEqual({ x: 0, y: 0.8, width: 0.4, height: 0.2 });
+    });
+
+    test('should reject missing, non-numeric and empty boxes', () => {
+      expect(normalizeBoundingBox(null)).toBeNull();
+      expect(normalizeBoundingBox({ x: 'left', y: 0, width: 0.1, height: 0.1 })).toBeNull();
+      expect(normalizeBoundingBox({ x: 1.2, y: 0, width: 0.1, height: 0.1 })).toBeNull();
+    });
+  });
+
+  describe('getPageRegion', () => {
+    test('should place an item on the page holding its center', () => {
+      expect(getPageRegion({ left: 1100, top: 200, width: 250, height: 400 }, pages)).toEqual({
+        pageIndex: 1,
+        boundingBox: { x: 0.1, y: 0.1, width: 0.25, height: 0.2 }
+      });
+    });
+
+    test('should measure y from the top of the page', () => {
+      expect(getPageRegion({ left: 100, top: 1500, width: 250, height: 400 }, pages).boundingBox)
+        .toEqual({ x: 0.1, y: 0.75, width: 0.25, height: 0.2 });
+    });
+
+    test('should return null for items off every page', () => {
+      expect(getPageRegion({ left: 2500, top: 200, width: 250, height: 400 }, pages)).toBeNull();
+    });
+  });
+
+  describe('locateFlippDeals', () => {
+    test('should replace the Flipp box with page and bounding box', () => {
+      const deals = locateFlippDeals([
+        { productName: 'Whole Milk', flippBox: { left: 100, top: 200, width: 250, height: 400 } },
+        { productName: 'Bananas', flippBox: null }
+      ], pages);
+
+      expect(deals).toEqual([
+        { productName: 'Whole Milk', pageIndex: 0, boundingBox: { x: 0.1, y: 0.1, width: 0.25, height: 0.2 } },
+        { productName: 'Bananas', pageIndex: null, boundingBox: null }
+      ]);
+    });
+
+    test('should place the items of the recorded Kroger flyer', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const scraper = new ScraperRegistry.kroger({ httpMode: 'replay' });
+      jest.spyOn(scraper, 'delay').mockResolvedValue();
+      const [flyer] = await scraper.fetchFlyers('30132');
+
+      // The 6144x2560 weekly ad, stitched as three 2048-wide pages
+      const { width, height } = flyer.flippTiles;
+      const krogerPages = [0, 1, 2].map(i => ({ left: i * width / 3, right: (i + 1) * width / 3, top: 0, bottom: height }));
+      const deals = locateFlippDeals(flyer.preExtractedDeals, krogerPages);
+
+      // Eggs sit in the first slot below the banner: 120.5, 240 (610x480)
+      expect(deals.find(deal => deal.productName === 'Kroger Grade A Large Eggs, 12 ct')).toMatchObject({
+        pageIndex: 0,
+        boundingBox: { x: 0.0588, y: 0.0938, width: 0.2979, height: 0.1875 }
+      });
+    });
+
+    test('should leave deals unplaced without stitched pages', () => {
+      const deals = locateFlippDeals([
+        { productName: 'Whole Milk', flippBox: { left: 100, top: 200, width: 250, height: 400 } }
+      ], []);
+
+      expect(deals).toEqual([{ productName: 'Whole Milk', pageIndex: null, boundingBox: null }]);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Geocoder Test Suite
+ *
+ * Tests for offline geocoding of users and stores:
+ * - ZIP-level address lookups
+ * - Filling in missing coordinates
+ * - Re-geocoding when the ZIP code changes
+ *
+ * Based on current implementation in:
+ * - utils/geocoder.js
+ */
+
+const { geocodeAddress, applyZipLocation } = require('../utils/geocoder');
+
+describe('Geocoder', () => {
+  test('should geocode an address by its ZIP code', () => {
+    const location = geocodeAddress({ address: '1994 Bruckner Blvd', city: 'Bronx', state: 'NY', zipCode: '10473' });
+
+    expect(location.latitude).toBeCloseTo(40.82, 1);
+    expect(location.longitude).toBeCloseTo(-73.86, 1);
+  });
+
+  test('should return null for unknown ZIP codes', () => {
+    expect(geocodeAddress({ zipCode: '00000' })).toBeNull();
+    expect(geocodeAddress()).toBeNull();
+  });
+
+  test('should fill in missing coordinates', () => {
+    const store = { zipCode: '10473', latitude: null, longitude: null };
+
+    expect(applyZipLocation(store)).toBe(true);
+    expect(store.latitude).toBeCloseTo(40.82, 1);
+  });
+
+  test('should keep existing coordinates unless forced', () => {
+    const store = { zipCode: '10473', latitude: 40.1, longitude: -74.1 };
+
+    expect(applyZipLocation(store)).toBe(false);
+    expect(store.latitude).toBe(40.1);
+
+    expect(applyZipLocation(store, { force: true })).toBe(true);
+    expect(store.latitude).toBeCloseTo(40.82, 1);
+  });
+
+  test('should clear coordinates when forced to an unknown ZIP', () => {
+    const user = { zipCode: '00000', latitude: 40.1, longitude: -74.1 };
+
+    expect(applyZipLocation(user, { force: true })).toBe(false);
+    expect(user.latitude).toBeNull();
+    expect(user.longitude).toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * List Permissions Test Suite
+ *
+ * Tests for shared shopping list access:
+ * - Owner, editor and viewer roles
+ * - Pending invites granting no access
+ * - Invite email normalization
+ * - Live item updates stopping for removed members (database calls are stubbed)
+ * - Deal match choices on shared lists
+ *
+ * Based on current implementation in:
+ * - utils/listPermissions.js
+ * - resolvers/index.js (listItemChanged subscription, acceptDealMatch)
+ */
+
+const { ShoppingList, ShoppingListMember, UserListItem, Deal, DealMatchFeedback } = require('../models');
+const { pubsub, listItemTopic } = require('../config/pubsub');
+const resolvers = require('../resolvers');
+const { getListRole, hasListRole, normalizeInviteEmail } = require('../utils/listPermissions');
+
+describe('List Permissions', () => {
+  const list = { id: 'list-1', userId: 'owner-1' };
+
+  describe('getListRole', () => {
+    test('should make the list creator the owner', () => {
+      expect(getListRole(list, null, 'owner-1')).toBe('owner');
+    });
+
+    test('should use the role of an accepted member', () => {
+      const editor = { userId: 'user-2', role: 'editor', status: 'accepted' };
+      const viewer = { userId: 'user-3', role: 'viewer', status: 'accepted' };
+
+      expect(getListRole(list, editor, 'user-2')).toBe('editor');
+      expect(getListRole(list, viewer, 'user-3')).toBe('viewer');
+    });
+
+    test('should give no access for pending invites', () => {
+      const pending = { userId: null, role: 'editor', status: 'pending' };
+
+      expect(getListRole(list, pending, 'user-2')).toBeNull();
+    });
+
+    test('should give no access to other users', () => {
+      const member = { userId: 'user-2', role: 'editor', status: 'accepted' };
+
+      expect(getListRole(list, member, 'user-9')).toBeNull();
+      expect(getListRole(list, null, 'user-9')).toBeNull();
+      expect(getListRole(null, null, 'owner-1')).toBeNull();
+    });
+  });
+
+  describe('hasListRole', () => {
+    test('should allow equal or higher roles', () => {
+      expect(hasListRole('owner', 'editor')).toBe(true);
+      expect(hasListRole('editor', 'editor')).toBe(true);
+      expect(hasListRole('editor', 'viewer')).toBe(true);
+    });
+
+    test('should reject lower roles and no access', () => {
+      expect(hasListRole('viewer', 'editor')).toBe(false);
+      expect(hasListRole('editor', 'owner')).toBe(false);
+      expect(hasListRole(null, 'viewer')).toBe(false);
+    });
+  });
+
+  describe('normalizeInviteEmail', () => {
+    test('should trim and lowercase emails', () => {
+      expect(normalizeInviteEmail('  Partner@Example.COM ')).toBe('partner@example.com');
+    });
+
+    test('should reject invalid emails', () => {
+      expect(normalizeInviteEmail('not-an-email')).toBeNull();
+      expect(normalizeInviteEmail('')).toBeNull();
+      expect(normalizeInviteEmail(null)).toBeNull();
+    });
+  });
+
+  describe('listItemChanged', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should stop sending changes to a member removed from the list', async () => {
+      jest.spyOn(ShoppingList, 'findByPk').mockResolvedValue(list);
+      const findMember = jest.spyOn(ShoppingListMember, 'findOne')
+        .mockResolvedValue({ userId: 'user-2', role: 'viewer', status: 'accepted' });
+      const { subscribe } = resolvers.Subscription.listItemChanged;
+      const context = { user: { userId: 'user-2' } };
+
+      const changes = await subscribe(null, { listId: 'list-1' }, context, {});
+      const next = changes.next();
+      await pubsub.publish(listItemTopic('list-1'), { listItemChanged: { action: 'UPDATED' } });
+      expect((await next).value).toEqual({ listItemChanged: { action: 'UPDATED' } });
+
+      findMember.mockResolvedValue(null);
+      const afterRemoval = changes.next();
+      await pubsub.publish(listItemTopic('list-1'), { listItemChanged: { action: 'REMOVED' } });
+      const received = await Promise.race([afterRemoval, new Promise(resolve => setTimeout(() => resolve('nothing'), 50))]);
+      expect(received).toBe('nothing');
+
+      await changes.return();
+    });
+
+    test('should reject users without access when subscribing', async () => {
+      jest.spyOn(ShoppingList, 'findByPk').mockResolvedValue(list);
+      jest.spyOn(ShoppingListMember, 'findOne').mockResolvedValue(null);
+      const { subscribe } = resolvers.Subscription.listItemChanged;
+
+      await expect(subscribe(null, { listId: 'list-1' }, { user: { userId: 'user-9' } }, {}))
+        .rejects.toThrow('Shopping list not found');
+    });
+  });
+
+  describe('acceptDealMatch', () => {
+    const listItem = {
+      id: 'item-1',
+      listId: 'list-1',
+      userId: 'owner-1',
+      get: () => ({ id: 'item-1', listId: 'list-1', itemName: 'Milk', itemVariant: null })
+    };
+    const deal = { get: () => ({ id: 'deal-1', productName: 'Whole Milk', productBrand: 'Horizon' }) };
+
+    beforeEach(() => {
+      jest.spyOn(UserListItem, 'findByPk').mockResolvedValue(listItem);
+      jest.spyOn(ShoppingList, 'findByPk').mockResolvedValue(list);
+      jest.spyOn(Deal, 'findByPk').mockResolvedValue(deal);
+      jest.spyOn(DealMatchFeedback, 'findOne').mockResolvedValue(null);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should let an editor of a shared list choose a match', async () => {
+      jest.spyOn(ShoppingListMember, 'findOne')
+        .mockResolvedValue({ userId: 'user-2', role: 'editor', status: 'accepted' });
+      const create = jest.spyOn(DealMatchFeedback, 'create')
+        .mockImplementation(async values => ({ get: () => values }));
+
+      const feedback = await resolvers.Mutation.acceptDealMatch(
+        null, { listItemId: 'item-1', dealId: 'deal-1' }, { user: { userId: 'user-2' } }
+      );
+
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(feedback).toMatchObject({ userId: 'user-2', decision: 'accepted', dealId: 'deal-1' });
+    });
+
+    test('should not let a viewer choose a match', async () => {
+      jest.spyOn(ShoppingListMember, 'findOne')
+        .mockResolvedValue({ userId: 'user-3', role: 'viewer', status: 'accepted' });
+      const create = jest.spyOn(DealMatchFeedback, 'create');
+
+      await expect(resolvers.Mutation.acceptDealMatch(
+        null, { listItemId: 'item-1', dealId: 'deal-1' }, { user: { userId: 'user-3' } }
+      )).rejects.toThrow('Failed to save your choice');
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * OCR Deals Test Suite
+ *
+ * Tests for turning raw OCR output into Deal fields:
+ * - Schema validation with rejection reasons
+ * - Per-field and overall confidence, including repaired fields
+ * - Plain-text deal parsing (with and without line confidences)
+ * - The minimal JSON Schema validator
+ *
+ * Based on current implementation in:
+ * - utils/ocrDeals.js
+ * - utils/jsonSchema.js
+ */
+
+const {
+  validateOcrDeal,
+  normalizeOcrDeals,
+  parseDealsFromText
+} = require('../utils/ocrDeals');
+const { getSchemaType, validateSchema } = require('../utils/jsonSchema');
+
+describe('OCR Deals', () => {
+  describe('validateOcrDeal', () => {
+    test('should map a clean row to Deal fields at full field confidence', () => {
+      const { deal } = validateOcrDeal(
+        { product_name: 'Whole Milk', brand: 'Horizon', sale_price: 3.99, regular_price: 5.49, deal_type: 'sale', category: 'dairy' },
+        { confidence: 0.6, rawText: 'raw' }
+      );
+
+      expect(deal).toEqual({
+        productName: 'Whole Milk',
+        productBrand: 'Horizon',
+        productCategory: 'dairy',
+        salePrice: 3.99,
+        regularPrice: 5.49,
+        unit: 'each',
+        dealType: 'sale',
+        quantity: null,
+        confidence: 0.6,
+        fieldConfidence: { productName: 1, salePrice: 1, dealType: 1 },
+        rawText: 'raw',
+        boundingBox: null
+      });
+    });
+
+    test('should keep a reported bounding box', () => {
+      const { deal } = validateOcrDeal({
+        product_name: 'Whole Milk',
+        sale_price: 3.99,
+        bounding_box: { x: 0.1, y: 0.2, width: 0.3, height: 0.25 }
+      });
+
+      expect(deal.boundingBox).toEqual({ x: 0.1, y: 0.2, width: 0.3, height: 0.25 });
+    });
+
+    test('should weight the reported field confidences', () => {
+      const { deal } = validateOcrDeal({
+        product_name: 'Eggs',
+        sale_price: 2.49,
+        deal_type: 'BOGO',
+        confidence: { product_name: 0.8, sale_price: 0.6, deal_type: 1 }
+      }, { confidence: 1 });
+
+      expect(deal.dealType).toBe('bogo');
+      expect(deal.fieldConfidence).toEqual({ productName: 0.8, salePrice: 0.6, dealType: 1 });
+      // 0.8 * 0.35 + 0.6 * 0.45 + 1 * 0.2
+      expect(deal.confidence).toBe(0.75);
+    });
+
+    test('should lower confidence for repaired and guessed fields', () => {
+      const { deal } = validateOcrDeal({ product_name: 'Whole Milk', sale_price: '$3.99', regular_price: 2.5 }, { confidence: 1 });
+
+      expect(deal.salePrice).toBe(3.99);
+      // Regular price under the sale price is dropped as a misread
+      expect(deal.regularPrice).toBeNull();
+      expect(deal.dealType).toBe('sale');
+      expect(deal.fieldConfidence).toEqual({ productName: 1, salePrice: 0.59, dealType: 0.8 });
+    });
+
+    test('should price multi-buys per item', () => {
+      const { deal } = validateOcrDeal({ product_name: 'Yogurt', quantity: '10 for $6' });
+
+      expect(deal).toMatchObject({ salePrice: 0.6, dealType: 'multi_buy', quantity: '10 for $6' });
+      expect(deal.fieldConfidence.salePrice).toBe(0.85);
+    });
+
+    test('should reject rows that fail the schema, with reasons', () => {
+      expect(validateOcrDeal({ sale_price: 1.99 }).reasons).toEqual(['product_name is required']);
+      expect(validateOcrDeal({ product_name: 'X', sale_price: 1.99 }).reasons)
+        .toEqual(['product_name must be at least 2 characters']);
+      expect(validateOcrDeal({ product_name: 'Eggs', sale_price: 2, deal_type: 'rebate' }).reasons[0])
+        .toMatch(/^deal_type must be one of sale, bogo/);
+      expect(validateOcrDeal({ product_name: 'Eggs', sale_price: 2, confidence: { sale_price: 3 } }).reasons)
+        .toEqual(['confidence.sale_price must be at most 1']);
+      expect(validateOcrDeal({ product_name: 'No Price' }).reasons).toEqual(['sale_price is required']);
+      expect(validateOcrDeal('Eggs $2').reasons).toEqual(['row must be an object']);
+    });
+
+    test('should reject prices it cannot read or that are out of range', () => {
+      expect(validateOcrDeal({ product_name: 'Eggs', sale_price: 'see store' }).reasons)
+        .toEqual(['sale_price could not be read']);
+      expect(validateOcrDeal({ product_name: 'Misread', sale_price: 99999 }).reasons)
+        .toEqual(['sale_price 99999 is out of range']);
+    });
+  });
+
+  describe('normalizeOcrDeals', () => {
+    test('should split valid deals from rejections', () => {
+      const { deals, rejections } = normalizeOcrDeals([
+        { product_name: 'Yogurt', quantity: '10 for $6' },
+        { product_name: 'No Price' },
+        { product_name: 'Misread', sale_price: 99999 }
+      ]);
+
+      expect(deals.map(deal => deal.productName)).toEqual(['Yogurt']);
+      expect(rejections).toEqual([
+        { row: { product_name: 'No Price' }, reasons: ['sale_price is required'] },
+        { row: { product_name: 'Misread', sale_price: 99999 }, reasons: ['sale_price 99999 is out of range'] }
+      ]);
+    });
+
+    test('should reject a response that is not an array', () => {
+      const { deals, rejections } = normalizeOcrDeals(null, { rawText: 'No deals visible.' });
+
+      expect(deals).toEqual([]);
+      expect(rejections).toEqual([
+        { row: { rawText: 'No deals visible.' }, reasons: ['response is not a JSON array of deals'] }
+      ]);
+    });
+  });
+
+  describe('parseDealsFromText', () => {
+    const text = [
+      'WEEKLY SPECIALS',
+      'Tropicana Orange Juice',
+      '52 oz $3.99',
+      'Reg. $5.49',
+      'Boneless Chicken Breast $1.99/lb',
+      'Yoplait Yogurt 10/$6',
+      'BOGO',
+      'Cheerios Cereal',
+      '$4.49',
+      'Bananas 59¢ /lb'
+    ].join('\n');
+
+    test('should name deals from the same line or the line above', () => {
+      expect(parseDealsFromText(text).map(deal => deal.product_name)).toEqual([
+        'Tropicana Orange Juice 52 oz',
+        'Boneless Chicken Breast',
+        'Yoplait Yogurt',
+        'Cheerios Cereal',
+        'Bananas'
+      ]);
+    });
+
+    test('should read prices, units, regular prices and deal types', () => {
+      const [juice, chicken, yogurt, cereal, bananas] = parseDealsFromText(text);
+
+      expect(juice).toMatchObject({ sale_price: 3.99, regular_price: 5.49, deal_type: 'sale' });
+      expect(chicken).toMatchObject({ sale_price: 1.99, unit: 'lb' });
+      expect(yogurt).toMatchObject({ quantity: '10 for $6', deal_type: 'multi_buy' });
+      expect(cereal).toMatchObject({ sale_price: 4.49, deal_type: 'bogo' });
+      expect(bananas).toMatchObject({ sale_price: 0.59, unit: 'lb' });
+    });
+
+    test('should take field confidences from the lines each field was read from', () => {
+      const [cereal] = parseDealsFromText([
+        { text: 'BOGO', confidence: 70 },
+        { text: 'Cheerios Cereal', confidence: 90 },
+        { text: '$4.49', confidence: 60 }
+      ]);
+
+      expect(cereal.confidence).toEqual({ product_name: 0.6, sale_price: 0.6, deal_type: 0.7 });
+      expect(validateOcrDeal(cereal).deal.fieldConfidence).toEqual({ productName: 0.6, salePrice: 0.6, dealType: 0.7 });
+    });
+
+    test('should skip prices with no name', () => {
+      expect(parseDealsFromText('$2.00\n$3.00')).toEqual([]);
+    });
+  });
+
+  describe('validateSchema', () => {
+    test('should report JSON Schema types', () => {
+      expect([null, [], 1, 1.5, 'a', {}, true].map(getSchemaType))
+        .toEqual(['null', 'array', 'integer', 'number', 'string', 'object', 'boolean']);
+    });
+
+    test('should validate types, nested properties and items', () => {
+      const schema = {
+        type: 'array',
+        items: { type: 'object', required: ['id'], properties: { id: { type: 'number', minimum: 1 } } }
+      };
+
+      expect(validateSchema([{ id: 1 }, { id: 2.5 }], schema)).toEqual([]);
+      expect(validateSchema([{ id: 0 }, {}], schema)).toEqual(['value[0].id must be at least 1', 'value[1].id is required']);
+      expect(validateSchema('x', schema)).toEqual(['value must be array']);
+    });
+
+    test('should pass anyOf when one option matches', () => {
+      const schema = { anyOf: [{ required: ['a'] }, { required: ['b'] }] };
+
+      expect(validateSchema({ b: 1 }, schema)).toEqual([]);
+      expect(validateSchema({}, schema)).toEqual(['a is required']);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * OCR Providers Test Suite
+ *
+ * Tests for pluggable flyer OCR:
+ * - Provider selection per store and environment
+ * - OpenAI-compatible and Tesseract providers (fake clients)
+ * - FlyerService with an injected fake provider, including rejection logging
+ *
+ * Deal parsing and validation are covered in ocrDeals.test.js.
+ *
+ * Based on current implementation in:
+ * - services/ocr/
+ * - services/FlyerService.js
+ */
+
+const {
+  OpenAIOcrProvider,
+  TesseractOcrProvider,
+  getOcrProvider,
+  getOcrProviderForStore
+} = require('../services/ocr');
+const { parseDealsResponse } = require('../services/ocr/OpenAIOcrProvider');
+const { OcrRejection } = require('../models');
+const FlyerService = require('../services/FlyerService');
+
+// Deterministic provider for pipeline tests
+const fakeProvider = (dealsByImage, overrides = {}) => ({
+  name: 'fake',
+  confidence: 0.75,
+  requestDelayMs: 0,
+  isConfigured: () => true,
+  extractDeals: jest.fn(async (imageUrl) => {
+    if (dealsByImage[imageUrl] instanceof Error) throw dealsByImage[imageUrl];
+    return { deals: dealsByImage[imageUrl] || [], rawText: `text of ${imageUrl}` };
+  }),
+  ...overrides
+});
+
+describe('OCR Providers', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('getOcrProviderForStore', () => {
+    test('should default to the OpenAI-compatible provider', () => {
+      delete process.env.OCR_PROVIDER;
+      delete process.env.OCR_STORE_PROVIDERS;
+
+      expect(getOcrProviderForStore('kroger')).toBeInstanceOf(OpenAIOcrProvider);
+    });
+
+    test('should use OCR_PROVIDER and per-store overrides', () => {
+      process.env.OCR_PROVIDER = 'tesseract';
+      process.env.OCR_STORE_PROVIDERS = 'publix:openai, aldi:tesseract';
+
+      expect(getOcrProviderForStore('Publix')).toBeInstanceOf(OpenAIOcrProvider);
+      expect(getOcrProviderForStore('kroger')).toBeInstanceOf(TesseractOcrProvider);
+      expect(getOcrProviderForStore()).toBeInstanceOf(TesseractOcrProvider);
+    });
+
+    test('should return null for an unknown provider', () => {
+      expect(getOcrProvider('abbyy')).toBeNull();
+    });
+  });
+
+  describe('OpenAIOcrProvider', () => {
+    const clientReturning = (content) => ({
+      chat: { completions: { create: jest.fn().mockResolvedValue({ choices: [{ message: { content } }] }) } }
+    });
+
+    test('should be configured by an API key or a base URL', () => {
+      delete process.env.OPENAI_API_KEY;
+      delete process.env.OCR_API_KEY;
+      delete process.env.OCR_BASE_URL;
+
+      expect(new OpenAIOcrProvider().isConfigured()).toBe(false);
+      expect(new OpenAIOcrProvider({ apiKey: 'sk-test' }).isConfigured()).toBe(true);
+
+      const local = new OpenAIOcrProvider({ baseURL: 'http://localhost:11434/v1' });
+      expect(local.isConfigured()).toBe(true);
+      expect(local.requestDelayMs).toBe(0);
+    });
+
+    test('should send the image to the configured model and ask for a JSON object', async () => {
+      const client = clientReturning('{"deals": [{"product_name": "Whole Milk", "sale_price": 3.99}]}');
+      const provider = new OpenAIOcrProvider({ apiKey: 'sk-test', model: 'llava', client });
+
+      const { deals } = await provider.extractDeals('https://example.com/page1.jpg');
+
+      expect(deals).toEqual([{ product_name: 'Whole Milk', sale_price: 3.99 }]);
+      const request = client.chat.completions.create.mock.calls[0][0];
+      expect(request.model).toBe('llava');
+      expect(request.response_format).toEqual({ type: 'json_object' });
+      expect(request.messages[0].content[1].image_url.url).toBe('https://example.com/page1.jpg');
+    });
+
+    test('should return null deals when the response is not JSON', async () => {
+      const provider = new OpenAIOcrProvider({ apiKey: 'sk-test', client: clientReturning('No deals visible.') });
+
+      expect((await provider.extractDeals('https://example.com/page1.jpg')).deals).toBeNull();
+    });
+
+    test('parseDealsResponse should accept fenced arrays and deal objects', () => {
+      expect(parseDealsResponse('Here are the deals:\n```json\n[{"product_name": "Milk"}]\n```')).toEqual([{ product_name: 'Milk' }]);
+      expect(parseDealsResponse('{"deals": []}')).toEqual([]);
+      expect(parseDealsResponse('')).toBeNull();
+    });
+  });
+
+  describe('TesseractOcrProvider', () => {
+    test('should load tesseract.js', () => {
+      expect(new TesseractOcrProvider().isConfigured()).toBe(true);
+    });
+
+    test('should warn when tesseract.js cannot be loaded', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      jest.isolateModules(() => {
+        jest.doMock('tesseract.js', () => {
+          throw new Error("Cannot find module 'tesseract.js'");
+        });
+        const IsolatedProvider = require('../services/ocr/TesseractOcrProvider');
+
+        expect(new IsolatedProvider().isConfigured()).toBe(false);
+      });
+
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('tesseract.js could not be loaded'));
+      jest.dontMock('tesseract.js');
+      warn.mockRestore();
+    });
+
+    test('should parse deals from recognized text and free the worker', async () => {
+      const worker = {
+        recognize: jest.fn().mockResolvedValue({ data: { text: 'Whole Milk $3.99\n' } }),
+        terminate: jest.fn().mockResolvedValue()
+      };
+      const tesseract = { createWorker: jest.fn().mockResolvedValue(worker) };
+      const provider = new TesseractOcrProvider({ tesseract, lang: 'spa' });
+
+      const { deals, rawText } = await provider.extractDeals('https://example.com/page1.jpg');
+
+      expect(tesseract.createWorker).toHaveBeenCalledWith('spa');
+      expect(deals).toEqual([{ product_name: 'Whole Milk', sale_price: 3.99, deal_type: 'sale' }]);
+      expect(rawText).toBe('Whole Milk $3.99\n');
+      expect(worker.terminate).toHaveBeenCalled();
+    });
+
+    test('should pass line confidences through as field confidences', async () => {
+      const worker = {
+        recognize: jest.fn().mockResolvedValue({
+          data: { text: 'Whole Milk $3.99\n', lines: [{ text: 'Whole Milk $3.99', confidence: 80 }] }
+        }),
+        terminate: jest.fn().mockResolvedValue()
+      };
+      const provider = new TesseractOcrProvider({ tesseract: { createWorker: jest.fn().mockResolvedValue(worker) } });
+
+      const { deals } = await provider.extractDeals('https://example.com/page1.jpg');
+
+      expect(deals[0].confidence).toEqual({ product_name: 0.8, sale_price: 0.8, deal_type: 0.8 });
+    });
+  });
+
+  describe('FlyerService.extractDealsWithOCR', () => {
+    let bulkCreate;
+
+    beforeEach(() => {
+      bulkCreate = jest.spyOn(OcrRejection, 'bulkCreate').mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+      bulkCreate.mockRestore();
+    });
+
+    test('should use an injected provider for every image', async () => {
+      const provider = fakeProvider({
+        'page1.jpg': [{ product_name: 'Whole Milk', sale_price: 3.99, deal_type: 'sale' }],
+        'page2.jpg': [{ product_name: 'Bananas', sale_price: 0.59, unit: 'lb' }]
+      });
+      const flyerService = new FlyerService({ ocrProvider: provider });
+
+      const deals = await flyerService.extractDealsWithOCR(['page1.jpg', 'page2.jpg'], { storeSlug: 'kroger' });
+
+      expect(provider.extractDeals).toHaveBeenCalledTimes(2);
+      expect(deals.map(deal => [deal.productName, deal.salePrice, deal.confidence])).toEqual([
+        ['Whole Milk', 3.99, 0.75],
+        // No deal type - defaulted to "sale" at lower confidence
+        ['Bananas', 0.59, 0.72]
+      ]);
+      expect(deals[0].rawText).toBe('text of page1.jpg');
+      expect(deals[1].flyerImageUrl).toBe('page2.jpg');
+      expect(deals.map(deal => deal.pageIndex)).toEqual([0, 1]);
+      expect(bulkCreate).not.toHaveBeenCalled();
+    });
+
+    test('should log rows that fail validation with their reasons', async () => {
+      const provider = fakeProvider({
+        'page1.jpg': [
+          { product_name: 'Whole Milk', sale_price: 3.99 },
+          { product_name: 'Eggs', sale_price: 2.49, deal_type: 'half_off' },
+          { sale_price: 1.99 }
+        ]
+      });
+      const flyerService = new FlyerService({ ocrProvider: provider });
+
+      const deals = await flyerService.extractDealsWithOCR(['page1.jpg'], { storeSlug: 'kroger', flyerRunId: 12345 });
+
+      expect(deals.map(deal => deal.productName)).toEqual(['Whole Milk']);
+      expect(bulkCreate).toHaveBeenCalledTimes(1);
+      const logged = bulkCreate.mock.calls[0][0];
+      expect(logged).toHaveLength(2);
+      expect(logged[0]).toMatchObject({
+        flyerRunId: '12345',
+        storeSlug: 'kroger',
+        imageUrl: 'page1.jpg',
+        provider: 'fake',
+        row: { product_name: 'Eggs', sale_price: 2.49, deal_type: 'half_off' }
+      });
+      expect(logged[0].reasons[0]).toMatch(/^deal_type must be one of/);
+      expect(logged[1].reasons).toEqual(['product_name is required']);
+    });
+
+    test('should log an unparseable response and keep the flyer going when logging fails', async () => {
+      bulkCreate.mockRejectedValue(new Error('db down'));
+      const provider = fakeProvider({}, {
+        extractDeals: jest.fn(async () => ({ deals: null, rawText: 'garbled' }))
+      });
+      const flyerService = new FlyerService({ ocrProvider: provider });
+
+      expect(await flyerService.extractDealsWithOCR(['page1.jpg'])).toEqual([]);
+      expect(bulkCreate.mock.calls[0][0][0]).toMatchObject({
+        row: { rawText: 'garbled' },
+        reasons: ['response is not a JSON array of deals']
+      });
+    });
+
+    test('should keep going when one image fails', async () => {
+      const provider = fakeProvider({
+        'page1.jpg': new Error('timeout'),
+        'page2.jpg': [{ product_name: 'Bananas', sale_price: 0.59 }]
+      });
+      const flyerService = new FlyerService({ ocrProvider: provider });
+
+      const deals = await flyerService.extractDealsWithOCR(['page1.jpg', 'page2.jpg']);
+
+      expect(deals.map(deal => deal.productName)).toEqual(['Bananas']);
+    });
+
+    test('should skip OCR when the provider is not configured', async () => {
+      const provider = fakeProvider({}, { isConfigured: () => false });
+      const flyerService = new FlyerService({ ocrProvider: provider });
+
+      expect(await flyerService.extractDealsWithOCR(['page1.jpg'])).toEqual([]);
+      expect(provider.extractDeals).not.toHaveBeenCalled();
+    });
+  });
+});
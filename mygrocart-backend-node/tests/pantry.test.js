@@ -0,0 +1,163 @@
+/**
+ * Pantry Test Suite
+ *
+ * Tests for pantry inventory:
+ * - Shelf life and expiry dates
+ * - Running low / expiring status
+ * - Adding checked-off list items
+ * - Restock suggestions
+ * - Using some up (database calls are stubbed)
+ *
+ * Based on current implementation in:
+ * - utils/pantry.js
+ * - resolvers/index.js (usePantryItem)
+ */
+
+const { PantryItem } = require('../models');
+const resolvers = require('../resolvers');
+
+const {
+  getShelfLifeDays,
+  getExpiresAt,
+  getPantryStatus,
+  getPurchaseUpdate,
+  getRestockSuggestions
+} = require('../utils/pantry');
+
+describe('Pantry', () => {
+  const now = new Date('2025-06-01T12:00:00Z');
+
+  describe('getShelfLifeDays', () => {
+    test('should use the category shelf life', () => {
+      expect(getShelfLifeDays('Dairy')).toBe(10);
+      expect(getShelfLifeDays('Meat')).toBe(4);
+    });
+
+    test('should treat unknown and shelf-stable categories as keeping', () => {
+      expect(getShelfLifeDays('Household')).toBeNull();
+      expect(getShelfLifeDays(null)).toBeNull();
+    });
+  });
+
+  describe('getExpiresAt', () => {
+    test('should add the shelf life to the purchase date', () => {
+      expect(getExpiresAt(now, 10)).toEqual(new Date('2025-06-11T12:00:00Z'));
+    });
+
+    test('should return null without a shelf life', () => {
+      expect(getExpiresAt(now, null)).toBeNull();
+    });
+  });
+
+  describe('getPantryStatus', () => {
+    const item = { quantity: 3, lowStockThreshold: 1, expiresAt: new Date('2025-06-10T12:00:00Z') };
+
+    test('should be ok when stocked and fresh', () => {
+      expect(getPantryStatus(item, now)).toBe('ok');
+    });
+
+    test('should be low below the threshold', () => {
+      expect(getPantryStatus({ ...item, quantity: 1 }, now)).toBe('ok');
+      expect(getPantryStatus({ ...item, quantity: 0 }, now)).toBe('low');
+      expect(getPantryStatus({ ...item, quantity: 1, lowStockThreshold: 2 }, now)).toBe('low');
+    });
+
+    test('should be expiring within two days of expiry', () => {
+      expect(getPantryStatus({ ...item, expiresAt: new Date('2025-06-02T12:00:00Z') }, now)).toBe('expiring');
+    });
+
+    test('should be expired past expiry', () => {
+      expect(getPantryStatus({ ...item, expiresAt: new Date('2025-05-31T12:00:00Z') }, now)).toBe('expired');
+    });
+
+    test('should not call used-up items expired', () => {
+      expect(getPantryStatus({ ...item, quantity: 0, expiresAt: new Date('2025-05-31T12:00:00Z') }, now)).toBe('low');
+    });
+  });
+
+  describe('getPurchaseUpdate', () => {
+    const listItem = { itemName: 'Milk', itemVariant: 'Whole', category: 'Dairy', quantity: 2 };
+
+    test('should create a pantry entry from a checked-off item', () => {
+      const update = getPurchaseUpdate(null, listItem, now);
+
+      expect(update.itemName).toBe('Milk');
+      expect(update.itemKey).toBe('milk whole');
+      expect(update.quantity).toBe(2);
+      expect(update.purchasedAt).toEqual(now);
+      expect(update.shelfLifeDays).toBe(10);
+      expect(update.expiresAt).toEqual(new Date('2025-06-11T12:00:00Z'));
+    });
+
+    test('should add to fresh stock and keep a custom shelf life', () => {
+      const existing = { quantity: 1, lowStockThreshold: 1, shelfLifeDays: 14, expiresAt: new Date('2025-06-05T12:00:00Z') };
+      const update = getPurchaseUpdate(existing, listItem, now);
+
+      expect(update.quantity).toBe(3);
+      expect(update.shelfLifeDays).toBe(14);
+    });
+
+    test('should replace expired stock', () => {
+      const existing = { quantity: 1, lowStockThreshold: 1, shelfLifeDays: 10, expiresAt: new Date('2025-05-30T12:00:00Z') };
+
+      expect(getPurchaseUpdate(existing, listItem, now).quantity).toBe(2);
+    });
+  });
+
+  describe('getRestockSuggestions', () => {
+    const pantryItems = [
+      { itemKey: 'egg', itemName: 'Eggs', quantity: 0, lowStockThreshold: 1, expiresAt: null },
+      { itemKey: 'milk whole', itemName: 'Milk', quantity: 2, lowStockThreshold: 1, expiresAt: new Date('2025-05-31T12:00:00Z') },
+      { itemKey: 'rice', itemName: 'Rice', quantity: 4, lowStockThreshold: 1, expiresAt: null },
+      { itemKey: 'banana', itemName: 'Bananas', quantity: 1, lowStockThreshold: 1, expiresAt: null }
+    ];
+
+    test('should suggest expired before low, and skip stocked items', () => {
+      const suggestions = getRestockSuggestions(pantryItems, [], now);
+
+      // A single banana left isn't low yet
+      expect(suggestions.map(s => s.pantryItem.itemName)).toEqual(['Milk', 'Eggs']);
+      expect(suggestions[0].status).toBe('expired');
+    });
+
+    test('should skip items already on the list', () => {
+      const suggestions = getRestockSuggestions(pantryItems, [{ itemName: 'Eggs' }], now);
+
+      expect(suggestions.map(s => s.pantryItem.itemName)).toEqual(['Milk']);
+    });
+  });
+
+  describe('usePantryItem', () => {
+    const user = { userId: 'user-1' };
+    const usePantryItem = (amount) => resolvers.Mutation.usePantryItem(null, { id: 'pantry-1', amount }, { user });
+
+    const stubItem = (quantity) => {
+      const pantryItem = {
+        quantity,
+        update: jest.fn(async (fields) => Object.assign(pantryItem, fields)),
+        get: () => ({ quantity: pantryItem.quantity })
+      };
+      jest.spyOn(PantryItem, 'findOne').mockResolvedValue(pantryItem);
+      return pantryItem;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should use one by default and never go below zero', async () => {
+      stubItem(2);
+
+      expect(await usePantryItem(null)).toEqual({ quantity: 1 });
+      expect(await usePantryItem(5)).toEqual({ quantity: 0 });
+    });
+
+    test('should reject zero or negative amounts', async () => {
+      const pantryItem = stubItem(2);
+
+      await expect(usePantryItem(0)).rejects.toThrow('Amount must be at least 1');
+      await expect(usePantryItem(-3)).rejects.toThrow('Amount must be at least 1');
+      expect(pantryItem.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,262 @@
+/**
+ * Price History Test Suite
+ *
+ * Tests for stock-up signals from past flyer prices:
+ * - History rows (per-item and unit prices)
+ * - 52-week low detection
+ * - Minimum history and flat prices
+ * - Price trends (weekly series, min/avg/max, sale frequency)
+ * - Price trend search by whole product words (database calls are stubbed)
+ *
+ * Based on current implementation in:
+ * - utils/priceHistory.js
+ * - resolvers/index.js (getDealPriceTrends)
+ */
+
+const {
+  MIN_HISTORY_WEEKS,
+  toPriceHistoryRow,
+  getStockUpSignal,
+  annotateStockUp,
+  recordDealPrices,
+  getWeekOf,
+  summarizePriceTrend
+} = require('../utils/priceHistory');
+const { Op } = require('sequelize');
+const { DealPriceHistory } = require('../models');
+const resolvers = require('../resolvers');
+
+describe('Price History', () => {
+  const now = new Date('2025-06-01T12:00:00Z');
+
+  const deal = (salePrice, validFrom, overrides = {}) => ({
+    productName: 'Tropicana Orange Juice 52 oz',
+    storeName: 'ShopRite',
+    zipCode: '07001',
+    salePrice,
+    unit: 'each',
+    validFrom: new Date(validFrom),
+    ...overrides
+  });
+
+  // Past weeks at $4.99, $3.99 and $4.49
+  const history = [
+    deal(4.99, '2025-05-04'),
+    deal(3.99, '2025-05-11'),
+    deal(4.49, '2025-05-18')
+  ].map(toPriceHistoryRow);
+
+  describe('toPriceHistoryRow', () => {
+    test('should key by normalized product and store', () => {
+      const row = toPriceHistoryRow(deal(3.99, '2025-05-25'));
+
+      expect(row.productKey).toBe('tropicana orange juice');
+      expect(row.storeName).toBe('ShopRite');
+      expect(row.itemPrice).toBe(3.99);
+      expect(row.unitPriceUnit).toBe('oz');
+    });
+
+    test('should record multi-buy deals per item', () => {
+      const row = toPriceHistoryRow(deal(5, '2025-05-25', { quantity: '2 for $5' }));
+
+      expect(row.itemPrice).toBe(2.5);
+    });
+  });
+
+  describe('getStockUpSignal', () => {
+    test('should flag a price at the 52-week low', () => {
+      const signal = getStockUpSignal(deal(3.99, '2025-05-25'), history, now);
+
+      expect(signal.isStockUp).toBe(true);
+      expect(signal.low52WeekPrice).toBe(3.99);
+      expect(signal.weeksTracked).toBe(3);
+    });
+
+    test('should flag a price within 5% of the low', () => {
+      expect(getStockUpSignal(deal(4.15, '2025-05-25'), history, now).isStockUp).toBe(true);
+    });
+
+    test('should not flag an ordinary sale price', () => {
+      const signal = getStockUpSignal(deal(4.49, '2025-05-25'), history, now);
+
+      expect(signal.isStockUp).toBe(false);
+      expect(signal.low52WeekPrice).toBe(3.99);
+    });
+
+    test('should report a new low as the 52-week low', () => {
+      expect(getStockUpSignal(deal(2.99, '2025-05-25'), history, now).low52WeekPrice).toBe(2.99);
+    });
+
+    test(`should need ${MIN_HISTORY_WEEKS} past weeks`, () => {
+      const signal = getStockUpSignal(deal(3.49, '2025-05-25'), history.slice(0, 2), now);
+
+      expect(signal.isStockUp).toBe(false);
+      expect(signal.weeksTracked).toBe(2);
+    });
+
+    test('should not flag a price that never changes', () => {
+      const flat = ['2025-05-04', '2025-05-11', '2025-05-18'].map(week => toPriceHistoryRow(deal(3.99, week)));
+
+      expect(getStockUpSignal(deal(3.99, '2025-05-25'), flat, now).isStockUp).toBe(false);
+    });
+
+    test('should ignore the same week, other stores and old history', () => {
+      const noise = [
+        toPriceHistoryRow(deal(1.99, '2025-05-25', { zipCode: '07002' })),
+        toPriceHistoryRow(deal(1.99, '2025-05-11', { storeName: 'Stop & Shop' })),
+        toPriceHistoryRow(deal(1.99, '2024-04-01'))
+      ];
+
+      const signal = getStockUpSignal(deal(3.99, '2025-05-25'), [...history, ...noise], now);
+
+      expect(signal.isStockUp).toBe(true);
+      expect(signal.weeksTracked).toBe(3);
+    });
+
+    test('should count ads starting on different days of one week as that week', () => {
+      // A Wednesday ad in the current week, and a Wednesday ad in a past Sunday ad's week
+      const sameWeek = toPriceHistoryRow(deal(1.99, '2025-05-28'));
+      const midweek = toPriceHistoryRow(deal(4.29, '2025-05-14'));
+
+      const signal = getStockUpSignal(deal(3.99, '2025-05-25'), [...history, sameWeek, midweek], now);
+
+      expect(signal.isStockUp).toBe(true);
+      expect(signal.low52WeekPrice).toBe(3.99);
+      expect(signal.weeksTracked).toBe(3);
+    });
+
+    test('should compare unit prices across package sizes', () => {
+      // 64 oz at $4.49 is cheaper per ounce than 52 oz at $3.99
+      const bigger = toPriceHistoryRow(deal(4.49, '2025-05-18', { productName: 'Tropicana Orange Juice 64 oz' }));
+      const signal = getStockUpSignal(deal(3.99, '2025-05-25'), [...history.slice(0, 2), bigger], now);
+
+      expect(signal.isStockUp).toBe(false);
+      expect(signal.low52WeekPrice).toBe(4.49);
+    });
+  });
+
+  describe('annotateStockUp', () => {
+    test('should add stock-up fields from loaded history', async () => {
+      const findAll = jest.fn().mockResolvedValue(history);
+      const [annotated] = await annotateStockUp({ findAll }, [deal(3.99, '2025-05-25')], { now });
+
+      expect(findAll).toHaveBeenCalledTimes(1);
+      expect(annotated.isStockUp).toBe(true);
+      expect(annotated.low52WeekPrice).toBe(3.99);
+    });
+  });
+
+  describe('recordDealPrices', () => {
+    test('should skip duplicates and unpriced deals', async () => {
+      const bulkCreate = jest.fn().mockResolvedValue([]);
+      await recordDealPrices({ bulkCreate }, [deal(3.99, '2025-05-25'), deal(0, '2025-05-25')]);
+
+      expect(bulkCreate).toHaveBeenCalledWith(
+        [expect.objectContaining({ productKey: 'tropicana orange juice', itemPrice: 3.99 })],
+        { ignoreDuplicates: true, transaction: undefined }
+      );
+    });
+  });
+
+  describe('summarizePriceTrend', () => {
+    const rows = [
+      deal(4.99, '2025-05-04'),
+      deal(3.99, '2025-05-11'),
+      // Same store and week in another ZIP - the lower price is kept
+      deal(3.79, '2025-05-11', { zipCode: '07002' }),
+      deal(4.49, '2025-05-11', { storeName: 'Stop & Shop' })
+    ].map(toPriceHistoryRow);
+
+    test('should return null without history', () => {
+      expect(summarizePriceTrend([], { now })).toBeNull();
+    });
+
+    test('should build one point per store per week', () => {
+      const trend = summarizePriceTrend(rows, { now });
+
+      expect(trend.productKey).toBe('tropicana orange juice');
+      expect(trend.points.map(point => [point.storeName, point.weekOf, point.itemPrice])).toEqual([
+        ['ShopRite', '2025-05-04', 4.99],
+        ['ShopRite', '2025-05-11', 3.79],
+        ['Stop & Shop', '2025-05-11', 4.49]
+      ]);
+    });
+
+    test('should compute min, avg and max', () => {
+      const trend = summarizePriceTrend(rows, { now });
+
+      expect(trend.minPrice).toBe(3.79);
+      expect(trend.maxPrice).toBe(4.99);
+      expect(trend.avgPrice).toBe(4.42);
+    });
+
+    test('should compute sale frequency since the product was first seen', () => {
+      const trend = summarizePriceTrend(rows, { now });
+      const shopRite = trend.stores.find(store => store.storeName === 'ShopRite');
+      const stopAndShop = trend.stores.find(store => store.storeName === 'Stop & Shop');
+
+      // First seen May 4 - five flyer weeks through the current one
+      expect(trend.weeksOnSale).toBe(2);
+      expect(trend.saleFrequency).toBe(0.4);
+      expect(shopRite.saleFrequency).toBe(0.4);
+      expect(stopAndShop.weeksOnSale).toBe(1);
+      expect(stopAndShop.saleFrequency).toBe(0.2);
+    });
+
+    test('should count ads starting on different days of one week once', () => {
+      // A Sunday-to-Saturday ad and a Wednesday-to-Tuesday ad in the week of May 11
+      const trend = summarizePriceTrend([
+        deal(3.99, '2025-05-11'),
+        deal(4.29, '2025-05-14', { storeName: 'Food Lion' })
+      ].map(toPriceHistoryRow), { now });
+
+      expect(trend.points.map(point => [point.storeName, point.weekOf])).toEqual([
+        ['ShopRite', '2025-05-11'],
+        ['Food Lion', '2025-05-11']
+      ]);
+      expect(trend.weeksOnSale).toBe(1);
+      expect(trend.saleFrequency).toBe(trend.stores[0].saleFrequency);
+    });
+  });
+
+  describe('getWeekOf', () => {
+    test('should return the Sunday on or before the date', () => {
+      expect(getWeekOf('2025-05-11')).toBe('2025-05-11');
+      expect(getWeekOf('2025-05-14T00:00:00Z')).toBe('2025-05-11');
+      expect(getWeekOf(new Date('2025-05-17T23:00:00Z'))).toBe('2025-05-11');
+    });
+  });
+
+  describe('getDealPriceTrends', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should match whole product words and keep the newest weeks', async () => {
+      const rows = [
+        deal(2.99, '2025-05-18', { productName: 'Large Eggs' }),
+        deal(3.49, '2025-05-11', { productName: 'Large Eggs' })
+      ].map(toPriceHistoryRow);
+      const findHistory = jest.spyOn(DealPriceHistory, 'findAll').mockResolvedValue(rows);
+
+      const [trend] = await resolvers.Query.getDealPriceTrends(null, { query: 'Eggs' }, { user: { userId: 'user-1' } });
+
+      const { where, order } = findHistory.mock.calls[0][0];
+      const patterns = where[Op.and].map(clause => new RegExp(clause.productKey[Op.regexp]));
+      expect(patterns.every(pattern => pattern.test('large egg'))).toBe(true);
+      expect(patterns.some(pattern => pattern.test('eggplant'))).toBe(false);
+      expect(order).toEqual([['validFrom', 'DESC']]);
+      expect(trend.points.map(point => point.itemPrice)).toEqual([3.49, 2.99]);
+    });
+
+    test('should match pattern characters in the query literally', async () => {
+      const findHistory = jest.spyOn(DealPriceHistory, 'findAll').mockResolvedValue([]);
+
+      await resolvers.Query.getDealPriceTrends(null, { query: 'Oreo Mega.Stuf' }, { user: { userId: 'user-1' } });
+
+      const patterns = findHistory.mock.calls[0][0].where[Op.and].map(clause => new RegExp(clause.productKey[Op.regexp]));
+      expect(patterns.every(pattern => pattern.test('oreo mega.stuf'))).toBe(true);
+      expect(patterns.every(pattern => pattern.test('oreo megaxstuf'))).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Recurring Items Test Suite
+ *
+ * Tests for list items that come back on a schedule:
+ * - Due dates when checked off
+ * - Interval changes and validation
+ * - Due-soon window for the daily digest
+ *
+ * Based on current implementation in:
+ * - utils/recurringItems.js
+ */
+
+const { Op } = require('sequelize');
+const {
+  getNextDueAt,
+  getRecurrenceUpdate,
+  isDueWithin,
+  dueItemsWhere,
+  replenishDueItems
+} = require('../utils/recurringItems');
+
+describe('Recurring Items', () => {
+  const now = new Date('2025-06-01T12:00:00Z');
+
+  describe('getNextDueAt', () => {
+    test('should add the interval to the check-off time', () => {
+      expect(getNextDueAt(now, 7)).toEqual(new Date('2025-06-08T12:00:00Z'));
+    });
+
+    test('should return null for one-off items', () => {
+      expect(getNextDueAt(now, null)).toBeNull();
+    });
+  });
+
+  describe('getRecurrenceUpdate', () => {
+    test('should schedule a recurring item when checked off', () => {
+      const update = getRecurrenceUpdate({ checked: false, recurrenceDays: 7 }, { checked: true }, now);
+
+      expect(update.checked).toBe(true);
+      expect(update.lastCheckedAt).toEqual(now);
+      expect(update.nextDueAt).toEqual(new Date('2025-06-08T12:00:00Z'));
+    });
+
+    test('should not schedule a one-off item', () => {
+      const update = getRecurrenceUpdate({ checked: false, recurrenceDays: null }, { checked: true }, now);
+
+      expect(update.checked).toBe(true);
+      expect(update.nextDueAt).toBeNull();
+    });
+
+    test('should clear the due date when unchecked', () => {
+      const item = { checked: true, recurrenceDays: 7, lastCheckedAt: now, nextDueAt: new Date('2025-06-08T12:00:00Z') };
+      const update = getRecurrenceUpdate(item, { checked: false }, now);
+
+      expect(update.checked).toBe(false);
+      expect(update.nextDueAt).toBeNull();
+      expect(update.lastCheckedAt).toEqual(now);
+    });
+
+    test('should reschedule a checked item from its last check-off when the interval changes', () => {
+      const lastCheckedAt = new Date('2025-05-30T12:00:00Z');
+      const item = { checked: true, recurrenceDays: 7, lastCheckedAt };
+      const update = getRecurrenceUpdate(item, { recurrenceDays: 14 }, now);
+
+      expect(update.recurrenceDays).toBe(14);
+      expect(update.nextDueAt).toEqual(new Date('2025-06-13T12:00:00Z'));
+    });
+
+    test('should stop repeating with an interval of 0', () => {
+      const item = { checked: true, recurrenceDays: 7, lastCheckedAt: now };
+      const update = getRecurrenceUpdate(item, { recurrenceDays: 0 }, now);
+
+      expect(update.recurrenceDays).toBeNull();
+      expect(update.nextDueAt).toBeNull();
+    });
+
+    test('should reject out of range intervals', () => {
+      expect(() => getRecurrenceUpdate({}, { recurrenceDays: 400 }, now)).toThrow('between 1 and 365');
+      expect(() => getRecurrenceUpdate({}, { recurrenceDays: -1 }, now)).toThrow();
+      expect(() => getRecurrenceUpdate({}, { recurrenceDays: 2.5 }, now)).toThrow();
+    });
+  });
+
+  describe('isDueWithin', () => {
+    const item = { checked: true, nextDueAt: new Date('2025-06-03T12:00:00Z') };
+
+    test('should include items due inside the window', () => {
+      expect(isDueWithin(item, 3, now)).toBe(true);
+    });
+
+    test('should exclude items due after the window', () => {
+      expect(isDueWithin(item, 1, now)).toBe(false);
+    });
+
+    test('should exclude items already on the list', () => {
+      expect(isDueWithin({ ...item, checked: false }, 3, now)).toBe(false);
+    });
+  });
+
+  describe('replenishDueItems', () => {
+    test('should uncheck due items matching the filter', async () => {
+      const update = jest.fn().mockResolvedValue([2]);
+      const count = await replenishDueItems({ update }, { listId: 'list-1' }, now);
+
+      expect(count).toBe(2);
+      expect(update).toHaveBeenCalledWith(
+        { checked: false, nextDueAt: null },
+        { where: { listId: 'list-1', ...dueItemsWhere(now) } }
+      );
+      expect(dueItemsWhere(now).nextDueAt[Op.lte]).toEqual(now);
+    });
+  });
+});
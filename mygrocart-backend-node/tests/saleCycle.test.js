@@ -0,0 +1,182 @@
+/**
+ * Sale Cycle Test Suite
+ *
+ * Tests for next-sale predictions from past flyer prices:
+ * - Sale events (consecutive weeks, ZIPs and products folded together)
+ * - Cycle length, predicted week, price and deal type
+ * - Confidence for irregular, short and missed cycles
+ * - Predicting a whole list at once (database calls are stubbed)
+ *
+ * Based on current implementation in:
+ * - utils/saleCycle.js
+ * - resolvers/index.js (UserListItem.predictedNextSale)
+ */
+
+const { User, UserListItem, DealPriceHistory, DealMatchFeedback } = require('../models');
+const resolvers = require('../resolvers');
+
+const {
+  MIN_SALE_EVENTS,
+  MAX_CYCLE_WEEKS,
+  getSaleEvents,
+  predictChainSale,
+  predictNextSales
+} = require('../utils/saleCycle');
+
+describe('Sale Cycle', () => {
+  const now = new Date('2025-05-11T12:00:00Z');
+
+  const row = (validFrom, itemPrice, overrides = {}) => ({
+    productKey: 'tropicana orange juice',
+    storeName: 'Publix',
+    zipCode: '30301',
+    itemPrice,
+    dealType: 'bogo',
+    validFrom: new Date(validFrom),
+    ...overrides
+  });
+
+  // BOGO every 4 weeks
+  const publix = [
+    row('2025-02-02', 2.5),
+    row('2025-03-02', 2.5),
+    row('2025-03-30', 2.75),
+    row('2025-04-27', 2.5)
+  ];
+
+  describe('getSaleEvents', () => {
+    test('should fold consecutive weeks into one event', () => {
+      const events = getSaleEvents([
+        row('2025-03-02', 3.99, { dealType: 'sale' }),
+        row('2025-03-09', 2.5),
+        row('2025-04-06', 3.49, { dealType: 'sale' })
+      ]);
+
+      expect(events).toHaveLength(2);
+      expect(events[0].weeks).toBe(2);
+      expect(events[0].itemPrice).toBe(2.5);
+      expect(events[0].dealType).toBe('bogo');
+    });
+
+    test('should count ads starting on different days of one week once', () => {
+      // A Sunday ad in one ZIP, a Wednesday ad in another, then the next week's ad
+      const events = getSaleEvents([
+        row('2025-03-02', 3.99),
+        row('2025-03-05', 3.79, { zipCode: '30302' }),
+        row('2025-03-12', 3.49, { zipCode: '30302' })
+      ]);
+
+      expect(events).toHaveLength(1);
+      expect(events[0].weeks).toBe(2);
+      expect(events[0].start).toBe(new Date('2025-03-02').getTime());
+    });
+
+    test('should keep the lowest price across ZIPs in the same week', () => {
+      const events = getSaleEvents([row('2025-03-02', 3.99), row('2025-03-02', 3.49, { zipCode: '30302' })]);
+
+      expect(events).toHaveLength(1);
+      expect(events[0].itemPrice).toBe(3.49);
+    });
+  });
+
+  describe('predictChainSale', () => {
+    test('should predict the next sale one cycle after the last', () => {
+      const prediction = predictChainSale('Publix', publix, now);
+
+      expect(prediction.cycleWeeks).toBe(4);
+      expect(prediction.predictedDate).toBe('2025-05-25T00:00:00.000Z');
+      expect(prediction.weeksUntil).toBe(2);
+      expect(prediction.predictedPrice).toBe(2.5);
+      expect(prediction.dealType).toBe('bogo');
+      expect(prediction.salesSeen).toBe(4);
+    });
+
+    test(`should need ${MIN_SALE_EVENTS} past sales`, () => {
+      expect(predictChainSale('Publix', publix.slice(0, MIN_SALE_EVENTS - 1), now)).toBeNull();
+    });
+
+    test(`should ignore cycles longer than ${MAX_CYCLE_WEEKS} weeks`, () => {
+      const rare = [row('2023-01-01', 2.5), row('2023-12-31', 2.5), row('2024-12-29', 2.5)];
+
+      expect(predictChainSale('Publix', rare, now)).toBeNull();
+    });
+
+    test('should be more confident with more, regular sales', () => {
+      const regular = predictChainSale('Publix', publix, now);
+      const irregular = predictChainSale('Publix', [
+        row('2025-02-02', 2.5),
+        row('2025-02-16', 2.5),
+        row('2025-03-30', 2.5),
+        row('2025-04-27', 2.5)
+      ], now);
+
+      expect(regular.confidence).toBeCloseTo(0.67, 2);
+      expect(irregular.confidence).toBeLessThan(regular.confidence);
+    });
+
+    test('should roll past a missed cycle with lower confidence', () => {
+      const later = new Date('2025-06-08T12:00:00Z');
+      const onTime = predictChainSale('Publix', publix, now);
+      const missed = predictChainSale('Publix', publix, later);
+
+      expect(missed.predictedDate).toBe('2025-06-22T00:00:00.000Z');
+      expect(missed.weeksUntil).toBe(2);
+      expect(missed.confidence).toBeLessThan(onTime.confidence);
+    });
+  });
+
+  describe('predictNextSales', () => {
+    test('should predict per chain, soonest first', () => {
+      const kroger = [
+        row('2025-03-16', 3.29, { storeName: 'Kroger', dealType: 'sale' }),
+        row('2025-04-06', 3.29, { storeName: 'Kroger', dealType: 'sale' }),
+        row('2025-04-27', 3.49, { storeName: 'Kroger', dealType: 'sale' })
+      ];
+      const oneOff = [row('2025-04-27', 1.99, { storeName: 'Aldi' })];
+
+      const predictions = predictNextSales([...publix, ...kroger, ...oneOff], { now });
+
+      expect(predictions.map(prediction => [prediction.storeName, prediction.weeksUntil])).toEqual([
+        ['Kroger', 1],
+        ['Publix', 2]
+      ]);
+    });
+  });
+
+  describe('UserListItem.predictedNextSale', () => {
+    const items = [
+      { id: 'item-1', listId: 'list-1', userId: 'user-1', itemName: 'Soda', checked: false },
+      { id: 'item-2', listId: 'list-1', userId: 'user-1', itemName: 'Paper Towels', checked: false }
+    ];
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should load the list once and match products like current deals', async () => {
+      const findUser = jest.spyOn(User, 'findByPk').mockResolvedValue({ userId: 'user-1', zipCode: '30301' });
+      jest.spyOn(UserListItem, 'findAll').mockResolvedValue(items);
+      jest.spyOn(DealMatchFeedback, 'findAll').mockResolvedValue([]);
+      const cola = publix.map(entry => ({ ...entry, productKey: 'coca cola', productName: 'Coca-Cola, 12 pk' }));
+      const findHistory = jest.spyOn(DealPriceHistory, 'findAll')
+        .mockResolvedValueOnce([
+          { productKey: 'coca cola', productName: 'Coca-Cola, 12 pk' },
+          { productKey: 'whole milk', productName: 'Whole Milk, 1 gal' }
+        ])
+        .mockResolvedValueOnce(cola);
+      const context = { user: { userId: 'user-1' } };
+      const { predictedNextSale } = resolvers.UserListItem;
+
+      const [soda, towels] = await Promise.all(items.map(item => predictedNextSale(item, {}, context)));
+
+      // "Coca-Cola" is a soda, though its name doesn't contain the word
+      expect(soda).toEqual([expect.objectContaining({ storeName: 'Publix', cycleWeeks: 4 })]);
+      expect(towels).toEqual([]);
+      expect(findUser).toHaveBeenCalledTimes(1);
+      expect(findHistory).toHaveBeenCalledTimes(2);
+      expect(findHistory.mock.calls[0][0].where.zipCode).toBe('30301');
+      const { productKey } = findHistory.mock.calls[1][0].where;
+      expect(Object.getOwnPropertySymbols(productKey).map(op => productKey[op])).toEqual([['coca cola']]);
+    });
+  });
+});
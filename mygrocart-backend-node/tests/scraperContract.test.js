@@ -0,0 +1,194 @@
+/**
+ * Scraper Contract Test Suite
+ *
+ * Tests for the store scraper plugin contract:
+ * - Every scraper module is discovered and declares valid metadata
+ * - Scraper flyers are normalized and validated
+ * - Scrapers only run where their chain operates, and can be configured
+ *
+ * Based on current implementation in:
+ * - services/scrapers/index.js
+ * - services/scrapers/contract.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  ScraperRegistry,
+  KrogerFlyerScraper,
+  WegmansFlyerScraper,
+  getScraperConfig,
+  getScraperForStore,
+  listScrapers,
+  fetchAllStoreFlyers
+} = require('../services/scrapers');
+const {
+  validateScraperMeta,
+  normalizeFlyerDate,
+  validateScraperFlyer,
+  supportsZipCode
+} = require('../services/scrapers/contract');
+const { getZipState } = require('../utils/zipStates');
+const { ScraperRun } = require('../models');
+
+describe('Scraper Contract', () => {
+  const originalConfig = process.env.SCRAPER_CONFIG;
+
+  const krogerFlyer = (overrides = {}) => ({
+    storeName: 'Kroger',
+    storeSlug: 'kroger',
+    flyerName: 'Weekly Ad',
+    imageUrls: ['https://f.wishabi.net/flyers/1/stock_premium/1.jpg'],
+    validFrom: '2025-06-01',
+    validTo: '2025-06-07',
+    zipCode: '30132',
+    source: 'flipp_api',
+    preExtractedDeals: [{ productName: 'Whole Milk', salePrice: 3.99, unit: 'each', dealType: 'sale' }],
+    flippTiles: { flyerId: 1, path: 'flyers/abc/', width: 5000, height: 2000 },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    delete process.env.SCRAPER_CONFIG;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    if (originalConfig === undefined) {
+      delete process.env.SCRAPER_CONFIG;
+    } else {
+      process.env.SCRAPER_CONFIG = originalConfig;
+    }
+    jest.restoreAllMocks();
+  });
+
+  describe('discovery', () => {
+    test('should register every scraper module by its slug', () => {
+      const files = fs.readdirSync(path.join(__dirname, '..', 'services', 'scrapers'))
+        .filter(file => file.endsWith('FlyerScraper.js'));
+
+      expect(Object.keys(ScraperRegistry)).toHaveLength(files.length);
+      expect(ScraperRegistry.kroger).toBe(KrogerFlyerScraper);
+      expect(ScraperRegistry.wegmans).toBe(WegmansFlyerScraper);
+    });
+
+    test('should only register scrapers with valid metadata', () => {
+      for (const ScraperClass of Object.values(ScraperRegistry)) {
+        expect(validateScraperMeta(ScraperClass.meta)).toEqual([]);
+      }
+      expect(validateScraperMeta({ slug: 'x', source: 'ftp' })).toEqual(expect.arrayContaining([
+        'meta.storeName is required',
+        'meta.slug must be at least 2 characters',
+        'meta.source must be one of flipp_api, direct_api, direct_scrape'
+      ]));
+    });
+  });
+
+  describe('validateScraperFlyer', () => {
+    test('should accept a contract flyer as is', () => {
+      const { flyer, errors } = validateScraperFlyer(krogerFlyer(), KrogerFlyerScraper.meta);
+
+      expect(errors).toEqual([]);
+      expect(flyer).toMatchObject({ storeSlug: 'kroger', validFrom: '2025-06-01', storeLocation: null });
+    });
+
+    test('should normalize dates and fill defaults', () => {
+      const { flyer } = validateScraperFlyer(krogerFlyer({
+        validFrom: new Date('2025-06-01T04:00:00Z'),
+        validTo: 1749340800,
+        flyerName: undefined,
+        flippTiles: undefined
+      }), KrogerFlyerScraper.meta);
+
+      expect(flyer).toMatchObject({ validFrom: '2025-06-01', validTo: '2025-06-08', flyerName: 'Weekly Ad', flippTiles: null });
+    });
+
+    test('should drop invalid deals but keep the flyer', () => {
+      const { flyer, droppedDeals } = validateScraperFlyer(krogerFlyer({
+        preExtractedDeals: [
+          { productName: 'Whole Milk', salePrice: 3.99 },
+          { productName: 'Bread', salePrice: '2/$5' }
+        ]
+      }), KrogerFlyerScraper.meta);
+
+      expect(flyer.preExtractedDeals).toHaveLength(1);
+      expect(droppedDeals).toEqual(['preExtractedDeals[1].salePrice must be number']);
+    });
+
+    test('should reject flyers that break the contract', () => {
+      const check = overrides => validateScraperFlyer(krogerFlyer(overrides), KrogerFlyerScraper.meta).errors;
+
+      expect(check({ validTo: 'soon' })).toContain('validTo must be a date');
+      expect(check({ validTo: '2025-05-01' })).toContain('validTo must be on or after validFrom');
+      expect(check({ storeSlug: 'publix' })).toContain('storeSlug must be kroger');
+      expect(check({ zipCode: '301' })).toContain('zipCode must be at least 5 characters');
+      expect(check({ imageUrls: [], preExtractedDeals: [] })).toContain('flyer must have imageUrls or preExtractedDeals');
+      expect(check({ flippTiles: { flyerId: 1 } })).toContain('flippTiles.path is required');
+    });
+  });
+
+  describe('regions', () => {
+    test('should map ZIP codes to states', () => {
+      expect(getZipState('30132')).toBe('GA');
+      expect(getZipState('10001')).toBe('NY');
+      expect(getZipState('02134-1234')).toBe('MA');
+      expect(getZipState('abc')).toBeNull();
+    });
+
+    test('should run scrapers only where the chain operates', () => {
+      expect(supportsZipCode(ScraperRegistry.publix.meta, '30132')).toBe(true);
+      expect(supportsZipCode(ScraperRegistry.publix.meta, '10001')).toBe(false);
+      expect(supportsZipCode(ScraperRegistry.aldi.meta, '10001')).toBe(true);
+    });
+  });
+
+  describe('configuration', () => {
+    test('should merge SCRAPER_CONFIG over the default options', () => {
+      process.env.SCRAPER_CONFIG = JSON.stringify({ kroger: { rateLimitMs: 2000 }, wegmans: { enabled: false } });
+
+      expect(getScraperConfig('kroger')).toEqual({ enabled: true, options: { rateLimitMs: 2000 } });
+      expect(getScraperForStore('kroger').rateLimitMs).toBe(2000);
+      expect(listScrapers().find(scraper => scraper.slug === 'wegmans').enabled).toBe(false);
+    });
+
+    test('should ignore a malformed SCRAPER_CONFIG', () => {
+      process.env.SCRAPER_CONFIG = '{not json';
+
+      expect(getScraperConfig('kroger')).toEqual({ enabled: true, options: { rateLimitMs: 1500 } });
+    });
+  });
+
+  describe('fetchAllStoreFlyers', () => {
+    test('should skip disabled and out-of-region scrapers and drop invalid flyers', async () => {
+      const enabled = Object.fromEntries(Object.keys(ScraperRegistry).map(slug => [slug, { enabled: false }]));
+      process.env.SCRAPER_CONFIG = JSON.stringify({ ...enabled, kroger: {}, publix: {} });
+      jest.spyOn(ScraperRun, 'findAll').mockResolvedValue([]);
+      jest.spyOn(ScraperRun, 'findOne').mockResolvedValue(null);
+      const recordRun = jest.spyOn(ScraperRun, 'create').mockImplementation(async run => run);
+
+      const krogerFetch = jest.spyOn(KrogerFlyerScraper.prototype, 'fetchFlyers')
+        .mockResolvedValue([krogerFlyer(), krogerFlyer({ validFrom: undefined })]);
+      const publixFetch = jest.spyOn(ScraperRegistry.publix.prototype, 'fetchFlyers').mockResolvedValue([]);
+
+      // Kroger runs in Ohio, Publix doesn't
+      const flyers = await fetchAllStoreFlyers('43004');
+
+      expect(krogerFetch).toHaveBeenCalledWith('43004');
+      expect(publixFetch).not.toHaveBeenCalled();
+      expect(flyers).toHaveLength(1);
+      expect(flyers[0].storeSlug).toBe('kroger');
+      expect(recordRun).toHaveBeenCalledTimes(1);
+      expect(recordRun).toHaveBeenCalledWith(expect.objectContaining({
+        storeSlug: 'kroger', zipCode: '43004', status: 'success', flyerCount: 1, dealCount: 1
+      }));
+    });
+  });
+
+  test('normalizeFlyerDate should accept the formats scrapers return', () => {
+    expect(normalizeFlyerDate('2025-06-01T00:00:00-04:00')).toBe('2025-06-01');
+    expect(normalizeFlyerDate(1748736000000)).toBe('2025-06-01');
+    expect(normalizeFlyerDate('June 1, 2025 12:00 UTC')).toBe('2025-06-01');
+    expect(normalizeFlyerDate(null)).toBeNull();
+  });
+});
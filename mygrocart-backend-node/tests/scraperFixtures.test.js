@@ -0,0 +1,313 @@
+/**
+ * Scraper Fixture Test Suite
+ *
+ * Runs every registered store scraper end-to-end against recorded responses
+ * (tests/fixtures/scrapers/<slug>.json) and checks the normalized flyers:
+ * - Each scraper reads what its site returns into contract flyers
+ * - The scraper HTTP client records and replays fixtures
+ *
+ * Re-record fixtures with scripts/record_scraper_fixtures.js. Fixtures with
+ * recordedAt null were built by hand from each site's response shapes: replaying
+ * them checks that a scraper parses those shapes, not that it still works
+ * against the live site. Until a fixture is recorded, a breakage on the site
+ * shows up in scraper health monitoring, not here.
+ *
+ * Based on current implementation in:
+ * - services/scrapers/httpClient.js
+ * - services/scrapers/*FlyerScraper.js
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScraperRegistry } = require('../services/scrapers');
+const { validateScraperFlyer } = require('../services/scrapers/contract');
+const {
+  getFixturePath,
+  getRequestKey,
+  createScraperHttpClient
+} = require('../services/scrapers/httpClient');
+
+const ZIP_CODE = '30132';
+
+/**
+ * Run a scraper against its fixture
+ * @param {string} slug - Scraper slug
+ * @returns {Promise<Array>} Flyers, after contract validation
+ */
+async function replayScraper(slug) {
+  const ScraperClass = ScraperRegistry[slug];
+  const scraper = new ScraperClass({ httpMode: 'replay' });
+  jest.spyOn(scraper, 'delay').mockResolvedValue();
+
+  const flyers = await scraper.fetchFlyers(ZIP_CODE);
+  return flyers.map(rawFlyer => {
+    const { flyer, errors, droppedDeals } = validateScraperFlyer(rawFlyer, ScraperClass.meta);
+    expect(errors).toEqual([]);
+    expect(droppedDeals).toEqual([]);
+    return flyer;
+  });
+}
+
+const flippDeal = (productName, salePrice, imageUrl, flippBox, productBrand = null) => ({
+  productName,
+  productBrand,
+  salePrice,
+  regularPrice: null,
+  unit: 'each',
+  dealType: 'sale',
+  productCategory: null,
+  imageUrl,
+  flippBox
+});
+
+describe('Scraper Fixtures', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('should have a fixture for every registered scraper', () => {
+    for (const slug of Object.keys(ScraperRegistry)) {
+      expect(fs.existsSync(getFixturePath(slug))).toBe(true);
+    }
+  });
+
+  test('should mark every fixture as recorded or hand-built', () => {
+    for (const slug of Object.keys(ScraperRegistry)) {
+      const fixture = JSON.parse(fs.readFileSync(getFixturePath(slug), 'utf8'));
+      if (fixture.recordedAt === null) {
+        expect(fixture.note).toMatch(/^Hand-built/);
+      } else {
+        expect(Number.isNaN(Date.parse(fixture.recordedAt))).toBe(false);
+        expect(fixture.note).toBeUndefined();
+      }
+    }
+  });
+
+  describe('replay', () => {
+    test('kroger should read the weekly ad from Flipp', async () => {
+      const [flyer, ...rest] = await replayScraper('kroger');
+
+      expect(rest).toHaveLength(0);
+      expect(flyer).toMatchObject({
+        storeSlug: 'kroger',
+        flyerName: 'Weekly Ad',
+        imageUrls: ['https://f.wishabi.net/flyers/7304881/stock_premium/1748995200.jpg'],
+        validFrom: '2025-06-04',
+        validTo: '2025-06-10',
+        zipCode: ZIP_CODE,
+        source: 'flipp_api',
+        flippTiles: { flyerId: 7304881, path: 'flyers/7304881/1748995200/', width: 6144, height: 2560 },
+        storeLocation: null
+      });
+      // Banners and multi-buy prices ("3/$15") are skipped
+      expect(flyer.preExtractedDeals).toEqual([
+        flippDeal('Kroger Grade A Large Eggs, 12 ct', 1.99, 'https://f.wishabi.net/page_items/901002/cutout.jpg',
+          { left: 120.5, top: 240, width: 610, height: 480 }, 'Kroger'),
+        flippDeal('Boneless Skinless Chicken Breasts', 2.49, 'https://f.wishabi.net/page_items/901003/cutout.jpg',
+          { left: 760, top: 240, width: 610, height: 480 }),
+        flippDeal('Private Selection Ice Cream, 48 oz', 4.99, null, null, 'Private Selection')
+      ]);
+    });
+
+    test('publix should pick the weekly ad over other Publix flyers', async () => {
+      const [flyer] = await replayScraper('publix');
+
+      expect(flyer).toMatchObject({
+        flyerName: 'Weekly Ad',
+        imageUrls: ['https://f.wishabi.net/flyers/7305012/stock_premium/1748995200.jpg'],
+        validFrom: '2025-06-04',
+        validTo: '2025-06-10',
+        flippTiles: { flyerId: 7305012 }
+      });
+      expect(flyer.preExtractedDeals.map(deal => [deal.productName, deal.salePrice])).toEqual([
+        ['Publix Deli Chicken Tender Sub', 7.99],
+        ['Cheerios Cereal, 8.9 oz', 3.49],
+        ['Strawberries, 1 lb', 2.5]
+      ]);
+    });
+
+    test('food-lion should fall back to any Food Lion flyer', async () => {
+      const [flyer] = await replayScraper('food-lion');
+
+      expect(flyer).toMatchObject({
+        flyerName: 'MVP Savings',
+        imageUrls: ['https://f.wishabi.net/flyers/7305330/stock_premium/1748995200.jpg'],
+        flippTiles: null
+      });
+      expect(flyer.preExtractedDeals).toEqual([
+        flippDeal('Food Lion Bread, 20 oz', 1.25, 'https://f.wishabi.net/page_items/903001/cutout.jpg',
+          { left: 40, top: 120, width: 500, height: 420 }, 'Food Lion')
+      ]);
+    });
+
+    test('aldi should read the first publication and its products', async () => {
+      const [flyer] = await replayScraper('aldi');
+
+      expect(flyer).toMatchObject({
+        storeSlug: 'aldi',
+        flyerName: 'Weekly Ad',
+        imageUrls: [
+          'https://f.wishabi.net/page_pdf_images/6998877/1/x_large',
+          'https://f.wishabi.net/page_pdf_images/6998877/2/x_large'
+        ],
+        validFrom: '2025-06-04',
+        validTo: '2025-06-10',
+        flippTiles: null
+      });
+      expect(flyer.preExtractedDeals).toEqual([
+        {
+          productName: 'Happy Farms Shredded Cheese, 8 oz',
+          productBrand: 'Happy Farms',
+          salePrice: 1.89,
+          regularPrice: null,
+          unit: 'each',
+          dealType: 'sale',
+          productCategory: 'Dairy',
+          imageUrl: 'https://f.wishabi.net/page_items/41001/product.jpg'
+        },
+        expect.objectContaining({ productName: 'Hass Avocados, 4 ct', salePrice: 2.49, productCategory: 'Produce, Fruit' })
+      ]);
+    });
+
+    test('food-depot should read the nearest store and regular prices', async () => {
+      const [flyer] = await replayScraper('food-depot');
+
+      expect(flyer).toMatchObject({
+        flyerName: 'Weekly Specials',
+        imageUrls: [
+          'https://f.wishabi.net/page_pdf_images/7011200/1/400h',
+          'https://f.wishabi.net/page_pdf_images/7011200/1/x_large'
+        ],
+        zipCode: ZIP_CODE
+      });
+      expect(flyer.preExtractedDeals.map(deal => [deal.productName, deal.salePrice, deal.regularPrice])).toEqual([
+        ['Pork Spare Ribs', 1.79, 2.99],
+        ['Red Seedless Grapes', 1.48, null]
+      ]);
+    });
+
+    test('lidl should read specials for the nearest store', async () => {
+      const [flyer] = await replayScraper('lidl');
+
+      expect(flyer).toMatchObject({
+        flyerName: 'Weekly Deals',
+        validFrom: '2025-06-04',
+        validTo: '2025-06-10',
+        source: 'direct_api',
+        storeLocation: {
+          address: '4791 Jimmy Lee Smith Pkwy',
+          city: 'Hiram',
+          state: 'GA',
+          latitude: 33.8712,
+          longitude: -84.7641
+        },
+        imageUrls: [
+          'https://mobileapi.lidl.com/images/bananas.jpg',
+          'https://mobileapi.lidl.com/images/salmon.jpg',
+          'https://mobileapi.lidl.com/images/hose.jpg'
+        ]
+      });
+      expect(flyer.preExtractedDeals).toEqual([
+        expect.objectContaining({ productName: 'Organic Bananas', salePrice: 0.29, unit: 'lb', productBrand: null }),
+        expect.objectContaining({ productName: 'Preferred Selection Salmon Fillets', salePrice: 6.99, regularPrice: 9.99 }),
+        expect.objectContaining({ productName: 'Bakery Croissants, 4 ct', productCategory: 'Weekend Specials', imageUrl: null })
+      ]);
+    });
+
+    test('wegmans should scrape circular images for the current week', async () => {
+      jest.useFakeTimers({ now: new Date(2025, 5, 4, 12) });
+
+      const [flyer] = await replayScraper('wegmans');
+
+      expect(flyer).toMatchObject({
+        flyerName: 'Weekly Circular',
+        source: 'direct_scrape',
+        storeLocation: { city: 'Atlanta', state: 'GA' },
+        preExtractedDeals: [],
+        // The og:image share banner isn't a page
+        imageUrls: [
+          'https://images.wegmans.com/circular/139/20250601/page-1.jpg',
+          'https://images.wegmans.com/circular/139/20250601/page-2.jpg'
+        ]
+      });
+      // Sunday to Saturday around "now" (exact dates depend on the local timezone)
+      expect(flyer.validFrom <= '2025-06-04' && flyer.validTo >= '2025-06-04').toBe(true);
+    });
+  });
+
+  describe('httpClient', () => {
+    let fixtureDir;
+
+    beforeEach(() => {
+      fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-fixtures-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(fixtureDir, { recursive: true, force: true });
+    });
+
+    test('should match requests on method, URL and params but not secrets', () => {
+      const key = params => getRequestKey({ url: 'https://api.test/items', params });
+
+      expect(key({ b: 2, a: 1, access_token: 'secret' })).toBe(key({ a: 1, b: 2 }));
+      expect(key({ a: 1 })).not.toBe(key({ a: 2 }));
+      expect(key({ a: 1 })).not.toContain('secret');
+    });
+
+    test('should record responses and replay them without the network', async () => {
+      // Stands in for the live site (an adapter settles the response like axios' http adapter)
+      const site = jest.fn(async config => {
+        const missing = config.url.endsWith('/missing');
+        const response = { data: missing ? { message: 'Not found' } : [{ id: 1 }], status: missing ? 404 : 200, headers: {}, config };
+        if (missing) {
+          throw new axios.AxiosError('Request failed with status code 404', 'ERR_BAD_REQUEST', config, {}, response);
+        }
+        return response;
+      });
+      const recorder = createScraperHttpClient('test-store', { adapter: site }, { httpMode: 'record', fixtureDir });
+
+      await recorder.get('https://api.test/items', { params: { page: 1, access_token: 'secret' } });
+      await expect(recorder.get('https://api.test/missing')).rejects.toThrow('status code 404');
+
+      const fixture = fs.readFileSync(getFixturePath('test-store', fixtureDir), 'utf8');
+      expect(JSON.parse(fixture).entries).toHaveLength(2);
+      expect(fixture).not.toContain('secret');
+
+      const replayer = createScraperHttpClient('test-store', {}, { httpMode: 'replay', fixtureDir });
+      const response = await replayer.get('https://api.test/items', { params: { access_token: 'other', page: 1 } });
+
+      expect(response.data).toEqual([{ id: 1 }]);
+      await expect(replayer.get('https://api.test/missing')).rejects.toMatchObject({ response: { status: 404 } });
+      await expect(replayer.get('https://api.test/items', { params: { page: 2 } }))
+        .rejects.toMatchObject({ code: 'ERR_NO_FIXTURE' });
+      expect(site).toHaveBeenCalledTimes(2);
+    });
+
+    test('should drop the hand-built note once a response is recorded', async () => {
+      const fixturePath = getFixturePath('test-store', fixtureDir);
+      fs.writeFileSync(fixturePath, JSON.stringify({ recordedAt: null, note: 'Hand-built', entries: [] }));
+      const site = jest.fn(async config => ({ data: [], status: 200, headers: {}, config }));
+      const recorder = createScraperHttpClient('test-store', { adapter: site }, { httpMode: 'record', fixtureDir });
+
+      await recorder.get('https://api.test/items');
+
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      expect(fixture.recordedAt).toEqual(expect.any(String));
+      expect(fixture.note).toBeUndefined();
+    });
+
+    test('should reject an unknown mode', () => {
+      expect(() => createScraperHttpClient('test-store', {}, { httpMode: 'mock' }))
+        .toThrow('Unknown scraper HTTP mode "mock"');
+    });
+  });
+});
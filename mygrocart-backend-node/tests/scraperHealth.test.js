@@ -0,0 +1,332 @@
+/**
+ * Scraper Health Test Suite
+ *
+ * Tests for scraper health monitoring (database calls are stubbed):
+ * - Run outcomes and error classes
+ * - The circuit breaker opening, cooling down and closing, per ZIP
+ * - Drops against the same ZIP a week earlier, or its last success
+ * - fetchAllStoreFlyers recording runs and skipping broken scrapers
+ *
+ * Based on current implementation in:
+ * - services/scrapers/health.js
+ * - services/scrapers/index.js
+ */
+
+const axios = require('axios');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScraperRun } = require('../models');
+const { ScraperRegistry, fetchAllStoreFlyers, listScrapers } = require('../services/scrapers');
+const {
+  classifyScraperError,
+  getCircuitState,
+  getZipCircuitStates,
+  detectRunAnomaly,
+  summarizeScraperRun,
+  recordScraperRun,
+  getScraperHealth
+} = require('../services/scrapers/health');
+const { getFixturePath, getRequestKey } = require('../services/scrapers/httpClient');
+
+describe('Scraper Health', () => {
+  const originalEnv = { ...process.env };
+  const now = new Date('2025-06-11T12:00:00Z');
+  const hoursAgo = hours => new Date(now.getTime() - hours * 60 * 60 * 1000);
+  const run = (status, createdAt, overrides = {}) => ({ status, createdAt, flyerCount: 1, dealCount: 40, latencyMs: 1000, ...overrides });
+
+  beforeEach(() => {
+    delete process.env.SCRAPER_CONFIG;
+    delete process.env.SCRAPER_BREAKER_THRESHOLD;
+    delete process.env.SCRAPER_BREAKER_COOLDOWN_MINUTES;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    jest.restoreAllMocks();
+  });
+
+  describe('classifyScraperError', () => {
+    const httpError = status => new axios.AxiosError('failed', 'ERR_BAD_RESPONSE', {}, {}, { status });
+
+    test('should tell timeouts, blocks, HTTP and network errors apart', () => {
+      expect(classifyScraperError(new axios.AxiosError('timeout of 15000ms exceeded', 'ECONNABORTED'))).toBe('timeout');
+      expect(classifyScraperError(httpError(403))).toBe('blocked');
+      expect(classifyScraperError(httpError(429))).toBe('blocked');
+      expect(classifyScraperError(httpError(500))).toBe('http_error');
+      expect(classifyScraperError(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }))).toBe('network');
+      expect(classifyScraperError(new TypeError("Cannot read properties of undefined (reading 'map')"))).toBe('parse');
+      expect(classifyScraperError(new Error('something else'))).toBe('unknown');
+    });
+  });
+
+  describe('summarizeScraperRun', () => {
+    const flyer = { preExtractedDeals: [{}, {}, {}] };
+
+    test('should count flyers and deals', () => {
+      expect(summarizeScraperRun({ flyers: [flyer, flyer], invalidFlyerErrors: [] }))
+        .toMatchObject({ status: 'success', flyerCount: 2, dealCount: 6, errorClass: null });
+    });
+
+    test('should fail a run with no flyers and failing requests', () => {
+      const requestErrors = [new axios.AxiosError('Request failed', 'ERR_BAD_REQUEST', {}, {}, { status: 403 })];
+
+      expect(summarizeScraperRun({ flyers: [], invalidFlyerErrors: [], requestErrors }))
+        .toMatchObject({ status: 'failed', errorClass: 'blocked', errorMessage: 'Request failed' });
+    });
+
+    test('should fail a run whose flyers all broke the contract', () => {
+      expect(summarizeScraperRun({ flyers: [], invalidFlyerErrors: ['validFrom is required'] }))
+        .toMatchObject({ status: 'failed', errorClass: 'invalid_flyer', errorMessage: 'validFrom is required' });
+    });
+
+    test('should call a run with nothing and no errors empty', () => {
+      expect(summarizeScraperRun({ flyers: [], invalidFlyerErrors: [], requestErrors: [] }))
+        .toMatchObject({ status: 'empty', flyerCount: 0 });
+    });
+  });
+
+  describe('getCircuitState', () => {
+    test('should stay closed until enough runs fail in a row', () => {
+      const runs = [run('failed', hoursAgo(1)), run('failed', hoursAgo(2)), run('success', hoursAgo(3)), run('failed', hoursAgo(4))];
+
+      expect(getCircuitState(runs, now)).toEqual({ state: 'closed', consecutiveFailures: 2, retryAt: null });
+      expect(getCircuitState([], now).state).toBe('closed');
+    });
+
+    test('should open after the threshold and half open after the cooldown', () => {
+      const runs = [run('failed', hoursAgo(1)), run('failed', hoursAgo(2)), run('failed', hoursAgo(3))];
+
+      expect(getCircuitState(runs, now)).toEqual({ state: 'open', consecutiveFailures: 3, retryAt: hoursAgo(-5) });
+      expect(getCircuitState(runs, hoursAgo(-6)).state).toBe('half_open');
+    });
+
+    test('should count empty runs where the ZIP used to have flyers', () => {
+      const drop = createdAt => run('empty', createdAt, { flyerCount: 0, dealCount: 0, anomaly: 'flyer_drop' });
+      const runs = [drop(hoursAgo(1)), drop(hoursAgo(2)), run('failed', hoursAgo(3)), run('success', hoursAgo(4))];
+
+      expect(getCircuitState(runs, now)).toMatchObject({ state: 'open', consecutiveFailures: 3 });
+    });
+
+    test('should not count empty runs in a ZIP that never had flyers', () => {
+      const runs = [run('empty', hoursAgo(1), { anomaly: null }), run('empty', hoursAgo(2), { anomaly: null }), run('empty', hoursAgo(3), { anomaly: null })];
+
+      expect(getCircuitState(runs, now)).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('should read its settings from the environment', () => {
+      process.env.SCRAPER_BREAKER_THRESHOLD = '2';
+      process.env.SCRAPER_BREAKER_COOLDOWN_MINUTES = '30';
+      const runs = [run('failed', hoursAgo(1)), run('failed', hoursAgo(2))];
+
+      expect(getCircuitState(runs, now)).toMatchObject({ state: 'half_open', retryAt: new Date(hoursAgo(1).getTime() + 30 * 60 * 1000) });
+    });
+  });
+
+  describe('getZipCircuitStates', () => {
+    test('should keep a circuit per ZIP, worst first', () => {
+      const runs = [
+        run('failed', hoursAgo(1), { zipCode: '30132' }),
+        run('success', hoursAgo(2), { zipCode: '07001' }),
+        run('failed', hoursAgo(3), { zipCode: '30132' }),
+        run('failed', hoursAgo(4), { zipCode: '30132' }),
+        run('failed', hoursAgo(5), { zipCode: '07001' })
+      ];
+
+      expect(getZipCircuitStates(runs, now).map(circuit => [circuit.zipCode, circuit.state, circuit.consecutiveFailures])).toEqual([
+        ['30132', 'open', 3],
+        ['07001', 'closed', 0]
+      ]);
+    });
+  });
+
+  describe('detectRunAnomaly', () => {
+    const baseline = { flyerCount: 1, dealCount: 40 };
+
+    test('should flag a chain that stopped returning flyers or deals', () => {
+      expect(detectRunAnomaly({ flyerCount: 0, dealCount: 0 }, baseline)).toBe('flyer_drop');
+      expect(detectRunAnomaly({ flyerCount: 1, dealCount: 12 }, baseline)).toBe('deal_drop');
+    });
+
+    test('should accept normal week-to-week changes', () => {
+      expect(detectRunAnomaly({ flyerCount: 1, dealCount: 25 }, baseline)).toBeNull();
+      expect(detectRunAnomaly({ flyerCount: 1, dealCount: 1 }, { flyerCount: 1, dealCount: 5 })).toBeNull();
+      expect(detectRunAnomaly({ flyerCount: 0, dealCount: 0 }, null)).toBeNull();
+    });
+  });
+
+  describe('recordScraperRun', () => {
+    test('should compare against a successful run for the ZIP about a week earlier', async () => {
+      const findBaseline = jest.spyOn(ScraperRun, 'findOne').mockResolvedValue({ flyerCount: 1, dealCount: 40 });
+      const create = jest.spyOn(ScraperRun, 'create').mockImplementation(async row => row);
+
+      const saved = await recordScraperRun({ storeSlug: 'kroger', zipCode: '30132', status: 'success', flyerCount: 1, dealCount: 8, latencyMs: 900 }, now);
+
+      const { where } = findBaseline.mock.calls[0][0];
+      expect(where).toMatchObject({ storeSlug: 'kroger', zipCode: '30132', status: 'success' });
+      expect(Object.getOwnPropertySymbols(where.createdAt).map(op => where.createdAt[op]))
+        .toEqual([new Date('2025-06-01T12:00:00Z'), new Date('2025-06-06T12:00:00Z')]);
+      expect(create).toHaveBeenCalled();
+      expect(saved).toMatchObject({ anomaly: 'deal_drop', baselineDealCount: 40 });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('kroger (30132): deal_drop'));
+    });
+
+    test('should fall back to the last successful run of any age', async () => {
+      const findBaseline = jest.spyOn(ScraperRun, 'findOne')
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ flyerCount: 2, dealCount: 40 });
+      jest.spyOn(ScraperRun, 'create').mockImplementation(async row => row);
+
+      const saved = await recordScraperRun({ storeSlug: 'kroger', zipCode: '30132', status: 'empty', flyerCount: 0, dealCount: 0, latencyMs: 900 }, now);
+
+      const { where } = findBaseline.mock.calls[1][0];
+      expect(where).toMatchObject({ storeSlug: 'kroger', zipCode: '30132', status: 'success' });
+      expect(Object.getOwnPropertySymbols(where.createdAt).map(op => where.createdAt[op])).toEqual([now]);
+      expect(saved).toMatchObject({ status: 'empty', anomaly: 'flyer_drop' });
+    });
+
+    test('should not flag a ZIP that never succeeded', async () => {
+      jest.spyOn(ScraperRun, 'findOne').mockResolvedValue(null);
+      jest.spyOn(ScraperRun, 'create').mockImplementation(async row => row);
+
+      const saved = await recordScraperRun({ storeSlug: 'kroger', zipCode: '30132', status: 'empty', flyerCount: 0, dealCount: 0, latencyMs: 900 }, now);
+
+      expect(ScraperRun.findOne).toHaveBeenCalledTimes(2);
+      expect(saved).toMatchObject({ anomaly: null, baselineDealCount: null });
+    });
+
+    test('should not throw when the run cannot be saved', async () => {
+      jest.spyOn(ScraperRun, 'findOne').mockRejectedValue(new Error('connection refused'));
+
+      await expect(recordScraperRun({ storeSlug: 'kroger', zipCode: '30132', status: 'empty' }, now)).resolves.toBeNull();
+    });
+  });
+
+  describe('fetchAllStoreFlyers', () => {
+    // Switch off every scraper but the ones given (slug -> options)
+    const onlyRun = (config) => {
+      const disabled = Object.fromEntries(Object.keys(ScraperRegistry).map(slug => [slug, { enabled: false }]));
+      process.env.SCRAPER_CONFIG = JSON.stringify({ ...disabled, ...config });
+    };
+
+    beforeEach(() => {
+      jest.spyOn(ScraperRun, 'findOne').mockResolvedValue(null);
+    });
+
+    test('should skip a scraper whose circuit is open for the ZIP', async () => {
+      onlyRun({ kroger: {} });
+      const findRuns = jest.spyOn(ScraperRun, 'findAll').mockResolvedValue([
+        run('failed', new Date()), run('failed', new Date()), run('failed', new Date())
+      ]);
+      const fetch = jest.spyOn(ScraperRegistry.kroger.prototype, 'fetchFlyers');
+      const create = jest.spyOn(ScraperRun, 'create');
+
+      expect(await fetchAllStoreFlyers('30132')).toEqual([]);
+      expect(findRuns.mock.calls[0][0].where).toEqual({ storeSlug: 'kroger', zipCode: '30132' });
+      expect(fetch).not.toHaveBeenCalled();
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('should still run a scraper in ZIPs where it works', async () => {
+      onlyRun({ kroger: {} });
+      // Three failures in a row, in another ZIP
+      const failing = [run('failed', new Date()), run('failed', new Date()), run('failed', new Date())];
+      jest.spyOn(ScraperRun, 'findAll').mockImplementation(async ({ where }) => (where.zipCode === '30157' ? failing : []));
+      jest.spyOn(ScraperRun, 'create').mockImplementation(async row => row);
+      const fetch = jest.spyOn(ScraperRegistry.kroger.prototype, 'fetchFlyers').mockResolvedValue([]);
+
+      await fetchAllStoreFlyers('30132');
+
+      expect(fetch).toHaveBeenCalledWith('30132');
+    });
+
+    test('should record a failed run with the failing request', async () => {
+      // Replay a site that blocks the specials request (the store locator isn't recorded, so it fails too)
+      const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-health-'));
+      const specials = { method: 'get', url: 'https://mobileapi.lidl.com/v1/specials', params: { storeId: 'US01248' } };
+      fs.writeFileSync(getFixturePath('lidl', fixtureDir), JSON.stringify({
+        entries: [{ key: getRequestKey(specials), request: specials, response: { status: 403, data: 'Forbidden' } }]
+      }));
+      onlyRun({ lidl: { httpMode: 'replay', fixtureDir, rateLimitMs: 1 } });
+      jest.spyOn(ScraperRun, 'findAll').mockResolvedValue([]);
+      const create = jest.spyOn(ScraperRun, 'create').mockImplementation(async row => row);
+
+      try {
+        expect(await fetchAllStoreFlyers('30132')).toEqual([]);
+      } finally {
+        fs.rmSync(fixtureDir, { recursive: true, force: true });
+      }
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        storeSlug: 'lidl',
+        zipCode: '30132',
+        status: 'failed',
+        flyerCount: 0,
+        errorClass: 'blocked',
+        errorMessage: 'Request failed with status code 403',
+        latencyMs: expect.any(Number)
+      }));
+    });
+
+    test('should record a run that throws', async () => {
+      onlyRun({ aldi: {} });
+      jest.spyOn(ScraperRun, 'findAll').mockResolvedValue([]);
+      const create = jest.spyOn(ScraperRun, 'create').mockImplementation(async row => row);
+      jest.spyOn(ScraperRegistry.aldi.prototype, 'fetchFlyers').mockRejectedValue(new TypeError('flyers.map is not a function'));
+
+      await fetchAllStoreFlyers('30132');
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ storeSlug: 'aldi', status: 'failed', errorClass: 'parse' }));
+    });
+  });
+
+  describe('getScraperHealth', () => {
+    test('should summarize each scraper from its recent runs', async () => {
+      const runs = [
+        run('failed', hoursAgo(1), { errorClass: 'blocked', latencyMs: 500 }),
+        run('success', hoursAgo(30), { latencyMs: 1500 }),
+        run('empty', hoursAgo(60), { latencyMs: 1000 }),
+        run('failed', hoursAgo(90), { latencyMs: 1000 }),
+        run('empty', hoursAgo(120), { latencyMs: 1000, anomaly: 'flyer_drop' })
+      ];
+      jest.spyOn(ScraperRun, 'findAll').mockImplementation(async ({ where }) => (where.storeSlug === 'kroger' ? runs : []));
+
+      const health = await getScraperHealth(listScrapers(), now);
+      const kroger = health.find(scraper => scraper.slug === 'kroger');
+
+      expect(health).toHaveLength(Object.keys(ScraperRegistry).length);
+      expect(kroger).toMatchObject({
+        storeName: 'Kroger',
+        state: 'closed',
+        consecutiveFailures: 1,
+        lastRun: runs[0],
+        runCount: 5,
+        successRate: 0.4,
+        avgLatencyMs: 1000
+      });
+      expect(health.find(scraper => scraper.slug === 'aldi')).toMatchObject({ lastRun: null, successRate: null, avgLatencyMs: null });
+    });
+
+    test('should show the worst ZIP circuit and list the ZIPs that are not closed', async () => {
+      const runs = [
+        run('success', hoursAgo(1), { zipCode: '07001' }),
+        run('failed', hoursAgo(2), { zipCode: '30132' }),
+        run('failed', hoursAgo(3), { zipCode: '30132' }),
+        run('failed', hoursAgo(4), { zipCode: '30132' })
+      ];
+      jest.spyOn(ScraperRun, 'findAll').mockImplementation(async ({ where }) => (where.storeSlug === 'kroger' ? runs : []));
+
+      const health = await getScraperHealth(listScrapers(), now);
+
+      expect(health.find(scraper => scraper.slug === 'kroger')).toMatchObject({
+        state: 'open',
+        consecutiveFailures: 3,
+        retryAt: new Date(hoursAgo(2).getTime() + 6 * 60 * 60 * 1000),
+        circuitZipCodes: ['30132']
+      });
+      expect(health.find(scraper => scraper.slug === 'aldi')).toMatchObject({ state: 'closed', circuitZipCodes: [] });
+    });
+  });
+});
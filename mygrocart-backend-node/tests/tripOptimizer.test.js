@@ -0,0 +1,132 @@
+/**
+ * Trip Optimizer Test Suite
+ *
+ * Tests for splitting a shopping list across several stores:
+ * - Cheapest store per item within a store budget
+ * - Flat and per-mile extra-stop costs
+ * - Coverage of items only some stores carry, priced against skipping them
+ * - Savings versus the best single store
+ *
+ * Based on current implementation in:
+ * - utils/tripOptimizer.js
+ */
+
+const { normalizeTripOptions, getStopCost, getUncoveredCost, optimizeTrip } = require('../utils/tripOptimizer');
+
+// offers: { storeName: totalCost }
+const item = (itemId, offers, regularCost = null) => ({
+  itemId,
+  itemName: itemId,
+  regularCost,
+  offers: new Map(Object.entries(offers).map(([storeName, totalCost]) => [
+    storeName,
+    { dealProductName: itemId, quantity: 1, totalCost }
+  ]))
+});
+
+const storesOf = plan => plan.stops.map(stop => stop.storeName).sort();
+
+describe('Trip Optimizer', () => {
+  describe('Options', () => {
+    test('should default to two stores and a flat stop penalty', () => {
+      expect(normalizeTripOptions()).toEqual({ maxStores: 2, stopPenalty: 2, costPerMile: 0 });
+    });
+
+    test('should clamp the number of stores', () => {
+      expect(normalizeTripOptions({ maxStores: 0 }).maxStores).toBe(1);
+      expect(normalizeTripOptions({ maxStores: 10 }).maxStores).toBe(4);
+    });
+
+    test('should add distance cost when the distance is known', () => {
+      const options = normalizeTripOptions({ stopPenalty: 1, costPerMile: 0.5 });
+
+      expect(getStopCost(4, options)).toBe(3);
+      expect(getStopCost(null, options)).toBe(1);
+    });
+  });
+
+  describe('Planning', () => {
+    const items = [
+      item('milk', { ShopRite: 3.99, Walmart: 3.49 }),
+      item('eggs', { ShopRite: 2.49, Walmart: 3.99 }),
+      item('bread', { ShopRite: 2.99, Walmart: 2.89 })
+    ];
+
+    test('should split the list when the savings beat the stop penalty', () => {
+      const { plan, bestSingleStore, savingsVsBestSingleStore } = optimizeTrip(items, new Map(), { stopPenalty: 0.5 });
+
+      expect(storesOf(plan)).toEqual(['ShopRite', 'Walmart']);
+      expect(plan.itemsCost).toBe(8.87);
+      expect(plan.extraStopCost).toBe(0.5);
+      expect(plan.totalCost).toBe(9.37);
+      expect(bestSingleStore.stops[0].storeName).toBe('ShopRite');
+      expect(savingsVsBestSingleStore).toBe(0.1);
+    });
+
+    test('should stay at one store when the extra stop costs more than it saves', () => {
+      const { plan, savingsVsBestSingleStore } = optimizeTrip(items, new Map(), { stopPenalty: 5 });
+
+      expect(storesOf(plan)).toEqual(['ShopRite']);
+      expect(plan.extraStopCost).toBe(0);
+      expect(savingsVsBestSingleStore).toBe(0);
+    });
+
+    test('should respect the maximum number of stores', () => {
+      const { plan } = optimizeTrip(items, new Map(), { maxStores: 1, stopPenalty: 0 });
+
+      expect(plan.stops).toHaveLength(1);
+    });
+
+    test('should charge the farther store as the extra stop', () => {
+      const distances = new Map([['ShopRite', 1], ['Walmart', 6]]);
+      const { plan } = optimizeTrip(items, distances, { stopPenalty: 0, costPerMile: 0.01 });
+
+      expect(plan.stops.map(stop => stop.storeName)).toEqual(['ShopRite', 'Walmart']);
+      expect(plan.stops[0].stopCost).toBe(0);
+      expect(plan.stops[1].stopCost).toBe(0.06);
+    });
+
+    test('should add a store when its deal saves more than the stop costs', () => {
+      const { plan } = optimizeTrip([
+        item('milk', { ShopRite: 2.99 }, 5.49),
+        item('salsa', { Aldi: 1.99 }, 3.49)
+      ], new Map(), { stopPenalty: 1 });
+
+      expect(storesOf(plan)).toEqual(['Aldi', 'ShopRite']);
+      expect(plan.unassignedItems).toEqual([]);
+      expect(plan.uncoveredCost).toBe(0);
+    });
+
+    test('should skip a store when buying the item at regular price is cheaper than the stop', () => {
+      const { plan } = optimizeTrip([
+        item('milk', { ShopRite: 2.99 }, 5.49),
+        item('salsa', { Aldi: 1.99 }, 3.49)
+      ], new Map(), { stopPenalty: 5 });
+
+      expect(storesOf(plan)).toEqual(['ShopRite']);
+      expect(plan.unassignedItems).toEqual(['salsa']);
+      expect(plan.totalCost).toBe(2.99);
+      expect(plan.uncoveredCost).toBe(3.49);
+    });
+
+    test('should price an item without a regular cost at its dearest deal', () => {
+      expect(getUncoveredCost(item('salsa', { Aldi: 1.99, Walmart: 2.49 }))).toBe(2.49);
+      expect(getUncoveredCost(item('salsa', { Aldi: 1.99 }, 3.49))).toBe(3.49);
+      expect(getUncoveredCost(item('saffron', {}))).toBe(0);
+    });
+
+    test('should report items no store carries', () => {
+      const { plan } = optimizeTrip([
+        item('milk', { ShopRite: 3.99 }),
+        item('saffron', {})
+      ]);
+
+      expect(plan.unassignedItems).toEqual(['saffron']);
+      expect(plan.assignments).toHaveLength(1);
+    });
+
+    test('should return no plan without offers', () => {
+      expect(optimizeTrip([item('milk', {})]).plan).toBeNull();
+    });
+  });
+});
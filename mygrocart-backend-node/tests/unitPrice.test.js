@@ -0,0 +1,155 @@
+/**
+ * Unit Price Test Suite
+ *
+ * Tests for normalizing deal prices to a price per unit:
+ * - Package size parsing (weights, volumes, counts, multipacks, sizes without a number)
+ * - Sold-by-measure deals ("/lb", "gallon")
+ * - Multi-buy deals
+ * - Comparing deals by value
+ * - Sorting deal search results by unit price (database calls are stubbed)
+ *
+ * Based on current implementation in:
+ * - utils/unitPrice.js
+ * - resolvers/index.js (searchDeals)
+ */
+
+const {
+  parsePackageSize,
+  calculateUnitPrice,
+  formatUnitPrice,
+  compareDealValue
+} = require('../utils/unitPrice');
+const { Deal } = require('../models');
+const resolvers = require('../resolvers');
+
+const deal = (productName, salePrice, extra = {}) => ({ productName, salePrice, unit: 'each', ...extra });
+
+describe('Unit Price', () => {
+  describe('Package Size Parsing', () => {
+    test('should parse weights to ounces', () => {
+      expect(parsePackageSize('Cheerios 12 oz')).toEqual({ amount: 12, unit: 'oz' });
+      expect(parsePackageSize('Ground Beef 2lb')).toEqual({ amount: 32, unit: 'oz' });
+    });
+
+    test('should parse volumes to fluid ounces', () => {
+      expect(parsePackageSize('Water 16.9 fl. oz')).toEqual({ amount: 16.9, unit: 'fl_oz' });
+      expect(parsePackageSize('Milk 1/2 gal')).toEqual({ amount: 64, unit: 'fl_oz' });
+      expect(parsePackageSize('Sprite 2 L').unit).toBe('fl_oz');
+    });
+
+    test('should parse counts', () => {
+      expect(parsePackageSize('Large Eggs 18 ct')).toEqual({ amount: 18, unit: 'count' });
+      expect(parsePackageSize('Dozen Eggs')).toEqual({ amount: 12, unit: 'count' });
+    });
+
+    test('should multiply multipacks', () => {
+      expect(parsePackageSize('Coca-Cola 12 x 12 oz cans')).toEqual({ amount: 144, unit: 'oz' });
+      expect(parsePackageSize('Water 24pk 16.9 fl oz').amount).toBeCloseTo(405.6);
+    });
+
+    test('should parse volumes named without a number', () => {
+      expect(parsePackageSize('Milk Half Gallon')).toEqual({ amount: 64, unit: 'fl_oz' });
+      expect(parsePackageSize('Orange Juice Half-Gallon')).toEqual({ amount: 64, unit: 'fl_oz' });
+      expect(parsePackageSize('Whole Milk Gallon')).toEqual({ amount: 128, unit: 'fl_oz' });
+      expect(parsePackageSize('Heavy Cream Quart')).toEqual({ amount: 32, unit: 'fl_oz' });
+      expect(parsePackageSize('Ben & Jerry\'s Pint')).toEqual({ amount: 16, unit: 'fl_oz' });
+    });
+
+    test('should skip size words between a count and its unit', () => {
+      expect(parsePackageSize('Bounty 6 Double Rolls')).toEqual({ amount: 6, unit: 'count' });
+      expect(parsePackageSize('Charmin 12 Mega Rolls')).toEqual({ amount: 12, unit: 'count' });
+      expect(parsePackageSize('Scott 8 Family Mega Rolls')).toEqual({ amount: 8, unit: 'count' });
+    });
+
+    test('should prefer weight over count', () => {
+      expect(parsePackageSize('Granola Bars 6 ct 7.4 oz')).toEqual({ amount: 7.4, unit: 'oz' });
+    });
+
+    test('should return null when there is no size', () => {
+      expect(parsePackageSize('Bananas')).toBeNull();
+      expect(parsePackageSize(null)).toBeNull();
+    });
+  });
+
+  describe('Unit Price Calculation', () => {
+    test('should price packaged goods by their size', () => {
+      expect(calculateUnitPrice(deal('Cheerios 12 oz', 3.99))).toEqual({ unitPrice: 0.3325, unitPriceUnit: 'oz' });
+    });
+
+    test('should price sold-by-measure deals per measure', () => {
+      const chicken = deal('Chicken Breast', 2.99, { unit: '/lb' });
+      const result = calculateUnitPrice(chicken);
+
+      expect(result.unitPriceUnit).toBe('oz');
+      expect(formatUnitPrice({ ...chicken, ...result })).toBe('$2.99/lb');
+    });
+
+    test('should fall back to per item for "each" with no size', () => {
+      expect(calculateUnitPrice(deal('Pineapple', 2.5))).toEqual({ unitPrice: 2.5, unitPriceUnit: 'count' });
+    });
+
+    test('should divide multi-buy totals', () => {
+      expect(calculateUnitPrice(deal('Yogurt', 5, { quantity: '2 for $5' })).unitPrice).toBe(2.5);
+    });
+
+    test('should not divide a multi-buy price that is already per item', () => {
+      expect(calculateUnitPrice(deal('Yogurt', 2.5, { quantity: '2 for $5' })).unitPrice).toBe(2.5);
+    });
+
+    test('should return nulls for an invalid price', () => {
+      expect(calculateUnitPrice(deal('Yogurt', null))).toEqual({ unitPrice: null, unitPriceUnit: null });
+    });
+  });
+
+  describe('Comparing Deals', () => {
+    test('should prefer the family pack with the lower unit price', () => {
+      const single = { ...deal('Cereal 12 oz', 1.99) };
+      const familyPack = { ...deal('Cereal 40 oz', 4.99) };
+      Object.assign(single, calculateUnitPrice(single));
+      Object.assign(familyPack, calculateUnitPrice(familyPack));
+
+      expect(compareDealValue(familyPack, single)).toBeLessThan(0);
+    });
+
+    test('should fall back to item price when units differ', () => {
+      const byWeight = { ...deal('Apples', 1.49, { unit: 'lb' }) };
+      const byCount = { ...deal('Apples', 0.99) };
+      Object.assign(byWeight, calculateUnitPrice(byWeight));
+      Object.assign(byCount, calculateUnitPrice(byCount));
+
+      expect(compareDealValue(byCount, byWeight)).toBeLessThan(0);
+    });
+  });
+
+  describe('Sorting Search Results', () => {
+    const user = { userId: 'user-1' };
+    const search = query => resolvers.Query.searchDeals(
+      null, { query, zipCode: '07001', sortBy: 'UNIT_PRICE' }, { user }
+    );
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should rank the unit most results use before other units', async () => {
+      jest.spyOn(Deal, 'findAll').mockResolvedValue([{ unitPriceUnit: 'oz' }]);
+      const findDeals = jest.spyOn(Deal, 'findAndCountAll').mockResolvedValue({ count: 0, rows: [] });
+
+      await search('cereal');
+
+      const { order } = findDeals.mock.calls[0][0];
+      expect(order[0][0].val).toContain(`"unitPriceUnit" = 'oz' THEN 0`);
+      expect(order.slice(1)).toEqual([['unitPriceUnit', 'ASC NULLS LAST'], ['unitPrice', 'ASC NULLS LAST'], ['salePrice', 'ASC']]);
+    });
+
+    test('should rank the unit named in the search', async () => {
+      const findUnits = jest.spyOn(Deal, 'findAll');
+      const findDeals = jest.spyOn(Deal, 'findAndCountAll').mockResolvedValue({ count: 0, rows: [] });
+
+      await search('milk gallon');
+
+      expect(findUnits).not.toHaveBeenCalled();
+      expect(findDeals.mock.calls[0][0].order[0][0].val).toContain(`"unitPriceUnit" = 'fl_oz' THEN 0`);
+    });
+  });
+});
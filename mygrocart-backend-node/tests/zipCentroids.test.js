@@ -0,0 +1,71 @@
+/**
+ * ZIP Centroids Test Suite
+ *
+ * Tests for the offline ZIP code location table:
+ * - ZIP code normalization
+ * - Exact and 3-digit prefix lookups
+ * - Falling back from record coordinates to the ZIP centroid
+ *
+ * Based on current implementation in:
+ * - utils/zipCentroids.js
+ */
+
+const { normalizeZipCode, getZipCentroid, resolveLocation } = require('../utils/zipCentroids');
+
+describe('ZIP Centroids', () => {
+  test('should normalize ZIP codes to 5 digits', () => {
+    expect(normalizeZipCode('10473-1234')).toBe('10473');
+    expect(normalizeZipCode(7001)).toBe('07001');
+    expect(normalizeZipCode('ABCDE')).toBeNull();
+    expect(normalizeZipCode(null)).toBeNull();
+  });
+
+  test('should find ZIPs in the table', () => {
+    const centroid = getZipCentroid('10473');
+
+    expect(centroid.precision).toBe('zip');
+    expect(centroid.latitude).toBeCloseTo(40.82, 1);
+    expect(centroid.longitude).toBeCloseTo(-73.86, 1);
+  });
+
+  test('should cover ZIPs across the US', () => {
+    const cities = {
+      90210: [34.10, -118.41], // Beverly Hills
+      33101: [25.78, -80.20], // Miami
+      60601: [41.89, -87.62], // Chicago
+      45202: [39.11, -84.50], // Cincinnati
+      30132: [33.99, -84.85], // Dallas, GA
+      98101: [47.61, -122.33], // Seattle
+      99501: [61.22, -149.86], // Anchorage
+      96813: [21.32, -157.85], // Honolulu
+      '00901': [18.47, -66.11] // San Juan
+    };
+
+    for (const [zip, [latitude, longitude]] of Object.entries(cities)) {
+      const centroid = getZipCentroid(zip);
+      expect(centroid).toMatchObject({ precision: 'zip' });
+      expect(Math.abs(centroid.latitude - latitude)).toBeLessThan(0.1);
+      expect(Math.abs(centroid.longitude - longitude)).toBeLessThan(0.1);
+    }
+  });
+
+  test('should fall back to the 3-digit prefix for unknown ZIPs', () => {
+    const known = getZipCentroid('10473');
+    const neighbor = getZipCentroid('10499');
+
+    expect(neighbor.precision).toBe('prefix');
+    expect(Math.abs(neighbor.latitude - known.latitude)).toBeLessThan(0.5);
+  });
+
+  test('should return null for ZIPs with no nearby data', () => {
+    expect(getZipCentroid('00000')).toBeNull();
+  });
+
+  test('should prefer a record\'s own coordinates', () => {
+    expect(resolveLocation({ latitude: '33.9237', longitude: '-84.8408' }, '10473')).toEqual({
+      latitude: 33.9237,
+      longitude: -84.8408
+    });
+    expect(resolveLocation({ latitude: null, longitude: null }, '10473').latitude).toBeCloseTo(40.82, 1);
+  });
+});
@@ -3,8 +3,71 @@
  *
  * This module implements the matching algorithm from SHOPPING_LIST_UX_DESIGN.md
  * to intelligently match deals from weekly flyers to user shopping list items.
+ *
+ * Matching works on stemmed whole tokens (utils/textNormalizer.js) so plurals
+ * fold together ("Eggs" matches "Large Grade A Egg") and substrings don't
+ * leak ("Egg" no longer matches "Eggplant"). Items found in the curated
+ * dictionary (utils/matchDictionary.js) also match their synonyms and more
+ * specific products ("Soda" matches "Coca-Cola 12pk"), and known negative
+ * phrases plus the deal's own brand are ignored so "Chicken of the Sea Tuna"
+ * doesn't match "Chicken".
+ *
+ * Once a deal matches by name it gets a graded score (0-1) built from
+ * several signals, each reported in a breakdown so the apps can explain
+ * the match and users can tune their own minimum score.
+ *
+ * Users' accept/reject decisions (DealMatchFeedback) are keyed by the
+ * product's normalized name and brand, so a product rejected once stays
+ * out of future weeks' matches and an accepted one is boosted.
  */
 
+const { tokenize, stemPhrase, findPhrase, productKey } = require('./textNormalizer');
+const { findConcept, getVariantTerms } = require('./matchDictionary');
+const { calculateDistance } = require('./distance');
+const { resolveLocation } = require('./zipCentroids');
+
+// Tokenized deal/list item text, cached because every deal is compared
+// against every list item
+const dealTokenCache = new WeakMap();
+const itemMatcherCache = new WeakMap();
+
+// Weight of each signal in the final score (sums to 1.0)
+const MATCH_WEIGHTS = {
+  nameMatch: 0.35,
+  tokenOverlap: 0.15,
+  variantMatch: 0.2,
+  categoryAgreement: 0.1,
+  brandPreference: 0.1,
+  ocrConfidence: 0.1
+};
+
+// Value used for a signal we have no information about (no variant
+// requested, deal has no category, user has no preferred brands, ...)
+const NEUTRAL_SIGNAL = 0.6;
+
+// Name match strength by how the item name was found in the deal
+const NAME_MATCH_VALUES = {
+  EXACT: 1.0,
+  SYNONYM: 0.9,
+  SPECIFIC_PRODUCT: 0.8
+};
+
+// A requested variant that is missing halves the score, which keeps it
+// under the default threshold but still visible to users who lower theirs
+const VARIANT_MISS_PENALTY = 0.5;
+
+// Matches below this score are dropped unless the user sets their own
+const DEFAULT_MIN_MATCH_SCORE = 0.4;
+
+// Added to the score of a product the user accepted for this item before
+const ACCEPTED_FEEDBACK_BOOST = 0.25;
+
+// Words that don't describe the product, ignored for token overlap
+const FILLER_TOKENS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'or', 'with', 'for', 'in', 'per',
+  'oz', 'lb', 'ct', 'pk', 'pack', 'each', 'ea', 'count', 'size', 'select', 'variety'
+]);
+
 /**
  * Match deals to a shopping list item
  *
@@ -12,19 +75,25 @@
  * @param {string} listItem.itemName - Base item name (e.g., "Milk", "Chicken")
  * @param {string} listItem.itemVariant - Optional variant (e.g., "organic", "breast")
  * @param {Array} deals - Array of Deal objects from database
- * @returns {Array} Array of matched deals with scores and reasons
+ * @param {object} options - Scoring options
+ * @param {number} options.minScore - Drop matches below this score (default DEFAULT_MIN_MATCH_SCORE)
+ * @param {Array<string>} options.preferredBrands - User's preferred brands
+ * @param {Array<object>} options.feedback - User's DealMatchFeedback records
+ * @returns {Array} Array of matched deals with scores, reasons and breakdowns
  */
-function matchDealsToListItem(listItem, deals) {
+function matchDealsToListItem(listItem, deals, options = {}) {
+  const minScore = options.minScore ?? DEFAULT_MIN_MATCH_SCORE;
   const matches = [];
 
   for (const deal of deals) {
-    const score = calculateMatchScore(deal, listItem);
+    const { score, breakdown } = scoreMatch(deal, listItem, options);
 
-    if (score > 0) {
+    if (score > 0 && score >= minScore) {
       matches.push({
         deal,
         score,
-        matchReason: generateMatchReason(deal, listItem, score)
+        breakdown,
+        matchReason: generateMatchReason(deal, listItem, score, options)
       });
     }
   }
@@ -33,39 +102,381 @@ function matchDealsToListItem(listItem, deals) {
   return matches.sort((a, b) => b.score - a.score);
 }
 
+/**
+ * Build matching options from a user's saved preferences
+ *
+ * @param {object} user - User record (minMatchScore, preferredBrands)
+ * @param {Array<object>} feedback - User's DealMatchFeedback records
+ * @returns {object} { minScore, preferredBrands, feedback } for matchDealsToListItem
+ */
+function getMatchOptions(user, feedback = []) {
+  return {
+    minScore: user?.minMatchScore ?? DEFAULT_MIN_MATCH_SCORE,
+    preferredBrands: Array.isArray(user?.preferredBrands) ? user.preferredBrands : [],
+    feedback
+  };
+}
+
+/**
+ * Key a list item for feedback lookups (name + variant, normalized)
+ *
+ * @param {object} listItem - Shopping list item
+ * @returns {string} Item key (e.g., "chicken breast")
+ */
+function getItemKey(listItem) {
+  const variant = listItem.itemVariant && listItem.itemVariant.toLowerCase() !== 'any'
+    ? listItem.itemVariant
+    : '';
+  return stemPhrase(`${listItem.itemName || ''} ${variant}`);
+}
+
+/**
+ * Key a deal's product for feedback lookups
+ *
+ * @param {object} deal - Deal object
+ * @returns {object} { productKey, brandKey }
+ */
+function getProductKeys(deal) {
+  const tokens = getDealTokens(deal);
+  return { productKey: tokens.productKey, brandKey: tokens.brandTokens.join(' ') };
+}
+
+/**
+ * Find the user's most recent decision on this product for this list item
+ *
+ * A decision recorded without a brand applies to any brand of the product.
+ *
+ * @param {object} deal - Deal object
+ * @param {object} listItem - Shopping list item
+ * @param {Array<object>} feedback - DealMatchFeedback records
+ * @returns {object|null} Matching feedback record
+ */
+function findFeedback(deal, listItem, feedback) {
+  if (!feedback || feedback.length === 0) {
+    return null;
+  }
+
+  const itemKey = getItemKey(listItem);
+  const { productKey: dealProductKey, brandKey } = getProductKeys(deal);
+  if (!dealProductKey) {
+    return null;
+  }
+
+  let latest = null;
+  for (const entry of feedback) {
+    if (entry.itemKey !== itemKey || entry.productKey !== dealProductKey) continue;
+    if (entry.brandKey && brandKey && entry.brandKey !== brandKey) continue;
+    if (!latest || new Date(entry.updatedAt) > new Date(latest.updatedAt)) {
+      latest = entry;
+    }
+  }
+
+  return latest;
+}
+
 /**
  * Calculate match score between a deal and a list item
  *
  * Scoring logic:
- * - 1.0 = Perfect match (item name + variant both match)
- * - 0.5 = Partial match (item name matches, variant doesn't or no variant specified)
- * - 0.0 = No match
+ * - 0.0 = No match (item name not found in the deal)
+ * - Otherwise a weighted sum of the signals in MATCH_WEIGHTS, halved when
+ *   a requested variant is missing. See scoreMatch for the breakdown.
  *
  * @param {object} deal - Deal object from database
  * @param {object} listItem - Shopping list item
+ * @param {object} options - { preferredBrands }
  * @returns {number} Match score (0-1)
  */
-function calculateMatchScore(deal, listItem) {
-  const dealText = deal.productName.toLowerCase();
-  const itemName = listItem.itemName.toLowerCase();
-  const variant = listItem.itemVariant?.toLowerCase();
+function calculateMatchScore(deal, listItem, options = {}) {
+  return scoreMatch(deal, listItem, options).score;
+}
+
+/**
+ * Score a deal against a list item and explain the score
+ *
+ * Breakdown signals (each 0-1, null when there was nothing to compare and
+ * NEUTRAL_SIGNAL was used instead):
+ * - nameMatch: 1.0 exact name, 0.9 synonym, 0.8 specific product ("Coca-Cola" for "Soda")
+ * - tokenOverlap: share of the deal's descriptive words covered by the item
+ * - variantMatch: 1 if the requested variant is present, 0 if missing
+ * - categoryAgreement: list item / dictionary category vs Deal.productCategory
+ * - brandPreference: 1 for a preferred brand, 0.3 for any other brand
+ * - ocrConfidence: Deal.confidence from flyer extraction
+ *
+ * Products the user rejected for this item score 0; accepted ones get
+ * ACCEPTED_FEEDBACK_BOOST and breakdown.userFeedback = 'ACCEPTED'.
+ *
+ * @param {object} deal - Deal object from database
+ * @param {object} listItem - Shopping list item
+ * @param {object} options - { preferredBrands, feedback }
+ * @returns {object} { score, breakdown } (breakdown is null when there is no match)
+ */
+function scoreMatch(deal, listItem, options = {}) {
+  const decision = findFeedback(deal, listItem, options.feedback)?.decision || null;
+  if (decision === 'rejected') {
+    return { score: 0.0, breakdown: null };
+  }
+
+  const result = evaluateMatch(deal, listItem);
+
+  // Must match the base item name (directly, via synonym or a specific product)
+  if (!result.matchedTerm) {
+    return { score: 0.0, breakdown: null };
+  }
+
+  const breakdown = {
+    nameMatch: NAME_MATCH_VALUES[result.matchType],
+    matchType: result.matchType,
+    matchedTerm: result.matchedTerm,
+    tokenOverlap: result.tokenOverlap,
+    variantMatch: result.hasVariant ? (result.variantMatched ? 1 : 0) : null,
+    categoryAgreement: scoreCategory(deal, listItem, result.concept),
+    brandPreference: scoreBrand(deal, options.preferredBrands),
+    ocrConfidence: deal.confidence > 0 ? Math.min(parseFloat(deal.confidence), 1) : null,
+    userFeedback: decision === 'accepted' ? 'ACCEPTED' : null
+  };
+
+  let score = 0;
+  for (const [signal, weight] of Object.entries(MATCH_WEIGHTS)) {
+    const value = breakdown[signal];
+    score += weight * (value === null ? NEUTRAL_SIGNAL : value);
+  }
+
+  if (result.hasVariant && !result.variantMatched) {
+    score *= VARIANT_MISS_PENALTY;
+  }
+
+  if (decision === 'accepted') {
+    score = Math.min(score + ACCEPTED_FEEDBACK_BOOST, 1);
+  }
+
+  return {
+    score: parseFloat(score.toFixed(2)),
+    breakdown
+  };
+}
+
+/**
+ * Compare the list item's category with the deal's category
+ *
+ * @param {object} deal - Deal object
+ * @param {object} listItem - Shopping list item
+ * @param {object|null} concept - Dictionary concept for the item
+ * @returns {number|null} 1 agree, 0 disagree, null if either is unknown
+ */
+function scoreCategory(deal, listItem, concept) {
+  const itemCategory = listItem.category || concept?.category;
+  if (!itemCategory || !deal.productCategory) {
+    return null;
+  }
+
+  // "Meat" agrees with "Meat & Seafood"
+  const dealCategoryTokens = tokenize(deal.productCategory);
+  return tokenize(itemCategory).some(t => t.length > 1 && dealCategoryTokens.includes(t)) ? 1 : 0;
+}
+
+/**
+ * Check the deal's brand against the user's preferred brands
+ *
+ * @param {object} deal - Deal object
+ * @param {Array<string>} preferredBrands - User's preferred brands
+ * @returns {number|null} 1 preferred, 0.3 other brand, null if no preferences
+ */
+function scoreBrand(deal, preferredBrands) {
+  if (!preferredBrands || preferredBrands.length === 0) {
+    return null;
+  }
+
+  const dealTokens = getDealTokens(deal);
+  const preferred = preferredBrands.some(brand => {
+    const brandTokens = tokenize(brand);
+    return findPhrase(dealTokens.brandTokens, brandTokens) !== -1 ||
+      findPhrase(dealTokens.nameTokens, brandTokens) !== -1;
+  });
+
+  return preferred ? 1 : 0.3;
+}
+
+/**
+ * Compare a deal against a list item
+ *
+ * @param {object} deal - Deal object (plain or Sequelize instance)
+ * @param {object} listItem - Shopping list item
+ * @returns {object} { matchedTerm, matchType, viaHyponym, hasVariant, variantMatched, tokenOverlap, concept }
+ */
+function evaluateMatch(deal, listItem) {
+  const matcher = getItemMatcher(listItem);
+  const dealTokens = getDealTokens(deal);
+
+  // Ignore the deal's brand when looking for the item name, unless the
+  // shopper typed the brand themselves ("Chicken of the Sea" brand)
+  const brandTyped = dealTokens.brandTokens.length > 0 &&
+    findPhrase(matcher.itemTokens, dealTokens.brandTokens) !== -1;
+  const nameTokens = removePhrases(
+    brandTyped ? dealTokens.nameTokens : dealTokens.unbrandedTokens,
+    matcher.negativePhrases
+  );
+  const fullTokens = removePhrases(dealTokens.nameTokens, matcher.negativePhrases);
+
+  let matched = null;
+  let matchType = null;
+
+  const termIndex = matcher.terms.findIndex(t => containsPhrase(nameTokens, t.tokens));
+  if (termIndex !== -1) {
+    matched = matcher.terms[termIndex];
+    matchType = termIndex === 0 ? 'EXACT' : 'SYNONYM';
+  } else {
+    // Specific products may well be the brand itself ("Coca-Cola")
+    matched = matcher.hyponyms.find(h => containsPhrase(fullTokens, h.tokens)) || null;
+    matchType = matched ? 'SPECIFIC_PRODUCT' : null;
+  }
+
+  const hasVariant = matcher.variants.length > 0;
+  const variant = hasVariant ? matcher.variants.find(v => containsPhrase(fullTokens, v.tokens)) : null;
+
+  // Share of the deal's descriptive words that the item accounts for
+  let tokenOverlap = 0;
+  if (matched) {
+    const covered = new Set([...matched.tokens, ...(variant ? variant.tokens : [])]);
+    const descriptive = fullTokens.filter(t => t && !FILLER_TOKENS.has(t) && !/\d/.test(t));
+    if (descriptive.length > 0) {
+      const hits = descriptive.filter(t => covered.has(t)).length;
+      tokenOverlap = parseFloat(Math.min(hits / descriptive.length, 1).toFixed(2));
+    }
+  }
+
+  return {
+    matchedTerm: matched ? matched.text : null,
+    matchType,
+    viaHyponym: matchType === 'SPECIFIC_PRODUCT',
+    hasVariant,
+    variantMatched: Boolean(variant),
+    tokenOverlap,
+    concept: matcher.concept
+  };
+}
+
+/**
+ * Build (or fetch the cached) matcher for a list item
+ *
+ * @param {object} listItem - Shopping list item
+ * @returns {object} Tokenized terms, hyponyms, variants and negative phrases
+ */
+function getItemMatcher(listItem) {
+  const cached = itemMatcherCache.get(listItem);
+  if (cached && cached.itemName === listItem.itemName && cached.itemVariant === listItem.itemVariant) {
+    return cached;
+  }
+
+  const itemName = listItem.itemName || '';
+  const itemVariant = listItem.itemVariant || null;
+  const concept = findConcept(itemName);
+  const itemTokens = tokenize(`${itemName} ${itemVariant || ''}`);
+  const toEntry = text => ({ text, tokens: tokenize(text) });
+
+  const terms = [itemName, ...(concept ? concept.terms : [])].map(toEntry);
+  // Longest first so "Coca-Cola" is reported rather than "Cola"
+  const hyponyms = concept
+    ? concept.hyponyms.map(toEntry).sort((a, b) => b.tokens.length - a.tokens.length)
+    : [];
+
+  // Only drop negative phrases the shopper didn't ask for ("Peanut Butter")
+  const negativePhrases = concept
+    ? concept.negativePhrases
+      .map(tokenize)
+      .filter(phrase => findPhrase(itemTokens, phrase) === -1)
+    : [];
+
+  const variants = itemVariant && itemVariant.toLowerCase() !== 'any'
+    ? getVariantTerms(itemVariant).map(toEntry)
+    : [];
+
+  const matcher = {
+    itemName: listItem.itemName,
+    itemVariant: listItem.itemVariant,
+    concept,
+    itemTokens,
+    terms,
+    hyponyms,
+    negativePhrases,
+    variants
+  };
+
+  itemMatcherCache.set(listItem, matcher);
+  return matcher;
+}
+
+/**
+ * Tokenize (or fetch the cached tokens for) a deal
+ *
+ * @param {object} deal - Deal object
+ * @returns {object} { productKey, nameTokens, brandTokens, unbrandedTokens }
+ */
+function getDealTokens(deal) {
+  const cached = dealTokenCache.get(deal);
+  if (cached && cached.productName === deal.productName) {
+    return cached;
+  }
 
-  // Must contain the base item name
-  if (!dealText.includes(itemName)) {
-    return 0.0;
+  const nameTokens = tokenize(deal.productName);
+  const brandTokens = tokenize(deal.productBrand);
+  const tokens = {
+    productName: deal.productName,
+    productKey: productKey(deal.productName),
+    nameTokens,
+    brandTokens,
+    unbrandedTokens: brandTokens.length > 0 ? removePhrases(nameTokens, [brandTokens]) : nameTokens
+  };
+
+  dealTokenCache.set(deal, tokens);
+  return tokens;
+}
+
+/**
+ * Blank out every occurrence of the given phrases in a token list.
+ * Removed tokens become empty strings so the neighbours on either side
+ * can't join up into a new phrase.
+ *
+ * @param {Array<string>} tokens - Stemmed tokens
+ * @param {Array<Array<string>>} phrases - Stemmed phrases to remove
+ * @returns {Array<string>} New token list
+ */
+function removePhrases(tokens, phrases) {
+  if (!phrases.length) {
+    return tokens;
   }
 
-  // If variant specified, check if deal contains it
-  if (variant) {
-    if (dealText.includes(variant)) {
-      return 1.0; // Perfect match: name + variant
-    } else {
-      return 0.0; // Deal doesn't match the specific variant requested
+  const result = tokens.slice();
+  for (const phrase of phrases) {
+    let index = findPhrase(result, phrase);
+    while (index !== -1) {
+      result.fill('', index, index + phrase.length);
+      index = findPhrase(result, phrase);
     }
   }
 
-  // No variant specified = accept any match of the base item
-  return 0.5; // Partial match: name only
+  return result;
+}
+
+/**
+ * Check whether a token list contains a phrase.
+ * Multi-word item names also match when every word appears somewhere
+ * ("Paper Towels" vs "Bounty Select-A-Size Paper Towel Rolls").
+ *
+ * @param {Array<string>} tokens - Stemmed tokens
+ * @param {Array<string>} phraseTokens - Stemmed phrase
+ * @returns {boolean} True if found
+ */
+function containsPhrase(tokens, phraseTokens) {
+  if (!phraseTokens.length) {
+    return false;
+  }
+
+  if (findPhrase(tokens, phraseTokens) !== -1) {
+    return true;
+  }
+
+  return phraseTokens.length > 1 && phraseTokens.every(t => tokens.includes(t));
 }
 
 /**
@@ -74,37 +485,60 @@ function calculateMatchScore(deal, listItem) {
  * @param {object} deal - Deal object
  * @param {object} listItem - Shopping list item
  * @param {number} score - Match score
+ * @param {object} options - { feedback } to mention products the user picked before
  * @returns {string} Match reason description
  */
-function generateMatchReason(deal, listItem, score) {
+function generateMatchReason(deal, listItem, score, options = {}) {
   const itemName = listItem.itemName;
-  const variant = listItem.itemVariant;
-
-  if (score === 1.0 && variant) {
-    return `Matches "${itemName}" + "${variant}"`;
-  } else if (score === 0.5) {
-    if (variant) {
-      return `Matches "${itemName}" (but not "${variant}")`;
-    } else {
-      return `Matches "${itemName}"`;
-    }
+  const variant = listItem.itemVariant && listItem.itemVariant.toLowerCase() !== 'any'
+    ? listItem.itemVariant
+    : null;
+
+  const { matchedTerm, matchType, variantMatched } = evaluateMatch(deal, listItem);
+  if (!matchedTerm || score <= 0) {
+    return 'No match';
+  }
+
+  // Name the synonym or specific product when it matched through the dictionary
+  const via = matchType !== 'EXACT' ? ` via "${matchedTerm}"` : '';
+  const accepted = findFeedback(deal, listItem, options.feedback)?.decision === 'accepted'
+    ? ' - you picked this before'
+    : '';
+
+  if (variant && variantMatched) {
+    return `Matches "${itemName}" + "${variant}"${via}${accepted}`;
+  } else if (variant) {
+    return `Matches "${itemName}" (but not "${variant}")${via}${accepted}`;
   }
 
-  return 'Match found';
+  return `Matches "${itemName}"${via}${accepted}`;
 }
 
 /**
- * Filter deals by store proximity (if store data is available)
+ * Filter deals by store proximity
  *
- * @param {Array} deals - Array of Deal objects
- * @param {object} user - User object with location
+ * Deals are located by their flyer's store coordinates when known, otherwise
+ * by the centroid of the deal's ZIP code. Deals that can't be located are
+ * kept, as are all deals when the user can't be located.
+ *
+ * @param {Array} deals - Array of Deal objects (optionally with flyer.store)
+ * @param {object} user - User object with latitude/longitude or zipCode
  * @param {number} radiusMiles - Maximum distance in miles
  * @returns {Array} Filtered array of deals within radius
  */
 function filterDealsByProximity(deals, user, radiusMiles = 10) {
-  // TODO: Implement proximity filtering when store location data is added to deals
-  // For now, just return all deals (they're already filtered by ZIP code)
-  return deals;
+  const origin = user ? resolveLocation(user, user.zipCode) : null;
+  if (!origin) {
+    return deals;
+  }
+
+  return deals.filter(deal => {
+    const location = resolveLocation(deal.flyer?.store, deal.zipCode);
+    if (!location) return true;
+
+    const distance = calculateDistance(origin.latitude, origin.longitude, location.latitude, location.longitude);
+    return distance <= radiusMiles;
+  });
 }
 
 /**
@@ -145,8 +579,14 @@ function getBestDeal(matches) {
 }
 
 module.exports = {
+  MATCH_WEIGHTS,
+  DEFAULT_MIN_MATCH_SCORE,
   matchDealsToListItem,
+  getMatchOptions,
+  getItemKey,
+  getProductKeys,
   calculateMatchScore,
+  scoreMatch,
   generateMatchReason,
   filterDealsByProximity,
   groupMatchesByStore,
@@ -81,35 +81,7 @@ function transformImageUrls(urls, options = {}) {
   return urls.map(url => addCloudinaryTransformations(url, options));
 }
 
-/**
- * Get optimized flyer image URLs with responsive sizing
- * @param {string[]} imageUrls - Original flyer image URLs
- * @returns {string[]} Optimized image URLs
- */
-function getOptimizedFlyerUrls(imageUrls) {
-  return transformImageUrls(imageUrls, {
-    quality: 'auto:good',
-    format: 'auto',
-    width: 1200 // Good balance of quality and file size for flyers
-  });
-}
-
-/**
- * Get thumbnail URLs for flyer previews
- * @param {string[]} imageUrls - Original flyer image URLs
- * @returns {string[]} Thumbnail URLs
- */
-function getFlyerThumbnailUrls(imageUrls) {
-  return transformImageUrls(imageUrls, {
-    quality: 'auto',
-    format: 'auto',
-    width: 300
-  });
-}
-
 module.exports = {
   addCloudinaryTransformations,
-  transformImageUrls,
-  getOptimizedFlyerUrls,
-  getFlyerThumbnailUrls
+  transformImageUrls
 };
@@ -115,14 +115,18 @@ function calculateBOGOPrice(regularPrice, quantity) {
  * Calculate total cost for a shopping list item considering deal type
  * @param {Object} deal - Deal object with dealType, salePrice, regularPrice, quantity
  * @param {number} userQuantity - Number of items user wants
- * @returns {Object} { totalCost, savings, dealApplied, explanation }
+ * @returns {Object} { totalCost, savings, dealApplied, explanation }, plus
+ *   additionalQuantityNeeded for multi-buy deals (0 when every item gets the deal price)
  */
 function calculateDealCost(deal, userQuantity) {
   if (!deal || !userQuantity || userQuantity <= 0) {
     return { totalCost: 0, savings: 0, dealApplied: false, explanation: 'Invalid input' };
   }
 
-  const { dealType, salePrice, regularPrice, quantity: dealQuantity } = deal;
+  const { dealType, quantity: dealQuantity } = deal;
+  // Prices come back from Postgres DECIMAL columns as strings
+  const salePrice = parseFloat(deal.salePrice) || 0;
+  const regularPrice = deal.regularPrice != null ? parseFloat(deal.regularPrice) || null : null;
 
   // Default: regular sale price
   if (!dealType || dealType === 'sale' || dealType === 'clearance') {
@@ -167,20 +171,26 @@ function calculateDealCost(deal, userQuantity) {
       // Cost for complete sets
       const setsCost = completeSets * totalPrice;
 
-      // Cost for remaining items (at per-unit price or regular price)
-      const remainingCost = remainingItems * (perUnitPrice || salePrice);
+      // Items outside a complete set don't get the deal price: charge the
+      // regular price when we know it, otherwise the per-unit deal price
+      const remainingPrice = regularPrice || perUnitPrice || salePrice;
+      const remainingCost = remainingItems * remainingPrice;
 
       const totalCost = parseFloat((setsCost + remainingCost).toFixed(2));
       const regularTotal = regularPrice ? regularPrice * userQuantity : salePrice * userQuantity;
       const savings = parseFloat((regularTotal - totalCost).toFixed(2));
 
+      // Buying this many more completes the next set
+      const additionalQuantityNeeded = remainingItems > 0 ? minQty - remainingItems : 0;
+
       return {
         totalCost,
         savings: savings > 0 ? savings : 0,
         dealApplied: completeSets > 0,
+        additionalQuantityNeeded,
         explanation: completeSets > 0
-          ? `${completeSets} × (${minQty} for $${totalPrice.toFixed(2)})${remainingItems > 0 ? ` + ${remainingItems} @ $${perUnitPrice.toFixed(2)}` : ''} = $${totalCost.toFixed(2)}`
-          : `${userQuantity} × $${perUnitPrice.toFixed(2)} = $${totalCost.toFixed(2)} (need ${minQty} for full deal)`
+          ? `${completeSets} × (${minQty} for $${totalPrice.toFixed(2)})${remainingItems > 0 ? ` + ${remainingItems} @ $${remainingPrice.toFixed(2)}` : ''} = $${totalCost.toFixed(2)}`
+          : `${userQuantity} × $${remainingPrice.toFixed(2)} = $${totalCost.toFixed(2)} (need ${minQty} for full deal)`
       };
     }
   }
@@ -0,0 +1,222 @@
+/**
+ * Deal Dedup - One canonical deal per product, price and week at a store
+ *
+ * A store's week can arrive more than once: from its direct scraper and
+ * from WeeklyAds2, which use different flyer run IDs, so both flyers are
+ * saved. Deals are grouped by store, ZIP, normalized product name (DealMatcher
+ * productKey) and per-item price, and deals in a group whose validity windows
+ * overlap are copies of the same deal. One is canonical (duplicateOfId null);
+ * the others keep their flyer and point at it with duplicateOfId, which is
+ * where each copy came from.
+ *
+ * Shopper-facing deal queries only read canonical deals (CANONICAL_DEAL), so
+ * a deal isn't listed, matched or counted twice. Flyer pages still show all
+ * of their own deals.
+ */
+
+const { Op } = require('sequelize');
+const { toPriceHistoryRow } = require('./priceHistory');
+
+// Where clause for canonical deals only
+const CANONICAL_DEAL = { duplicateOfId: null };
+
+/**
+ * Store name for comparing ("Wegman's" and "WEGMANS" are the same store)
+ * @param {string} storeName - Store name
+ * @returns {string} Lowercase letters and digits
+ */
+function getStoreKey(storeName) {
+  return (storeName || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Key deals must share to be copies of each other
+ * @param {Object} deal - Deal (plain object)
+ * @returns {string|null} Store, ZIP, product key and per-item price, or null without a product key or price
+ */
+function getDedupKey(deal) {
+  const { productKey, itemPrice } = toPriceHistoryRow(deal);
+  if (!productKey || !(itemPrice > 0)) return null;
+
+  return `${getStoreKey(deal.storeName)}|${deal.zipCode || ''}|${productKey}|${itemPrice.toFixed(2)}`;
+}
+
+/**
+ * Whether two validity windows share at least a day
+ * @param {Object} a - { validFrom, validTo }
+ * @param {Object} b - { validFrom, validTo }
+ * @returns {boolean} True if they overlap
+ */
+function windowsOverlap(a, b) {
+  return new Date(a.validFrom) <= new Date(b.validTo) && new Date(b.validFrom) <= new Date(a.validTo);
+}
+
+/**
+ * Order deals by how good a canonical copy they make
+ * Checked by an admin, then not flagged for review, then read from store data
+ * (no fieldConfidence) over OCR, then OCR confidence, then the most details,
+ * then the oldest (so the canonical deal doesn't change needlessly).
+ * @param {Object} a - Deal (plain object)
+ * @param {Object} b - Deal (plain object)
+ * @returns {number} Negative when a is the better canonical deal
+ */
+function compareCanonical(a, b) {
+  const details = deal => ['productBrand', 'productCategory', 'regularPrice', 'imageUrl', 'boundingBox']
+    .filter(field => deal[field] != null).length;
+
+  return (
+    (b.reviewedAt ? 1 : 0) - (a.reviewedAt ? 1 : 0) ||
+    (a.needsReview ? 1 : 0) - (b.needsReview ? 1 : 0) ||
+    (a.fieldConfidence ? 1 : 0) - (b.fieldConfidence ? 1 : 0) ||
+    (b.confidence || 0) - (a.confidence || 0) ||
+    details(b) - details(a) ||
+    new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+  );
+}
+
+/**
+ * Group deals into copies of the same deal
+ * @param {Array} deals - Deals (plain objects)
+ * @returns {Array<Object>} Groups of two or more: { canonical, duplicates }
+ */
+function groupDuplicateDeals(deals) {
+  const byKey = new Map();
+  for (const deal of deals) {
+    const key = getDedupKey(deal);
+    if (!key) continue;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(deal);
+  }
+
+  const groups = [];
+  for (const keyDeals of byKey.values()) {
+    // Sweep by start date; a deal joins the group while it overlaps the group's window
+    const sorted = [...keyDeals].sort((a, b) => new Date(a.validFrom) - new Date(b.validFrom));
+    let members = [];
+    let window = null;
+
+    const close = () => {
+      if (members.length > 1) {
+        const [canonical, ...duplicates] = [...members].sort(compareCanonical);
+        groups.push({ canonical, duplicates });
+      }
+    };
+
+    for (const deal of sorted) {
+      if (window && windowsOverlap(window, deal)) {
+        members.push(deal);
+        if (new Date(deal.validTo) > new Date(window.validTo)) window.validTo = deal.validTo;
+        continue;
+      }
+      close();
+      members = [deal];
+      window = { validFrom: deal.validFrom, validTo: deal.validTo };
+    }
+    close();
+  }
+
+  return groups;
+}
+
+/**
+ * Point each copy at its group's canonical deal
+ * @param {Object} Deal - Sequelize model
+ * @param {Array<Object>} groups - From groupDuplicateDeals
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<number>} Deals whose duplicateOfId changed
+ */
+async function linkDuplicates(Deal, groups, { transaction } = {}) {
+  let changed = 0;
+
+  for (const { canonical, duplicates } of groups) {
+    if (canonical.duplicateOfId) {
+      await Deal.update({ duplicateOfId: null }, { where: { id: canonical.id }, transaction });
+      changed++;
+    }
+
+    const relink = duplicates.filter(deal => deal.duplicateOfId !== canonical.id).map(deal => deal.id);
+    if (relink.length > 0) {
+      await Deal.update({ duplicateOfId: canonical.id }, { where: { id: { [Op.in]: relink } }, transaction });
+      changed += relink.length;
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Link newly saved deals with copies already saved from other flyers
+ * @param {Object} Deal - Sequelize model
+ * @param {Array} deals - Saved deals (plain objects, with id)
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<Object>} { groups: copies found, linked: deals relinked }
+ */
+async function dedupeDeals(Deal, deals, { transaction } = {}) {
+  if (deals.length === 0) return { groups: 0, linked: 0 };
+
+  const storeKeys = new Set(deals.map(deal => getStoreKey(deal.storeName)));
+  const validFrom = new Date(Math.min(...deals.map(deal => new Date(deal.validFrom).getTime())));
+  const validTo = new Date(Math.max(...deals.map(deal => new Date(deal.validTo).getTime())));
+
+  const candidates = await Deal.findAll({
+    where: {
+      id: { [Op.notIn]: deals.map(deal => deal.id) },
+      zipCode: { [Op.in]: [...new Set(deals.map(deal => deal.zipCode))] },
+      validFrom: { [Op.lte]: validTo },
+      validTo: { [Op.gte]: validFrom }
+    },
+    raw: true,
+    transaction
+  });
+
+  const groups = groupDuplicateDeals([
+    ...candidates.filter(deal => storeKeys.has(getStoreKey(deal.storeName))),
+    ...deals
+  ]);
+  const linked = await linkDuplicates(Deal, groups, { transaction });
+
+  return { groups: groups.length, linked };
+}
+
+/**
+ * Before deleting deals, make one of each deleted canonical deal's copies
+ * canonical in its place (so the copies don't disappear with it)
+ * @param {Object} Deal - Sequelize model
+ * @param {Array<string>} dealIds - Deals about to be deleted
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<number>} Deals whose duplicateOfId changed
+ */
+async function releaseDuplicates(Deal, dealIds, { transaction } = {}) {
+  if (dealIds.length === 0) return 0;
+
+  const orphans = await Deal.findAll({
+    where: {
+      duplicateOfId: { [Op.in]: dealIds },
+      id: { [Op.notIn]: dealIds }
+    },
+    raw: true,
+    transaction
+  });
+
+  const byCanonical = new Map();
+  for (const deal of orphans) {
+    if (!byCanonical.has(deal.duplicateOfId)) byCanonical.set(deal.duplicateOfId, []);
+    byCanonical.get(deal.duplicateOfId).push(deal);
+  }
+
+  const groups = [...byCanonical.values()].map(copies => {
+    const [canonical, ...duplicates] = [...copies].sort(compareCanonical);
+    return { canonical, duplicates };
+  });
+  return linkDuplicates(Deal, groups, { transaction });
+}
+
+module.exports = {
+  CANONICAL_DEAL,
+  getStoreKey,
+  getDedupKey,
+  compareCanonical,
+  groupDuplicateDeals,
+  dedupeDeals,
+  releaseDuplicates
+};
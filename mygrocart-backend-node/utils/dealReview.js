@@ -0,0 +1,165 @@
+/**
+ * Deal Review - Flag saved deals that an admin should check
+ *
+ * Deals are checked as their flyer is saved. Any that look misread get
+ * needsReview and the reasons, and show up in the admin review queue
+ * (adminGetDealReviewQueue) next to the flyer page they were read from:
+ * - read by OCR with an overall confidence under the review threshold
+ * - sale price at or above the regular price
+ * - a price far from what the product usually costs at that store
+ * - the same product at the same price more than once in a flyer
+ *   (e.g. read twice from overlapping pages)
+ *
+ * Deals from store data (no fieldConfidence) skip the confidence check.
+ * Flagged deals stay live until an admin edits, approves, merges or deletes them.
+ */
+
+const {
+  MIN_HISTORY_WEEKS,
+  toPriceHistoryRow,
+  getComparablePrice,
+  getPastPrices,
+  findPriceHistory
+} = require('./priceHistory');
+
+// Overall OCR confidence under this goes to review (DEAL_REVIEW_CONFIDENCE overrides)
+const REVIEW_CONFIDENCE_THRESHOLD = 0.6;
+
+// A price this many times above (or below) the usual price is an outlier
+const PRICE_OUTLIER_RATIO = 3;
+
+/**
+ * Confidence threshold for review
+ * @returns {number} Threshold (0-1)
+ */
+function getReviewThreshold() {
+  const threshold = parseFloat(process.env.DEAL_REVIEW_CONFIDENCE);
+  return isNaN(threshold) ? REVIEW_CONFIDENCE_THRESHOLD : threshold;
+}
+
+/**
+ * Median of some numbers
+ * @param {Array<number>} values - Numbers (not empty)
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * How a deal's price compares to the product's usual price at the store
+ * @param {Object} deal - Deal (plain object)
+ * @param {Array} history - DealPriceHistory rows
+ * @param {Date} [now] - Current time
+ * @returns {number|null} Price / usual price, or null without enough history
+ */
+function getPriceRatio(deal, history, now = new Date()) {
+  const current = toPriceHistoryRow(deal);
+  const past = getPastPrices(current, history, now);
+
+  const weeksTracked = new Set(past.map(entry => new Date(entry.validFrom).toDateString())).size;
+  if (weeksTracked < MIN_HISTORY_WEEKS) return null;
+
+  const usual = median(past.map(entry => getComparablePrice(entry, current.unitPriceUnit)));
+  const price = getComparablePrice(current, current.unitPriceUnit);
+  return usual > 0 && price > 0 ? price / usual : null;
+}
+
+/**
+ * Key for spotting the same deal twice in one flyer
+ * @param {Object} deal - Deal (plain object)
+ * @returns {string} Product key and per-item price
+ */
+function getDuplicateKey(deal) {
+  const { productKey, itemPrice } = toPriceHistoryRow(deal);
+  return `${deal.flyerId || ''}|${productKey}|${itemPrice}`;
+}
+
+/**
+ * Why a deal needs review
+ * @param {Object} deal - Deal (plain object)
+ * @param {Object} [options] - { history, copies: times the deal appears in its flyer, threshold, now }
+ * @returns {Array<string>} Reasons, empty when the deal looks fine
+ */
+function getReviewReasons(deal, { history = [], copies = 1, threshold = getReviewThreshold(), now = new Date() } = {}) {
+  const reasons = [];
+  const salePrice = parseFloat(deal.salePrice);
+  const regularPrice = deal.regularPrice != null ? parseFloat(deal.regularPrice) : null;
+
+  if (deal.fieldConfidence && (deal.confidence || 0) < threshold) {
+    reasons.push(`Low OCR confidence (${Math.round((deal.confidence || 0) * 100)}%)`);
+  }
+
+  if (regularPrice !== null && salePrice >= regularPrice) {
+    reasons.push(`Sale price $${salePrice.toFixed(2)} is not below the regular price $${regularPrice.toFixed(2)}`);
+  }
+
+  const ratio = getPriceRatio(deal, history, now);
+  if (ratio !== null && ratio >= PRICE_OUTLIER_RATIO) {
+    reasons.push(`Price is ${ratio.toFixed(1)}x the usual price at ${deal.storeName}`);
+  } else if (ratio !== null && ratio <= 1 / PRICE_OUTLIER_RATIO) {
+    reasons.push(`Price is ${Math.round(ratio * 100)}% of the usual price at ${deal.storeName}`);
+  }
+
+  if (copies > 1) {
+    reasons.push(`Appears ${copies} times in this flyer`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Set needsReview and reviewReasons on deals about to be saved
+ * @param {Object} DealPriceHistory - Sequelize model
+ * @param {Array} deals - Plain deal objects
+ * @param {Object} [options] - { transaction, now }
+ * @returns {Promise<Array>} The deals with review fields added
+ */
+async function annotateReview(DealPriceHistory, deals, { transaction, now = new Date() } = {}) {
+  if (deals.length === 0) return deals;
+
+  const history = await findPriceHistory(DealPriceHistory, deals, { transaction, now });
+  const copies = new Map();
+  for (const deal of deals) {
+    const key = getDuplicateKey(deal);
+    copies.set(key, (copies.get(key) || 0) + 1);
+  }
+
+  return deals.map(deal => {
+    const reasons = getReviewReasons(deal, { history, copies: copies.get(getDuplicateKey(deal)), now });
+    return { ...deal, needsReview: reasons.length > 0, reviewReasons: reasons.length > 0 ? reasons : null };
+  });
+}
+
+/**
+ * Fields to keep from duplicates when merging them into one deal
+ * @param {Object} keep - Deal being kept (plain object)
+ * @param {Array} duplicates - Deals being merged into it
+ * @returns {Object} Fields missing on the kept deal that a duplicate has
+ */
+function getMergedFields(keep, duplicates) {
+  const merged = {};
+  for (const field of ['productBrand', 'productCategory', 'regularPrice', 'quantity', 'imageUrl', 'flyerImageUrl']) {
+    if (keep[field] != null) continue;
+    const source = duplicates.find(duplicate => duplicate[field] != null);
+    if (source) merged[field] = source[field];
+  }
+
+  // A regular price that doesn't beat the sale price would fail validation
+  if (merged.regularPrice != null && parseFloat(merged.regularPrice) <= parseFloat(keep.salePrice)) {
+    delete merged.regularPrice;
+  }
+  return merged;
+}
+
+module.exports = {
+  REVIEW_CONFIDENCE_THRESHOLD,
+  PRICE_OUTLIER_RATIO,
+  getReviewThreshold,
+  getPriceRatio,
+  getReviewReasons,
+  annotateReview,
+  getMergedFields
+};
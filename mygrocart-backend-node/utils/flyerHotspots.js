@@ -0,0 +1,118 @@
+/**
+ * Flyer Hotspots - Where each deal sits on its flyer page
+ *
+ * A deal can carry the page it was printed on (Deal.pageIndex, an index into
+ * the flyer's imageUrls) and its bounding box on that page image, as
+ * fractions from the top-left corner ({ x, y, width, height }, all 0-1), so
+ * the flyer viewer can draw tappable hotspots whatever size the page is shown at.
+ *
+ * - Flipp deals (Kroger, Publix, Food Lion) come with item positions in the
+ *   flyer's native pixels, measured from its top-left corner;
+ *   locateFlippDeals maps them onto the stitched pages.
+ * - OCR deals get the page they were read from and the box the vision model
+ *   reported, if any (normalizeBoundingBox).
+ */
+
+/**
+ * Round a fraction for storage
+ * @param {number} value - Fraction
+ * @returns {number} Value rounded to 4 places
+ */
+function round(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Native-pixel position of a Flipp flyer item
+ * @param {Object} item - Flipp flyer_items entry
+ * @returns {Object|null} { left, top, width, height }, or null if the item has none
+ */
+function getFlippItemBox(item) {
+  const box = {
+    left: Number(item.left),
+    top: Number(item.top),
+    width: Number(item.width),
+    height: Number(item.height)
+  };
+  const valid = Object.values(box).every(Number.isFinite) && box.width > 0 && box.height > 0;
+  return valid ? box : null;
+}
+
+/**
+ * Check and clamp a bounding box given as page fractions
+ * @param {Object|Array} box - { x, y, width, height } or [x, y, width, height]
+ * @returns {Object|null} Box inside the page, or null if it isn't usable
+ */
+function normalizeBoundingBox(box) {
+  if (!box || typeof box !== 'object') return null;
+
+  const [x, y, width, height] = (Array.isArray(box) ? box : [box.x, box.y, box.width, box.height]).map(Number);
+  if (![x, y, width, height].every(Number.isFinite)) return null;
+
+  const clamp = value => Math.min(Math.max(value, 0), 1);
+  const left = clamp(x);
+  const top = clamp(y);
+  const right = clamp(x + width);
+  const bottom = clamp(y + height);
+  if (right <= left || bottom <= top) return null;
+
+  return {
+    x: round(left),
+    y: round(top),
+    width: round(right - left),
+    height: round(bottom - top)
+  };
+}
+
+/**
+ * Page and page-relative box for a Flipp item
+ *
+ * Pages are the native-pixel extents of the stitched page images
+ * ({ left, right, top, bottom }). Like Flipp item boxes, y grows downward
+ * from the top of the flyer.
+ *
+ * @param {Object} box - Native item box (getFlippItemBox)
+ * @param {Array<Object>} pages - Page extents, in imageUrls order
+ * @returns {Object|null} { pageIndex, boundingBox }, or null if no page holds the item
+ */
+function getPageRegion(box, pages) {
+  const centerX = box.left + box.width / 2;
+  const pageIndex = pages.findIndex(page => centerX >= page.left && centerX < page.right);
+  if (pageIndex === -1) return null;
+
+  const page = pages[pageIndex];
+  const pageWidth = page.right - page.left;
+  const pageHeight = page.bottom - page.top;
+
+  const boundingBox = normalizeBoundingBox({
+    x: (box.left - page.left) / pageWidth,
+    y: (box.top - page.top) / pageHeight,
+    width: box.width / pageWidth,
+    height: box.height / pageHeight
+  });
+  return boundingBox ? { pageIndex, boundingBox } : null;
+}
+
+/**
+ * Place Flipp deals on the stitched flyer pages
+ * @param {Array} deals - Deals, with flippBox from the scraper
+ * @param {Array<Object>} pages - Page extents, in imageUrls order
+ * @returns {Array} Deals with pageIndex and boundingBox (null when unknown)
+ */
+function locateFlippDeals(deals, pages) {
+  return deals.map(({ flippBox, ...deal }) => {
+    const region = flippBox && pages.length > 0 ? getPageRegion(flippBox, pages) : null;
+    return {
+      ...deal,
+      pageIndex: region ? region.pageIndex : null,
+      boundingBox: region ? region.boundingBox : null
+    };
+  });
+}
+
+module.exports = {
+  getFlippItemBox,
+  normalizeBoundingBox,
+  getPageRegion,
+  locateFlippDeals
+};
@@ -0,0 +1,53 @@
+/**
+ * Geocoder - Offline location lookup for users and stores
+ *
+ * Resolves locations from the bundled ZIP centroid table (see
+ * utils/zipCentroids.js) so distance features work without calling an
+ * external geocoding API. Street addresses aren't resolved: every location
+ * is the center of its ZIP code.
+ */
+
+const { getZipCentroid } = require('./zipCentroids');
+
+/**
+ * Geocode an address
+ * @param {Object} address - { address, city, state, zipCode } (only zipCode is used)
+ * @returns {Object|null} { latitude, longitude, precision } or null if the ZIP is unknown
+ */
+function geocodeAddress({ zipCode } = {}) {
+  return getZipCentroid(zipCode);
+}
+
+/**
+ * Fill in a record's latitude/longitude from its ZIP code.
+ * Used by the User and Store model hooks.
+ *
+ * @param {Object} record - Sequelize instance with zipCode, latitude, longitude
+ * @param {Object} options - { force: replace existing coordinates, clearing
+ *   them if the ZIP is unknown (used when the ZIP changes) }
+ * @returns {boolean} True if coordinates were set
+ */
+function applyZipLocation(record, { force = false } = {}) {
+  const hasLocation = record.latitude != null && record.longitude != null;
+  if (hasLocation && !force) {
+    return false;
+  }
+
+  const location = geocodeAddress(record);
+  if (!location) {
+    if (force) {
+      record.latitude = null;
+      record.longitude = null;
+    }
+    return false;
+  }
+
+  record.latitude = location.latitude;
+  record.longitude = location.longitude;
+  return true;
+}
+
+module.exports = {
+  geocodeAddress,
+  applyZipLocation
+};
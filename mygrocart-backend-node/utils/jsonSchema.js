@@ -0,0 +1,103 @@
+/**
+ * JSON Schema - Minimal validator for the schemas this backend declares
+ *
+ * Supports the JSON Schema keywords used by our schemas (see utils/ocrDeals.js):
+ * type (single or list), enum, required, properties, items, anyOf,
+ * minLength/maxLength and minimum/maximum. Unknown keywords are ignored, as
+ * in JSON Schema itself.
+ */
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value - Any value
+ * @returns {string} "null", "array", "integer", "number", "string", "object" or "boolean"
+ */
+function getSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the schema's types ("integer" is also a "number")
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} types - Schema type(s)
+ * @returns {boolean} Whether it matches
+ */
+function matchesType(value, types) {
+  const actual = getSchemaType(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Location for error messages (e.g. "sale_price")
+ * @returns {Array<string>} Errors, empty when valid
+ */
+function validateSchema(value, schema, path = '') {
+  const label = path || 'value';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${label} must be ${[].concat(schema.type).join(' or ')}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${label} must be one of ${schema.enum.filter(option => option !== null).join(', ')}`];
+  }
+
+  const errors = [];
+  const type = getSchemaType(value);
+
+  if (type === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${label} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${label} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  if (type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${label}[${index}]`));
+    });
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => validateSchema(value, option, path));
+    if (!attempts.some(attempt => attempt.length === 0)) {
+      errors.push(...attempts[0]);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  getSchemaType,
+  validateSchema
+};
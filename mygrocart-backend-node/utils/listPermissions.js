@@ -0,0 +1,58 @@
+/**
+ * List Permissions - Roles on shared shopping lists
+ *
+ * owner:  the list's creator - everything, including sharing and deleting
+ * editor: add, check off, move and remove items
+ * viewer: read only (and live updates)
+ */
+
+// Lowest to highest
+const LIST_ROLES = ['viewer', 'editor', 'owner'];
+
+/**
+ * A user's role on a list
+ * @param {Object} list - ShoppingList with userId (owner)
+ * @param {Object|null} membership - The user's ShoppingListMember row, if any
+ * @param {string} userId - User to check
+ * @returns {string|null} 'owner', 'editor', 'viewer' or null if no access
+ */
+function getListRole(list, membership, userId) {
+  if (!list || !userId) return null;
+  if (list.userId === userId) return 'owner';
+
+  if (membership && membership.userId === userId && membership.status === 'accepted') {
+    return membership.role;
+  }
+
+  return null;
+}
+
+/**
+ * Check a role is at least the required role
+ * @param {string|null} role - Role the user has
+ * @param {string} requiredRole - Minimum role needed
+ * @returns {boolean} True if allowed
+ */
+function hasListRole(role, requiredRole) {
+  const rank = LIST_ROLES.indexOf(role);
+  return rank !== -1 && rank >= LIST_ROLES.indexOf(requiredRole);
+}
+
+/**
+ * Normalize an invite email address
+ * @param {string} email - Email address
+ * @returns {string|null} Trimmed lowercase email, or null if it isn't one
+ */
+function normalizeInviteEmail(email) {
+  if (typeof email !== 'string') return null;
+
+  const normalized = email.trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized) ? normalized : null;
+}
+
+module.exports = {
+  LIST_ROLES,
+  getListRole,
+  hasListRole,
+  normalizeInviteEmail
+};
@@ -0,0 +1,195 @@
+/**
+ * Match Dictionary - Curated vocabulary for deal matching
+ *
+ * Every entry in ITEM_SUGGESTIONS (utils/itemSuggestions.js) becomes a
+ * "concept" with its category and variants. This module layers on:
+ * - SYNONYMS: other names for the same thing ("soft drink" -> soda)
+ * - HYPONYMS: more specific products that satisfy the general item
+ *   ("Coca-Cola" satisfies "Soda", "Salmon" satisfies "Fish")
+ * - NEGATIVE_PHRASES: phrases that contain the item word but are a
+ *   different product ("Chicken of the Sea", "Peanut Butter")
+ * - VARIANT_SYNONYMS: alternate flyer wording for list variants
+ *   ("2%" -> "reduced fat")
+ */
+
+const { ITEM_SUGGESTIONS } = require('./itemSuggestions');
+const { stemPhrase } = require('./textNormalizer');
+
+const SYNONYMS = {
+  soda: ['soft drink', 'soft drinks', 'soda pop'],
+  eggs: ['egg'],
+  chicken: ['poultry'],
+  beef: ['steak'],
+  fish: ['seafood'],
+  lettuce: ['salad greens', 'salad mix'],
+  pasta: ['noodles'],
+  vegetables: ['veggies', 'frozen vegetables'],
+  'toilet paper': ['bath tissue', 'bathroom tissue'],
+  detergent: ['laundry detergent'],
+  soap: ['body wash', 'hand soap'],
+  'paper towels': ['paper towel'],
+  water: ['bottled water', 'spring water'],
+  chips: ['crisps']
+};
+
+// Specific products that count as a match for the general list item.
+// Mostly drawn from the itemSuggestions variants that are products in
+// their own right (Salmon, Strawberries, Romaine), plus common brands.
+const HYPONYMS = {
+  soda: [
+    'cola', 'coke', 'coca cola', 'pepsi', 'sprite', '7up', '7 up', 'dr pepper',
+    'mountain dew', 'mtn dew', 'fanta', 'ginger ale', 'root beer', 'canada dry',
+    'a and w', 'sunkist soda', 'crush soda'
+  ],
+  fish: ['salmon', 'tuna', 'cod', 'tilapia', 'shrimp', 'haddock', 'flounder', 'catfish', 'swai', 'mahi mahi'],
+  berries: ['strawberries', 'blueberries', 'raspberries', 'blackberries'],
+  lettuce: ['romaine', 'iceberg', 'mixed greens', 'spring mix', 'spinach', 'arugula'],
+  oranges: ['clementines', 'mandarins', 'cuties', 'halos', 'navel oranges'],
+  apples: ['gala', 'fuji', 'honeycrisp', 'granny smith', 'red delicious', 'pink lady'],
+  cheese: ['cheddar', 'mozzarella', 'parmesan', 'provolone', 'string cheese'],
+  pasta: ['spaghetti', 'penne', 'macaroni', 'rigatoni', 'linguine', 'fettuccine', 'rotini', 'ziti'],
+  beans: ['chickpeas', 'garbanzo', 'refried beans'],
+  rice: ['jasmine rice', 'basmati rice'],
+  cereal: ['cheerios', 'frosted flakes', 'corn flakes', 'raisin bran', 'special k', 'froot loops', 'granola'],
+  coffee: ['k cups', 'k cup', 'espresso', 'folgers', 'maxwell house', 'dunkin'],
+  cookies: ['oreo', 'chips ahoy', 'nutter butter'],
+  chips: ['doritos', 'lays', 'tostitos', 'pringles', 'ruffles', 'fritos', 'cheetos'],
+  crackers: ['saltines', 'ritz', 'triscuit', 'wheat thins', 'cheez it', 'goldfish'],
+  vegetables: ['broccoli', 'peas', 'corn', 'green beans', 'mixed vegetables'],
+  detergent: ['tide', 'gain', 'all free clear', 'persil', 'arm and hammer laundry'],
+  'toilet paper': ['charmin', 'cottonelle', 'angel soft', 'scott bath'],
+  'paper towels': ['bounty', 'viva', 'sparkle'],
+  juice: ['tropicana', 'simply orange', 'minute maid', 'ocean spray', 'motts']
+};
+
+// Phrases that contain a list-item word but name a different product.
+// Removed from the deal text before matching unless the shopper typed them.
+const NEGATIVE_PHRASES = {
+  chicken: [
+    'chicken of the sea', 'chicken broth', 'chicken stock', 'chicken soup',
+    'chicken noodle', 'chicken flavored', 'chicken bouillon', 'chicken in a biskit'
+  ],
+  milk: ['milk chocolate', 'milk duds', 'milk bone', 'milky way', 'coconut milk', 'evaporated milk', 'condensed milk'],
+  butter: [
+    'peanut butter', 'almond butter', 'apple butter', 'butter cookies', 'butter crackers',
+    'butter popcorn', 'butter lettuce', 'not butter', 'nutter butter'
+  ],
+  eggs: ['egg noodles', 'egg rolls', 'egg nog', 'easter eggs', 'egg beaters'],
+  apples: ['apple juice', 'apple sauce', 'apple cider', 'apple pie', 'apple jacks', 'apple butter'],
+  oranges: ['orange juice', 'orange soda', 'orange chicken', 'orange marmalade'],
+  bananas: ['banana bread', 'banana peppers', 'banana boat', 'banana pudding'],
+  carrots: ['carrot cake'],
+  onions: ['onion rings', 'onion soup', 'onion powder', 'french fried onions'],
+  potatoes: ['potato chips', 'potato salad', 'potato bread', 'potato rolls'],
+  tomatoes: ['tomato sauce', 'tomato soup', 'tomato paste', 'tomato juice'],
+  bread: ['bread crumbs', 'bread pudding', 'bread flour'],
+  cheese: ['mac and cheese', 'macaroni and cheese', 'cheese crackers', 'cheese puffs', 'cheese dip'],
+  beef: ['beef jerky', 'beef broth', 'beef stock', 'beefsteak tomatoes'],
+  pork: ['pork rinds', 'pork and beans'],
+  turkey: ['turkey hill', 'wild turkey'],
+  fish: ['swedish fish', 'fish food', 'fish sauce', 'fish oil'],
+  beans: ['jelly beans', 'coffee beans', 'green beans', 'pork and beans'],
+  coffee: ['coffee creamer', 'coffee mate', 'coffee cake', 'coffee filters'],
+  water: ['water chestnuts', 'coconut water', 'water softener'],
+  rice: ['rice krispies', 'rice cakes', 'rice vinegar'],
+  pizza: ['pizza sauce', 'pizza dough', 'pizza crust'],
+  chips: ['chocolate chips', 'baking chips', 'chip clips'],
+  cookies: ['cookies and cream', 'cookies n cream', 'cookie dough'],
+  popcorn: ['popcorn chicken', 'popcorn shrimp'],
+  pancakes: ['pancake syrup'],
+  cereal: ['cereal bars'],
+  oatmeal: ['oatmeal cookies'],
+  bagels: ['bagel bites', 'bagel chips'],
+  soda: ['baking soda', 'club soda'],
+  tea: ['tea cakes', 'tea lights', 'tea tree'],
+  juice: ['juice boxes'],
+  sauce: ['apple sauce'],
+  soup: ['soup bowls']
+};
+
+// Alternate flyer wording for variants, keyed by the variant as shown in
+// itemSuggestions (lowercased)
+const VARIANT_SYNONYMS = {
+  '2%': ['reduced fat', '2 %'],
+  '1%': ['low fat', '1 %'],
+  skim: ['fat free', 'nonfat', 'non fat'],
+  'non-dairy': ['dairy free', 'plant based', 'almond', 'oat', 'soy', 'coconut'],
+  'cage-free': ['cage free', 'free range'],
+  'grass-fed': ['grass fed'],
+  'gluten-free': ['gluten free'],
+  'k-cups': ['k cups', 'k cup', 'pods', 'single serve'],
+  'zero sugar': ['zero', 'sugar free'],
+  diet: ['zero calorie'],
+  ground: ['mince', 'minced'],
+  'extra large': ['xl', 'x large'],
+  thighs: ['thigh'],
+  wings: ['wing'],
+  drumsticks: ['drumstick', 'legs']
+};
+
+/**
+ * Build concept entries from ITEM_SUGGESTIONS plus the curated tables above
+ *
+ * @returns {Map<string, object>} Concepts keyed by stemmed canonical name
+ */
+function buildConcepts() {
+  const concepts = new Map();
+
+  for (const [name, data] of Object.entries(ITEM_SUGGESTIONS)) {
+    const concept = {
+      name,
+      category: data.category,
+      variants: data.variants.filter(v => v !== 'Any'),
+      terms: [name, ...(SYNONYMS[name] || [])],
+      hyponyms: HYPONYMS[name] || [],
+      negativePhrases: NEGATIVE_PHRASES[name] || []
+    };
+
+    concepts.set(stemPhrase(name), concept);
+  }
+
+  return concepts;
+}
+
+const CONCEPTS = buildConcepts();
+
+// Lookup index: any stemmed term (canonical or synonym) -> concept
+const TERM_INDEX = new Map();
+for (const concept of CONCEPTS.values()) {
+  for (const term of concept.terms) {
+    TERM_INDEX.set(stemPhrase(term), concept);
+  }
+}
+
+/**
+ * Find the dictionary concept for a list item name
+ *
+ * @param {string} itemName - List item name as typed by the user
+ * @returns {object|null} Concept or null when the item isn't in the dictionary
+ */
+function findConcept(itemName) {
+  return TERM_INDEX.get(stemPhrase(itemName)) || null;
+}
+
+/**
+ * Get alternate wordings for a variant
+ *
+ * @param {string} variant - Variant as entered on the list item
+ * @returns {Array<string>} The variant plus any synonyms
+ */
+function getVariantTerms(variant) {
+  if (!variant) return [];
+
+  const key = variant.toLowerCase().trim();
+  return [variant, ...(VARIANT_SYNONYMS[key] || [])];
+}
+
+module.exports = {
+  SYNONYMS,
+  HYPONYMS,
+  NEGATIVE_PHRASES,
+  VARIANT_SYNONYMS,
+  CONCEPTS,
+  findConcept,
+  getVariantTerms
+};
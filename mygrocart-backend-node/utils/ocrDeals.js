@@ -0,0 +1,340 @@
+/**
+ * OCR Deals - Turn raw OCR provider output into Deal fields
+ *
+ * Every OCR provider (services/ocr) returns deals in the shape the flyer
+ * prompt asks for (product_name, sale_price, deal_type, ...). Each row is
+ * checked against OCR_DEAL_SCHEMA; rows that fail are returned as rejections
+ * (logged to OcrRejections) instead of being silently dropped.
+ *
+ * Valid rows get a confidence per field (name, price, deal type): what the
+ * provider reported for that field, lowered when the field had to be
+ * repaired (a "$3.99" string, a price worked out from "2 for $5", a missing
+ * deal type). The deal's overall confidence is the provider's own
+ * reliability times the weighted field confidences; DealMatcher ranks on it
+ * and low-confidence deals go to admin review.
+ *
+ * Providers that only read plain text (Tesseract) use parseDealsFromText to
+ * get to that shape: a price line is a deal, named by the text before the
+ * price or the line just above it.
+ */
+
+const { validateSchema } = require('./jsonSchema');
+const { normalizeBoundingBox } = require('./flyerHotspots');
+
+// Reject prices outside this range as misreads
+const MAX_DEAL_PRICE = 10000;
+
+const DEAL_TYPES = ['sale', 'bogo', 'multi_buy', 'coupon', 'clearance'];
+
+const FIELD_CONFIDENCE_SCHEMA = { type: 'number', minimum: 0, maximum: 1 };
+
+/**
+ * JSON Schema for one raw deal from an OCR provider
+ * (a multi-buy may give only quantity, e.g. "2 for $5")
+ */
+const OCR_DEAL_SCHEMA = {
+  type: 'object',
+  required: ['product_name'],
+  properties: {
+    product_name: { type: 'string', minLength: 2, maxLength: 255 },
+    brand: { type: ['string', 'null'], maxLength: 255 },
+    sale_price: { type: ['number', 'string', 'null'] },
+    regular_price: { type: ['number', 'string', 'null'] },
+    unit: { type: ['string', 'null'], maxLength: 20 },
+    deal_type: { type: ['string', 'null'], enum: [...DEAL_TYPES, null] },
+    quantity: { type: ['string', 'null'], maxLength: 255 },
+    category: { type: ['string', 'null'], maxLength: 100 },
+    // Provider's confidence in each field's reading (0-1)
+    confidence: {
+      type: ['object', 'null'],
+      properties: {
+        product_name: FIELD_CONFIDENCE_SCHEMA,
+        sale_price: FIELD_CONFIDENCE_SCHEMA,
+        deal_type: FIELD_CONFIDENCE_SCHEMA
+      }
+    },
+    // Where the deal is on the page image (checked by normalizeBoundingBox)
+    bounding_box: { type: ['object', 'array', 'null'] }
+  },
+  anyOf: [
+    { required: ['sale_price'], properties: { sale_price: { type: ['number', 'string'] } } },
+    { required: ['quantity'], properties: { quantity: { type: 'string' } } }
+  ]
+};
+
+// Weight of each field in the overall confidence (sums to 1.0)
+const FIELD_WEIGHTS = {
+  productName: 0.35,
+  salePrice: 0.45,
+  dealType: 0.2
+};
+
+// Field confidence kept when the field had to be repaired or guessed
+const REPAIRED_PRICE_FACTOR = 0.85;
+const INCONSISTENT_PRICE_FACTOR = 0.7;
+const DEFAULTED_DEAL_TYPE_FACTOR = 0.8;
+
+// "2 for $5", "2/$5"
+const MULTI_BUY_PATTERN = /(\d+)\s*(?:for|\/)\s*\$\s?(\d+(?:\.\d{1,2})?)/i;
+
+// "BOGO", "Buy 1 Get 1 Free", "Buy One Get One"
+const BOGO_PATTERN = /\b(?:bogo|buy\s*(?:1|one)\s*get\s*(?:1|one)(?:\s*free)?)\b/i;
+
+// "$3.99", "$3", "99¢"
+const PRICE_PATTERN = /\$\s?(\d{1,4}(?:\.\d{1,2})?)|\b(\d{1,2})\s?¢/;
+
+// "Reg. $4.99", "Regular $4.99", "Was $4.99"
+const REGULAR_PRICE_PATTERN = /\b(?:reg(?:ular)?\.?|was)\s*\$?\s?(\d+(?:\.\d{1,2})?)/i;
+
+// "/lb", "per lb", "/ea"
+const UNIT_PATTERN = /(?:\/|\bper\s+)(lb|oz|ea|each)\b/i;
+
+// Enough letters to be a product name rather than OCR noise
+const NAME_PATTERN = /[a-z]{3,}/i;
+
+/**
+ * Read a price that may be a number or a string like "$3.99"
+ * @param {number|string|null} value - Raw price
+ * @returns {number|null} Price, or null if there isn't one
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  const priceMatch = value.match(/\$?\s?(\d+(?:\.\d+)?)/);
+  return priceMatch ? parseFloat(priceMatch[1]) : null;
+}
+
+/**
+ * Clamp a reported confidence to 0-1 (missing means fully confident)
+ * @param {number} [value] - Reported confidence
+ * @returns {number} Confidence
+ */
+function reportedConfidence(value) {
+  return typeof value === 'number' ? Math.min(Math.max(value, 0), 1) : 1;
+}
+
+/**
+ * Validate one raw deal and map it to Deal fields
+ * @param {Object} row - Raw deal from an OCR provider
+ * @param {Object} [options] - { confidence: provider reliability, rawText }
+ * @returns {Object} { deal } when valid, otherwise { reasons }
+ */
+function validateOcrDeal(row, { confidence = 0.9, rawText = '' } = {}) {
+  if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+    return { reasons: ['row must be an object'] };
+  }
+
+  // Models vary in case ("BOGO") - not worth rejecting a row over
+  const d = typeof row.deal_type === 'string'
+    ? { ...row, deal_type: row.deal_type.trim().toLowerCase() }
+    : row;
+
+  const schemaErrors = validateSchema(d, OCR_DEAL_SCHEMA);
+  if (schemaErrors.length > 0) {
+    return { reasons: schemaErrors };
+  }
+
+  const reported = d.confidence || {};
+  const fieldConfidence = {
+    productName: reportedConfidence(reported.product_name),
+    salePrice: reportedConfidence(reported.sale_price),
+    dealType: reportedConfidence(reported.deal_type)
+  };
+
+  let salePrice = parsePrice(d.sale_price);
+  let dealType = d.deal_type || null;
+  if (typeof d.sale_price === 'string' && salePrice !== null) {
+    fieldConfidence.salePrice *= REPAIRED_PRICE_FACTOR;
+  }
+
+  // No price but "X for $Y" - use the per-item price
+  if (salePrice === null && d.quantity) {
+    const multiBuyMatch = d.quantity.match(/(\d+)\s*(?:for|\/)\s*\$?\s?(\d+(?:\.\d{1,2})?)/i);
+    const qty = multiBuyMatch ? parseInt(multiBuyMatch[1]) : 0;
+    const totalPrice = multiBuyMatch ? parseFloat(multiBuyMatch[2]) : 0;
+    if (qty > 0 && totalPrice > 0) {
+      salePrice = totalPrice / qty;
+      dealType = 'multi_buy';
+      fieldConfidence.salePrice *= REPAIRED_PRICE_FACTOR;
+    }
+  }
+
+  if (salePrice === null || isNaN(salePrice)) {
+    return { reasons: ['sale_price could not be read'] };
+  }
+  if (salePrice < 0 || salePrice > MAX_DEAL_PRICE) {
+    return { reasons: [`sale_price ${salePrice} is out of range`] };
+  }
+
+  // A regular price at or under the sale price means one of them is misread
+  let regularPrice = parsePrice(d.regular_price);
+  if (regularPrice !== null && (regularPrice <= salePrice || regularPrice > MAX_DEAL_PRICE)) {
+    regularPrice = null;
+    fieldConfidence.salePrice *= INCONSISTENT_PRICE_FACTOR;
+  }
+
+  if (!dealType) {
+    dealType = 'sale';
+    fieldConfidence.dealType *= DEFAULTED_DEAL_TYPE_FACTOR;
+  }
+
+  const round = value => parseFloat(value.toFixed(2));
+  const weighted = Object.entries(FIELD_WEIGHTS)
+    .reduce((sum, [field, weight]) => sum + fieldConfidence[field] * weight, 0);
+
+  return {
+    deal: {
+      productName: d.product_name.trim(),
+      productBrand: d.brand || null,
+      productCategory: d.category || null,
+      salePrice: round(salePrice),
+      regularPrice,
+      unit: d.unit || 'each',
+      dealType,
+      quantity: d.quantity || null,
+      confidence: round(confidence * weighted),
+      fieldConfidence: {
+        productName: round(fieldConfidence.productName),
+        salePrice: round(fieldConfidence.salePrice),
+        dealType: round(fieldConfidence.dealType)
+      },
+      rawText: (rawText || '').substring(0, 500),
+      boundingBox: normalizeBoundingBox(d.bounding_box)
+    }
+  };
+}
+
+/**
+ * Validate raw OCR deals and map the valid ones to Deal fields
+ * @param {Array|null} rawDeals - Raw deals from an OCR provider (null if unparseable)
+ * @param {Object} [options] - { confidence: provider reliability, rawText }
+ * @returns {Object} { deals: Deal fields, rejections: [{ row, reasons }] }
+ */
+function normalizeOcrDeals(rawDeals, options = {}) {
+  if (!Array.isArray(rawDeals)) {
+    return {
+      deals: [],
+      rejections: [{
+        row: { rawText: (options.rawText || '').substring(0, 2000) },
+        reasons: ['response is not a JSON array of deals']
+      }]
+    };
+  }
+
+  const deals = [];
+  const rejections = [];
+  for (const row of rawDeals) {
+    const { deal, reasons } = validateOcrDeal(row, options);
+    if (deal) {
+      deals.push(deal);
+    } else {
+      rejections.push({ row, reasons });
+    }
+  }
+
+  return { deals, rejections };
+}
+
+/**
+ * Pull raw deals out of plain flyer text
+ *
+ * Given lines with confidences (0-100, as Tesseract reports them), each deal
+ * gets per-field confidences from the lines its name, price and deal type
+ * were read from.
+ *
+ * @param {string|Array<Object>} text - OCR text, or lines ({ text, confidence })
+ * @returns {Array} Raw deals (product_name, sale_price or quantity, deal_type, ...)
+ */
+function parseDealsFromText(text) {
+  const lines = Array.isArray(text)
+    ? text
+    : (text || '').split('\n').map(line => ({ text: line }));
+  const lineConfidence = line => (typeof line.confidence === 'number' ? line.confidence / 100 : null);
+
+  const deals = [];
+  let nameLine = null;
+  let bogoLine = null;
+
+  for (const entry of lines) {
+    const line = (entry.text || '').replace(/\s+/g, ' ').trim();
+    if (!line) continue;
+
+    const regularMatch = line.match(REGULAR_PRICE_PATTERN);
+    const pricePart = regularMatch ? line.replace(regularMatch[0], ' ') : line;
+    const multiBuy = pricePart.match(MULTI_BUY_PATTERN);
+    const price = multiBuy ? null : pricePart.match(PRICE_PATTERN);
+    const isBogo = BOGO_PATTERN.test(pricePart);
+
+    if (!multiBuy && !price) {
+      const last = deals[deals.length - 1];
+      if (regularMatch && last && !last.regular_price && !nameLine) {
+        // "Reg. $4.99" printed under the sale price
+        last.regular_price = parseFloat(regularMatch[1]);
+      } else if (isBogo) {
+        bogoLine = entry;
+      } else if (NAME_PATTERN.test(line)) {
+        nameLine = { ...entry, text: line };
+      }
+      continue;
+    }
+
+    const priceMatch = multiBuy || price;
+    const inlineName = pricePart
+      .slice(0, priceMatch.index)
+      .replace(BOGO_PATTERN, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    // Text before the price is either the name or just a size ("52 oz")
+    const nameEntry = NAME_PATTERN.test(inlineName) ? entry : nameLine;
+    const productName = nameEntry === entry
+      ? inlineName
+      : nameLine && `${nameLine.text} ${inlineName}`.trim();
+    nameLine = null;
+    if (!productName) {
+      bogoLine = null;
+      continue;
+    }
+
+    const deal = { product_name: productName };
+    let dealTypeEntry = entry;
+    if (multiBuy) {
+      deal.quantity = `${multiBuy[1]} for $${multiBuy[2]}`;
+      deal.deal_type = 'multi_buy';
+    } else {
+      deal.sale_price = price[1] ? parseFloat(price[1]) : parseInt(price[2]) / 100;
+      deal.deal_type = isBogo || bogoLine ? 'bogo' : 'sale';
+      if (deal.deal_type === 'bogo') deal.quantity = 'Buy 1 Get 1';
+      if (!isBogo && bogoLine) dealTypeEntry = bogoLine;
+    }
+
+    const unitMatch = pricePart.match(UNIT_PATTERN);
+    if (unitMatch) {
+      deal.unit = unitMatch[1].toLowerCase() === 'ea' ? 'each' : unitMatch[1].toLowerCase();
+    }
+    if (regularMatch) {
+      deal.regular_price = parseFloat(regularMatch[1]);
+    }
+
+    if (lineConfidence(entry) !== null) {
+      deal.confidence = {
+        product_name: Math.min(lineConfidence(nameEntry) ?? 1, lineConfidence(entry)),
+        sale_price: lineConfidence(entry),
+        deal_type: lineConfidence(dealTypeEntry) ?? lineConfidence(entry)
+      };
+    }
+
+    bogoLine = null;
+    deals.push(deal);
+  }
+
+  return deals;
+}
+
+module.exports = {
+  MAX_DEAL_PRICE,
+  OCR_DEAL_SCHEMA,
+  FIELD_WEIGHTS,
+  validateOcrDeal,
+  normalizeOcrDeals,
+  parseDealsFromText
+};
@@ -0,0 +1,119 @@
+/**
+ * Pantry - What's at home, and when to buy more
+ *
+ * Checked-off list items are added to the pantry with a purchase date and an
+ * expected shelf life (by category unless the user sets one). Items at or
+ * below their low-stock threshold, or about to expire, are suggested back
+ * onto the shopping list.
+ */
+
+const { getItemKey } = require('./DealMatcher');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days before expiry that an item counts as expiring
+const EXPIRING_WITHIN_DAYS = 2;
+
+// Typical fridge/shelf life by category (categories from utils/itemSuggestions.js).
+// Categories not listed keep indefinitely.
+const SHELF_LIFE_DAYS = {
+  Dairy: 10,
+  Meat: 4,
+  Seafood: 2,
+  Produce: 7,
+  Bakery: 5,
+  Breakfast: 30,
+  Beverages: 60,
+  Snacks: 60,
+  Frozen: 180
+};
+
+/**
+ * Expected shelf life for a category
+ * @param {string|null} category - Product category
+ * @returns {number|null} Days, or null if it keeps
+ */
+function getShelfLifeDays(category) {
+  return (category && SHELF_LIFE_DAYS[category]) || null;
+}
+
+/**
+ * When an item bought on a date expires
+ * @param {Date|null} purchasedAt - Purchase date
+ * @param {number|null} shelfLifeDays - Shelf life in days
+ * @returns {Date|null} Expiry, or null if it keeps
+ */
+function getExpiresAt(purchasedAt, shelfLifeDays) {
+  if (!purchasedAt || !shelfLifeDays) return null;
+  return new Date(new Date(purchasedAt).getTime() + shelfLifeDays * DAY_MS);
+}
+
+/**
+ * Pantry status of an item
+ * @param {Object} item - PantryItem
+ * @param {Date} [now] - Current time
+ * @returns {string} 'expired', 'expiring', 'low' or 'ok'
+ */
+function getPantryStatus(item, now = new Date()) {
+  if (item.quantity > 0 && item.expiresAt) {
+    const msLeft = new Date(item.expiresAt).getTime() - now.getTime();
+    if (msLeft <= 0) return 'expired';
+    if (msLeft <= EXPIRING_WITHIN_DAYS * DAY_MS) return 'expiring';
+  }
+
+  if (item.quantity < item.lowStockThreshold) return 'low';
+  return 'ok';
+}
+
+/**
+ * Pantry fields after buying a checked-off list item
+ * @param {Object|null} existing - The user's PantryItem for this item, if any
+ * @param {Object} listItem - Checked-off UserListItem
+ * @param {Date} [now] - Purchase time
+ * @returns {Object} Fields to create or update the PantryItem with
+ */
+function getPurchaseUpdate(existing, listItem, now = new Date()) {
+  const category = listItem.category || (existing && existing.category) || null;
+  // A shelf life the user set sticks; otherwise go by category
+  const shelfLifeDays = (existing && existing.shelfLifeDays) || getShelfLifeDays(category);
+  // Expired stock is thrown out, not added to
+  const onHand = existing && getPantryStatus(existing, now) !== 'expired' ? existing.quantity : 0;
+
+  return {
+    itemKey: getItemKey(listItem),
+    itemName: listItem.itemName,
+    itemVariant: listItem.itemVariant || null,
+    category,
+    quantity: onHand + (listItem.quantity || 1),
+    purchasedAt: now,
+    shelfLifeDays,
+    expiresAt: getExpiresAt(now, shelfLifeDays)
+  };
+}
+
+/**
+ * Pantry items worth adding to the shopping list
+ * @param {Array} pantryItems - The user's PantryItems
+ * @param {Array} listItems - Unchecked items already on the list
+ * @param {Date} [now] - Current time
+ * @returns {Array} [{ pantryItem, status }] sorted expired, expiring, then low
+ */
+function getRestockSuggestions(pantryItems, listItems, now = new Date()) {
+  const onList = new Set(listItems.map(getItemKey));
+  const priority = { expired: 0, expiring: 1, low: 2 };
+
+  return pantryItems
+    .map(pantryItem => ({ pantryItem, status: getPantryStatus(pantryItem, now) }))
+    .filter(({ pantryItem, status }) => status !== 'ok' && !onList.has(pantryItem.itemKey))
+    .sort((a, b) => priority[a.status] - priority[b.status]);
+}
+
+module.exports = {
+  SHELF_LIFE_DAYS,
+  EXPIRING_WITHIN_DAYS,
+  getShelfLifeDays,
+  getExpiresAt,
+  getPantryStatus,
+  getPurchaseUpdate,
+  getRestockSuggestions
+};
@@ -0,0 +1,277 @@
+/**
+ * Price History - Stock-up signals from past flyer prices
+ *
+ * Every deal that is saved (or cleared with its flyer) leaves a row in
+ * DealPriceHistory keyed by product (DealMatcher productKey) and store. A new
+ * deal is a stock-up price when it is at or within STOCK_UP_MARGIN of the
+ * lowest price seen for that product at that store in the last 52 weeks,
+ * and there are enough past weeks to say so.
+ */
+
+const { Op } = require('sequelize');
+const { getProductKeys } = require('./DealMatcher');
+const { getItemPrice, ensureUnitPrice } = require('./unitPrice');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 52 weeks of history
+const HISTORY_WINDOW_DAYS = 364;
+
+// Within 5% of the 52-week low counts as "near" it
+const STOCK_UP_MARGIN = 0.05;
+
+// Past flyer weeks needed before calling anything a stock-up price
+const MIN_HISTORY_WEEKS = 3;
+
+/**
+ * History row for a deal
+ * @param {Object} deal - Deal (plain object)
+ * @returns {Object} DealPriceHistory fields
+ */
+function toPriceHistoryRow(deal) {
+  const { unitPrice, unitPriceUnit } = ensureUnitPrice(deal);
+
+  return {
+    productKey: getProductKeys(deal).productKey,
+    storeName: deal.storeName,
+    zipCode: deal.zipCode || null,
+    productName: deal.productName,
+    itemPrice: getItemPrice(deal),
+    unitPrice: unitPrice != null ? parseFloat(unitPrice) : null,
+    unitPriceUnit: unitPriceUnit || null,
+    dealType: deal.dealType || null,
+    validFrom: deal.validFrom,
+    dealId: deal.id || null
+  };
+}
+
+/**
+ * Price to compare on: unit price when the unit matches (so package size
+ * changes don't count as price changes), otherwise per-item price
+ * @param {Object} entry - History row
+ * @param {string|null} unitPriceUnit - Unit of the deal being compared
+ * @returns {number} Comparable price
+ */
+function getComparablePrice(entry, unitPriceUnit) {
+  if (unitPriceUnit && entry.unitPrice != null && entry.unitPriceUnit === unitPriceUnit) {
+    return parseFloat(entry.unitPrice);
+  }
+  return parseFloat(entry.itemPrice);
+}
+
+/**
+ * Earlier weeks' history for a deal's product and store (this week's ads, in
+ * any ZIP, don't count as history; see getWeekOf)
+ * @param {Object} current - The deal's history row (toPriceHistoryRow)
+ * @param {Array} history - DealPriceHistory rows
+ * @param {Date} [now] - Current time
+ * @returns {Array} Matching rows from the last 52 weeks
+ */
+function getPastPrices(current, history, now = new Date()) {
+  const since = now.getTime() - HISTORY_WINDOW_DAYS * DAY_MS;
+  const currentWeek = current.validFrom ? getWeekOf(current.validFrom) : null;
+
+  return history.filter(entry => {
+    const validFrom = new Date(entry.validFrom);
+    return entry.productKey === current.productKey &&
+      entry.storeName === current.storeName &&
+      validFrom.getTime() >= since &&
+      getWeekOf(validFrom) !== currentWeek;
+  });
+}
+
+/**
+ * Stock-up signal for a deal
+ * @param {Object} deal - Deal (plain object)
+ * @param {Array} history - DealPriceHistory rows for the same product and store
+ * @param {Date} [now] - Current time
+ * @returns {Object} { isStockUp, low52WeekPrice, weeksTracked }
+ */
+function getStockUpSignal(deal, history, now = new Date()) {
+  const current = toPriceHistoryRow(deal);
+  const past = getPastPrices(current, history, now);
+
+  const weeksTracked = new Set(past.map(entry => getWeekOf(entry.validFrom))).size;
+  if (past.length === 0) {
+    return { isStockUp: false, low52WeekPrice: null, weeksTracked };
+  }
+
+  const lowest = past.reduce((low, entry) =>
+    getComparablePrice(entry, current.unitPriceUnit) < getComparablePrice(low, current.unitPriceUnit) ? entry : low
+  );
+  const low = getComparablePrice(lowest, current.unitPriceUnit);
+  const high = Math.max(...past.map(entry => getComparablePrice(entry, current.unitPriceUnit)));
+  const price = getComparablePrice(current, current.unitPriceUnit);
+
+  // A price that never changes isn't a deal worth stocking up on
+  const isStockUp = weeksTracked >= MIN_HISTORY_WEEKS &&
+    high > low &&
+    price <= low * (1 + STOCK_UP_MARGIN);
+
+  return {
+    isStockUp,
+    // Shown per item, from whichever week had the lowest comparable price
+    low52WeekPrice: parseFloat((price < low ? current.itemPrice : parseFloat(lowest.itemPrice)).toFixed(2)),
+    weeksTracked
+  };
+}
+
+/**
+ * Last 52 weeks of history for the products and stores of some deals
+ * @param {Object} DealPriceHistory - Sequelize model
+ * @param {Array} deals - Plain deal objects
+ * @param {Object} [options] - { transaction, now }
+ * @returns {Promise<Array>} DealPriceHistory rows (plain)
+ */
+async function findPriceHistory(DealPriceHistory, deals, { transaction, now = new Date() } = {}) {
+  const rows = deals.map(toPriceHistoryRow);
+  return DealPriceHistory.findAll({
+    where: {
+      productKey: { [Op.in]: [...new Set(rows.map(row => row.productKey))] },
+      storeName: { [Op.in]: [...new Set(rows.map(row => row.storeName))] },
+      validFrom: { [Op.gte]: new Date(now.getTime() - HISTORY_WINDOW_DAYS * DAY_MS) }
+    },
+    raw: true,
+    transaction
+  });
+}
+
+/**
+ * Set isStockUp and low52WeekPrice on deals about to be saved
+ * @param {Object} DealPriceHistory - Sequelize model
+ * @param {Array} deals - Plain deal objects (same or mixed stores)
+ * @param {Object} [options] - { transaction, now }
+ * @returns {Promise<Array>} The deals with stock-up fields added
+ */
+async function annotateStockUp(DealPriceHistory, deals, { transaction, now = new Date() } = {}) {
+  if (deals.length === 0) return deals;
+
+  const history = await findPriceHistory(DealPriceHistory, deals, { transaction, now });
+
+  return deals.map(deal => {
+    const { isStockUp, low52WeekPrice } = getStockUpSignal(deal, history, now);
+    return { ...deal, isStockUp, low52WeekPrice };
+  });
+}
+
+/**
+ * Save deals' prices to history (a product/store/ZIP/week is only kept once)
+ * @param {Object} DealPriceHistory - Sequelize model
+ * @param {Array} deals - Plain deal objects
+ * @param {Object} [options] - { transaction }
+ * @returns {Promise<void>}
+ */
+async function recordDealPrices(DealPriceHistory, deals, { transaction } = {}) {
+  const rows = deals
+    .map(toPriceHistoryRow)
+    .filter(row => row.productKey && row.storeName && row.itemPrice > 0 && row.validFrom);
+  if (rows.length === 0) return;
+
+  await DealPriceHistory.bulkCreate(rows, { ignoreDuplicates: true, transaction });
+}
+
+/**
+ * Start of the week a date falls in: the Sunday on or before it (UTC, like
+ * the stored flyer dates). Chains start their ads on different days, so a
+ * Wednesday and a Sunday ad in the same week are one week.
+ * @param {Date|string} date - Date
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+function getWeekOf(date) {
+  const day = new Date(date);
+  day.setUTCDate(day.getUTCDate() - day.getUTCDay());
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Min/avg/max of per-item prices
+ * @param {Array} points - Points with itemPrice
+ * @returns {Object} { minPrice, avgPrice, maxPrice }
+ */
+function getPriceStats(points) {
+  const prices = points.map(point => point.itemPrice);
+  const round = value => parseFloat(value.toFixed(2));
+
+  return {
+    minPrice: round(Math.min(...prices)),
+    avgPrice: round(prices.reduce((sum, price) => sum + price, 0) / prices.length),
+    maxPrice: round(Math.max(...prices))
+  };
+}
+
+/**
+ * Price trend for one product: weekly series, stats and sale frequency
+ *
+ * History rows are sale prices, so a week with a row is a week on sale.
+ * Sale frequency is those weeks out of the weeks since the product was first
+ * seen (within the window), overall and per store.
+ *
+ * @param {Array} rows - DealPriceHistory rows for one productKey
+ * @param {Object} [options] - { weeks, now }
+ * @returns {Object|null} Trend, or null if there are no rows
+ */
+function summarizePriceTrend(rows, { weeks = 52, now = new Date() } = {}) {
+  if (rows.length === 0) return null;
+
+  // One point per store per week (the lowest price across ZIPs)
+  const byStoreWeek = new Map();
+  for (const row of rows) {
+    const key = `${row.storeName}|${getWeekOf(row.validFrom)}`;
+    const itemPrice = parseFloat(row.itemPrice);
+    const existing = byStoreWeek.get(key);
+    if (!existing || itemPrice < existing.itemPrice) {
+      byStoreWeek.set(key, {
+        storeName: row.storeName,
+        weekOf: getWeekOf(row.validFrom),
+        itemPrice,
+        unitPrice: row.unitPrice != null ? parseFloat(row.unitPrice) : null,
+        unitPriceUnit: row.unitPriceUnit || null,
+        productName: row.productName
+      });
+    }
+  }
+  const points = [...byStoreWeek.values()].sort((a, b) => a.weekOf.localeCompare(b.weekOf));
+
+  const windowStart = now.getTime() - weeks * 7 * DAY_MS;
+  const firstSeen = Math.max(windowStart, new Date(points[0].weekOf).getTime());
+  const weeksInPeriod = Math.max(1, Math.ceil((now.getTime() - firstSeen) / (7 * DAY_MS)));
+  const saleFrequency = weekCount => parseFloat(Math.min(1, weekCount / weeksInPeriod).toFixed(2));
+
+  const storeNames = [...new Set(points.map(point => point.storeName))].sort();
+  const stores = storeNames.map(storeName => {
+    const storePoints = points.filter(point => point.storeName === storeName);
+    return {
+      storeName,
+      ...getPriceStats(storePoints),
+      weeksOnSale: storePoints.length,
+      saleFrequency: saleFrequency(storePoints.length)
+    };
+  });
+
+  const weeksOnSale = new Set(points.map(point => point.weekOf)).size;
+
+  return {
+    productKey: rows[0].productKey,
+    productName: points[points.length - 1].productName,
+    points,
+    stores,
+    ...getPriceStats(points),
+    weeksOnSale,
+    saleFrequency: saleFrequency(weeksOnSale)
+  };
+}
+
+module.exports = {
+  HISTORY_WINDOW_DAYS,
+  STOCK_UP_MARGIN,
+  MIN_HISTORY_WEEKS,
+  toPriceHistoryRow,
+  getComparablePrice,
+  getPastPrices,
+  getStockUpSignal,
+  findPriceHistory,
+  annotateStockUp,
+  recordDealPrices,
+  getWeekOf,
+  summarizePriceTrend
+};
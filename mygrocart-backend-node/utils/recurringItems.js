@@ -0,0 +1,101 @@
+/**
+ * Recurring Items - List items that come back on a schedule
+ *
+ * A recurring item (recurrenceDays set) is checked off as usual. Checking it
+ * off sets nextDueAt; once that passes the item is unchecked again
+ * (replenished) so it reappears on the list without being re-typed.
+ */
+
+const { Op } = require('sequelize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RECURRENCE_DAYS = 365;
+
+/**
+ * When a checked-off item is due back on the list
+ * @param {Date} checkedAt - When it was checked off
+ * @param {number|null} recurrenceDays - Interval in days
+ * @returns {Date|null} Due date, or null if the item doesn't recur
+ */
+function getNextDueAt(checkedAt, recurrenceDays) {
+  if (!checkedAt || !recurrenceDays) return null;
+  return new Date(new Date(checkedAt).getTime() + recurrenceDays * DAY_MS);
+}
+
+/**
+ * Fields to save when an item's checked state or interval changes
+ * @param {Object} item - Current UserListItem values
+ * @param {Object} changes - { checked, recurrenceDays } (undefined = unchanged, recurrenceDays 0 = stop recurring)
+ * @param {Date} [now] - Current time
+ * @returns {Object} Fields to update
+ */
+function getRecurrenceUpdate(item, { checked, recurrenceDays } = {}, now = new Date()) {
+  const update = {};
+
+  if (recurrenceDays !== undefined) {
+    if (recurrenceDays !== 0 && (!Number.isInteger(recurrenceDays) || recurrenceDays < 0 || recurrenceDays > MAX_RECURRENCE_DAYS)) {
+      throw new Error(`Repeat interval must be between 1 and ${MAX_RECURRENCE_DAYS} days`);
+    }
+    update.recurrenceDays = recurrenceDays || null;
+  }
+
+  if (checked !== undefined) {
+    update.checked = checked;
+    update.lastCheckedAt = checked ? now : item.lastCheckedAt || null;
+  }
+
+  const isChecked = checked !== undefined ? checked : item.checked;
+  const interval = update.recurrenceDays !== undefined ? update.recurrenceDays : item.recurrenceDays;
+  const lastCheckedAt = update.lastCheckedAt !== undefined ? update.lastCheckedAt : item.lastCheckedAt;
+  update.nextDueAt = isChecked ? getNextDueAt(lastCheckedAt || now, interval) : null;
+
+  return update;
+}
+
+/**
+ * Check a checked-off recurring item is due back within a window
+ * @param {Object} item - UserListItem
+ * @param {number} withinDays - Days ahead to look
+ * @param {Date} [now] - Current time
+ * @returns {boolean} True if due by now + withinDays
+ */
+function isDueWithin(item, withinDays, now = new Date()) {
+  if (!item.checked || !item.nextDueAt) return false;
+  return new Date(item.nextDueAt).getTime() <= now.getTime() + withinDays * DAY_MS;
+}
+
+/**
+ * Where clause for checked-off items that are due back by a date
+ * @param {Date} [dueBy] - Cutoff
+ * @returns {Object} Sequelize where clause
+ */
+function dueItemsWhere(dueBy = new Date()) {
+  return {
+    checked: true,
+    nextDueAt: { [Op.lte]: dueBy }
+  };
+}
+
+/**
+ * Put due recurring items back on the list (unchecked)
+ * @param {Object} UserListItem - Sequelize model
+ * @param {Object} [where] - Extra filter, e.g. { listId }
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of items replenished
+ */
+async function replenishDueItems(UserListItem, where = {}, now = new Date()) {
+  const [count] = await UserListItem.update(
+    { checked: false, nextDueAt: null },
+    { where: { ...where, ...dueItemsWhere(now) } }
+  );
+  return count;
+}
+
+module.exports = {
+  MAX_RECURRENCE_DAYS,
+  getNextDueAt,
+  getRecurrenceUpdate,
+  isDueWithin,
+  dueItemsWhere,
+  replenishDueItems
+};
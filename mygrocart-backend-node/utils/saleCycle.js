@@ -0,0 +1,156 @@
+/**
+ * Sale Cycle - Predict when a product next goes on sale at each chain
+ *
+ * Chains rotate promotions on fairly regular cycles. From the DealPriceHistory
+ * rows for a product, each chain's sales are grouped into sale events
+ * (consecutive flyer weeks count as one), the typical gap between event
+ * starts is the cycle, and the next sale is the last one plus a cycle.
+ * Confidence drops when the gaps are irregular, when there are few past
+ * sales and when the predicted week was already missed.
+ */
+
+const { getWeekOf } = require('./priceHistory');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Sale events needed at a chain before predicting (two gaps to compare)
+const MIN_SALE_EVENTS = 3;
+
+// Longer gaps than this aren't a cycle anyone can plan around
+const MAX_CYCLE_WEEKS = 26;
+
+// Sale events at which the sample size stops limiting confidence
+const FULL_CONFIDENCE_EVENTS = 6;
+
+/**
+ * Median of numbers
+ * @param {Array<number>} values - Non-empty list
+ * @returns {number} Median
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Group one chain's history rows into sale events
+ * @param {Array} rows - DealPriceHistory rows for one chain
+ * @returns {Array} Events, oldest first: { start, weeks, itemPrice, dealType }
+ */
+function getSaleEvents(rows) {
+  // One entry per week (lowest price across ZIPs and matching products);
+  // weeks start on Sunday whatever day the chain's ad starts (see getWeekOf)
+  const byWeek = new Map();
+  for (const row of rows) {
+    const weekOf = getWeekOf(row.validFrom);
+    const itemPrice = parseFloat(row.itemPrice);
+    const existing = byWeek.get(weekOf);
+    if (!existing || itemPrice < existing.itemPrice) {
+      byWeek.set(weekOf, { start: new Date(weekOf).getTime(), itemPrice, dealType: row.dealType || null });
+    }
+  }
+
+  const events = [];
+  for (const week of [...byWeek.values()].sort((a, b) => a.start - b.start)) {
+    const last = events[events.length - 1];
+    if (last && week.start - last.end <= WEEK_MS) {
+      last.end = week.start;
+      last.weeks++;
+      if (week.itemPrice < last.itemPrice) {
+        last.itemPrice = week.itemPrice;
+        last.dealType = week.dealType;
+      }
+    } else {
+      events.push({ ...week, end: week.start, weeks: 1 });
+    }
+  }
+
+  return events.map(({ start, weeks, itemPrice, dealType }) => ({ start, weeks, itemPrice, dealType }));
+}
+
+/**
+ * Most common deal type across events
+ * @param {Array} events - Sale events
+ * @returns {string|null} Deal type (e.g. "bogo"), or null if unknown
+ */
+function getUsualDealType(events) {
+  const counts = new Map();
+  for (const { dealType } of events) {
+    if (dealType) counts.set(dealType, (counts.get(dealType) || 0) + 1);
+  }
+  let usual = null;
+  for (const [dealType, count] of counts) {
+    if (!usual || count > counts.get(usual)) usual = dealType;
+  }
+  return usual;
+}
+
+/**
+ * Predict the next sale at one chain
+ * @param {string} storeName - Chain name
+ * @param {Array} rows - DealPriceHistory rows for the chain
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} Prediction, or null without a usable cycle
+ */
+function predictChainSale(storeName, rows, now = new Date()) {
+  const events = getSaleEvents(rows);
+  if (events.length < MIN_SALE_EVENTS) return null;
+
+  const gaps = events.slice(1).map((event, i) => Math.max(1, Math.round((event.start - events[i].start) / WEEK_MS)));
+  const cycleWeeks = Math.round(median(gaps));
+  if (cycleWeeks > MAX_CYCLE_WEEKS) return null;
+
+  // Roll forward past cycles that came and went without a sale
+  const last = events[events.length - 1];
+  let next = last.start + cycleWeeks * WEEK_MS;
+  let missedCycles = 0;
+  while (next + WEEK_MS <= now.getTime()) {
+    next += cycleWeeks * WEEK_MS;
+    missedCycles++;
+  }
+
+  const deviation = gaps.reduce((sum, gap) => sum + Math.abs(gap - cycleWeeks), 0) / gaps.length;
+  const regularity = Math.max(0, 1 - deviation / cycleWeeks);
+  const sampleSize = Math.min(1, events.length / FULL_CONFIDENCE_EVENTS);
+  const confidence = regularity * sampleSize / (1 + missedCycles);
+
+  return {
+    storeName,
+    predictedDate: new Date(next).toISOString(),
+    weeksUntil: Math.max(0, Math.round((next - now.getTime()) / WEEK_MS)),
+    cycleWeeks,
+    predictedPrice: parseFloat(median(events.map(event => event.itemPrice)).toFixed(2)),
+    dealType: getUsualDealType(events),
+    confidence: parseFloat(confidence.toFixed(2)),
+    salesSeen: events.length
+  };
+}
+
+/**
+ * Predict the next sale at each chain, soonest first
+ * @param {Array} rows - DealPriceHistory rows for one product (any chains)
+ * @param {Object} [options] - { now }
+ * @returns {Array} Predictions per chain (chains without a cycle are left out)
+ */
+function predictNextSales(rows, { now = new Date() } = {}) {
+  const rowsByStore = new Map();
+  for (const row of rows) {
+    if (!rowsByStore.has(row.storeName)) rowsByStore.set(row.storeName, []);
+    rowsByStore.get(row.storeName).push(row);
+  }
+
+  return [...rowsByStore.entries()]
+    .map(([storeName, storeRows]) => predictChainSale(storeName, storeRows, now))
+    .filter(Boolean)
+    .sort((a, b) => a.weeksUntil - b.weeksUntil || b.confidence - a.confidence);
+}
+
+module.exports = {
+  MIN_SALE_EVENTS,
+  MAX_CYCLE_WEEKS,
+  getSaleEvents,
+  predictChainSale,
+  predictNextSales
+};
@@ -0,0 +1,176 @@
+/**
+ * Text Normalizer - Shared text folding for product names
+ *
+ * Used by DealMatcher (and anything else that needs to compare free-text
+ * product names) so that "Eggs", "EGG" and "Large Grade-A Egg" all reduce
+ * to the same tokens.
+ */
+
+// Irregular plurals that the suffix rules below would get wrong
+const IRREGULAR_STEMS = {
+  loaves: 'loaf',
+  leaves: 'leaf',
+  halves: 'half',
+  knives: 'knife',
+  geese: 'goose',
+  teeth: 'tooth'
+};
+
+// Pack size / unit words that change between flyers for the same product
+const UNIT_TOKENS = new Set([
+  'oz', 'fl', 'lb', 'ct', 'pk', 'pack', 'count', 'ea', 'each', 'gal', 'gallon',
+  'qt', 'quart', 'pt', 'pint', 'ml', 'l', 'liter', 'litre', 'g', 'kg', 'roll', 'can', 'bottle'
+]);
+
+/**
+ * Normalize raw text for matching
+ * - Lowercase
+ * - "&" becomes "and", hyphens/slashes become spaces ("Coca-Cola" -> "coca cola")
+ * - Strip remaining punctuation (keeps digits, "%" and ".")
+ * - Collapse whitespace
+ *
+ * @param {string} text - Raw text (product name, list item name, etc.)
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  return text
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[-_/]/g, ' ')
+    .replace(/[^a-z0-9%.\s]/g, ' ')
+    .replace(/(^|\s)\.+|\.+(\s|$)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Fold a single word to its singular stem
+ *
+ * Deliberately simple plural folding rather than a full Porter stemmer:
+ * both sides of a comparison go through the same rules, so consistency
+ * matters more than linguistic accuracy ("berry" and "berries" both
+ * become "berri").
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} Stemmed word
+ */
+function stem(word) {
+  if (!word || word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+
+  if (IRREGULAR_STEMS[word]) {
+    return IRREGULAR_STEMS[word];
+  }
+
+  // berries -> berri, cookies -> cooki
+  if (word.endsWith('ies')) {
+    return word.slice(0, -3) + 'i';
+  }
+
+  // tomatoes -> tomato
+  if (word.endsWith('oes')) {
+    return word.slice(0, -2);
+  }
+
+  // peaches -> peach, boxes -> box, glasses -> glass
+  if (/(ch|sh|x|z|ss)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+
+  // eggs -> egg, but keep "swiss", "hummus", "tennis"
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    word = word.slice(0, -1);
+  }
+
+  // berry -> berri, cookie -> cooki (so singulars meet the "ies" rule above)
+  if (word.endsWith('ie')) {
+    return word.slice(0, -1);
+  }
+  if (/[^aeiou]y$/.test(word)) {
+    return word.slice(0, -1) + 'i';
+  }
+
+  return word;
+}
+
+/**
+ * Split text into normalized, stemmed tokens
+ *
+ * @param {string} text - Raw text
+ * @returns {Array<string>} Stemmed tokens
+ */
+function tokenize(text) {
+  const normalized = normalizeText(text);
+  if (!normalized) {
+    return [];
+  }
+
+  return normalized.split(' ').map(stem);
+}
+
+/**
+ * Normalize a phrase into a single stemmed string ("Large Eggs" -> "large egg")
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Stemmed phrase
+ */
+function stemPhrase(text) {
+  return tokenize(text).join(' ');
+}
+
+/**
+ * Find a phrase inside a token list on whole-token boundaries
+ *
+ * @param {Array<string>} tokens - Haystack tokens (already stemmed)
+ * @param {Array<string>} phraseTokens - Needle tokens (already stemmed)
+ * @returns {number} Start index of the first occurrence, or -1
+ */
+function findPhrase(tokens, phraseTokens) {
+  if (!phraseTokens.length || phraseTokens.length > tokens.length) {
+    return -1;
+  }
+
+  for (let i = 0; i <= tokens.length - phraseTokens.length; i++) {
+    let matched = true;
+    for (let j = 0; j < phraseTokens.length; j++) {
+      if (tokens[i + j] !== phraseTokens[j]) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Build a stable key for a product name that survives week-to-week flyer
+ * differences in pack size ("Eggland's Best Large Eggs 12 ct" and
+ * "Eggland's Best Large Eggs, 18ct" both become "eggland best large egg")
+ *
+ * @param {string} text - Product name
+ * @returns {string} Product key ('' when nothing descriptive is left)
+ */
+function productKey(text) {
+  return tokenize(text)
+    .filter(token => !/\d/.test(token) && !UNIT_TOKENS.has(token))
+    .join(' ');
+}
+
+module.exports = {
+  normalizeText,
+  stem,
+  tokenize,
+  stemPhrase,
+  findPhrase,
+  productKey
+};
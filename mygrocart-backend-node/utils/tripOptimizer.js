@@ -0,0 +1,234 @@
+/**
+ * Trip Optimizer
+ * Splits a shopping list across up to N stores so that item costs plus the
+ * cost of making extra stops is as low as possible.
+ *
+ * The closest store in a plan is the "free" first stop. Every other stop
+ * costs a flat stopPenalty (the hassle of another store) plus costPerMile
+ * times its distance from the shopper, when that distance is known.
+ *
+ * Items a plan leaves without a deal still have to be bought somewhere, so
+ * they are priced in at their regular cost. Dropping a store then only wins
+ * when its stop costs more than its deals save.
+ */
+
+const DEFAULT_MAX_STORES = 2;
+const MAX_STORES_LIMIT = 4;
+const DEFAULT_STOP_PENALTY = 2;
+const DEFAULT_COST_PER_MILE = 0;
+
+// Only the stores covering the most items are combined, keeping the search small
+const MAX_CANDIDATE_STORES = 12;
+
+/**
+ * Fill in defaults and clamp trip options
+ * @param {Object} options - { maxStores, stopPenalty, costPerMile }
+ * @returns {Object} Normalized options
+ */
+function normalizeTripOptions(options = {}) {
+  const maxStores = Number.isInteger(options.maxStores) ? options.maxStores : DEFAULT_MAX_STORES;
+
+  return {
+    maxStores: Math.min(Math.max(maxStores, 1), MAX_STORES_LIMIT),
+    stopPenalty: options.stopPenalty != null ? Math.max(options.stopPenalty, 0) : DEFAULT_STOP_PENALTY,
+    costPerMile: options.costPerMile != null ? Math.max(options.costPerMile, 0) : DEFAULT_COST_PER_MILE
+  };
+}
+
+/**
+ * Cost of adding a store as an extra stop
+ * @param {number|null} distanceMiles - Distance from the shopper (null if unknown)
+ * @param {Object} options - Normalized trip options
+ * @returns {number} Stop cost in dollars
+ */
+function getStopCost(distanceMiles, options) {
+  const distanceCost = distanceMiles != null ? distanceMiles * options.costPerMile : 0;
+  return parseFloat((options.stopPenalty + distanceCost).toFixed(2));
+}
+
+/**
+ * What an item costs when no store in the plan has a deal on it: its
+ * regular cost, else the dearest deal on it (a floor for the shelf price)
+ * @param {Object} item - { regularCost, offers }
+ * @returns {number} Cost in dollars (0 when no store has an offer)
+ */
+function getUncoveredCost(item) {
+  if (item.regularCost != null) return item.regularCost;
+
+  const offerCosts = Array.from(item.offers.values()).map(offer => offer.totalCost);
+  return offerCosts.length > 0 ? Math.max(...offerCosts) : 0;
+}
+
+/**
+ * All k-sized combinations of an array
+ * @param {Array} values - Values to combine
+ * @param {number} k - Combination size
+ * @returns {Array<Array>} Combinations
+ */
+function combinations(values, k) {
+  if (k === 0) return [[]];
+  if (values.length < k) return [];
+
+  const [first, ...rest] = values;
+  return [
+    ...combinations(rest, k - 1).map(combo => [first, ...combo]),
+    ...combinations(rest, k)
+  ];
+}
+
+/**
+ * Assign every item to its cheapest store within a set of stores
+ * @param {Array<string>} storeNames - Stores in the plan
+ * @param {Array} items - [{ itemId, itemName, regularCost, offers: Map<storeName, { totalCost, ... }> }]
+ * @param {Map<string, number|null>} storeDistances - storeName -> miles
+ * @param {Object} options - Normalized trip options
+ * @returns {Object|null} Plan, or null when a store in the set would get no items
+ */
+function buildPlan(storeNames, items, storeDistances, options) {
+  const stops = new Map(storeNames.map(storeName => [storeName, {
+    storeName,
+    distanceMiles: storeDistances.get(storeName) ?? null,
+    itemCount: 0,
+    subtotal: 0
+  }]));
+  const assignments = [];
+  const unassignedItems = [];
+  let uncoveredCost = 0;
+
+  for (const item of items) {
+    let best = null;
+    for (const storeName of storeNames) {
+      const offer = item.offers.get(storeName);
+      if (offer && (!best || offer.totalCost < best.offer.totalCost)) {
+        best = { storeName, offer };
+      }
+    }
+
+    if (!best) {
+      unassignedItems.push(item.itemName);
+      uncoveredCost += getUncoveredCost(item);
+      continue;
+    }
+
+    const stop = stops.get(best.storeName);
+    stop.itemCount++;
+    stop.subtotal += best.offer.totalCost;
+    assignments.push({
+      ...best.offer,
+      listItemId: item.itemId,
+      listItemName: item.itemName,
+      storeName: best.storeName
+    });
+  }
+
+  // A store that wins nothing is the same plan with an extra stop
+  if (Array.from(stops.values()).some(stop => stop.itemCount === 0)) {
+    return null;
+  }
+
+  // Closest store first; it's the trip you were making anyway
+  const orderedStops = Array.from(stops.values()).sort((a, b) =>
+    (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity)
+  );
+  orderedStops.forEach((stop, index) => {
+    stop.subtotal = parseFloat(stop.subtotal.toFixed(2));
+    stop.stopCost = index === 0 ? 0 : getStopCost(stop.distanceMiles, options);
+  });
+
+  const itemsCost = orderedStops.reduce((sum, stop) => sum + stop.subtotal, 0);
+  const extraStopCost = orderedStops.reduce((sum, stop) => sum + stop.stopCost, 0);
+
+  return {
+    stops: orderedStops,
+    assignments,
+    unassignedItems,
+    itemsCost: parseFloat(itemsCost.toFixed(2)),
+    extraStopCost: parseFloat(extraStopCost.toFixed(2)),
+    totalCost: parseFloat((itemsCost + extraStopCost).toFixed(2)),
+    uncoveredCost: parseFloat(uncoveredCost.toFixed(2))
+  };
+}
+
+/**
+ * Order plans: cheaper first counting items left without a deal, then more
+ * items covered, then fewer stops
+ * @param {Object} a - Plan
+ * @param {Object} b - Plan
+ * @returns {number} Negative if a is the better plan
+ */
+function comparePlans(a, b) {
+  const costA = parseFloat((a.totalCost + a.uncoveredCost).toFixed(2));
+  const costB = parseFloat((b.totalCost + b.uncoveredCost).toFixed(2));
+  if (costA !== costB) {
+    return costA - costB;
+  }
+  if (a.assignments.length !== b.assignments.length) {
+    return b.assignments.length - a.assignments.length;
+  }
+  return a.stops.length - b.stops.length;
+}
+
+/**
+ * Find the cheapest way to split a list across up to maxStores stores
+ *
+ * @param {Array} items - [{ itemId, itemName, regularCost, offers: Map<storeName, { totalCost, ... }> }]
+ *   (regularCost: the quantity at regular price, null if unknown)
+ * @param {Map<string, number|null>} storeDistances - storeName -> miles from the shopper
+ * @param {Object} options - { maxStores, stopPenalty, costPerMile }
+ * @returns {Object} { plan, bestSingleStore, savingsVsBestSingleStore } (plan is null with no offers)
+ */
+function optimizeTrip(items, storeDistances = new Map(), options = {}) {
+  const tripOptions = normalizeTripOptions(options);
+
+  // Candidate stores, most items covered first
+  const coverage = new Map();
+  for (const item of items) {
+    for (const storeName of item.offers.keys()) {
+      coverage.set(storeName, (coverage.get(storeName) || 0) + 1);
+    }
+  }
+  const candidates = Array.from(coverage.keys())
+    .sort((a, b) => coverage.get(b) - coverage.get(a))
+    .slice(0, MAX_CANDIDATE_STORES);
+
+  let plan = null;
+  let bestSingleStore = null;
+
+  for (let size = 1; size <= Math.min(tripOptions.maxStores, candidates.length); size++) {
+    for (const storeNames of combinations(candidates, size)) {
+      const candidate = buildPlan(storeNames, items, storeDistances, tripOptions);
+      if (!candidate) continue;
+
+      if (!plan || comparePlans(candidate, plan) < 0) {
+        plan = candidate;
+      }
+      if (size === 1 && (!bestSingleStore || comparePlans(candidate, bestSingleStore) < 0)) {
+        bestSingleStore = candidate;
+      }
+    }
+  }
+
+  // Savings on the items the single store carries, after paying for extra stops
+  let savingsVsBestSingleStore = 0;
+  if (plan && bestSingleStore) {
+    const singleStoreItems = new Set(bestSingleStore.assignments.map(a => a.listItemId));
+    const planCostOfSameItems = plan.assignments
+      .filter(a => singleStoreItems.has(a.listItemId))
+      .reduce((sum, a) => sum + a.totalCost, 0);
+
+    savingsVsBestSingleStore = parseFloat(
+      (bestSingleStore.itemsCost - planCostOfSameItems - plan.extraStopCost).toFixed(2)
+    );
+  }
+
+  return { plan, bestSingleStore, savingsVsBestSingleStore };
+}
+
+module.exports = {
+  DEFAULT_MAX_STORES,
+  MAX_STORES_LIMIT,
+  normalizeTripOptions,
+  getStopCost,
+  getUncoveredCost,
+  optimizeTrip
+};
@@ -0,0 +1,285 @@
+/**
+ * Unit Price Utility
+ * Derives a normalized price-per-unit for deals so a $4.99 family pack and
+ * a $1.99 single can be compared on what they actually cost.
+ *
+ * Every unit price is stored in one canonical unit per dimension:
+ * - weight: per oz (pounds, grams, kilograms are converted)
+ * - volume: per fl oz (gallons, quarts, liters, ... are converted)
+ * - count:  per item ("12 ct", "dozen", "6 pk", or 1 for "each")
+ */
+
+const { parseMultiBuyDeal } = require('./dealCalculator');
+
+const UNIT_PRICE_UNITS = {
+  OZ: 'oz',
+  FL_OZ: 'fl_oz',
+  COUNT: 'count'
+};
+
+// Measure words -> canonical unit and how many canonical units one of them is
+const MEASURES = {
+  oz: { unit: UNIT_PRICE_UNITS.OZ, factor: 1 },
+  ounce: { unit: UNIT_PRICE_UNITS.OZ, factor: 1 },
+  ounces: { unit: UNIT_PRICE_UNITS.OZ, factor: 1 },
+  lb: { unit: UNIT_PRICE_UNITS.OZ, factor: 16 },
+  lbs: { unit: UNIT_PRICE_UNITS.OZ, factor: 16 },
+  pound: { unit: UNIT_PRICE_UNITS.OZ, factor: 16 },
+  pounds: { unit: UNIT_PRICE_UNITS.OZ, factor: 16 },
+  g: { unit: UNIT_PRICE_UNITS.OZ, factor: 0.035274 },
+  gram: { unit: UNIT_PRICE_UNITS.OZ, factor: 0.035274 },
+  grams: { unit: UNIT_PRICE_UNITS.OZ, factor: 0.035274 },
+  kg: { unit: UNIT_PRICE_UNITS.OZ, factor: 35.274 },
+  'fl oz': { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 1 },
+  floz: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 1 },
+  gal: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 128 },
+  gallon: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 128 },
+  gallons: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 128 },
+  'half gallon': { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 64 },
+  qt: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 32 },
+  quart: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 32 },
+  pt: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 16 },
+  pint: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 16 },
+  l: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 33.814 },
+  liter: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 33.814 },
+  liters: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 33.814 },
+  litre: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 33.814 },
+  ml: { unit: UNIT_PRICE_UNITS.FL_OZ, factor: 0.033814 },
+  ct: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  count: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  pk: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  pack: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  each: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  ea: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  pc: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  pcs: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  roll: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  rolls: { unit: UNIT_PRICE_UNITS.COUNT, factor: 1 },
+  dozen: { unit: UNIT_PRICE_UNITS.COUNT, factor: 12 },
+  doz: { unit: UNIT_PRICE_UNITS.COUNT, factor: 12 }
+};
+
+// Longest first so "fl oz" wins over "oz" and "half gallon" over "gallon"
+const MEASURE_PATTERN = Object.keys(MEASURES)
+  .sort((a, b) => b.length - a.length)
+  .map(word => word.replace(' ', '\\.?\\s*'))
+  .join('|');
+
+// Words flyers put between a count and its unit ("6 Double Rolls", "8 Mega Rolls")
+const SIZE_ADJECTIVES = ['double', 'triple', 'mega', 'super', 'giant', 'jumbo', 'huge', 'big', 'large', 'family', 'regular', 'xl'];
+
+// "12 oz", "16.9 fl. oz", "2lb", "1/2 gal", "6 Double Rolls"
+const SIZE_REGEX = new RegExp(
+  `(\\d+(?:\\.\\d+)?(?:\\s*/\\s*\\d+)?)\\s*(?:(?:${SIZE_ADJECTIVES.join('|')})\\s+){0,2}(${MEASURE_PATTERN})\\b`,
+  'gi'
+);
+
+// Volumes named without a number ("Milk Half Gallon", "Ice Cream Pint")
+const BARE_VOLUME_REGEX = /\b(half[\s-]*gallon|gallon|quart|pint)\b/i;
+
+// "12 x 12 oz", "6 pk 16.9 fl oz", "12-pack 12 oz cans". Counts ("6 ct 7.4 oz")
+// are left out: there the size is usually the whole box.
+const MULTIPACK_REGEX = new RegExp(
+  `(\\d+)\\s*(?:x|pk|pack|-pack)\\s*(?:of\\s*)?[a-z\\s]{0,12}?(\\d+(?:\\.\\d+)?)\\s*(${MEASURE_PATTERN})\\b`,
+  'i'
+);
+
+/**
+ * Look up a measure word, tolerating punctuation ("fl. oz", "/lb", "per lb")
+ * @param {string} word - Measure word
+ * @returns {Object|null} { unit, factor } or null
+ */
+function lookupMeasure(word) {
+  if (!word) return null;
+
+  const key = word
+    .toLowerCase()
+    .replace(/^\s*(\/|per\s+)/, '')
+    .replace(/\./g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return MEASURES[key] || MEASURES[key.replace(/s$/, '')] || null;
+}
+
+/**
+ * Parse a number that may be a fraction ("1/2")
+ * @param {string} value - Number text
+ * @returns {number} Parsed number (NaN if invalid)
+ */
+function parseAmount(value) {
+  if (value.includes('/')) {
+    const [num, den] = value.split('/').map(v => parseFloat(v));
+    return den ? num / den : NaN;
+  }
+  return parseFloat(value);
+}
+
+/**
+ * Parse the package size out of free text (product name, quantity, unit)
+ * @param {string} text - Text to search
+ * @returns {Object|null} { amount, unit } in canonical units, or null
+ */
+function parsePackageSize(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  // Multipacks: "12 x 12 oz" is 144 oz
+  const multipack = text.match(MULTIPACK_REGEX);
+  if (multipack) {
+    const measure = lookupMeasure(multipack[3]);
+    const packs = parseInt(multipack[1], 10);
+    const size = parseFloat(multipack[2]);
+    if (measure && measure.unit !== UNIT_PRICE_UNITS.COUNT && packs > 0 && size > 0) {
+      return { amount: packs * size * measure.factor, unit: measure.unit };
+    }
+  }
+
+  // Prefer weight/volume over counts ("6 ct 16 oz" is priced by the ounce)
+  let countSize = null;
+  for (const match of text.matchAll(SIZE_REGEX)) {
+    const measure = lookupMeasure(match[2]);
+    const amount = parseAmount(match[1]);
+    if (!measure || !(amount > 0)) continue;
+
+    const size = { amount: amount * measure.factor, unit: measure.unit };
+    if (measure.unit !== UNIT_PRICE_UNITS.COUNT) {
+      return size;
+    }
+    countSize = countSize || size;
+  }
+
+  // A bare volume still beats a count ("Half Gallon 2 ct")
+  const bareVolume = text.match(BARE_VOLUME_REGEX);
+  if (bareVolume) {
+    const measure = lookupMeasure(bareVolume[1].replace(/[\s-]+/, ' '));
+    return { amount: measure.factor, unit: measure.unit };
+  }
+
+  if (countSize) {
+    return countSize;
+  }
+
+  // "Dozen Eggs" with no number
+  if (/\b(dozen|doz)\b/i.test(text)) {
+    return { amount: 12, unit: UNIT_PRICE_UNITS.COUNT };
+  }
+
+  return null;
+}
+
+/**
+ * Price of one item after multi-buy deals ("2 for $5" is $2.50 each)
+ * @param {Object} deal - Deal with salePrice and quantity
+ * @returns {number} Price per item
+ */
+function getItemPrice(deal) {
+  const salePrice = parseFloat(deal.salePrice);
+  const multiBuy = parseMultiBuyDeal(deal.quantity);
+
+  // Only divide when salePrice is the bundle total, not already per item
+  if (multiBuy && multiBuy.type === 'multi_buy' && Math.abs(multiBuy.totalPrice - salePrice) < 0.01) {
+    return multiBuy.perUnitPrice;
+  }
+
+  return salePrice;
+}
+
+/**
+ * Calculate the normalized unit price of a deal
+ *
+ * Sold-by-measure deals (unit "lb", "/oz", "gallon") are priced per that
+ * measure. Otherwise the package size is parsed from the product name or
+ * quantity text, falling back to a single item ("each").
+ *
+ * @param {Object} deal - Deal with salePrice, unit, quantity, productName
+ * @returns {Object} { unitPrice, unitPriceUnit } (both null if salePrice is invalid)
+ */
+function calculateUnitPrice(deal) {
+  const itemPrice = deal ? getItemPrice(deal) : NaN;
+  if (!(itemPrice > 0)) {
+    return { unitPrice: null, unitPriceUnit: null };
+  }
+
+  let size = null;
+  const measure = lookupMeasure(deal.unit);
+  if (measure && measure.unit !== UNIT_PRICE_UNITS.COUNT) {
+    // Priced per lb / oz / gallon
+    size = { amount: measure.factor, unit: measure.unit };
+  } else {
+    size = parsePackageSize(deal.productName) ||
+      parsePackageSize(deal.quantity) ||
+      parsePackageSize(deal.unit) ||
+      { amount: 1, unit: UNIT_PRICE_UNITS.COUNT };
+  }
+
+  return {
+    unitPrice: parseFloat((itemPrice / size.amount).toFixed(4)),
+    unitPriceUnit: size.unit
+  };
+}
+
+/**
+ * Human-readable unit price ("$0.19/oz", "$2.99/lb", "$0.33/ct").
+ * Weights sold by the pound are shown per lb.
+ * @param {Object} deal - Deal with unitPrice, unitPriceUnit and unit
+ * @returns {string|null} Label or null if there is no unit price
+ */
+function formatUnitPrice(deal) {
+  if (deal.unitPrice == null || !deal.unitPriceUnit) {
+    return null;
+  }
+
+  const unitPrice = parseFloat(deal.unitPrice);
+  const measure = lookupMeasure(deal.unit);
+  // Keep a third decimal for cheap units ("$0.027/fl oz")
+  const format = price => `$${price.toFixed(price < 0.1 ? 3 : 2)}`;
+
+  if (deal.unitPriceUnit === UNIT_PRICE_UNITS.OZ && measure && measure.factor === 16) {
+    return `${format(unitPrice * 16)}/lb`;
+  }
+  if (deal.unitPriceUnit === UNIT_PRICE_UNITS.FL_OZ) {
+    return `${format(unitPrice)}/fl oz`;
+  }
+  if (deal.unitPriceUnit === UNIT_PRICE_UNITS.COUNT) {
+    return `${format(unitPrice)}/ct`;
+  }
+  return `${format(unitPrice)}/oz`;
+}
+
+/**
+ * Fill in unitPrice/unitPriceUnit for deals saved before they were stored
+ * @param {Object} deal - Plain deal object
+ * @returns {Object} The deal, or a copy with unit price fields added
+ */
+function ensureUnitPrice(deal) {
+  if (deal.unitPrice != null && deal.unitPriceUnit) {
+    return deal;
+  }
+  return { ...deal, ...calculateUnitPrice(deal) };
+}
+
+/**
+ * Compare two deals by value: unit price when both are in the same unit,
+ * otherwise per-item price
+ * @param {Object} a - Deal (unitPrice, unitPriceUnit, salePrice, quantity)
+ * @param {Object} b - Deal
+ * @returns {number} Negative if a is the better value, positive if b is
+ */
+function compareDealValue(a, b) {
+  if (a.unitPrice != null && b.unitPrice != null && a.unitPriceUnit === b.unitPriceUnit) {
+    return parseFloat(a.unitPrice) - parseFloat(b.unitPrice);
+  }
+  return getItemPrice(a) - getItemPrice(b);
+}
+
+module.exports = {
+  UNIT_PRICE_UNITS,
+  parsePackageSize,
+  getItemPrice,
+  calculateUnitPrice,
+  ensureUnitPrice,
+  formatUnitPrice,
+  compareDealValue
+};
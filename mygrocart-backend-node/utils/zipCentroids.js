@@ -0,0 +1,97 @@
+/**
+ * ZIP Centroids - Offline ZIP code locations
+ *
+ * Backed by databases/zip-centroids.json, the Census ZCTA Gazetteer's point
+ * for every US ZIP (built by scripts/build_zip_centroids.js). ZIPs that
+ * aren't ZCTAs (PO box and single-building ZIPs, new ZIPs) fall back to the
+ * average of the known ZIPs
+ * sharing their 3-digit prefix (the USPS sectional center), which is
+ * usually good to within a few miles.
+ */
+
+const { centroids: ZIP_CENTROIDS } = require('../databases/zip-centroids.json');
+
+/**
+ * Average the table's ZIPs by 3-digit prefix
+ * @returns {Map<string, Array<number>>} prefix -> [latitude, longitude]
+ */
+function buildPrefixCentroids() {
+  const sums = new Map();
+  for (const [zip, [latitude, longitude]] of Object.entries(ZIP_CENTROIDS)) {
+    const prefix = zip.slice(0, 3);
+    const sum = sums.get(prefix) || { latitude: 0, longitude: 0, count: 0 };
+    sum.latitude += latitude;
+    sum.longitude += longitude;
+    sum.count++;
+    sums.set(prefix, sum);
+  }
+
+  const prefixCentroids = new Map();
+  for (const [prefix, sum] of sums) {
+    prefixCentroids.set(prefix, [
+      parseFloat((sum.latitude / sum.count).toFixed(4)),
+      parseFloat((sum.longitude / sum.count).toFixed(4))
+    ]);
+  }
+  return prefixCentroids;
+}
+
+const PREFIX_CENTROIDS = buildPrefixCentroids();
+
+/**
+ * Normalize a ZIP code to 5 digits ("07001-1234" -> "07001", 7001 -> "07001")
+ * @param {string|number} zipCode - ZIP code
+ * @returns {string|null} 5-digit ZIP or null if invalid
+ */
+function normalizeZipCode(zipCode) {
+  if (zipCode == null) return null;
+
+  const digits = String(zipCode).trim().split('-')[0];
+  if (!/^\d{3,5}$/.test(digits)) return null;
+
+  return digits.padStart(5, '0');
+}
+
+/**
+ * Look up the center of a ZIP code
+ * @param {string|number} zipCode - ZIP code
+ * @returns {Object|null} { latitude, longitude, precision: 'zip' | 'prefix' } or null
+ */
+function getZipCentroid(zipCode) {
+  const zip = normalizeZipCode(zipCode);
+  if (!zip) return null;
+
+  if (ZIP_CENTROIDS[zip]) {
+    const [latitude, longitude] = ZIP_CENTROIDS[zip];
+    return { latitude, longitude, precision: 'zip' };
+  }
+
+  const prefixCentroid = PREFIX_CENTROIDS.get(zip.slice(0, 3));
+  if (prefixCentroid) {
+    const [latitude, longitude] = prefixCentroid;
+    return { latitude, longitude, precision: 'prefix' };
+  }
+
+  return null;
+}
+
+/**
+ * Best known location of a place: its own coordinates, else its ZIP centroid
+ * @param {Object|null} place - Record with latitude/longitude (User, Store)
+ * @param {string} zipCode - ZIP code to fall back to
+ * @returns {Object|null} { latitude, longitude } or null
+ */
+function resolveLocation(place, zipCode) {
+  if (place && place.latitude != null && place.longitude != null) {
+    return { latitude: parseFloat(place.latitude), longitude: parseFloat(place.longitude) };
+  }
+
+  const centroid = getZipCentroid(zipCode);
+  return centroid ? { latitude: centroid.latitude, longitude: centroid.longitude } : null;
+}
+
+module.exports = {
+  normalizeZipCode,
+  getZipCentroid,
+  resolveLocation
+};
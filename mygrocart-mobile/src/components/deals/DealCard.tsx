@@ -10,6 +10,8 @@ interface Deal {
   storeName: string;
   dealType: string;
   savingsPercent?: number;
+  isStockUp?: boolean;
+  low52WeekPrice?: number | null;
 }
 
 interface DealCardProps {
@@ -27,6 +29,12 @@ export function DealCard({ deal, onPress }: DealCardProps) {
         </View>
       </View>
 
+      {deal.isStockUp && (
+        <View style={styles.stockUpBadge}>
+          <Text style={styles.stockUpText}>Stock up - 52-week low</Text>
+        </View>
+      )}
+
       <Text style={styles.productName} numberOfLines={2}>
         {deal.productName}
       </Text>
@@ -84,6 +92,21 @@ const styles = StyleSheet.create({
     fontSize: 10,
     fontWeight: '600',
   },
+  stockUpBadge: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#ECFDF5',
+    borderColor: '#A7F3D0',
+    borderWidth: 1,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    marginBottom: 6,
+  },
+  stockUpText: {
+    color: '#065F46',
+    fontSize: 11,
+    fontWeight: '600',
+  },
   productName: {
     fontSize: 16,
     fontWeight: '600',
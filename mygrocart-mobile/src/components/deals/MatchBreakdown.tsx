@@ -0,0 +1,110 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+export interface MatchScoreBreakdown {
+  nameMatch: number;
+  matchType: 'EXACT' | 'SYNONYM' | 'SPECIFIC_PRODUCT';
+  matchedTerm: string;
+  tokenOverlap: number;
+  variantMatch?: number | null;
+  categoryAgreement?: number | null;
+  brandPreference?: number | null;
+  ocrConfidence?: number | null;
+  userFeedback?: 'ACCEPTED' | 'REJECTED' | null;
+}
+
+interface MatchBreakdownProps {
+  breakdown: MatchScoreBreakdown;
+}
+
+const MATCH_TYPE_LABELS: Record<MatchScoreBreakdown['matchType'], string> = {
+  EXACT: 'Exact name',
+  SYNONYM: 'Synonym',
+  SPECIFIC_PRODUCT: 'Specific product',
+};
+
+const getBarColor = (value: number) => {
+  if (value >= 0.8) return '#367723';
+  if (value >= 0.5) return '#FACC15';
+  return '#FB923C';
+};
+
+export function MatchBreakdown({ breakdown }: MatchBreakdownProps) {
+  const signals: { label: string; value: number | null | undefined }[] = [
+    { label: `${MATCH_TYPE_LABELS[breakdown.matchType]} "${breakdown.matchedTerm}"`, value: breakdown.nameMatch },
+    { label: 'Word overlap', value: breakdown.tokenOverlap },
+    { label: 'Variant', value: breakdown.variantMatch },
+    { label: 'Category', value: breakdown.categoryAgreement },
+    { label: 'Preferred brand', value: breakdown.brandPreference },
+    { label: 'Flyer read confidence', value: breakdown.ocrConfidence },
+  ];
+
+  return (
+    <View style={styles.container}>
+      {signals.map(({ label, value }) => (
+        <View key={label} style={styles.row}>
+          <Text style={styles.label} numberOfLines={1}>{label}</Text>
+          {value === null || value === undefined ? (
+            <Text style={styles.notApplicable}>n/a</Text>
+          ) : (
+            <>
+              <View style={styles.track}>
+                <View
+                  style={[
+                    styles.bar,
+                    { width: `${Math.round(value * 100)}%`, backgroundColor: getBarColor(value) },
+                  ]}
+                />
+              </View>
+              <Text style={styles.value}>{Math.round(value * 100)}%</Text>
+            </>
+          )}
+        </View>
+      ))}
+      {breakdown.userFeedback === 'ACCEPTED' && (
+        <Text style={styles.accepted}>You picked this product before</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  label: {
+    width: 130,
+    fontSize: 11,
+    color: '#6B7280',
+  },
+  track: {
+    flex: 1,
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#E5E7EB',
+  },
+  bar: {
+    height: 6,
+    borderRadius: 3,
+  },
+  value: {
+    width: 36,
+    fontSize: 11,
+    color: '#6B7280',
+    textAlign: 'right',
+  },
+  notApplicable: {
+    fontSize: 11,
+    color: '#9CA3AF',
+  },
+  accepted: {
+    fontSize: 11,
+    color: '#367723',
+    marginTop: 2,
+  },
+});
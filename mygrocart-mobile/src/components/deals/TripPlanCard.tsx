@@ -0,0 +1,250 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+export interface TripStop {
+  storeName: string;
+  distanceMiles?: number | null;
+  itemCount: number;
+  subtotal: number;
+  stopCost: number;
+}
+
+export interface TripItemAssignment {
+  listItemId: string;
+  listItemName: string;
+  storeName: string;
+  dealProductName: string;
+  quantity: number;
+  totalCost: number;
+}
+
+export interface ShoppingTripPlan {
+  stops: TripStop[];
+  assignments: TripItemAssignment[];
+  unassignedItems: string[];
+  itemsCost: number;
+  extraStopCost: number;
+  totalCost: number;
+  bestSingleStore?: string | null;
+  savingsVsBestSingleStore: number;
+  message: string;
+}
+
+interface TripPlanCardProps {
+  plan: ShoppingTripPlan;
+  maxStores: number;
+  onMaxStoresChange: (maxStores: number) => void;
+}
+
+const STORE_OPTIONS = [1, 2, 3];
+
+export function TripPlanCard({ plan, maxStores, onMaxStoresChange }: TripPlanCardProps) {
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <Ionicons name="git-branch-outline" size={20} color="#2563EB" />
+        <Text style={styles.title}>Trip Plan</Text>
+      </View>
+      <Text style={styles.message}>{plan.message}</Text>
+
+      <View style={styles.options}>
+        {STORE_OPTIONS.map((option) => (
+          <TouchableOpacity
+            key={option}
+            style={[styles.option, option === maxStores && styles.optionActive]}
+            onPress={() => onMaxStoresChange(option)}
+          >
+            <Text style={[styles.optionText, option === maxStores && styles.optionTextActive]}>
+              {option} {option === 1 ? 'store' : 'stores'}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {plan.stops.map((stop, index) => (
+        <View key={stop.storeName} style={styles.stop}>
+          <View style={styles.stopHeader}>
+            <View style={styles.stopHeaderLeft}>
+              <Text style={styles.stopName}>
+                Stop {index + 1}: {stop.storeName}
+              </Text>
+              {stop.distanceMiles != null && (
+                <Text style={styles.stopMeta}>{stop.distanceMiles.toFixed(1)} mi</Text>
+              )}
+            </View>
+            <View style={styles.stopHeaderRight}>
+              <Text style={styles.stopSubtotal}>${stop.subtotal.toFixed(2)}</Text>
+              {stop.stopCost > 0 && (
+                <Text style={styles.stopMeta}>+${stop.stopCost.toFixed(2)} extra stop</Text>
+              )}
+            </View>
+          </View>
+          {plan.assignments
+            .filter((assignment) => assignment.storeName === stop.storeName)
+            .map((assignment) => (
+              <View key={assignment.listItemId} style={styles.assignment}>
+                <Text style={styles.assignmentName} numberOfLines={1}>
+                  {assignment.listItemName}
+                  <Text style={styles.assignmentProduct}> - {assignment.dealProductName}</Text>
+                </Text>
+                <Text style={styles.assignmentCost}>${assignment.totalCost.toFixed(2)}</Text>
+              </View>
+            ))}
+        </View>
+      ))}
+
+      {plan.unassignedItems.length > 0 && (
+        <Text style={styles.unassigned}>No deals for: {plan.unassignedItems.join(', ')}</Text>
+      )}
+
+      <View style={styles.footer}>
+        <View>
+          <Text style={styles.totalLabel}>Trip total</Text>
+          {plan.extraStopCost > 0 && (
+            <Text style={styles.stopMeta}>
+              ${plan.itemsCost.toFixed(2)} items + ${plan.extraStopCost.toFixed(2)} extra stops
+            </Text>
+          )}
+        </View>
+        <View style={styles.stopHeaderRight}>
+          <Text style={styles.totalValue}>${plan.totalCost.toFixed(2)}</Text>
+          {plan.stops.length > 1 && plan.bestSingleStore && plan.savingsVsBestSingleStore > 0 && (
+            <Text style={styles.savings}>
+              Save ${plan.savingsVsBestSingleStore.toFixed(2)} vs {plan.bestSingleStore} only
+            </Text>
+          )}
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginHorizontal: 16,
+    marginTop: 16,
+    borderWidth: 1,
+    borderColor: '#BFDBFE',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#111827',
+    marginLeft: 8,
+  },
+  message: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  options: {
+    flexDirection: 'row',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  option: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    marginRight: 8,
+  },
+  optionActive: {
+    backgroundColor: '#367723',
+    borderColor: '#367723',
+  },
+  optionText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  optionTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  stop: {
+    backgroundColor: '#F9FAFB',
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 8,
+  },
+  stopHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  stopHeaderLeft: {
+    flex: 1,
+  },
+  stopHeaderRight: {
+    alignItems: 'flex-end',
+  },
+  stopName: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  stopMeta: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  stopSubtotal: {
+    fontSize: 15,
+    fontWeight: '700',
+    color: '#2563EB',
+  },
+  assignment: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 2,
+  },
+  assignmentName: {
+    flex: 1,
+    fontSize: 13,
+    color: '#374151',
+    marginRight: 8,
+  },
+  assignmentProduct: {
+    color: '#9CA3AF',
+  },
+  assignmentCost: {
+    fontSize: 13,
+    color: '#111827',
+  },
+  unassigned: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 8,
+  },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    borderTopWidth: 1,
+    borderTopColor: '#E5E7EB',
+    marginTop: 12,
+    paddingTop: 12,
+  },
+  totalLabel: {
+    fontSize: 14,
+    color: '#4B5563',
+  },
+  totalValue: {
+    fontSize: 22,
+    fontWeight: '700',
+    color: '#367723',
+  },
+  savings: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#367723',
+  },
+});
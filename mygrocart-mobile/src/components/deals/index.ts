@@ -1,2 +1,4 @@
 export { DealCard } from './DealCard';
 export { DealBadge } from './DealBadge';
+export { MatchBreakdown } from './MatchBreakdown';
+export { TripPlanCard } from './TripPlanCard';
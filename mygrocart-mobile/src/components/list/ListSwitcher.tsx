@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, ScrollView, StyleSheet, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+export type ListRole = 'OWNER' | 'EDITOR' | 'VIEWER';
+
+export interface ListMember {
+  id: string;
+  email: string;
+  name?: string | null;
+  role: ListRole;
+  status: 'PENDING' | 'ACCEPTED';
+}
+
+export interface ShoppingList {
+  id: string;
+  name: string;
+  isDefault: boolean;
+  itemCount: number;
+  role: ListRole;
+  ownerName?: string | null;
+  members?: ListMember[];
+}
+
+interface ListSwitcherProps {
+  lists: ShoppingList[];
+  selectedListId: string | null;
+  onSelect: (listId: string) => void;
+  onCreate: (name: string) => void;
+  onDelete: (listId: string) => void;
+}
+
+export function ListSwitcher({ lists, selectedListId, onSelect, onCreate, onDelete }: ListSwitcherProps) {
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+
+  const selectedList = lists.find((list) => list.id === selectedListId) || lists.find((list) => list.isDefault);
+
+  const handleCreate = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onCreate(trimmed);
+    setName('');
+    setCreating(false);
+  };
+
+  // Long press a list to delete it (the default list stays, and only owners can delete)
+  const handleLongPress = (list: ShoppingList) => {
+    if (list.isDefault || list.role !== 'OWNER') return;
+    Alert.alert('Delete List', `Delete "${list.name}" and its items?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Delete', style: 'destructive', onPress: () => onDelete(list.id) },
+    ]);
+  };
+
+  return (
+    <View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chips}>
+        {lists.map((list) => {
+          const isSelected = list.id === selectedList?.id;
+          const isShared = list.role !== 'OWNER' || (list.members?.length || 0) > 0;
+          return (
+            <TouchableOpacity
+              key={list.id}
+              style={[styles.chip, isSelected && styles.chipActive]}
+              onPress={() => onSelect(list.id)}
+              onLongPress={() => handleLongPress(list)}
+            >
+              {isShared && (
+                <Ionicons name="people" size={14} color={isSelected ? '#FFFFFF' : '#374151'} style={styles.sharedIcon} />
+              )}
+              <Text style={[styles.chipText, isSelected && styles.chipTextActive]}>
+                {list.name} <Text style={isSelected ? styles.countActive : styles.count}>{list.itemCount}</Text>
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+        {!creating && (
+          <TouchableOpacity style={styles.chip} onPress={() => setCreating(true)}>
+            <Ionicons name="add" size={16} color="#374151" />
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {creating && (
+        <View style={styles.createRow}>
+          <TextInput
+            style={styles.input}
+            value={name}
+            onChangeText={setName}
+            onSubmitEditing={handleCreate}
+            placeholder="List name (e.g., Costco run)"
+            placeholderTextColor="#999"
+            maxLength={60}
+            autoFocus
+          />
+          <TouchableOpacity style={styles.iconButton} onPress={handleCreate}>
+            <Ionicons name="checkmark" size={22} color="#367723" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.iconButton} onPress={() => setCreating(false)}>
+            <Ionicons name="close" size={22} color="#6B7280" />
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  chips: {
+    paddingTop: 12,
+    alignItems: 'center',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#367723',
+    borderColor: '#367723',
+  },
+  sharedIcon: {
+    marginRight: 4,
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  chipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
+  count: {
+    color: '#9CA3AF',
+  },
+  countActive: {
+    color: '#D1FAE5',
+  },
+  createRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    borderWidth: 1,
+    borderColor: '#ddd',
+  },
+  iconButton: {
+    padding: 6,
+    marginLeft: 4,
+  },
+});
@@ -1 +1,3 @@
 export { SmartItemInput } from './SmartItemInput';
+export { ListSwitcher } from './ListSwitcher';
+export type { ShoppingList, ListRole, ListMember } from './ListSwitcher';
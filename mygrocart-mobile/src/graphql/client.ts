@@ -1,12 +1,17 @@
-import { ApolloClient, InMemoryCache, createHttpLink, from } from '@apollo/client';
+import { ApolloClient, InMemoryCache, createHttpLink, from, split } from '@apollo/client';
 import { setContext } from '@apollo/client/link/context';
 import { onError } from '@apollo/client/link/error';
 import { RetryLink } from '@apollo/client/link/retry';
+import { GraphQLWsLink } from '@apollo/client/link/subscriptions';
+import { isSubscriptionOperation } from '@apollo/client/utilities';
+import { createClient } from 'graphql-ws';
 import * as SecureStore from 'expo-secure-store';
 import { Alert } from 'react-native';
 
+const GRAPHQL_ENDPOINT = process.env.EXPO_PUBLIC_GRAPHQL_ENDPOINT || 'http://localhost:5001/graphql';
+
 const httpLink = createHttpLink({
-  uri: process.env.EXPO_PUBLIC_GRAPHQL_ENDPOINT || 'http://localhost:5001/graphql',
+  uri: GRAPHQL_ENDPOINT,
   // 30 second timeout for network requests
   fetchOptions: {
     timeout: 30000,
@@ -79,8 +84,22 @@ const retryLink = new RetryLink({
   },
 });
 
+// Subscriptions (live shared list updates) go over a WebSocket to the same endpoint.
+// The socket connects lazily on the first subscription and reconnects on drops.
+const wsLink = new GraphQLWsLink(createClient({
+  url: GRAPHQL_ENDPOINT.replace(/^http/, 'ws'),
+  connectionParams: async () => {
+    const token = await SecureStore.getItemAsync('token');
+    return { authorization: token ? `Bearer ${token}` : '' };
+  },
+}));
+
 export const client = new ApolloClient({
-  link: from([errorLink, retryLink, authLink, httpLink]),
+  link: split(
+    ({ query }) => isSubscriptionOperation(query),
+    wsLink,
+    from([errorLink, retryLink, authLink, httpLink])
+  ),
   cache: new InMemoryCache(),
   // Default error policy
   defaultOptions: {
@@ -61,9 +61,10 @@ export const REQUEST_PRICE_UPDATE = gql`
 
 // NEW: Text-based shopping list mutations
 export const ADD_LIST_ITEM = gql`
-  mutation AddListItem($itemName: String!, $itemVariant: String, $category: String, $quantity: Int) {
-    addListItem(itemName: $itemName, itemVariant: $itemVariant, category: $category, quantity: $quantity) {
+  mutation AddListItem($itemName: String!, $itemVariant: String, $category: String, $quantity: Int, $listId: ID) {
+    addListItem(itemName: $itemName, itemVariant: $itemVariant, category: $category, quantity: $quantity, listId: $listId) {
       id
+      listId
       itemName
       itemVariant
       category
@@ -74,11 +75,12 @@ export const ADD_LIST_ITEM = gql`
 `;
 
 export const UPDATE_LIST_ITEM = gql`
-  mutation UpdateListItem($id: ID!, $quantity: Int, $checked: Boolean) {
-    updateListItem(id: $id, quantity: $quantity, checked: $checked) {
+  mutation UpdateListItem($id: ID!, $quantity: Int, $checked: Boolean, $recurrenceDays: Int) {
+    updateListItem(id: $id, quantity: $quantity, checked: $checked, recurrenceDays: $recurrenceDays) {
       id
       quantity
       checked
+      recurrenceDays
     }
   }
 `;
@@ -88,3 +90,77 @@ export const REMOVE_LIST_ITEM = gql`
     removeListItem(id: $id)
   }
 `;
+
+export const MOVE_LIST_ITEM = gql`
+  mutation MoveListItem($id: ID!, $listId: ID!) {
+    moveListItem(id: $id, listId: $listId) {
+      id
+      listId
+    }
+  }
+`;
+
+// Named shopping lists
+export const CREATE_SHOPPING_LIST = gql`
+  mutation CreateShoppingList($name: String!) {
+    createShoppingList(name: $name) {
+      id
+      name
+      isDefault
+      itemCount
+    }
+  }
+`;
+
+export const DELETE_SHOPPING_LIST = gql`
+  mutation DeleteShoppingList($id: ID!) {
+    deleteShoppingList(id: $id)
+  }
+`;
+
+// Shared lists
+export const INVITE_TO_SHOPPING_LIST = gql`
+  mutation InviteToShoppingList($listId: ID!, $email: String!, $role: ListRole) {
+    inviteToShoppingList(listId: $listId, email: $email, role: $role) {
+      id
+      email
+      role
+      status
+    }
+  }
+`;
+
+export const RESPOND_TO_LIST_INVITE = gql`
+  mutation RespondToListInvite($inviteId: ID!, $accept: Boolean!) {
+    respondToListInvite(inviteId: $inviteId, accept: $accept)
+  }
+`;
+
+export const REMOVE_LIST_MEMBER = gql`
+  mutation RemoveListMember($memberId: ID!) {
+    removeListMember(memberId: $memberId)
+  }
+`;
+
+// Deal match feedback ("yes, this one" / "not this")
+export const ACCEPT_DEAL_MATCH = gql`
+  mutation AcceptDealMatch($listItemId: ID!, $dealId: ID!) {
+    acceptDealMatch(listItemId: $listItemId, dealId: $dealId) {
+      id
+      decision
+      productName
+      productBrand
+    }
+  }
+`;
+
+export const REJECT_DEAL_MATCH = gql`
+  mutation RejectDealMatch($listItemId: ID!, $dealId: ID!) {
+    rejectDealMatch(listItemId: $listItemId, dealId: $dealId) {
+      id
+      decision
+      productName
+      productBrand
+    }
+  }
+`;
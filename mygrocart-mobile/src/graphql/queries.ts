@@ -142,23 +142,29 @@ export const GET_MY_PRICE_UPDATE_REQUESTS = gql`
 
 // NEW: Deals-based queries
 export const GET_DEALS_NEAR_ME = gql`
-  query GetDealsNearMe($zipCode: String!, $category: String, $limit: Int) {
-    getDealsNearMe(zipCode: $zipCode, category: $category, limit: $limit) {
-      id
-      productName
-      productBrand
-      productCategory
-      salePrice
-      regularPrice
-      unit
-      dealType
-      quantity
-      storeName
-      savings
-      savingsPercent
-      validFrom
-      validTo
-      imageUrl
+  query GetDealsNearMe($zipCode: String!, $category: String, $stockUpOnly: Boolean, $limit: Int) {
+    getDealsNearMe(zipCode: $zipCode, category: $category, stockUpOnly: $stockUpOnly, limit: $limit) {
+      deals {
+        id
+        productName
+        productBrand
+        productCategory
+        salePrice
+        regularPrice
+        unit
+        dealType
+        quantity
+        storeName
+        distanceMiles
+        savings
+        savingsPercent
+        validFrom
+        validTo
+        imageUrl
+        isStockUp
+        low52WeekPrice
+      }
+      totalCount
     }
   }
 `;
@@ -173,19 +179,54 @@ export const GET_CURRENT_FLYERS = gql`
       imageUrls
       validFrom
       validTo
+      distanceMiles
+    }
+  }
+`;
+
+export const GET_MY_SHOPPING_LISTS = gql`
+  query GetMyShoppingLists($userId: ID!) {
+    getMyShoppingLists(userId: $userId) {
+      id
+      name
+      isDefault
+      itemCount
+      role
+      ownerName
+      members {
+        id
+        email
+        name
+        role
+        status
+      }
+    }
+  }
+`;
+
+export const GET_MY_LIST_INVITES = gql`
+  query GetMyListInvites($userId: ID!) {
+    getMyListInvites(userId: $userId) {
+      id
+      listId
+      listName
+      invitedByName
+      role
     }
   }
 `;
 
 export const GET_MY_LIST_WITH_DEALS = gql`
-  query GetMyListWithDeals($userId: ID!) {
-    getMyListWithDeals(userId: $userId) {
+  query GetMyListWithDeals($userId: ID!, $listId: ID) {
+    getMyListWithDeals(userId: $userId, listId: $listId) {
       id
+      listId
       itemName
       itemVariant
       category
       quantity
       checked
+      recurrenceDays
       matchingDeals {
         id
         productName
@@ -194,13 +235,20 @@ export const GET_MY_LIST_WITH_DEALS = gql`
         dealType
         savingsPercent
       }
+      predictedNextSale {
+        storeName
+        weeksUntil
+        predictedPrice
+        dealType
+        confidence
+      }
     }
   }
 `;
 
 export const MATCH_DEALS_TO_MY_LIST = gql`
-  query MatchDealsToMyList($userId: ID!) {
-    matchDealsToMyList(userId: $userId) {
+  query MatchDealsToMyList($userId: ID!, $listId: ID) {
+    matchDealsToMyList(userId: $userId, listId: $listId) {
       deal {
         id
         productName
@@ -216,6 +264,46 @@ export const MATCH_DEALS_TO_MY_LIST = gql`
       }
       matchScore
       matchReason
+      breakdown {
+        nameMatch
+        matchType
+        matchedTerm
+        tokenOverlap
+        variantMatch
+        categoryAgreement
+        brandPreference
+        ocrConfidence
+        userFeedback
+      }
+    }
+  }
+`;
+
+export const OPTIMIZE_SHOPPING_TRIP = gql`
+  query OptimizeShoppingTrip($userId: ID!, $listId: ID, $maxStores: Int, $costPerMile: Float, $stopPenalty: Float) {
+    optimizeShoppingTrip(userId: $userId, listId: $listId, maxStores: $maxStores, costPerMile: $costPerMile, stopPenalty: $stopPenalty) {
+      stops {
+        storeName
+        distanceMiles
+        itemCount
+        subtotal
+        stopCost
+      }
+      assignments {
+        listItemId
+        listItemName
+        storeName
+        dealProductName
+        quantity
+        totalCost
+      }
+      unassignedItems
+      itemsCost
+      extraStopCost
+      totalCost
+      bestSingleStore
+      savingsVsBestSingleStore
+      message
     }
   }
 `;
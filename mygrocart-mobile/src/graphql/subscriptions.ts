@@ -0,0 +1,13 @@
+import { gql } from '@apollo/client';
+
+// Live item changes on a shopping list (shared lists update for everyone)
+export const LIST_ITEM_CHANGED = gql`
+  subscription ListItemChanged($listId: ID!) {
+    listItemChanged(listId: $listId) {
+      listId
+      type
+      itemId
+      changedBy
+    }
+  }
+`;
@@ -12,8 +12,10 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useQuery } from '@apollo/client';
-import { COMPARE_PRICES } from '../graphql/queries';
+import { COMPARE_PRICES, OPTIMIZE_SHOPPING_TRIP } from '../graphql/queries';
 import { useAuth } from '../context/AuthContext';
+import { TripPlanCard } from '../components/deals';
+import type { ShoppingTripPlan } from '../components/deals/TripPlanCard';
 
 interface MissingItem {
   name: string;
@@ -44,12 +46,19 @@ export default function ComparisonScreen({ navigation }: any) {
   const { user } = useAuth();
   const [detailsModalVisible, setDetailsModalVisible] = useState(false);
   const [selectedStore, setSelectedStore] = useState<StoreComparison | null>(null);
+  const [maxStores, setMaxStores] = useState(2);
 
   const { data, loading, error, refetch } = useQuery(COMPARE_PRICES, {
     variables: { userId: user?.userId },
     skip: !user,
   });
 
+  const { data: tripData } = useQuery(OPTIMIZE_SHOPPING_TRIP, {
+    variables: { userId: user?.userId, maxStores },
+    skip: !user,
+    fetchPolicy: 'network-only',
+  });
+
   const openStoreDetails = (store: StoreComparison) => {
     setSelectedStore(store);
     setDetailsModalVisible(true);
@@ -97,8 +106,10 @@ export default function ComparisonScreen({ navigation }: any) {
   }
 
   const comparisons: StoreComparison[] = data?.comparePrices?.stores || [];
+  const tripPlan: ShoppingTripPlan | undefined = tripData?.optimizeShoppingTrip;
+  const hasTripPlan = !!tripPlan && tripPlan.stops.length > 0;
 
-  if (comparisons.length === 0) {
+  if (comparisons.length === 0 && !hasTripPlan) {
     return (
       <View style={styles.emptyState}>
         <Ionicons name="storefront-outline" size={64} color="#9CA3AF" />
@@ -142,6 +153,15 @@ export default function ComparisonScreen({ navigation }: any) {
           </View>
         )}
 
+        {/* Multi-store Trip Plan */}
+        {hasTripPlan && (
+          <TripPlanCard
+            plan={tripPlan}
+            maxStores={maxStores}
+            onMaxStoresChange={setMaxStores}
+          />
+        )}
+
         <View style={styles.header}>
           <Text style={styles.headerTitle}>Store Comparison</Text>
           <Text style={styles.headerSubtitle}>
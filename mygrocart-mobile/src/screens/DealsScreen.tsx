@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { View, FlatList, StyleSheet, RefreshControl, Text, ActivityIndicator } from 'react-native';
+import { View, FlatList, StyleSheet, RefreshControl, Text, ActivityIndicator, TouchableOpacity } from 'react-native';
 import { useQuery } from '@apollo/client';
 import { GET_DEALS_NEAR_ME } from '../graphql/queries';
 import { DealCard } from '../components/deals/DealCard';
@@ -14,16 +14,20 @@ interface Deal {
   storeName: string;
   dealType: string;
   savingsPercent?: number;
+  isStockUp?: boolean;
+  low52WeekPrice?: number | null;
 }
 
 export default function DealsScreen() {
   const { user } = useAuth();
   const [category, setCategory] = useState<string | null>(null);
+  const [stockUpOnly, setStockUpOnly] = useState(false);
 
   const { data, loading, refetch } = useQuery(GET_DEALS_NEAR_ME, {
     variables: {
       zipCode: user?.zipCode || '07001',
       category,
+      stockUpOnly: stockUpOnly || undefined,
       limit: 50,
     },
     skip: !user,
@@ -51,7 +55,7 @@ export default function DealsScreen() {
     );
   }
 
-  const deals: Deal[] = data?.getDealsNearMe || [];
+  const deals: Deal[] = data?.getDealsNearMe?.deals || [];
 
   return (
     <View style={styles.container}>
@@ -60,6 +64,14 @@ export default function DealsScreen() {
         <Text style={styles.headerSubtitle}>
           {deals.length} {deals.length === 1 ? 'deal' : 'deals'} this week
         </Text>
+        <TouchableOpacity
+          style={[styles.filterChip, stockUpOnly && styles.filterChipActive]}
+          onPress={() => setStockUpOnly(!stockUpOnly)}
+        >
+          <Text style={[styles.filterChipText, stockUpOnly && styles.filterChipTextActive]}>
+            Stock-up prices only
+          </Text>
+        </TouchableOpacity>
       </View>
 
       <FlatList
@@ -104,6 +116,27 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6B7280',
   },
+  filterChip: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    marginTop: 12,
+  },
+  filterChipActive: {
+    backgroundColor: '#367723',
+    borderColor: '#367723',
+  },
+  filterChipText: {
+    fontSize: 13,
+    color: '#374151',
+  },
+  filterChipTextActive: {
+    color: '#FFFFFF',
+    fontWeight: '600',
+  },
   list: {
     padding: 16,
     flexGrow: 1,
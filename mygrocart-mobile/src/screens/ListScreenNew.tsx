@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   StyleSheet,
   Text,
@@ -7,13 +7,34 @@ import {
   TouchableOpacity,
   ActivityIndicator,
   Alert,
+  TextInput,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { useQuery, useMutation } from '@apollo/client/react';
-import { GET_MY_LIST_WITH_DEALS } from '../graphql/queries';
-import { ADD_LIST_ITEM, UPDATE_LIST_ITEM, REMOVE_LIST_ITEM } from '../graphql/mutations';
+import { useQuery, useMutation, useSubscription } from '@apollo/client/react';
+import {
+  GET_MY_LIST_WITH_DEALS,
+  GET_MY_SHOPPING_LISTS,
+  GET_MY_LIST_INVITES,
+  MATCH_DEALS_TO_MY_LIST,
+} from '../graphql/queries';
+import { LIST_ITEM_CHANGED } from '../graphql/subscriptions';
+import {
+  ADD_LIST_ITEM,
+  UPDATE_LIST_ITEM,
+  REMOVE_LIST_ITEM,
+  MOVE_LIST_ITEM,
+  CREATE_SHOPPING_LIST,
+  DELETE_SHOPPING_LIST,
+  INVITE_TO_SHOPPING_LIST,
+  RESPOND_TO_LIST_INVITE,
+  REMOVE_LIST_MEMBER,
+  ACCEPT_DEAL_MATCH,
+  REJECT_DEAL_MATCH,
+} from '../graphql/mutations';
 import { SmartItemInput } from '../components/list/SmartItemInput';
+import { ListSwitcher, type ShoppingList, type ListRole } from '../components/list/ListSwitcher';
 import { DealBadge } from '../components/deals/DealBadge';
+import { MatchBreakdown, type MatchScoreBreakdown } from '../components/deals/MatchBreakdown';
 import { useAuth } from '../context/AuthContext';
 
 interface ListItem {
@@ -23,6 +44,7 @@ interface ListItem {
   category?: string;
   quantity: number;
   checked: boolean;
+  recurrenceDays?: number | null;
   matchingDeals?: Array<{
     id: string;
     productName: string;
@@ -31,28 +53,197 @@ interface ListItem {
     dealType: string;
     savingsPercent?: number;
   }>;
+  predictedNextSale?: SalePrediction[];
+}
+
+interface SalePrediction {
+  storeName: string;
+  weeksUntil: number;
+  predictedPrice: number;
+  dealType?: string | null;
+  confidence: number;
+}
+
+// Repeat intervals offered for recurring items (days, 0 = one-off)
+const REPEAT_OPTIONS = [
+  { days: 0, label: "Don't repeat" },
+  { days: 7, label: 'Weekly' },
+  { days: 14, label: 'Every 2 weeks' },
+  { days: 30, label: 'Monthly' },
+];
+
+const getRepeatLabel = (days: number) =>
+  REPEAT_OPTIONS.find((option) => option.days === days)?.label || `Every ${days} days`;
+
+// Predictions below this are too shaky to advise waiting on
+const MIN_PREDICTION_CONFIDENCE = 0.3;
+
+const DEAL_TYPE_LABELS: Record<string, string> = {
+  BOGO: 'BOGO',
+  MULTI_BUY: 'multi-buy',
+  COUPON: 'coupon',
+  CLEARANCE: 'clearance',
+};
+
+// e.g. "Wait ~2 weeks: Publix usually runs this BOGO (about $2.50)"
+const getSalePredictionLabel = (prediction: SalePrediction) => {
+  const deal = DEAL_TYPE_LABELS[prediction.dealType || ''] || 'sale';
+  const price = `about $${prediction.predictedPrice.toFixed(2)}`;
+  if (prediction.weeksUntil === 0) {
+    return `${prediction.storeName} usually runs this ${deal} around now (${price})`;
+  }
+  const weeks = prediction.weeksUntil === 1 ? '1 week' : `${prediction.weeksUntil} weeks`;
+  return `Wait ~${weeks}: ${prediction.storeName} usually runs this ${deal} (${price})`;
+};
+
+interface ListInvite {
+  id: string;
+  listName?: string | null;
+  invitedByName?: string | null;
+  role: ListRole;
+}
+
+interface DealMatch {
+  deal: { id: string; productName: string; storeName: string };
+  listItem: { id: string };
+  matchScore: number;
+  matchReason: string;
+  breakdown?: MatchScoreBreakdown | null;
 }
 
 export default function ListScreenNew({ navigation }: any) {
   const { user } = useAuth();
+  const [expandedItemId, setExpandedItemId] = useState<string | null>(null);
+  // null = the default list
+  const [selectedListId, setSelectedListId] = useState<string | null>(null);
+  const [showInvite, setShowInvite] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const listVariables = { userId: user?.userId, listId: selectedListId };
 
-  const { data, loading, error, refetch } = useQuery(GET_MY_LIST_WITH_DEALS, {
+  const { data: listsData } = useQuery<{ getMyShoppingLists: ShoppingList[] }>(GET_MY_SHOPPING_LISTS, {
     variables: { userId: user?.userId },
     skip: !user,
   });
 
+  const { data: invitesData, refetch: refetchInvites } = useQuery<{ getMyListInvites: ListInvite[] }>(
+    GET_MY_LIST_INVITES,
+    {
+      variables: { userId: user?.userId },
+      skip: !user,
+    }
+  );
+
+  const { data, loading, error, refetch } = useQuery(GET_MY_LIST_WITH_DEALS, {
+    variables: listVariables,
+    skip: !user,
+  });
+
+  // Scored matches explain why each item's best deal matched
+  const { data: matchData, refetch: refetchMatches } = useQuery<{ matchDealsToMyList: DealMatch[] }>(MATCH_DEALS_TO_MY_LIST, {
+    variables: listVariables,
+    skip: !user,
+  });
+
+  // Matches come back sorted by score, so the first one per item is the best
+  const bestMatchByItem = new Map<string, DealMatch>();
+  for (const match of matchData?.matchDealsToMyList || []) {
+    if (!bestMatchByItem.has(match.listItem.id)) {
+      bestMatchByItem.set(match.listItem.id, match);
+    }
+  }
+
+  // Item changes also change the item counts in the list switcher
+  const listsQuery = { query: GET_MY_SHOPPING_LISTS, variables: { userId: user?.userId } };
+  const itemRefetchQueries = [
+    { query: GET_MY_LIST_WITH_DEALS, variables: listVariables },
+    { query: MATCH_DEALS_TO_MY_LIST, variables: listVariables },
+    listsQuery,
+  ];
+
   const [addItem] = useMutation(ADD_LIST_ITEM, {
-    refetchQueries: [{ query: GET_MY_LIST_WITH_DEALS, variables: { userId: user?.userId } }],
+    refetchQueries: itemRefetchQueries,
   });
 
   const [updateItem] = useMutation(UPDATE_LIST_ITEM, {
-    refetchQueries: [{ query: GET_MY_LIST_WITH_DEALS, variables: { userId: user?.userId } }],
+    refetchQueries: itemRefetchQueries,
   });
 
   const [removeItem] = useMutation(REMOVE_LIST_ITEM, {
-    refetchQueries: [{ query: GET_MY_LIST_WITH_DEALS, variables: { userId: user?.userId } }],
+    refetchQueries: itemRefetchQueries,
+  });
+
+  const [moveItem] = useMutation(MOVE_LIST_ITEM, {
+    refetchQueries: itemRefetchQueries,
+  });
+
+  const [createList] = useMutation<{ createShoppingList: ShoppingList }>(CREATE_SHOPPING_LIST, {
+    refetchQueries: [listsQuery],
+  });
+
+  const [deleteList] = useMutation(DELETE_SHOPPING_LIST, {
+    refetchQueries: [listsQuery],
+  });
+
+  // Feedback is remembered per product, so refetch to re-rank every item
+  const [acceptDealMatch] = useMutation(ACCEPT_DEAL_MATCH, {
+    refetchQueries: [{ query: MATCH_DEALS_TO_MY_LIST, variables: listVariables }],
+  });
+
+  const [rejectDealMatch] = useMutation(REJECT_DEAL_MATCH, {
+    refetchQueries: [
+      { query: GET_MY_LIST_WITH_DEALS, variables: listVariables },
+      { query: MATCH_DEALS_TO_MY_LIST, variables: listVariables },
+    ],
+  });
+
+  const [inviteMember] = useMutation(INVITE_TO_SHOPPING_LIST, {
+    refetchQueries: [listsQuery],
+  });
+
+  const [respondToInvite] = useMutation(RESPOND_TO_LIST_INVITE, {
+    refetchQueries: [listsQuery],
+  });
+
+  const [removeMember] = useMutation(REMOVE_LIST_MEMBER, {
+    refetchQueries: [listsQuery],
   });
 
+  const shoppingLists: ShoppingList[] = listsData?.getMyShoppingLists || [];
+  const currentList = shoppingLists.find((list) =>
+    selectedListId ? list.id === selectedListId : list.isDefault
+  );
+  const canEdit = currentList?.role !== 'VIEWER';
+  const isSharedList = !!currentList && (currentList.role !== 'OWNER' || (currentList.members?.length || 0) > 0);
+  const otherLists = shoppingLists.filter((list) =>
+    list.id !== currentList?.id && list.role !== 'VIEWER'
+  );
+  const invites: ListInvite[] = invitesData?.getMyListInvites || [];
+
+  // Check-offs and edits by others on a shared list show up right away
+  useSubscription<{ listItemChanged: { changedBy: string } }>(LIST_ITEM_CHANGED, {
+    variables: { listId: currentList?.id },
+    skip: !isSharedList,
+    onData: ({ data: change }) => {
+      if (change.data?.listItemChanged.changedBy !== user?.userId) {
+        refetch();
+        refetchMatches();
+      }
+    },
+  });
+
+  const handleMatchFeedback = async (match: DealMatch, accepted: boolean) => {
+    const variables = { listItemId: match.listItem.id, dealId: match.deal.id };
+    try {
+      if (accepted) {
+        await acceptDealMatch({ variables });
+      } else {
+        await rejectDealMatch({ variables });
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to save your choice. Please try again.');
+    }
+  };
+
   const handleAddItem = async (itemName: string, itemVariant?: string, category?: string) => {
     try {
       await addItem({
@@ -61,6 +252,7 @@ export default function ListScreenNew({ navigation }: any) {
           itemVariant,
           category,
           quantity: 1,
+          listId: selectedListId,
         },
       });
     } catch (error) {
@@ -68,6 +260,117 @@ export default function ListScreenNew({ navigation }: any) {
     }
   };
 
+  const handleCreateList = async (name: string) => {
+    try {
+      const { data: created } = await createList({ variables: { name } });
+      if (created?.createShoppingList) {
+        setSelectedListId(created.createShoppingList.id);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to create list. Please try again.');
+    }
+  };
+
+  const handleDeleteList = async (id: string) => {
+    try {
+      await deleteList({ variables: { id } });
+      if (id === selectedListId) {
+        setSelectedListId(null);
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to delete list. Please try again.');
+    }
+  };
+
+  const handleInvite = async () => {
+    if (!currentList || !inviteEmail.trim()) return;
+
+    const { error: inviteError } = await inviteMember({
+      variables: { listId: currentList.id, email: inviteEmail.trim(), role: 'EDITOR' },
+    });
+    if (inviteError) {
+      Alert.alert('Error', inviteError.message);
+      return;
+    }
+
+    Alert.alert('Invite Sent', `${inviteEmail.trim()} will see "${currentList.name}" after signing in.`);
+    setInviteEmail('');
+    setShowInvite(false);
+  };
+
+  const handleLeaveList = () => {
+    const myMembership = currentList?.members?.find(
+      (member) => member.email === user?.email?.toLowerCase()
+    );
+    if (!currentList || !myMembership) return;
+
+    Alert.alert('Leave List', `Stop sharing "${currentList.name}" with you?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Leave',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await removeMember({ variables: { memberId: myMembership.id } });
+            setSelectedListId(null);
+          } catch (error) {
+            Alert.alert('Error', 'Failed to leave list. Please try again.');
+          }
+        },
+      },
+    ]);
+  };
+
+  const handleRespondToInvite = async (inviteId: string, accept: boolean) => {
+    try {
+      await respondToInvite({ variables: { inviteId, accept } });
+      refetchInvites();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to respond to invite. Please try again.');
+    }
+  };
+
+  const handleMoveItem = (id: string, itemName: string) => {
+    Alert.alert(
+      'Move Item',
+      `Move "${itemName}" to:`,
+      [
+        ...otherLists.map((list) => ({
+          text: list.name,
+          onPress: async () => {
+            try {
+              await moveItem({ variables: { id, listId: list.id } });
+            } catch (error) {
+              Alert.alert('Error', 'Failed to move item. Please try again.');
+            }
+          },
+        })),
+        { text: 'Cancel', style: 'cancel' as const },
+      ]
+    );
+  };
+
+  // Checked-off recurring items come back on the list after the interval
+  const handleSetRepeat = (id: string, itemName: string) => {
+    Alert.alert(
+      'Repeat Item',
+      `Put "${itemName}" back on the list after it's checked off:`,
+      [
+        ...REPEAT_OPTIONS.map((option) => ({
+          text: option.label,
+          onPress: async () => {
+            try {
+              await updateItem({ variables: { id, recurrenceDays: option.days } });
+            } catch (error) {
+              Alert.alert('Error', 'Failed to update item. Please try again.');
+            }
+          },
+        })),
+        { text: 'Cancel', style: 'cancel' as const },
+      ]
+    );
+  };
+
   const handleUpdateQuantity = async (id: string, newQuantity: number) => {
     if (newQuantity < 1) return;
 
@@ -121,6 +424,11 @@ export default function ListScreenNew({ navigation }: any) {
 
   const renderListItem = ({ item }: { item: ListItem }) => {
     const dealCount = item.matchingDeals?.length || 0;
+    const bestMatch = bestMatchByItem.get(item.id);
+    const isExpanded = expandedItemId === item.id;
+    const salePrediction = dealCount === 0 && !item.checked
+      ? item.predictedNextSale?.find((prediction) => prediction.confidence >= MIN_PREDICTION_CONFIDENCE)
+      : undefined;
     const displayName = item.itemVariant
       ? `${item.itemName} (${item.itemVariant})`
       : item.itemName;
@@ -130,6 +438,7 @@ export default function ListScreenNew({ navigation }: any) {
         <TouchableOpacity
           style={styles.checkboxContainer}
           onPress={() => handleToggleChecked(item.id, item.checked)}
+          disabled={!canEdit}
         >
           <Ionicons
             name={item.checked ? 'checkbox' : 'square-outline'}
@@ -151,10 +460,49 @@ export default function ListScreenNew({ navigation }: any) {
           {item.category && (
             <Text style={styles.itemCategory}>{item.category}</Text>
           )}
+          {!!item.recurrenceDays && (
+            <Text style={styles.itemRepeat}>{getRepeatLabel(item.recurrenceDays)}</Text>
+          )}
+          {salePrediction && (
+            <Text style={styles.salePrediction} numberOfLines={2}>
+              {getSalePredictionLabel(salePrediction)}
+            </Text>
+          )}
+          {bestMatch && !item.checked && (
+            <TouchableOpacity onPress={() => setExpandedItemId(isExpanded ? null : item.id)}>
+              <Text style={styles.matchReason} numberOfLines={isExpanded ? undefined : 1}>
+                {Math.round(bestMatch.matchScore * 100)}% match at {bestMatch.deal.storeName} · {bestMatch.matchReason}
+              </Text>
+              {isExpanded && bestMatch.breakdown && (
+                <MatchBreakdown breakdown={bestMatch.breakdown} />
+              )}
+              {isExpanded && (
+                <View style={styles.feedbackRow}>
+                  {bestMatch.breakdown?.userFeedback !== 'ACCEPTED' && (
+                    <TouchableOpacity
+                      style={styles.feedbackButton}
+                      onPress={() => handleMatchFeedback(bestMatch, true)}
+                    >
+                      <Ionicons name="thumbs-up-outline" size={14} color="#367723" />
+                      <Text style={styles.feedbackAccept}>Yes, this one</Text>
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity
+                    style={styles.feedbackButton}
+                    onPress={() => handleMatchFeedback(bestMatch, false)}
+                  >
+                    <Ionicons name="thumbs-down-outline" size={14} color="#6B7280" />
+                    <Text style={styles.feedbackReject}>Not this</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </TouchableOpacity>
+          )}
         </View>
 
         <DealBadge count={dealCount} />
 
+        {canEdit ? (
         <View style={styles.controls}>
           <View style={styles.quantityContainer}>
             <TouchableOpacity
@@ -174,6 +522,22 @@ export default function ListScreenNew({ navigation }: any) {
             </TouchableOpacity>
           </View>
 
+          <TouchableOpacity
+            style={styles.deleteButton}
+            onPress={() => handleSetRepeat(item.id, displayName)}
+          >
+            <Ionicons name={item.recurrenceDays ? 'repeat' : 'repeat-outline'} size={20} color="#6B7280" />
+          </TouchableOpacity>
+
+          {otherLists.length > 0 && (
+            <TouchableOpacity
+              style={styles.deleteButton}
+              onPress={() => handleMoveItem(item.id, displayName)}
+            >
+              <Ionicons name="swap-horizontal-outline" size={20} color="#6B7280" />
+            </TouchableOpacity>
+          )}
+
           <TouchableOpacity
             style={styles.deleteButton}
             onPress={() => handleRemoveItem(item.id, displayName)}
@@ -181,6 +545,9 @@ export default function ListScreenNew({ navigation }: any) {
             <Ionicons name="trash-outline" size={20} color="#DC2626" />
           </TouchableOpacity>
         </View>
+        ) : (
+          <Text style={styles.quantityText}>x{item.quantity}</Text>
+        )}
       </View>
     );
   };
@@ -240,11 +607,75 @@ export default function ListScreenNew({ navigation }: any) {
         <Text style={styles.headerSubtitle}>
           {listItems.length} {listItems.length === 1 ? 'item' : 'items'}
         </Text>
+        {shoppingLists.length > 0 && (
+          <ListSwitcher
+            lists={shoppingLists}
+            selectedListId={selectedListId}
+            onSelect={setSelectedListId}
+            onCreate={handleCreateList}
+            onDelete={handleDeleteList}
+          />
+        )}
+        {currentList && (
+          <View style={styles.shareRow}>
+            <Text style={styles.shareText} numberOfLines={1}>
+              {currentList.role === 'OWNER'
+                ? `Shared with ${currentList.members?.length || 0}`
+                : `${currentList.ownerName}'s list${currentList.role === 'VIEWER' ? ' (view only)' : ''}`}
+            </Text>
+            {currentList.role === 'OWNER' ? (
+              <TouchableOpacity onPress={() => setShowInvite(!showInvite)}>
+                <Text style={styles.shareAction}>Share</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity onPress={handleLeaveList}>
+                <Text style={styles.leaveAction}>Leave</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+        {showInvite && currentList?.role === 'OWNER' && (
+          <View style={styles.shareRow}>
+            <TextInput
+              style={styles.inviteInput}
+              value={inviteEmail}
+              onChangeText={setInviteEmail}
+              onSubmitEditing={handleInvite}
+              placeholder="Invite by email"
+              placeholderTextColor="#999"
+              keyboardType="email-address"
+              autoCapitalize="none"
+              autoFocus
+            />
+            <TouchableOpacity onPress={handleInvite}>
+              <Text style={styles.shareAction}>Invite</Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
 
-      <View style={styles.inputContainer}>
-        <SmartItemInput onAddItem={handleAddItem} />
-      </View>
+      {invites.map((invite) => (
+        <View key={invite.id} style={styles.inviteBanner}>
+          <Text style={styles.inviteText}>
+            {invite.invitedByName || 'Someone'} shared "{invite.listName}" with you
+            {invite.role === 'VIEWER' ? ' (view only)' : ''}
+          </Text>
+          <View style={styles.inviteActions}>
+            <TouchableOpacity onPress={() => handleRespondToInvite(invite.id, false)}>
+              <Text style={styles.leaveAction}>Decline</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => handleRespondToInvite(invite.id, true)}>
+              <Text style={styles.shareAction}>Accept</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      ))}
+
+      {canEdit && (
+        <View style={styles.inputContainer}>
+          <SmartItemInput onAddItem={handleAddItem} />
+        </View>
+      )}
 
       <FlatList
         data={listItems}
@@ -291,6 +722,53 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6B7280',
   },
+  shareRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 10,
+  },
+  shareText: {
+    flex: 1,
+    fontSize: 13,
+    color: '#6B7280',
+    marginRight: 12,
+  },
+  shareAction: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#367723',
+  },
+  leaveAction: {
+    fontSize: 14,
+    color: '#DC2626',
+  },
+  inviteInput: {
+    flex: 1,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 15,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 12,
+  },
+  inviteBanner: {
+    backgroundColor: '#ECFDF5',
+    borderBottomWidth: 1,
+    borderBottomColor: '#A7F3D0',
+    padding: 12,
+  },
+  inviteText: {
+    fontSize: 14,
+    color: '#065F46',
+  },
+  inviteActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 16,
+    marginTop: 8,
+  },
   inputContainer: {
     backgroundColor: '#FFFFFF',
     padding: 16,
@@ -328,10 +806,45 @@ const styles = StyleSheet.create({
     textDecorationLine: 'line-through',
     color: '#9CA3AF',
   },
+  itemRepeat: {
+    fontSize: 12,
+    color: '#367723',
+    marginTop: 2,
+  },
+  salePrediction: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
   itemCategory: {
     fontSize: 12,
     color: '#9CA3AF',
   },
+  matchReason: {
+    fontSize: 12,
+    color: '#C2410C',
+    marginTop: 4,
+  },
+  feedbackRow: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  feedbackButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 16,
+  },
+  feedbackAccept: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#367723',
+    marginLeft: 4,
+  },
+  feedbackReject: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginLeft: 4,
+  },
   controls: {
     alignItems: 'center',
   },
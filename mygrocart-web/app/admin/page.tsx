@@ -17,6 +17,9 @@ import {
   CircleDot,
   ArrowLeft,
   FileText,
+  ClipboardCheck,
+  RotateCw,
+  Trash2,
 } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
@@ -38,9 +41,19 @@ import {
   GET_PROCESSING_JOBS,
   GET_ALL_FLYERS,
 } from "@/lib/graphql/queries";
-import { TRIGGER_FLYER_FETCH } from "@/lib/graphql/mutations";
+import {
+  TRIGGER_FLYER_FETCH,
+  TRIGGER_FLYER_REPROCESS,
+  DELETE_FLYER,
+} from "@/lib/graphql/mutations";
+import { useToast } from "@/components/ui/use-toast";
+import { DealReviewQueue } from "@/components/admin/DealReviewQueue";
+import { ScraperList } from "@/components/admin/ScraperList";
+import { ScraperHealthList } from "@/components/admin/ScraperHealthList";
 import Link from "next/link";
 
+type AdminTab = "overview" | "review";
+
 // TypeScript Interfaces
 interface StoreCount {
   storeName: string;
@@ -105,6 +118,14 @@ interface FlyerFetchResponse {
   };
 }
 
+interface FlyerReprocessResponse {
+  triggerFlyerReprocess: {
+    jobId: string;
+    status: string;
+    message: string;
+  };
+}
+
 export default function AdminDashboard() {
   const router = useRouter();
   const { user, isAuthenticated, isLoading: authLoading } = useAuth();
@@ -119,6 +140,9 @@ export default function AdminDashboard() {
   const [jobStatusFilter, setJobStatusFilter] = useState<string | undefined>(undefined);
   const [flyerZipFilter, setFlyerZipFilter] = useState<string | undefined>(undefined);
   const [autoRefresh, setAutoRefresh] = useState(true);
+  const [activeTab, setActiveTab] = useState<AdminTab>("overview");
+  const [busyFlyerId, setBusyFlyerId] = useState<string | null>(null);
+  const { toast } = useToast();
 
   // Redirect if not authenticated
   useEffect(() => {
@@ -163,6 +187,8 @@ export default function AdminDashboard() {
   // GraphQL Mutations
   const [triggerFlyerFetch, { loading: fetchingFlyers }] =
     useMutation<FlyerFetchResponse>(TRIGGER_FLYER_FETCH);
+  const [triggerFlyerReprocess] = useMutation<FlyerReprocessResponse>(TRIGGER_FLYER_REPROCESS);
+  const [deleteFlyer] = useMutation(DELETE_FLYER);
 
   // Data extraction
   const stats = statsData?.getAdminStats;
@@ -243,6 +269,55 @@ export default function AdminDashboard() {
     }
   };
 
+  // Queue re-reading one flyer with OCR (its deals are only replaced if new ones are read)
+  const handleReprocessFlyer = async (flyer: Flyer) => {
+    setBusyFlyerId(flyer.id);
+    try {
+      const result = await triggerFlyerReprocess({ variables: { flyerId: flyer.id } });
+      const response = result.data?.triggerFlyerReprocess;
+      const started = response?.status === "queued" || response?.status === "processing";
+      toast({
+        title: started ? "Flyer queued for reprocessing" : "Flyer not reprocessed",
+        description: response?.message,
+        variant: started ? "success" : "destructive",
+      });
+      refetchFlyers();
+      refetchStats();
+    } catch (err: unknown) {
+      console.error("Failed to reprocess flyer:", err);
+      toast({
+        title: "Reprocess failed",
+        description: err instanceof Error ? err.message : undefined,
+        variant: "destructive",
+      });
+    } finally {
+      setBusyFlyerId(null);
+    }
+  };
+
+  const handleDeleteFlyer = async (flyer: Flyer) => {
+    if (!window.confirm(`Delete ${flyer.storeName} "${flyer.flyerName}" and its ${flyer.dealCount} deals? This can't be undone.`)) {
+      return;
+    }
+
+    setBusyFlyerId(flyer.id);
+    try {
+      await deleteFlyer({ variables: { flyerId: flyer.id } });
+      toast({ title: "Flyer deleted", variant: "success" });
+      refetchFlyers();
+      refetchStats();
+    } catch (err: unknown) {
+      console.error("Failed to delete flyer:", err);
+      toast({
+        title: "Delete failed",
+        description: err instanceof Error ? err.message : undefined,
+        variant: "destructive",
+      });
+    } finally {
+      setBusyFlyerId(null);
+    }
+  };
+
   const handleRefreshAll = () => {
     refetchStats();
     refetchJobs();
@@ -447,400 +522,459 @@ export default function AdminDashboard() {
           </div>
         </div>
 
-        {/* Statistics Cards */}
-        <div className="mb-8 grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
-          <Card>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">Total Flyers</CardTitle>
-              <FileText className="h-4 w-4 text-gray-500" />
-            </CardHeader>
-            <CardContent>
-              {statsLoading ? (
-                <Skeleton className="h-8 w-16" />
-              ) : (
-                <>
-                  <div className="text-2xl font-bold">{stats?.totalFlyers || 0}</div>
-                  <p className="text-xs text-gray-500">All flyers in database</p>
-                </>
-              )}
-            </CardContent>
-          </Card>
-
-          <Card>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">Total Deals</CardTitle>
-              <ShoppingCart className="h-4 w-4 text-gray-500" />
-            </CardHeader>
-            <CardContent>
-              {statsLoading ? (
-                <Skeleton className="h-8 w-16" />
-              ) : (
-                <>
-                  <div className="text-2xl font-bold text-primary-600">
-                    {stats?.totalDeals || 0}
-                  </div>
-                  <p className="text-xs text-gray-500">Deals extracted</p>
-                </>
-              )}
-            </CardContent>
-          </Card>
-
-          <Card>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">Active Stores</CardTitle>
-              <Store className="h-4 w-4 text-gray-500" />
-            </CardHeader>
-            <CardContent>
-              {statsLoading ? (
-                <Skeleton className="h-8 w-16" />
-              ) : (
-                <>
-                  <div className="text-2xl font-bold">{stats?.activeStores || 0}</div>
-                  <p className="text-xs text-gray-500">Stores with flyers</p>
-                </>
-              )}
-            </CardContent>
-          </Card>
-
-          <Card>
-            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
-              <CardTitle className="text-sm font-medium">Processing</CardTitle>
-              <Clock className="h-4 w-4 text-blue-600" />
-            </CardHeader>
-            <CardContent>
-              {statsLoading ? (
-                <Skeleton className="h-8 w-16" />
-              ) : (
-                <>
-                  <div className="text-2xl font-bold text-blue-600">
-                    {stats?.processingJobs || 0}
-                  </div>
-                  <p className="text-xs text-gray-500">Jobs in queue</p>
-                </>
-              )}
-            </CardContent>
-          </Card>
+        {/* Tabs */}
+        <div className="mb-8 flex gap-2 border-b border-gray-200">
+          {([
+            { id: "overview", label: "Overview", icon: LayoutDashboard },
+            { id: "review", label: "Review Queue", icon: ClipboardCheck },
+          ] as const).map(({ id, label, icon: Icon }) => (
+            <button
+              key={id}
+              type="button"
+              onClick={() => setActiveTab(id)}
+              className={`-mb-px flex items-center gap-2 border-b-2 px-4 py-2 text-sm font-medium ${
+                activeTab === id
+                  ? "border-primary-600 text-primary-700"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              <Icon className="h-4 w-4" />
+              {label}
+            </button>
+          ))}
         </div>
 
-        {/* Flyer Fetching Panel */}
-        <Card className="mb-8">
-          <CardHeader>
-            <CardTitle>Fetch New Flyers</CardTitle>
-          </CardHeader>
-          <CardContent>
-            <div className="flex flex-col gap-4 sm:flex-row sm:items-end">
-              <div className="flex-1 max-w-xs">
-                <Label htmlFor="zipCode">ZIP Code</Label>
-                <Input
-                  id="zipCode"
-                  type="text"
-                  placeholder="30132"
-                  value={zipCode}
-                  onChange={handleZipCodeChange}
-                  maxLength={5}
-                  className={zipError ? "border-red-500" : ""}
-                />
-                {zipError && (
-                  <p className="mt-1 text-sm text-red-600">{zipError}</p>
-                )}
-              </div>
-
-              <Button
-                onClick={handleFetchFlyers}
-                disabled={fetchingFlyers || fetchStatus.state === "loading" || !zipCode || !!zipError}
-                className="bg-primary-500 hover:bg-primary-600"
-              >
-                {fetchingFlyers || fetchStatus.state === "loading" ? (
-                  <>
-                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
-                    Fetching...
-                  </>
-                ) : (
-                  "Fetch Flyers"
-                )}
-              </Button>
+        {activeTab === "review" && <DealReviewQueue />}
+
+        {activeTab === "overview" && (
+          <>
+            {/* Statistics Cards */}
+            <div className="mb-8 grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">Total Flyers</CardTitle>
+                  <FileText className="h-4 w-4 text-gray-500" />
+                </CardHeader>
+                <CardContent>
+                  {statsLoading ? (
+                    <Skeleton className="h-8 w-16" />
+                  ) : (
+                    <>
+                      <div className="text-2xl font-bold">{stats?.totalFlyers || 0}</div>
+                      <p className="text-xs text-gray-500">All flyers in database</p>
+                    </>
+                  )}
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">Total Deals</CardTitle>
+                  <ShoppingCart className="h-4 w-4 text-gray-500" />
+                </CardHeader>
+                <CardContent>
+                  {statsLoading ? (
+                    <Skeleton className="h-8 w-16" />
+                  ) : (
+                    <>
+                      <div className="text-2xl font-bold text-primary-600">
+                        {stats?.totalDeals || 0}
+                      </div>
+                      <p className="text-xs text-gray-500">Deals extracted</p>
+                    </>
+                  )}
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">Active Stores</CardTitle>
+                  <Store className="h-4 w-4 text-gray-500" />
+                </CardHeader>
+                <CardContent>
+                  {statsLoading ? (
+                    <Skeleton className="h-8 w-16" />
+                  ) : (
+                    <>
+                      <div className="text-2xl font-bold">{stats?.activeStores || 0}</div>
+                      <p className="text-xs text-gray-500">Stores with flyers</p>
+                    </>
+                  )}
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+                  <CardTitle className="text-sm font-medium">Processing</CardTitle>
+                  <Clock className="h-4 w-4 text-blue-600" />
+                </CardHeader>
+                <CardContent>
+                  {statsLoading ? (
+                    <Skeleton className="h-8 w-16" />
+                  ) : (
+                    <>
+                      <div className="text-2xl font-bold text-blue-600">
+                        {stats?.processingJobs || 0}
+                      </div>
+                      <p className="text-xs text-gray-500">Jobs in queue</p>
+                    </>
+                  )}
+                </CardContent>
+              </Card>
             </div>
 
-            {/* Status Message */}
-            {fetchStatus.state !== "idle" && (
-              <div className="mt-4">
-                {fetchStatus.state === "loading" && (
-                  <Alert className="border-blue-200 bg-blue-50">
-                    <Loader2 className="h-4 w-4 animate-spin text-blue-600" />
-                    <AlertDescription className="ml-2 text-blue-700">
-                      {fetchStatus.message}
-                    </AlertDescription>
-                  </Alert>
+            {/* Flyer Fetching Panel */}
+            <Card className="mb-8">
+              <CardHeader>
+                <CardTitle>Fetch New Flyers</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="flex flex-col gap-4 sm:flex-row sm:items-end">
+                  <div className="flex-1 max-w-xs">
+                    <Label htmlFor="zipCode">ZIP Code</Label>
+                    <Input
+                      id="zipCode"
+                      type="text"
+                      placeholder="30132"
+                      value={zipCode}
+                      onChange={handleZipCodeChange}
+                      maxLength={5}
+                      className={zipError ? "border-red-500" : ""}
+                    />
+                    {zipError && (
+                      <p className="mt-1 text-sm text-red-600">{zipError}</p>
+                    )}
+                  </div>
+
+                  <Button
+                    onClick={handleFetchFlyers}
+                    disabled={fetchingFlyers || fetchStatus.state === "loading" || !zipCode || !!zipError}
+                    className="bg-primary-500 hover:bg-primary-600"
+                  >
+                    {fetchingFlyers || fetchStatus.state === "loading" ? (
+                      <>
+                        <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                        Fetching...
+                      </>
+                    ) : (
+                      "Fetch Flyers"
+                    )}
+                  </Button>
+                </div>
+
+                {/* Status Message */}
+                {fetchStatus.state !== "idle" && (
+                  <div className="mt-4">
+                    {fetchStatus.state === "loading" && (
+                      <Alert className="border-blue-200 bg-blue-50">
+                        <Loader2 className="h-4 w-4 animate-spin text-blue-600" />
+                        <AlertDescription className="ml-2 text-blue-700">
+                          {fetchStatus.message}
+                        </AlertDescription>
+                      </Alert>
+                    )}
+                    {fetchStatus.state === "success" && (
+                      <Alert className="border-primary-200 bg-primary-50">
+                        <CheckCircle2 className="h-4 w-4 text-primary-600" />
+                        <AlertDescription className="ml-2 text-primary-700">
+                          {fetchStatus.message}
+                        </AlertDescription>
+                      </Alert>
+                    )}
+                    {fetchStatus.state === "error" && (
+                      <Alert variant="destructive">
+                        <XCircle className="h-4 w-4" />
+                        <AlertDescription className="ml-2">
+                          {fetchStatus.message}
+                        </AlertDescription>
+                      </Alert>
+                    )}
+                  </div>
                 )}
-                {fetchStatus.state === "success" && (
-                  <Alert className="border-primary-200 bg-primary-50">
-                    <CheckCircle2 className="h-4 w-4 text-primary-600" />
-                    <AlertDescription className="ml-2 text-primary-700">
-                      {fetchStatus.message}
+              </CardContent>
+            </Card>
+
+            <ScraperList />
+            <ScraperHealthList />
+
+            {/* Processing Jobs Table */}
+            <Card className="mb-8">
+              <CardHeader>
+                <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+                  <CardTitle>Processing Jobs</CardTitle>
+                  <div className="flex items-center gap-4">
+                    <div className="flex items-center gap-2">
+                      <Label htmlFor="jobFilter" className="text-sm">
+                        Filter:
+                      </Label>
+                      <select
+                        id="jobFilter"
+                        value={jobStatusFilter || "all"}
+                        onChange={(e) =>
+                          setJobStatusFilter(e.target.value === "all" ? undefined : e.target.value)
+                        }
+                        className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-600 focus:ring-offset-2"
+                      >
+                        <option value="all">All</option>
+                        <option value="queued">Queued</option>
+                        <option value="processing">Processing</option>
+                        <option value="completed">Completed</option>
+                        <option value="failed">Failed</option>
+                      </select>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        id="auto-refresh-jobs"
+                        checked={autoRefresh}
+                        onChange={(e) => setAutoRefresh(e.target.checked)}
+                        className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-2 focus:ring-primary-600"
+                      />
+                      <label htmlFor="auto-refresh-jobs" className="text-sm text-gray-700">
+                        Auto-refresh
+                      </label>
+                    </div>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent>
+                {jobsError && (
+                  <Alert variant="destructive" className="mb-4">
+                    <XCircle className="h-4 w-4" />
+                    <AlertDescription className="ml-2">
+                      Failed to load processing jobs: {jobsError.message}
                     </AlertDescription>
                   </Alert>
                 )}
-                {fetchStatus.state === "error" && (
-                  <Alert variant="destructive">
+
+                {jobsLoading && jobs.length === 0 ? (
+                  <div className="space-y-2">
+                    {[...Array(5)].map((_, i) => (
+                      <Skeleton key={i} className="h-12 w-full" />
+                    ))}
+                  </div>
+                ) : jobs.length === 0 ? (
+                  <div className="py-12 text-center">
+                    <Database className="mx-auto h-12 w-12 text-gray-400" />
+                    <h3 className="mt-4 text-lg font-medium text-gray-900">
+                      No jobs found
+                    </h3>
+                    <p className="mt-2 text-gray-500">
+                      {jobStatusFilter
+                        ? "No jobs match the selected filter"
+                        : "Fetch flyers to create processing jobs"}
+                    </p>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Job ID</TableHead>
+                          <TableHead>Type</TableHead>
+                          <TableHead>ZIP Code</TableHead>
+                          <TableHead>Status</TableHead>
+                          <TableHead>Created</TableHead>
+                          <TableHead>Completed</TableHead>
+                          <TableHead>Error</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {jobs.map((job) => (
+                          <TableRow key={job.id}>
+                            <TableCell className="font-mono text-xs">
+                              {job.id.substring(0, 8)}...
+                            </TableCell>
+                            <TableCell className="capitalize">{job.type}</TableCell>
+                            <TableCell>{job.zipCode}</TableCell>
+                            <TableCell>{getJobStatusBadge(job.status)}</TableCell>
+                            <TableCell className="text-sm text-gray-500">
+                              {getRelativeTime(job.createdAt)}
+                            </TableCell>
+                            <TableCell className="text-sm text-gray-500">
+                              {formatDate(job.completedAt)}
+                            </TableCell>
+                            <TableCell>
+                              {job.errorMessage ? (
+                                <span className="text-xs text-red-600">
+                                  {job.errorMessage.substring(0, 30)}
+                                  {job.errorMessage.length > 30 ? "..." : ""}
+                                </span>
+                              ) : (
+                                <span className="text-gray-400">-</span>
+                              )}
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Active Flyers Table */}
+            <Card className="mb-8">
+              <CardHeader>
+                <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
+                  <CardTitle>Active Flyers ({flyerTotalCount})</CardTitle>
+                  <div className="flex items-center gap-2">
+                    <Label htmlFor="flyerFilter" className="text-sm">
+                      Filter:
+                    </Label>
+                    <select
+                      id="flyerFilter"
+                      value={flyerZipFilter || "all"}
+                      onChange={(e) =>
+                        setFlyerZipFilter(e.target.value === "all" ? undefined : e.target.value)
+                      }
+                      className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-600 focus:ring-offset-2"
+                    >
+                      <option value="all">All ZIP Codes</option>
+                      {uniqueZipCodes.map((zip) => (
+                        <option key={zip} value={zip}>
+                          {zip}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </CardHeader>
+              <CardContent>
+                {flyersError && (
+                  <Alert variant="destructive" className="mb-4">
                     <XCircle className="h-4 w-4" />
                     <AlertDescription className="ml-2">
-                      {fetchStatus.message}
+                      Failed to load flyers: {flyersError.message}
                     </AlertDescription>
                   </Alert>
                 )}
-              </div>
-            )}
-          </CardContent>
-        </Card>
 
-        {/* Processing Jobs Table */}
-        <Card className="mb-8">
-          <CardHeader>
-            <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
-              <CardTitle>Processing Jobs</CardTitle>
-              <div className="flex items-center gap-4">
-                <div className="flex items-center gap-2">
-                  <Label htmlFor="jobFilter" className="text-sm">
-                    Filter:
-                  </Label>
-                  <select
-                    id="jobFilter"
-                    value={jobStatusFilter || "all"}
-                    onChange={(e) =>
-                      setJobStatusFilter(e.target.value === "all" ? undefined : e.target.value)
-                    }
-                    className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-600 focus:ring-offset-2"
-                  >
-                    <option value="all">All</option>
-                    <option value="queued">Queued</option>
-                    <option value="processing">Processing</option>
-                    <option value="completed">Completed</option>
-                    <option value="failed">Failed</option>
-                  </select>
-                </div>
-                <div className="flex items-center gap-2">
-                  <input
-                    type="checkbox"
-                    id="auto-refresh-jobs"
-                    checked={autoRefresh}
-                    onChange={(e) => setAutoRefresh(e.target.checked)}
-                    className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-2 focus:ring-primary-600"
-                  />
-                  <label htmlFor="auto-refresh-jobs" className="text-sm text-gray-700">
-                    Auto-refresh
-                  </label>
-                </div>
-              </div>
-            </div>
-          </CardHeader>
-          <CardContent>
-            {jobsError && (
-              <Alert variant="destructive" className="mb-4">
-                <XCircle className="h-4 w-4" />
-                <AlertDescription className="ml-2">
-                  Failed to load processing jobs: {jobsError.message}
-                </AlertDescription>
-              </Alert>
-            )}
-
-            {jobsLoading && jobs.length === 0 ? (
-              <div className="space-y-2">
-                {[...Array(5)].map((_, i) => (
-                  <Skeleton key={i} className="h-12 w-full" />
-                ))}
-              </div>
-            ) : jobs.length === 0 ? (
-              <div className="py-12 text-center">
-                <Database className="mx-auto h-12 w-12 text-gray-400" />
-                <h3 className="mt-4 text-lg font-medium text-gray-900">
-                  No jobs found
-                </h3>
-                <p className="mt-2 text-gray-500">
-                  {jobStatusFilter
-                    ? "No jobs match the selected filter"
-                    : "Fetch flyers to create processing jobs"}
-                </p>
-              </div>
-            ) : (
-              <div className="overflow-x-auto">
-                <Table>
-                  <TableHeader>
-                    <TableRow>
-                      <TableHead>Job ID</TableHead>
-                      <TableHead>Type</TableHead>
-                      <TableHead>ZIP Code</TableHead>
-                      <TableHead>Status</TableHead>
-                      <TableHead>Created</TableHead>
-                      <TableHead>Completed</TableHead>
-                      <TableHead>Error</TableHead>
-                    </TableRow>
-                  </TableHeader>
-                  <TableBody>
-                    {jobs.map((job) => (
-                      <TableRow key={job.id}>
-                        <TableCell className="font-mono text-xs">
-                          {job.id.substring(0, 8)}...
-                        </TableCell>
-                        <TableCell className="capitalize">{job.type}</TableCell>
-                        <TableCell>{job.zipCode}</TableCell>
-                        <TableCell>{getJobStatusBadge(job.status)}</TableCell>
-                        <TableCell className="text-sm text-gray-500">
-                          {getRelativeTime(job.createdAt)}
-                        </TableCell>
-                        <TableCell className="text-sm text-gray-500">
-                          {formatDate(job.completedAt)}
-                        </TableCell>
-                        <TableCell>
-                          {job.errorMessage ? (
-                            <span className="text-xs text-red-600">
-                              {job.errorMessage.substring(0, 30)}
-                              {job.errorMessage.length > 30 ? "..." : ""}
-                            </span>
-                          ) : (
-                            <span className="text-gray-400">-</span>
-                          )}
-                        </TableCell>
-                      </TableRow>
-                    ))}
-                  </TableBody>
-                </Table>
-              </div>
-            )}
-          </CardContent>
-        </Card>
-
-        {/* Active Flyers Table */}
-        <Card className="mb-8">
-          <CardHeader>
-            <div className="flex flex-col gap-4 sm:flex-row sm:items-center sm:justify-between">
-              <CardTitle>Active Flyers ({flyerTotalCount})</CardTitle>
-              <div className="flex items-center gap-2">
-                <Label htmlFor="flyerFilter" className="text-sm">
-                  Filter:
-                </Label>
-                <select
-                  id="flyerFilter"
-                  value={flyerZipFilter || "all"}
-                  onChange={(e) =>
-                    setFlyerZipFilter(e.target.value === "all" ? undefined : e.target.value)
-                  }
-                  className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-600 focus:ring-offset-2"
-                >
-                  <option value="all">All ZIP Codes</option>
-                  {uniqueZipCodes.map((zip) => (
-                    <option key={zip} value={zip}>
-                      {zip}
-                    </option>
-                  ))}
-                </select>
-              </div>
-            </div>
-          </CardHeader>
-          <CardContent>
-            {flyersError && (
-              <Alert variant="destructive" className="mb-4">
-                <XCircle className="h-4 w-4" />
-                <AlertDescription className="ml-2">
-                  Failed to load flyers: {flyersError.message}
-                </AlertDescription>
-              </Alert>
-            )}
-
-            {flyersLoading && flyers.length === 0 ? (
-              <div className="space-y-2">
-                {[...Array(5)].map((_, i) => (
-                  <Skeleton key={i} className="h-12 w-full" />
-                ))}
-              </div>
-            ) : flyers.length === 0 ? (
-              <div className="py-12 text-center">
-                <FileText className="mx-auto h-12 w-12 text-gray-400" />
-                <h3 className="mt-4 text-lg font-medium text-gray-900">
-                  No flyers found
-                </h3>
-                <p className="mt-2 text-gray-500">
-                  {flyerZipFilter
-                    ? "No flyers found for this ZIP code"
-                    : "Fetch flyers for a ZIP code to get started"}
-                </p>
-              </div>
-            ) : (
-              <div className="overflow-x-auto">
-                <Table>
-                  <TableHeader>
-                    <TableRow>
-                      <TableHead>Store</TableHead>
-                      <TableHead>Flyer Name</TableHead>
-                      <TableHead>ZIP Code</TableHead>
-                      <TableHead>Valid Dates</TableHead>
-                      <TableHead>Status</TableHead>
-                      <TableHead>Deals</TableHead>
-                      <TableHead>Processed</TableHead>
-                    </TableRow>
-                  </TableHeader>
-                  <TableBody>
-                    {flyers.map((flyer) => (
-                      <TableRow key={flyer.id}>
-                        <TableCell className="font-medium">{flyer.storeName}</TableCell>
-                        <TableCell>{flyer.flyerName}</TableCell>
-                        <TableCell>{flyer.zipCode}</TableCell>
-                        <TableCell className="text-sm text-gray-500">
-                          {formatDateRange(flyer.validFrom, flyer.validTo)}
-                        </TableCell>
-                        <TableCell>{getFlyerStatusBadge(flyer.status)}</TableCell>
-                        <TableCell>
-                          <Badge variant="outline" className="bg-primary-50 text-primary-700 border-primary-200">
-                            {flyer.dealCount} deals
-                          </Badge>
-                        </TableCell>
-                        <TableCell className="text-sm text-gray-500">
-                          {formatDate(flyer.processedAt)}
-                        </TableCell>
-                      </TableRow>
+                {flyersLoading && flyers.length === 0 ? (
+                  <div className="space-y-2">
+                    {[...Array(5)].map((_, i) => (
+                      <Skeleton key={i} className="h-12 w-full" />
                     ))}
-                  </TableBody>
-                </Table>
-              </div>
+                  </div>
+                ) : flyers.length === 0 ? (
+                  <div className="py-12 text-center">
+                    <FileText className="mx-auto h-12 w-12 text-gray-400" />
+                    <h3 className="mt-4 text-lg font-medium text-gray-900">
+                      No flyers found
+                    </h3>
+                    <p className="mt-2 text-gray-500">
+                      {flyerZipFilter
+                        ? "No flyers found for this ZIP code"
+                        : "Fetch flyers for a ZIP code to get started"}
+                    </p>
+                  </div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <Table>
+                      <TableHeader>
+                        <TableRow>
+                          <TableHead>Store</TableHead>
+                          <TableHead>Flyer Name</TableHead>
+                          <TableHead>ZIP Code</TableHead>
+                          <TableHead>Valid Dates</TableHead>
+                          <TableHead>Status</TableHead>
+                          <TableHead>Deals</TableHead>
+                          <TableHead>Processed</TableHead>
+                          <TableHead className="text-right">Actions</TableHead>
+                        </TableRow>
+                      </TableHeader>
+                      <TableBody>
+                        {flyers.map((flyer) => (
+                          <TableRow key={flyer.id}>
+                            <TableCell className="font-medium">{flyer.storeName}</TableCell>
+                            <TableCell>{flyer.flyerName}</TableCell>
+                            <TableCell>{flyer.zipCode}</TableCell>
+                            <TableCell className="text-sm text-gray-500">
+                              {formatDateRange(flyer.validFrom, flyer.validTo)}
+                            </TableCell>
+                            <TableCell>{getFlyerStatusBadge(flyer.status)}</TableCell>
+                            <TableCell>
+                              <Badge variant="outline" className="bg-primary-50 text-primary-700 border-primary-200">
+                                {flyer.dealCount} deals
+                              </Badge>
+                            </TableCell>
+                            <TableCell className="text-sm text-gray-500">
+                              {formatDate(flyer.processedAt)}
+                            </TableCell>
+                            <TableCell className="text-right">
+                              <div className="flex justify-end gap-1">
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  title="Re-read this flyer with OCR"
+                                  onClick={() => handleReprocessFlyer(flyer)}
+                                  disabled={busyFlyerId !== null}
+                                >
+                                  {busyFlyerId === flyer.id ? (
+                                    <Loader2 className="h-4 w-4 animate-spin" />
+                                  ) : (
+                                    <RotateCw className="h-4 w-4" />
+                                  )}
+                                </Button>
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  title="Delete this flyer"
+                                  className="text-red-600 hover:bg-red-50 hover:text-red-700"
+                                  onClick={() => handleDeleteFlyer(flyer)}
+                                  disabled={busyFlyerId !== null}
+                                >
+                                  <Trash2 className="h-4 w-4" />
+                                </Button>
+                              </div>
+                            </TableCell>
+                          </TableRow>
+                        ))}
+                      </TableBody>
+                    </Table>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+
+            {/* Deals by Store Chart */}
+            {stats && stats.dealsByStore.length > 0 && (
+              <Card>
+                <CardHeader>
+                  <CardTitle>Deals by Store</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <div className="space-y-4">
+                    {stats.dealsByStore
+                      .sort((a, b) => b.count - a.count)
+                      .map((store) => {
+                        const maxCount = Math.max(...stats.dealsByStore.map((s) => s.count));
+                        const percentage = (store.count / maxCount) * 100;
+
+                        return (
+                          <div key={store.storeName}>
+                            <div className="mb-1 flex items-center justify-between">
+                              <span className="text-sm font-medium text-gray-700">
+                                {store.storeName}
+                              </span>
+                              <span className="text-sm text-gray-500">
+                                {store.count} deals
+                              </span>
+                            </div>
+                            <div className="h-6 w-full overflow-hidden rounded-full bg-gray-100">
+                              <div
+                                className="h-full bg-primary-500 transition-all duration-500"
+                                style={{ width: `${percentage}%` }}
+                              />
+                            </div>
+                          </div>
+                        );
+                      })}
+                  </div>
+                </CardContent>
+              </Card>
             )}
-          </CardContent>
-        </Card>
-
-        {/* Deals by Store Chart */}
-        {stats && stats.dealsByStore.length > 0 && (
-          <Card>
-            <CardHeader>
-              <CardTitle>Deals by Store</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <div className="space-y-4">
-                {stats.dealsByStore
-                  .sort((a, b) => b.count - a.count)
-                  .map((store) => {
-                    const maxCount = Math.max(...stats.dealsByStore.map((s) => s.count));
-                    const percentage = (store.count / maxCount) * 100;
-
-                    return (
-                      <div key={store.storeName}>
-                        <div className="mb-1 flex items-center justify-between">
-                          <span className="text-sm font-medium text-gray-700">
-                            {store.storeName}
-                          </span>
-                          <span className="text-sm text-gray-500">
-                            {store.count} deals
-                          </span>
-                        </div>
-                        <div className="h-6 w-full overflow-hidden rounded-full bg-gray-100">
-                          <div
-                            className="h-full bg-primary-500 transition-all duration-500"
-                            style={{ width: `${percentage}%` }}
-                          />
-                        </div>
-                      </div>
-                    );
-                  })}
-              </div>
-            </CardContent>
-          </Card>
+          </>
         )}
       </div>
     </div>
@@ -9,13 +9,21 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import { Badge } from '@/components/ui/badge';
 import { Store, TrendingDown, ShoppingCart, Tag, ChevronDown, ChevronUp, Percent } from 'lucide-react';
 import Link from 'next/link';
-import { GET_STORE_DEALS_RANKING, GET_MY_LIST_WITH_DEALS } from '@/lib/graphql/queries';
+import { GET_STORE_DEALS_RANKING, GET_MY_LIST_WITH_DEALS, OPTIMIZE_SHOPPING_TRIP } from '@/lib/graphql/queries';
+import { TripPlanCard, ShoppingTripPlan } from '@/components/deals/TripPlanCard';
 
 interface MatchedDealSummary {
   listItemName: string;
   dealProductName: string;
   salePrice: number;
   regularPrice?: number;
+  unitPriceLabel?: string | null;
+  quantity: number;
+  totalCost: number;
+  explanation?: string | null;
+  dealApplied: boolean;
+  additionalQuantityNeeded: number;
+  unlockMessage?: string | null;
   lowestPrice?: number;
   savings?: number;
   savingsPercent?: number;
@@ -45,6 +53,10 @@ interface GetStoreDealsRankingResponse {
   getStoreDealsRanking: StoreDealsRankingResult;
 }
 
+interface OptimizeShoppingTripResponse {
+  optimizeShoppingTrip: ShoppingTripPlan;
+}
+
 interface GetMyListResponse {
   getMyListWithDeals: Array<{ id: string }>;
 }
@@ -53,6 +65,7 @@ export default function ComparisonPage() {
   const { user, isAuthenticated, isLoading } = useAuth();
   const router = useRouter();
   const [expandedStore, setExpandedStore] = React.useState<string | null>(null);
+  const [maxStores, setMaxStores] = React.useState(2);
 
   // Redirect to login if not authenticated
   React.useEffect(() => {
@@ -75,7 +88,14 @@ export default function ComparisonPage() {
     }
   );
 
+  const { data: tripData } = useQuery<OptimizeShoppingTripResponse>(OPTIMIZE_SHOPPING_TRIP, {
+    variables: { userId: user?.userId, maxStores },
+    skip: !user?.userId,
+    fetchPolicy: 'network-only'
+  });
+
   const listItemCount = listData?.getMyListWithDeals?.length || 0;
+  const tripPlan = tripData?.optimizeShoppingTrip;
   const result = rankingData?.getStoreDealsRanking;
   const rankings = result?.rankings || [];
 
@@ -176,6 +196,16 @@ export default function ComparisonPage() {
               </Card>
             )}
 
+            {/* Multi-store Trip Plan */}
+            {tripPlan && tripPlan.stops.length > 0 && (
+              <TripPlanCard
+                plan={tripPlan}
+                maxStores={maxStores}
+                onMaxStoresChange={setMaxStores}
+                className="mb-6"
+              />
+            )}
+
             {/* Store Cards */}
             <div className="space-y-4">
               {rankings.map((store, index) => (
@@ -262,20 +292,35 @@ export default function ComparisonPage() {
                               <p className="font-medium text-gray-900 flex items-center gap-2">
                                 {deal.listItemName}
                                 {deal.isBestPrice && (
-                                  <Badge className="bg-primary-500 text-xs">Best Price</Badge>
+                                  <Badge className="bg-primary-500 text-xs">Best Value</Badge>
                                 )}
                               </p>
                               <p className="text-sm text-gray-500">{deal.dealProductName}</p>
+                              {deal.explanation && (
+                                <p className="text-xs text-gray-500">{deal.explanation}</p>
+                              )}
+                              {deal.unlockMessage && (
+                                <Badge variant="outline" className="mt-1 border-orange-300 text-xs text-orange-700">
+                                  <Tag className="mr-1 h-3 w-3" />
+                                  {deal.unlockMessage}
+                                </Badge>
+                              )}
                             </div>
                             <div className="text-right">
                               <p className={`font-bold ${deal.isBestPrice ? 'text-primary-600' : 'text-blue-600'}`}>
-                                ${deal.salePrice.toFixed(2)}
+                                ${deal.totalCost.toFixed(2)}
                               </p>
-                              {deal.regularPrice && (
+                              {deal.quantity > 1 && (
+                                <p className="text-xs text-gray-500">for {deal.quantity}</p>
+                              )}
+                              {!!deal.savings && deal.savings > 0 && (
                                 <p className="text-sm text-gray-500 line-through">
-                                  ${deal.regularPrice.toFixed(2)}
+                                  ${(deal.totalCost + deal.savings).toFixed(2)}
                                 </p>
                               )}
+                              {deal.unitPriceLabel && (
+                                <p className="text-xs text-gray-500">{deal.unitPriceLabel}</p>
+                              )}
                               {!deal.isBestPrice && deal.lowestPrice && deal.salePrice > deal.lowestPrice && (
                                 <p className="text-xs text-orange-600">
                                   ${(deal.salePrice - deal.lowestPrice).toFixed(2)} more
@@ -1,14 +1,16 @@
 "use client";
 
 import React, { useEffect } from 'react';
-import { useQuery } from '@apollo/client/react';
+import { useQuery, useMutation } from '@apollo/client/react';
 import { useAuth } from '@/lib/auth-context';
 import { MATCH_DEALS_TO_MY_LIST } from '@/lib/graphql/queries';
+import { ACCEPT_DEAL_MATCH, REJECT_DEAL_MATCH } from '@/lib/graphql/mutations';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Skeleton } from '@/components/ui/skeleton';
-import { Tag, ShoppingCart, ArrowLeft, Store, Percent } from 'lucide-react';
+import { MatchBreakdown, type MatchScoreBreakdown } from '@/components/deals/MatchBreakdown';
+import { Tag, ShoppingCart, ArrowLeft, Store, Percent, ThumbsUp, ThumbsDown } from 'lucide-react';
 import { useRouter } from 'next/navigation';
 import Link from 'next/link';
 
@@ -40,6 +42,7 @@ interface DealMatch {
   listItem: ListItem;
   matchScore: number;
   matchReason: string;
+  breakdown?: MatchScoreBreakdown | null;
 }
 
 interface MatchDealsResponse {
@@ -55,6 +58,26 @@ export default function MatchedDealsPage() {
     skip: !isAuthenticated || !user?.userId,
   });
 
+  // Feedback is remembered per product, so refetch to re-rank every item
+  const feedbackOptions = {
+    refetchQueries: [{ query: MATCH_DEALS_TO_MY_LIST, variables: { userId: user?.userId } }],
+  };
+  const [acceptDealMatch, { loading: accepting }] = useMutation(ACCEPT_DEAL_MATCH, feedbackOptions);
+  const [rejectDealMatch, { loading: rejecting }] = useMutation(REJECT_DEAL_MATCH, feedbackOptions);
+
+  const handleFeedback = async (match: DealMatch, accepted: boolean) => {
+    const variables = { listItemId: match.listItem.id, dealId: match.deal.id };
+    try {
+      if (accepted) {
+        await acceptDealMatch({ variables });
+      } else {
+        await rejectDealMatch({ variables });
+      }
+    } catch (err) {
+      console.error('Failed to save match feedback:', err);
+    }
+  };
+
   useEffect(() => {
     if (!isLoading && (!isAuthenticated || !user)) {
       router.push('/login');
@@ -195,6 +218,41 @@ export default function MatchedDealsPage() {
                             <Store className="w-4 h-4 text-gray-400" />
                             <span className="text-sm text-gray-600">{match.deal.storeName}</span>
                           </div>
+                          <div className="flex items-center gap-2 mt-2">
+                            <Badge variant="outline" className="text-primary-700 border-primary-300">
+                              {Math.round(match.matchScore * 100)}% match
+                            </Badge>
+                            <span className="text-xs text-gray-500">{match.matchReason}</span>
+                          </div>
+                          {match.breakdown && (
+                            <details className="mt-2">
+                              <summary className="text-xs text-gray-500 cursor-pointer">
+                                Why this match?
+                              </summary>
+                              <MatchBreakdown breakdown={match.breakdown} className="mt-2 max-w-sm" />
+                            </details>
+                          )}
+                          <div className="flex items-center gap-2 mt-3">
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              disabled={accepting || rejecting || match.breakdown?.userFeedback === 'ACCEPTED'}
+                              onClick={() => handleFeedback(match, true)}
+                            >
+                              <ThumbsUp className="w-3.5 h-3.5 mr-1" />
+                              Yes, this one
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              className="text-gray-500"
+                              disabled={accepting || rejecting}
+                              onClick={() => handleFeedback(match, false)}
+                            >
+                              <ThumbsDown className="w-3.5 h-3.5 mr-1" />
+                              Not this
+                            </Button>
+                          </div>
                         </div>
                         <div className="text-right">
                           <p className="text-2xl font-bold text-primary-600">
@@ -18,7 +18,7 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
-import { Search, Filter, Tag, CheckCircle, MapPin } from 'lucide-react';
+import { Search, Filter, Tag, CheckCircle, MapPin, TrendingDown } from 'lucide-react';
 import { useRouter } from 'next/navigation';
 
 interface Deal {
@@ -32,11 +32,14 @@ interface Deal {
   dealType: string;
   quantity?: string;
   storeName: string;
+  distanceMiles?: number | null;
   savings?: number;
   savingsPercent?: number;
   validFrom?: string;
   validTo?: string;
   imageUrl?: string;
+  isStockUp?: boolean;
+  low52WeekPrice?: number | null;
 }
 
 interface GetDealsNearMeResponse {
@@ -74,6 +77,7 @@ export default function DealsPage() {
   const { user, isAuthenticated, isLoading } = useAuth();
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('All');
+  const [stockUpOnly, setStockUpOnly] = useState(false);
   const [selectedStore, setSelectedStore] = useState('All Stores');
   const [sortBy, setSortBy] = useState('savings');
   const [addedItems, setAddedItems] = useState<Set<string>>(new Set());
@@ -88,6 +92,7 @@ export default function DealsPage() {
     variables: {
       zipCode,
       category: selectedCategory === 'All' ? undefined : selectedCategory,
+      stockUpOnly: stockUpOnly || undefined,
       limit: DEALS_PER_PAGE,
       offset: (currentPage - 1) * DEALS_PER_PAGE,
     },
@@ -162,6 +167,8 @@ export default function DealsPage() {
         return a.salePrice - b.salePrice;
       case 'store':
         return a.storeName.localeCompare(b.storeName);
+      case 'distance':
+        return (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity);
       default:
         return 0;
     }
@@ -180,7 +187,7 @@ export default function DealsPage() {
           </div>
           <p className="text-gray-600 flex items-center gap-2">
             <MapPin className="w-4 h-4" />
-            {totalCount} deals found in {zipCode}{totalPages > 1 && ` — page ${currentPage} of ${totalPages}`}
+            {totalCount} deals found near {zipCode}{totalPages > 1 && ` — page ${currentPage} of ${totalPages}`}
           </p>
         </div>
 
@@ -227,6 +234,14 @@ export default function DealsPage() {
                     {category}
                   </Badge>
                 ))}
+                <Badge
+                  variant={stockUpOnly ? 'default' : 'outline'}
+                  className="cursor-pointer hover:bg-primary hover:text-primary-foreground transition-colors"
+                  onClick={() => { setStockUpOnly(!stockUpOnly); setCurrentPage(1); }}
+                >
+                  <TrendingDown className="w-3 h-3 mr-1" />
+                  Stock-up prices
+                </Badge>
               </div>
             </div>
           </div>
@@ -262,6 +277,7 @@ export default function DealsPage() {
                   <SelectItem value="savings">Savings %</SelectItem>
                   <SelectItem value="price">Price</SelectItem>
                   <SelectItem value="store">Store</SelectItem>
+                  <SelectItem value="distance">Distance</SelectItem>
                 </SelectContent>
               </Select>
             </div>
@@ -1,9 +1,12 @@
 "use client";
 
 import React, { useState, useEffect, useRef } from 'react';
-import { useQuery } from '@apollo/client/react';
+import { useQuery, useMutation } from '@apollo/client/react';
 import { useAuth } from '@/lib/auth-context';
 import { GET_CURRENT_FLYERS } from '@/lib/graphql/queries';
+import { ADD_LIST_ITEM } from '@/lib/graphql/mutations';
+import { DealCard } from '@/components/deals/DealCard';
+import { useToast } from '@/components/ui/use-toast';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { ChevronLeft, ChevronRight, ZoomIn, ZoomOut, RotateCcw, Newspaper, MapPin, ArrowLeft } from 'lucide-react';
@@ -12,6 +15,30 @@ import Image from 'next/image';
 import { useRouter } from 'next/navigation';
 import { TransformWrapper, TransformComponent, ReactZoomPanPinchRef } from 'react-zoom-pan-pinch';
 
+// Where a deal is printed, as fractions of the page from its top-left corner
+interface BoundingBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+interface FlyerDeal {
+  id: string;
+  productName: string;
+  productBrand?: string;
+  productCategory?: string;
+  salePrice: number;
+  regularPrice?: number;
+  unitPriceLabel?: string | null;
+  dealType: string;
+  quantity?: string | null;
+  validTo?: string;
+  imageUrl?: string;
+  pageIndex?: number | null;
+  boundingBox?: BoundingBox | null;
+}
+
 interface Flyer {
   id: string;
   storeName: string;
@@ -21,6 +48,8 @@ interface Flyer {
   validFrom: string;
   validTo: string;
   status: string;
+  distanceMiles?: number | null;
+  deals: FlyerDeal[];
 }
 
 interface GetCurrentFlyersResponse {
@@ -32,6 +61,8 @@ export default function FlyersPage() {
   const { user, isAuthenticated, isLoading } = useAuth();
   const [selectedFlyer, setSelectedFlyer] = useState<Flyer | null>(null);
   const [currentPage, setCurrentPage] = useState(0);
+  const [selectedDeal, setSelectedDeal] = useState<FlyerDeal | null>(null);
+  const [addedDeals, setAddedDeals] = useState<Set<string>>(new Set());
   const transformRef = useRef<ReactZoomPanPinchRef>(null);
 
   const zipCode = user?.zipCode || '30132';
@@ -41,6 +72,36 @@ export default function FlyersPage() {
     skip: !isAuthenticated || !user,
   });
 
+  const { toast } = useToast();
+  const [addListItem] = useMutation(ADD_LIST_ITEM);
+
+  // Add the deal tapped on the flyer to the shopping list
+  const handleAddToList = async (deal: FlyerDeal) => {
+    try {
+      await addListItem({
+        variables: {
+          itemName: deal.productName,
+          itemVariant: deal.productBrand || undefined,
+          category: deal.productCategory || undefined,
+          quantity: 1,
+        },
+      });
+      setAddedDeals((prev) => new Set(prev).add(deal.id));
+      toast({
+        title: 'Added to your list',
+        description: deal.productName,
+        variant: 'success',
+      });
+    } catch (err) {
+      console.error('Failed to add to list:', err);
+      toast({
+        title: 'Could not add to list',
+        description: err instanceof Error ? err.message : undefined,
+        variant: 'destructive',
+      });
+    }
+  };
+
   useEffect(() => {
     if (!isLoading && (!isAuthenticated || !user)) {
       router.push('/login');
@@ -75,14 +136,22 @@ export default function FlyersPage() {
   const handleSelectFlyer = (flyer: Flyer) => {
     setSelectedFlyer(flyer);
     setCurrentPage(0);
+    setSelectedDeal(null);
   };
 
   // Reset zoom when changing pages
   const handlePageChange = (newPage: number) => {
     setCurrentPage(newPage);
+    setSelectedDeal(null);
     transformRef.current?.resetTransform();
   };
 
+  // Deals we know the position of on the page being shown
+  const pageHotspots = (selectedFlyer?.deals || []).filter(
+    (deal): deal is FlyerDeal & { boundingBox: BoundingBox } =>
+      deal.pageIndex === currentPage && !!deal.boundingBox
+  );
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -174,11 +243,34 @@ export default function FlyersPage() {
                     contentStyle={{ width: '100%', height: '100%', display: 'flex', justifyContent: 'center', alignItems: 'center' }}
                   >
                     {selectedFlyer.imageUrls[currentPage] && (
-                      <img
-                        src={selectedFlyer.imageUrls[currentPage]}
-                        alt={`${selectedFlyer.storeName} flyer page ${currentPage + 1}`}
-                        style={{ maxWidth: '100%', maxHeight: '80vh', objectFit: 'contain' }}
-                      />
+                      <div className="relative" style={{ maxWidth: '100%', maxHeight: '80vh' }}>
+                        <img
+                          src={selectedFlyer.imageUrls[currentPage]}
+                          alt={`${selectedFlyer.storeName} flyer page ${currentPage + 1}`}
+                          style={{ display: 'block', maxWidth: '100%', maxHeight: '80vh', objectFit: 'contain' }}
+                        />
+                        {/* Clickable deal hotspots, positioned as fractions of the page */}
+                        {pageHotspots.map((deal) => (
+                          <button
+                            key={deal.id}
+                            type="button"
+                            aria-label={`${deal.productName}, $${deal.salePrice.toFixed(2)}`}
+                            title={deal.productName}
+                            onClick={() => setSelectedDeal(deal)}
+                            className={`absolute rounded border-2 transition-colors ${
+                              selectedDeal?.id === deal.id
+                                ? 'border-primary-600 bg-primary-500/25'
+                                : 'border-primary-500/60 bg-primary-500/5 hover:bg-primary-500/20'
+                            }`}
+                            style={{
+                              left: `${deal.boundingBox.x * 100}%`,
+                              top: `${deal.boundingBox.y * 100}%`,
+                              width: `${deal.boundingBox.width * 100}%`,
+                              height: `${deal.boundingBox.height * 100}%`,
+                            }}
+                          />
+                        ))}
+                      </div>
                     )}
                   </TransformComponent>
                 </TransformWrapper>
@@ -186,6 +278,7 @@ export default function FlyersPage() {
                 {/* Zoom hint */}
                 <p className="absolute bottom-4 left-1/2 -translate-x-1/2 text-xs text-gray-500 bg-white/80 px-3 py-1 rounded-full">
                   Pinch or scroll to zoom, drag to pan
+                  {pageHotspots.length > 0 && ', tap an item to add it to your list'}
                 </p>
 
                 {/* Navigation Arrows */}
@@ -210,6 +303,17 @@ export default function FlyersPage() {
               </CardContent>
             </Card>
 
+            {/* Deal tapped on the flyer */}
+            {selectedDeal && (
+              <div className="max-w-sm">
+                <DealCard
+                  deal={{ ...selectedDeal, storeName: selectedFlyer.storeName }}
+                  onAddToList={() => handleAddToList(selectedDeal)}
+                  isAdded={addedDeals.has(selectedDeal.id)}
+                />
+              </div>
+            )}
+
             {/* Page Thumbnails */}
             <div className="flex gap-2 overflow-x-auto pb-2">
               {selectedFlyer.imageUrls.map((url, idx) => (
@@ -242,7 +346,10 @@ export default function FlyersPage() {
               >
                 <CardHeader>
                   <CardTitle className="text-lg">{flyer.storeName}</CardTitle>
-                  <p className="text-sm text-gray-500">{flyer.flyerName}</p>
+                  <p className="text-sm text-gray-500">
+                    {flyer.flyerName}
+                    {flyer.distanceMiles != null && ` · ${flyer.distanceMiles.toFixed(1)} mi away`}
+                  </p>
                 </CardHeader>
                 <CardContent>
                   {flyer.imageUrls?.[0] && (
@@ -1,24 +1,38 @@
 "use client";
 
 import React, { useState } from 'react';
-import { useQuery, useMutation } from '@apollo/client/react';
+import { useQuery, useMutation, useSubscription } from '@apollo/client/react';
 import { useAuth } from '@/lib/auth-context';
 import { useRouter } from 'next/navigation';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Checkbox } from '@/components/ui/checkbox';
-import { ShoppingCart, Plus, Minus, Trash2, Tag, ChevronDown, ChevronUp } from 'lucide-react';
+import { ShoppingCart, Plus, Minus, Trash2, Tag, ChevronDown, ChevronUp, Repeat, Users, CalendarClock } from 'lucide-react';
 import Link from 'next/link';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import {
   GET_MY_LIST_WITH_DEALS,
+  GET_MY_SHOPPING_LISTS,
+  GET_MY_LIST_INVITES,
   MATCH_DEALS_TO_MY_LIST
 } from '@/lib/graphql/queries';
+import { LIST_ITEM_CHANGED } from '@/lib/graphql/subscriptions';
 import {
   ADD_LIST_ITEM,
   UPDATE_LIST_ITEM,
-  REMOVE_LIST_ITEM
+  REMOVE_LIST_ITEM,
+  MOVE_LIST_ITEM,
+  CREATE_SHOPPING_LIST,
+  RENAME_SHOPPING_LIST,
+  DELETE_SHOPPING_LIST,
+  INVITE_TO_SHOPPING_LIST,
+  RESPOND_TO_LIST_INVITE,
+  UPDATE_LIST_MEMBER_ROLE,
+  REMOVE_LIST_MEMBER
 } from '@/lib/graphql/mutations';
 import { SmartItemInput } from '@/components/list/SmartItemInput';
+import { ListSwitcher, ShoppingList, ListRole } from '@/components/list/ListSwitcher';
+import { ShareListPanel } from '@/components/list/ShareListPanel';
 import { DealBadge } from '@/components/deals/DealBadge';
 
 interface MatchingDeal {
@@ -38,18 +52,91 @@ interface ListItem {
   category?: string;
   quantity: number;
   checked: boolean;
+  recurrenceDays?: number | null;
   matchingDeals?: MatchingDeal[];
+  predictedNextSale?: SalePrediction[];
+}
+
+interface SalePrediction {
+  storeName: string;
+  weeksUntil: number;
+  predictedPrice: number;
+  dealType?: string | null;
+  confidence: number;
 }
 
 interface GetMyListWithDealsResponse {
   getMyListWithDeals: ListItem[];
 }
 
+interface GetMyShoppingListsResponse {
+  getMyShoppingLists: ShoppingList[];
+}
+
+interface CreateShoppingListResponse {
+  createShoppingList: ShoppingList;
+}
+
+interface ListInvite {
+  id: string;
+  listId: string;
+  listName?: string | null;
+  invitedByName?: string | null;
+  role: ListRole;
+}
+
+interface GetMyListInvitesResponse {
+  getMyListInvites: ListInvite[];
+}
+
+// Repeat intervals offered for recurring items (days, 0 = one-off)
+const REPEAT_OPTIONS = [
+  { days: 0, label: "Don't repeat" },
+  { days: 7, label: 'Weekly' },
+  { days: 14, label: 'Every 2 weeks' },
+  { days: 30, label: 'Monthly' },
+];
+
+const getRepeatLabel = (days: number) =>
+  REPEAT_OPTIONS.find((option) => option.days === days)?.label || `Every ${days} days`;
+
+// Predictions below this are too shaky to advise waiting on
+const MIN_PREDICTION_CONFIDENCE = 0.3;
+
+const DEAL_TYPE_LABELS: Record<string, string> = {
+  BOGO: 'BOGO',
+  MULTI_BUY: 'multi-buy',
+  COUPON: 'coupon',
+  CLEARANCE: 'clearance',
+};
+
+// e.g. "Wait ~2 weeks: Publix usually runs this BOGO (about $2.50)"
+const getSalePredictionLabel = (prediction: SalePrediction) => {
+  const deal = DEAL_TYPE_LABELS[prediction.dealType || ''] || 'sale';
+  const price = `about $${prediction.predictedPrice.toFixed(2)}`;
+  if (prediction.weeksUntil === 0) {
+    return `${prediction.storeName} usually runs this ${deal} around now (${price})`;
+  }
+  const weeks = prediction.weeksUntil === 1 ? '1 week' : `${prediction.weeksUntil} weeks`;
+  return `Wait ~${weeks}: ${prediction.storeName} usually runs this ${deal} (${price})`;
+};
+
+interface ListItemChangedResponse {
+  listItemChanged: {
+    listId: string;
+    type: 'ADDED' | 'UPDATED' | 'REMOVED';
+    itemId: string;
+    changedBy: string;
+  };
+}
+
 export default function ShoppingListPage() {
   const { user, isAuthenticated, isLoading } = useAuth();
   const router = useRouter();
   const [expandedItems, setExpandedItems] = useState<Set<string>>(new Set());
   const [deleteConfirmId, setDeleteConfirmId] = useState<string | null>(null);
+  const [selectedListId, setSelectedListId] = useState<string | null>(null);
+  const [showSharing, setShowSharing] = useState(false);
 
   const toggleItemExpanded = (id: string) => {
     setExpandedItems(prev => {
@@ -71,11 +158,29 @@ export default function ShoppingListPage() {
   }, [isAuthenticated, isLoading, router]);
 
   // GraphQL Queries
-  const { data, loading, error, refetch } = useQuery<GetMyListWithDealsResponse>(GET_MY_LIST_WITH_DEALS, {
+  const { data: listsData } = useQuery<GetMyShoppingListsResponse>(GET_MY_SHOPPING_LISTS, {
+    variables: { userId: user?.userId },
+    skip: !user?.userId
+  });
+
+  const { data: invitesData, refetch: refetchInvites } = useQuery<GetMyListInvitesResponse>(GET_MY_LIST_INVITES, {
     variables: { userId: user?.userId },
     skip: !user?.userId
   });
 
+  // null = the default list
+  const listVariables = { userId: user?.userId, listId: selectedListId };
+  const { data, loading, error, refetch } = useQuery<GetMyListWithDealsResponse>(GET_MY_LIST_WITH_DEALS, {
+    variables: listVariables,
+    skip: !user?.userId
+  });
+
+  // Item changes also change the item counts in the list switcher
+  const listRefetchQueries = [
+    { query: GET_MY_LIST_WITH_DEALS, variables: listVariables },
+    { query: GET_MY_SHOPPING_LISTS, variables: { userId: user?.userId } }
+  ];
+
   // GraphQL Mutations
   const [addItem] = useMutation(ADD_LIST_ITEM, {
     onError: (error) => {
@@ -95,6 +200,20 @@ export default function ShoppingListPage() {
     }
   });
 
+  const [moveItem] = useMutation(MOVE_LIST_ITEM, {
+    onError: (error) => {
+      console.error('Error moving item:', error);
+    }
+  });
+
+  const [createList] = useMutation<CreateShoppingListResponse>(CREATE_SHOPPING_LIST);
+  const [renameList] = useMutation(RENAME_SHOPPING_LIST);
+  const [deleteList] = useMutation(DELETE_SHOPPING_LIST);
+  const [inviteMember] = useMutation(INVITE_TO_SHOPPING_LIST);
+  const [respondToInvite] = useMutation(RESPOND_TO_LIST_INVITE);
+  const [updateMemberRole] = useMutation(UPDATE_LIST_MEMBER_ROLE);
+  const [removeMember] = useMutation(REMOVE_LIST_MEMBER);
+
   // Handlers
   const handleAddItem = async (itemName: string, itemVariant?: string, category?: string) => {
     try {
@@ -104,8 +223,9 @@ export default function ShoppingListPage() {
           itemVariant,
           category,
           quantity: 1,
+          listId: selectedListId,
         },
-        refetchQueries: [{ query: GET_MY_LIST_WITH_DEALS, variables: { userId: user?.userId } }],
+        refetchQueries: listRefetchQueries,
         awaitRefetchQueries: true,
       });
     } catch (error) {
@@ -122,7 +242,7 @@ export default function ShoppingListPage() {
           id,
           quantity: newQuantity,
         },
-        refetchQueries: [{ query: GET_MY_LIST_WITH_DEALS, variables: { userId: user?.userId } }],
+        refetchQueries: listRefetchQueries,
         awaitRefetchQueries: true,
       });
     } catch (error) {
@@ -137,7 +257,7 @@ export default function ShoppingListPage() {
           id,
           checked: !checked,
         },
-        refetchQueries: [{ query: GET_MY_LIST_WITH_DEALS, variables: { userId: user?.userId } }],
+        refetchQueries: listRefetchQueries,
         awaitRefetchQueries: true,
       });
     } catch (error) {
@@ -145,11 +265,23 @@ export default function ShoppingListPage() {
     }
   };
 
+  const handleSetRepeat = async (id: string, recurrenceDays: number) => {
+    try {
+      await updateItem({
+        variables: { id, recurrenceDays },
+        refetchQueries: listRefetchQueries,
+        awaitRefetchQueries: true,
+      });
+    } catch (error) {
+      console.error('Failed to set repeat:', error);
+    }
+  };
+
   const handleRemoveItem = async (id: string) => {
     try {
       await removeItem({
         variables: { id },
-        refetchQueries: [{ query: GET_MY_LIST_WITH_DEALS, variables: { userId: user?.userId } }],
+        refetchQueries: listRefetchQueries,
         awaitRefetchQueries: true,
       });
       setDeleteConfirmId(null);
@@ -158,6 +290,133 @@ export default function ShoppingListPage() {
     }
   };
 
+  const handleMoveItem = async (id: string, listId: string) => {
+    try {
+      await moveItem({
+        variables: { id, listId },
+        refetchQueries: listRefetchQueries,
+        awaitRefetchQueries: true,
+      });
+    } catch (error) {
+      console.error('Failed to move item:', error);
+    }
+  };
+
+  const handleCreateList = async (name: string) => {
+    try {
+      const { data: created } = await createList({
+        variables: { name },
+        refetchQueries: [{ query: GET_MY_SHOPPING_LISTS, variables: { userId: user?.userId } }],
+        awaitRefetchQueries: true,
+      });
+      if (created?.createShoppingList) {
+        setSelectedListId(created.createShoppingList.id);
+      }
+    } catch (error) {
+      console.error('Failed to create list:', error);
+    }
+  };
+
+  const handleRenameList = async (id: string, name: string) => {
+    try {
+      await renameList({
+        variables: { id, name },
+        refetchQueries: [{ query: GET_MY_SHOPPING_LISTS, variables: { userId: user?.userId } }],
+      });
+    } catch (error) {
+      console.error('Failed to rename list:', error);
+    }
+  };
+
+  const handleDeleteList = async (id: string) => {
+    try {
+      await deleteList({
+        variables: { id },
+        refetchQueries: [{ query: GET_MY_SHOPPING_LISTS, variables: { userId: user?.userId } }],
+        awaitRefetchQueries: true,
+      });
+      setSelectedListId(null);
+    } catch (error) {
+      console.error('Failed to delete list:', error);
+    }
+  };
+
+  const listsQuery = { query: GET_MY_SHOPPING_LISTS, variables: { userId: user?.userId } };
+
+  const handleInvite = async (email: string, role: ListRole) => {
+    if (!currentList) return;
+
+    const { error: inviteError } = await inviteMember({
+      variables: { listId: currentList.id, email, role },
+      refetchQueries: [listsQuery],
+    });
+    if (inviteError) {
+      throw inviteError;
+    }
+  };
+
+  const handleChangeMemberRole = async (memberId: string, role: ListRole) => {
+    try {
+      await updateMemberRole({
+        variables: { memberId, role },
+        refetchQueries: [listsQuery],
+      });
+    } catch (error) {
+      console.error('Failed to change member role:', error);
+    }
+  };
+
+  const handleRemoveMember = async (memberId: string) => {
+    try {
+      await removeMember({
+        variables: { memberId },
+        refetchQueries: [listsQuery],
+        awaitRefetchQueries: true,
+      });
+      // Leaving a shared list drops it from the switcher
+      if (currentList?.role !== 'OWNER') {
+        setSelectedListId(null);
+        setShowSharing(false);
+      }
+    } catch (error) {
+      console.error('Failed to remove member:', error);
+    }
+  };
+
+  const handleRespondToInvite = async (inviteId: string, accept: boolean) => {
+    try {
+      await respondToInvite({
+        variables: { inviteId, accept },
+        refetchQueries: [listsQuery],
+        awaitRefetchQueries: true,
+      });
+      refetchInvites();
+    } catch (error) {
+      console.error('Failed to respond to invite:', error);
+    }
+  };
+
+  const shoppingLists: ShoppingList[] = listsData?.getMyShoppingLists || [];
+  const currentList = shoppingLists.find(list =>
+    selectedListId ? list.id === selectedListId : list.isDefault
+  );
+  const canEdit = currentList?.role !== 'VIEWER';
+  const isSharedList = !!currentList && (currentList.role !== 'OWNER' || (currentList.members?.length || 0) > 0);
+  const otherLists = shoppingLists.filter(list =>
+    list.id !== currentList?.id && list.role !== 'VIEWER'
+  );
+  const invites: ListInvite[] = invitesData?.getMyListInvites || [];
+
+  // Changes other people make to a shared list show up right away
+  useSubscription<ListItemChangedResponse>(LIST_ITEM_CHANGED, {
+    variables: { listId: currentList?.id },
+    skip: !isSharedList,
+    onData: ({ data: change }) => {
+      if (change.data?.listItemChanged.changedBy !== user?.userId) {
+        refetch();
+      }
+    }
+  });
   const listItems: ListItem[] = data?.getMyListWithDeals || [];
   const totalMatchedDeals = listItems.reduce((sum, item) => sum + (item.matchingDeals?.length || 0), 0);
 
@@ -216,19 +475,71 @@ export default function ShoppingListPage() {
               </span>
             )}
           </p>
+          {invites.map((invite) => (
+            <div
+              key={invite.id}
+              className="mt-4 flex items-center justify-between gap-3 p-3 bg-primary-50 border border-primary-200 rounded-lg"
+            >
+              <p className="text-sm text-gray-700">
+                <Users className="w-4 h-4 inline mr-1 -mt-0.5" />
+                <strong>{invite.invitedByName || 'Someone'}</strong> shared <strong>{invite.listName}</strong> with you
+                {invite.role === 'VIEWER' && ' (view only)'}
+              </p>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => handleRespondToInvite(invite.id, false)}>
+                  Decline
+                </Button>
+                <Button size="sm" onClick={() => handleRespondToInvite(invite.id, true)}>
+                  Accept
+                </Button>
+              </div>
+            </div>
+          ))}
+          {shoppingLists.length > 0 && (
+            <div className="mt-4">
+              <ListSwitcher
+                lists={shoppingLists}
+                selectedListId={selectedListId}
+                onSelect={setSelectedListId}
+                onCreate={handleCreateList}
+                onRename={handleRenameList}
+                onDelete={handleDeleteList}
+              />
+            </div>
+          )}
         </div>
 
         {/* Main Content */}
         <div className="space-y-6">
+          {/* Sharing Section */}
+          {currentList && showSharing && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg">Shared with</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <ShareListPanel
+                  list={currentList}
+                  currentUserEmail={user.email}
+                  onInvite={handleInvite}
+                  onChangeRole={handleChangeMemberRole}
+                  onRemove={handleRemoveMember}
+                />
+              </CardContent>
+            </Card>
+          )}
+
           {/* Smart Input Section */}
-          <Card>
-            <CardHeader>
-              <CardTitle className="text-lg">Add Items</CardTitle>
-            </CardHeader>
-            <CardContent>
-              <SmartItemInput onAddItem={handleAddItem} />
-            </CardContent>
-          </Card>
+          {canEdit && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg">Add Items</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <SmartItemInput onAddItem={handleAddItem} />
+              </CardContent>
+            </Card>
+          )}
 
           {/* List Items Section */}
           <Card>
@@ -240,14 +551,22 @@ export default function ShoppingListPage() {
                     Your Items
                   </div>
                 </CardTitle>
-                {listItems.length > 0 && totalMatchedDeals > 0 && (
-                  <Link href="/deals/matches">
-                    <Button className="bg-primary-500 hover:bg-primary-600">
-                      <Tag className="w-4 h-4 mr-2" />
-                      View All Deals
+                <div className="flex items-center gap-2">
+                  {currentList && (
+                    <Button variant="outline" onClick={() => setShowSharing(!showSharing)}>
+                      <Users className="w-4 h-4 mr-2" />
+                      {currentList.role === 'OWNER' ? 'Share' : 'Members'}
                     </Button>
-                  </Link>
-                )}
+                  )}
+                  {listItems.length > 0 && totalMatchedDeals > 0 && (
+                    <Link href="/deals/matches">
+                      <Button className="bg-primary-500 hover:bg-primary-600">
+                        <Tag className="w-4 h-4 mr-2" />
+                        View All Deals
+                      </Button>
+                    </Link>
+                  )}
+                </div>
               </div>
             </CardHeader>
             <CardContent>
@@ -264,6 +583,9 @@ export default function ShoppingListPage() {
                   {listItems.map((item) => {
                     const isExpanded = expandedItems.has(item.id);
                     const dealCount = item.matchingDeals?.length || 0;
+                    const salePrediction = dealCount === 0 && !item.checked
+                      ? item.predictedNextSale?.find((prediction) => prediction.confidence >= MIN_PREDICTION_CONFIDENCE)
+                      : undefined;
                     const displayName = item.itemVariant
                       ? `${item.itemName} (${item.itemVariant})`
                       : item.itemName;
@@ -277,11 +599,12 @@ export default function ShoppingListPage() {
                         <div className="flex items-center gap-3 p-4">
                           {/* Checkbox */}
                           <div
-                            onClick={() => handleToggleChecked(item.id, item.checked)}
-                            className="cursor-pointer"
+                            onClick={() => canEdit && handleToggleChecked(item.id, item.checked)}
+                            className={canEdit ? 'cursor-pointer' : ''}
                           >
                             <Checkbox
                               checked={item.checked}
+                              disabled={!canEdit}
                               className="w-5 h-5"
                             />
                           </div>
@@ -298,6 +621,18 @@ export default function ShoppingListPage() {
                             {item.category && (
                               <p className="text-sm text-gray-500">{item.category}</p>
                             )}
+                            {item.recurrenceDays && (
+                              <p className="text-xs text-primary-700 flex items-center gap-1">
+                                <Repeat className="w-3 h-3" />
+                                {getRepeatLabel(item.recurrenceDays)}
+                              </p>
+                            )}
+                            {salePrediction && (
+                              <p className="text-xs text-gray-500 flex items-center gap-1">
+                                <CalendarClock className="w-3 h-3" />
+                                {getSalePredictionLabel(salePrediction)}
+                              </p>
+                            )}
                           </div>
 
                           {/* Deal Badge */}
@@ -306,26 +641,70 @@ export default function ShoppingListPage() {
                           )}
 
                           {/* Quantity Controls */}
-                          <div className="flex items-center gap-2 bg-gray-100 rounded-lg px-2">
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => handleUpdateQuantity(item.id, item.quantity - 1)}
-                              className="h-8 w-8 p-0 hover:bg-gray-200"
-                              disabled={item.quantity <= 1}
-                            >
-                              <Minus className="w-4 h-4" />
-                            </Button>
-                            <span className="w-8 text-center font-medium">{item.quantity}</span>
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => handleUpdateQuantity(item.id, item.quantity + 1)}
-                              className="h-8 w-8 p-0 hover:bg-gray-200"
+                          {canEdit ? (
+                            <div className="flex items-center gap-2 bg-gray-100 rounded-lg px-2">
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleUpdateQuantity(item.id, item.quantity - 1)}
+                                className="h-8 w-8 p-0 hover:bg-gray-200"
+                                disabled={item.quantity <= 1}
+                              >
+                                <Minus className="w-4 h-4" />
+                              </Button>
+                              <span className="w-8 text-center font-medium">{item.quantity}</span>
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleUpdateQuantity(item.id, item.quantity + 1)}
+                                className="h-8 w-8 p-0 hover:bg-gray-200"
+                              >
+                                <Plus className="w-4 h-4" />
+                              </Button>
+                            </div>
+                          ) : (
+                            <span className="text-sm text-gray-600">x{item.quantity}</span>
+                          )}
+
+                          {/* Repeat interval */}
+                          {canEdit && (
+                            <Select
+                              value={String(item.recurrenceDays || 0)}
+                              onValueChange={(days) => handleSetRepeat(item.id, Number(days))}
                             >
-                              <Plus className="w-4 h-4" />
-                            </Button>
-                          </div>
+                              <SelectTrigger className="w-32 h-8 text-xs" aria-label="Repeat">
+                                <SelectValue />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {REPEAT_OPTIONS.map((option) => (
+                                  <SelectItem key={option.days} value={String(option.days)}>
+                                    {option.label}
+                                  </SelectItem>
+                                ))}
+                                {item.recurrenceDays && !REPEAT_OPTIONS.some((option) => option.days === item.recurrenceDays) && (
+                                  <SelectItem value={String(item.recurrenceDays)}>
+                                    {getRepeatLabel(item.recurrenceDays)}
+                                  </SelectItem>
+                                )}
+                              </SelectContent>
+                            </Select>
+                          )}
+
+                          {/* Move to another list */}
+                          {canEdit && otherLists.length > 0 && (
+                            <Select value="" onValueChange={(listId) => handleMoveItem(item.id, listId)}>
+                              <SelectTrigger className="w-28 h-8 text-xs">
+                                <SelectValue placeholder="Move to..." />
+                              </SelectTrigger>
+                              <SelectContent>
+                                {otherLists.map((list) => (
+                                  <SelectItem key={list.id} value={list.id}>
+                                    {list.name}
+                                  </SelectItem>
+                                ))}
+                              </SelectContent>
+                            </Select>
+                          )}
 
                           {/* Expand/Delete Controls */}
                           <div className="flex items-center gap-1">
@@ -343,14 +722,16 @@ export default function ShoppingListPage() {
                                 )}
                               </Button>
                             )}
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => setDeleteConfirmId(item.id)}
-                              className="h-8 w-8 p-0 text-red-500 hover:text-red-700 hover:bg-red-50"
-                            >
-                              <Trash2 className="w-4 h-4" />
-                            </Button>
+                            {canEdit && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => setDeleteConfirmId(item.id)}
+                                className="h-8 w-8 p-0 text-red-500 hover:text-red-700 hover:bg-red-50"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </Button>
+                            )}
                           </div>
                         </div>
 
@@ -0,0 +1,264 @@
+'use client';
+
+import React, { useState } from 'react';
+import { useQuery, useMutation } from '@apollo/client/react';
+import { useAuth } from '@/lib/auth-context';
+import { useRouter } from 'next/navigation';
+import { GET_MY_PANTRY, GET_PANTRY_SUGGESTIONS } from '@/lib/graphql/queries';
+import {
+  ADD_PANTRY_ITEM,
+  UPDATE_PANTRY_ITEM,
+  USE_PANTRY_ITEM,
+  REMOVE_PANTRY_ITEM,
+  ADD_LIST_ITEM,
+} from '@/lib/graphql/mutations';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Package, Plus, Minus, Trash2, ShoppingCart } from 'lucide-react';
+import Link from 'next/link';
+
+type PantryStatus = 'OK' | 'LOW' | 'EXPIRING' | 'EXPIRED';
+
+interface PantryItem {
+  id: string;
+  itemName: string;
+  itemVariant?: string | null;
+  category?: string | null;
+  quantity: number;
+  lowStockThreshold: number;
+  purchasedAt?: string | null;
+  shelfLifeDays?: number | null;
+  expiresAt?: string | null;
+  status: PantryStatus;
+}
+
+interface PantrySuggestion {
+  status: PantryStatus;
+  pantryItem: Pick<PantryItem, 'id' | 'itemName' | 'itemVariant' | 'category' | 'quantity' | 'expiresAt'>;
+}
+
+const STATUS_STYLES: Record<PantryStatus, { label: string; className: string }> = {
+  OK: { label: 'In stock', className: 'bg-primary-100 text-primary-800 border-primary-200' },
+  LOW: { label: 'Running low', className: 'bg-yellow-100 text-yellow-800 border-yellow-200' },
+  EXPIRING: { label: 'Expiring soon', className: 'bg-orange-100 text-orange-800 border-orange-200' },
+  EXPIRED: { label: 'Expired', className: 'bg-red-100 text-red-800 border-red-200' },
+};
+
+const formatItemName = (item: { itemName: string; itemVariant?: string | null }) =>
+  item.itemVariant ? `${item.itemName} (${item.itemVariant})` : item.itemName;
+
+export default function PantryPage() {
+  const { user, isAuthenticated, isLoading } = useAuth();
+  const router = useRouter();
+  const [newItemName, setNewItemName] = useState('');
+
+  // Redirect to login if not authenticated (wait for auth to load first)
+  React.useEffect(() => {
+    if (!isLoading && !isAuthenticated) {
+      router.push('/login');
+    }
+  }, [isAuthenticated, isLoading, router]);
+
+  const { data, loading, error } = useQuery<{ getMyPantry: PantryItem[] }>(GET_MY_PANTRY, {
+    skip: !isAuthenticated,
+    // Checking items off the list adds to the pantry, so don't trust the cache
+    fetchPolicy: 'cache-and-network',
+  });
+
+  const { data: suggestionsData } = useQuery<{ getPantrySuggestions: PantrySuggestion[] }>(
+    GET_PANTRY_SUGGESTIONS,
+    { skip: !isAuthenticated, fetchPolicy: 'cache-and-network' }
+  );
+
+  const pantryRefetchQueries = [{ query: GET_MY_PANTRY }, { query: GET_PANTRY_SUGGESTIONS }];
+
+  const [addPantryItem] = useMutation(ADD_PANTRY_ITEM, { refetchQueries: pantryRefetchQueries });
+  const [updatePantryItem] = useMutation(UPDATE_PANTRY_ITEM, { refetchQueries: pantryRefetchQueries });
+  const [consumePantryItem] = useMutation(USE_PANTRY_ITEM, { refetchQueries: pantryRefetchQueries });
+  const [removePantryItem] = useMutation(REMOVE_PANTRY_ITEM, { refetchQueries: pantryRefetchQueries });
+  const [addListItem] = useMutation(ADD_LIST_ITEM, {
+    refetchQueries: [{ query: GET_PANTRY_SUGGESTIONS }],
+  });
+
+  if (!isAuthenticated || !user) {
+    return null; // Will redirect
+  }
+
+  const handleAddItem = async () => {
+    const itemName = newItemName.trim();
+    if (!itemName) return;
+
+    try {
+      await addPantryItem({ variables: { itemName, quantity: 1 } });
+      setNewItemName('');
+    } catch (error) {
+      console.error('Failed to add pantry item:', error);
+    }
+  };
+
+  // Adds to the default list
+  const handleAddToList = async (suggestion: PantrySuggestion) => {
+    const { itemName, itemVariant, category } = suggestion.pantryItem;
+    try {
+      await addListItem({ variables: { itemName, itemVariant, category, quantity: 1 } });
+    } catch (error) {
+      console.error('Failed to add item to list:', error);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600 mx-auto mb-4"></div>
+          <p className="text-gray-500">Loading your pantry...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <p className="text-red-600 mb-4">Error loading pantry: {error.message}</p>
+          <Button onClick={() => router.push('/list')}>Go to Shopping List</Button>
+        </div>
+      </div>
+    );
+  }
+
+  const pantryItems = data?.getMyPantry || [];
+  const suggestions = suggestionsData?.getPantrySuggestions || [];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <main className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">My Pantry</h1>
+          <p className="text-gray-600">
+            Items you check off your list land here. Use them up and we&apos;ll remind you to restock.
+          </p>
+        </div>
+
+        {/* Restock suggestions */}
+        {suggestions.length > 0 && (
+          <Card className="mb-6 border-yellow-200">
+            <CardHeader>
+              <CardTitle className="text-lg">Time to restock</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              {suggestions.map((suggestion) => (
+                <div key={suggestion.pantryItem.id} className="flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <span className="font-medium text-gray-900">{formatItemName(suggestion.pantryItem)}</span>
+                    <span className="ml-2 text-sm text-gray-500">{STATUS_STYLES[suggestion.status].label}</span>
+                  </div>
+                  <Button variant="outline" size="sm" onClick={() => handleAddToList(suggestion)}>
+                    <ShoppingCart className="w-4 h-4 mr-2" />
+                    Add to list
+                  </Button>
+                </div>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Add by hand */}
+        <div className="flex items-center gap-2 mb-6">
+          <Input
+            value={newItemName}
+            onChange={(e) => setNewItemName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleAddItem();
+            }}
+            placeholder="Add something you already have (e.g. Rice)"
+          />
+          <Button onClick={handleAddItem} disabled={!newItemName.trim()}>
+            <Plus className="w-4 h-4 mr-2" />
+            Add
+          </Button>
+        </div>
+
+        {pantryItems.length === 0 ? (
+          <Card>
+            <CardContent className="pt-12 pb-12">
+              <div className="text-center">
+                <Package className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+                <h3 className="text-xl font-semibold text-gray-900 mb-2">Your pantry is empty</h3>
+                <p className="text-gray-600 mb-6 max-w-md mx-auto">
+                  Check items off your shopping list as you buy them and they&apos;ll show up here.
+                </p>
+                <Link href="/list">
+                  <Button className="bg-primary-500 hover:bg-primary-600">Go to Shopping List</Button>
+                </Link>
+              </div>
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="space-y-3">
+            {pantryItems.map((item) => (
+              <Card key={item.id}>
+                <CardContent className="p-4">
+                  <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <div className="flex-1 min-w-0">
+                      <h3 className="font-semibold text-gray-900">{formatItemName(item)}</h3>
+                      <p className="text-sm text-gray-500">
+                        {item.category && `${item.category} · `}
+                        {item.expiresAt
+                          ? `Best by ${new Date(item.expiresAt).toLocaleDateString()}`
+                          : 'Keeps'}
+                      </p>
+                    </div>
+
+                    <div className="flex items-center gap-3">
+                      <span
+                        className={`inline-block px-3 py-1 rounded-full text-xs font-semibold uppercase border ${STATUS_STYLES[item.status].className}`}
+                      >
+                        {STATUS_STYLES[item.status].label}
+                      </span>
+
+                      <div className="flex items-center gap-2 bg-gray-100 rounded-lg px-2">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => consumePantryItem({ variables: { id: item.id, amount: 1 } })}
+                          className="h-8 w-8 p-0 hover:bg-gray-200"
+                          disabled={item.quantity <= 0}
+                          aria-label="Use one"
+                        >
+                          <Minus className="w-4 h-4" />
+                        </Button>
+                        <span className="w-8 text-center font-medium">{item.quantity}</span>
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          onClick={() => updatePantryItem({ variables: { id: item.id, quantity: item.quantity + 1 } })}
+                          className="h-8 w-8 p-0 hover:bg-gray-200"
+                          aria-label="Add one"
+                        >
+                          <Plus className="w-4 h-4" />
+                        </Button>
+                      </div>
+
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        onClick={() => removePantryItem({ variables: { id: item.id } })}
+                        className="h-8 w-8 p-0 text-red-500 hover:text-red-700 hover:bg-red-50"
+                        aria-label="Remove"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
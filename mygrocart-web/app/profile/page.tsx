@@ -9,6 +9,7 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/com
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Badge } from "@/components/ui/badge";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Input } from "@/components/ui/input";
 import { gql } from "@apollo/client";
 import { useMutation } from "@apollo/client/react";
 import Link from "next/link";
@@ -22,6 +23,26 @@ const UPDATE_TRAVEL_RADIUS = gql`
   }
 `;
 
+const UPDATE_PROFILE = gql`
+  mutation UpdateProfile($zipCode: String) {
+    updateProfile(zipCode: $zipCode) {
+      userId
+      zipCode
+      latitude
+      longitude
+    }
+  }
+`;
+
+interface UpdateProfileResponse {
+  updateProfile: {
+    userId: string;
+    zipCode: string;
+    latitude?: number | null;
+    longitude?: number | null;
+  };
+}
+
 interface UpdateTravelRadiusResponse {
   updateTravelRadius: {
     userId: string;
@@ -35,6 +56,37 @@ export default function ProfilePage() {
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false);
   const [isEditingRadius, setIsEditingRadius] = useState(false);
   const [updateTravelRadius, { loading: updatingRadius }] = useMutation<UpdateTravelRadiusResponse>(UPDATE_TRAVEL_RADIUS);
+  const [isEditingZip, setIsEditingZip] = useState(false);
+  const [newZipCode, setNewZipCode] = useState("");
+  const [zipError, setZipError] = useState<string | null>(null);
+  const [updateProfile, { loading: updatingZip }] = useMutation<UpdateProfileResponse>(UPDATE_PROFILE);
+
+  const handleZipSave = async () => {
+    if (!/^\d{5}$/.test(newZipCode)) {
+      setZipError("Enter a 5-digit ZIP code");
+      return;
+    }
+
+    try {
+      const { data } = await updateProfile({
+        variables: { zipCode: newZipCode }
+      });
+
+      // Update user state with the new ZIP code (coordinates come from the server)
+      if (data?.updateProfile && user) {
+        setUser({
+          ...user,
+          zipCode: data.updateProfile.zipCode
+        });
+      }
+
+      setZipError(null);
+      setIsEditingZip(false);
+    } catch (error) {
+      console.error("Error updating ZIP code:", error);
+      setZipError("Could not update your ZIP code");
+    }
+  };
 
   const handleRadiusChange = async (newRadius: string) => {
     try {
@@ -218,12 +270,49 @@ export default function ProfilePage() {
                     <MapPin className="h-5 w-5 text-gray-400" />
                     <div>
                       <p className="text-sm font-medium text-gray-500">ZIP Code</p>
-                      <p className="text-base font-semibold text-gray-900">{user.zipCode}</p>
+                      {isEditingZip ? (
+                        <div className="mt-2 flex items-center gap-3">
+                          <Input
+                            value={newZipCode}
+                            onChange={(e) => setNewZipCode(e.target.value.trim())}
+                            maxLength={5}
+                            inputMode="numeric"
+                            className="w-28"
+                            disabled={updatingZip}
+                          />
+                          <Button size="sm" onClick={handleZipSave} disabled={updatingZip}>
+                            Save
+                          </Button>
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            onClick={() => {
+                              setIsEditingZip(false);
+                              setZipError(null);
+                            }}
+                            disabled={updatingZip}
+                          >
+                            Cancel
+                          </Button>
+                        </div>
+                      ) : (
+                        <p className="text-base font-semibold text-gray-900">{user.zipCode}</p>
+                      )}
+                      {zipError && <p className="text-xs text-red-600 mt-1">{zipError}</p>}
                     </div>
                   </div>
-                  <Button variant="outline" size="sm">
-                    Change
-                  </Button>
+                  {!isEditingZip && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => {
+                        setNewZipCode(user.zipCode || "");
+                        setIsEditingZip(true);
+                      }}
+                    >
+                      Change
+                    </Button>
+                  )}
                 </div>
               )}
 
@@ -1,24 +1,26 @@
 "use client";
 
 import { useState, useEffect, useCallback } from "react";
-import { useLazyQuery, useMutation } from "@apollo/client/react";
-import { Search, Plus, Filter, ChevronLeft, ChevronRight } from "lucide-react";
+import { useLazyQuery, useMutation, useQuery } from "@apollo/client/react";
+import { Search, Plus, Filter, ChevronLeft, ChevronRight, TrendingDown } from "lucide-react";
 import { useRouter } from "next/navigation";
 import { useAuth } from "@/lib/auth-context";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
-import { Card, CardContent, CardFooter } from "@/components/ui/card";
+import { Card, CardContent, CardFooter, CardHeader, CardTitle } from "@/components/ui/card";
 import { Skeleton } from "@/components/ui/skeleton";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import {
   SEARCH_PRODUCTS,
   ADD_GROCERY_LIST_ITEM,
+  GET_DEAL_PRICE_TRENDS,
 } from "@/lib/graphql/queries";
 import Image from "next/image";
 import Link from "next/link";
 import { PriceRangeBadge } from "@/components/ui/PriceRangeBadge";
 import { StorePriceList } from "@/components/ui/StorePriceList";
 import { calculatePriceRange } from "@/lib/utils/price-helpers";
+import { PriceTrendChart, PricePoint } from "@/components/deals/PriceTrendChart";
 
 interface Store {
   storeId: string;
@@ -50,6 +52,23 @@ interface Product {
   storePrices?: StorePrice[];
 }
 
+interface PriceStats {
+  minPrice: number;
+  avgPrice: number;
+  maxPrice: number;
+  weeksOnSale: number;
+  saleFrequency: number;
+}
+
+interface DealPriceTrend extends PriceStats {
+  productKey: string;
+  productName: string;
+  points: PricePoint[];
+  stores: (PriceStats & { storeName: string })[];
+}
+
+const formatFrequency = (saleFrequency: number) => `${Math.round(saleFrequency * 100)}% of weeks`;
+
 export default function SearchPage() {
   const router = useRouter();
   const { user, isAuthenticated, isLoading } = useAuth();
@@ -60,12 +79,20 @@ export default function SearchPage() {
   const [addSuccess, setAddSuccess] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
   const [expandedProducts, setExpandedProducts] = useState<Set<string>>(new Set());
+  const [selectedTrendKey, setSelectedTrendKey] = useState<string | null>(null);
 
   const [searchProducts, { loading, data, error }] =
     useLazyQuery(SEARCH_PRODUCTS);
   const [addToList, { loading: addingToList }] = useMutation(
     ADD_GROCERY_LIST_ITEM
   );
+  const { data: trendsData } = useQuery<{ getDealPriceTrends: DealPriceTrend[] }>(
+    GET_DEAL_PRICE_TRENDS,
+    {
+      variables: { query: debouncedQuery, limit: 3 },
+      skip: !isAuthenticated || debouncedQuery.trim().length < 2,
+    }
+  );
 
   // Redirect to login if not authenticated (wait for auth to load first)
   useEffect(() => {
@@ -137,6 +164,10 @@ export default function SearchPage() {
   const hasPreviousPage = searchResult?.hasPreviousPage || false;
   const totalPages = searchResult?.totalPages || 0;
 
+  const priceTrends = trendsData?.getDealPriceTrends || [];
+  const selectedTrend =
+    priceTrends.find((trend) => trend.productKey === selectedTrendKey) || priceTrends[0];
+
   // Filter and sort products
   const filteredProducts = products
     .filter((product) => {
@@ -244,6 +275,64 @@ export default function SearchPage() {
           )}
         </div>
 
+        {/* Price History (past flyer sale prices) */}
+        {selectedTrend && debouncedQuery.trim().length >= 2 && (
+          <Card className="mb-8">
+            <CardHeader className="pb-2">
+              <CardTitle className="flex items-center gap-2 text-lg">
+                <TrendingDown className="h-5 w-5 text-primary-600" />
+                Sale price history
+              </CardTitle>
+              {priceTrends.length > 1 && (
+                <div className="flex flex-wrap gap-2 pt-2">
+                  {priceTrends.map((trend) => (
+                    <Button
+                      key={trend.productKey}
+                      size="sm"
+                      variant={trend.productKey === selectedTrend.productKey ? "default" : "outline"}
+                      onClick={() => setSelectedTrendKey(trend.productKey)}
+                    >
+                      {trend.productName}
+                    </Button>
+                  ))}
+                </div>
+              )}
+            </CardHeader>
+            <CardContent>
+              <p className="mb-3 text-sm text-gray-600">
+                {selectedTrend.productName}: ${selectedTrend.minPrice.toFixed(2)} low, $
+                {selectedTrend.avgPrice.toFixed(2)} average, ${selectedTrend.maxPrice.toFixed(2)} high · on sale{" "}
+                {formatFrequency(selectedTrend.saleFrequency)}
+              </p>
+              <PriceTrendChart points={selectedTrend.points} />
+              <div className="mt-4 overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1 pr-4 font-medium">Store</th>
+                      <th className="py-1 pr-4 font-medium">Low</th>
+                      <th className="py-1 pr-4 font-medium">Avg</th>
+                      <th className="py-1 pr-4 font-medium">High</th>
+                      <th className="py-1 font-medium">On sale</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedTrend.stores.map((store) => (
+                      <tr key={store.storeName} className="border-t text-gray-900">
+                        <td className="py-1 pr-4">{store.storeName}</td>
+                        <td className="py-1 pr-4">${store.minPrice.toFixed(2)}</td>
+                        <td className="py-1 pr-4">${store.avgPrice.toFixed(2)}</td>
+                        <td className="py-1 pr-4">${store.maxPrice.toFixed(2)}</td>
+                        <td className="py-1">{formatFrequency(store.saleFrequency)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
         {/* Loading State */}
         {loading && (
           <>
@@ -0,0 +1,510 @@
+"use client";
+
+import { useState } from "react";
+import { useQuery, useMutation } from "@apollo/client/react";
+import Image from "next/image";
+import {
+  AlertTriangle,
+  CheckCircle2,
+  ExternalLink,
+  GitMerge,
+  Loader2,
+  Save,
+  Trash2,
+  XCircle,
+} from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useToast } from "@/components/ui/use-toast";
+import { GET_DEAL_REVIEW_QUEUE } from "@/lib/graphql/queries";
+import {
+  ADMIN_UPDATE_DEAL,
+  ADMIN_APPROVE_DEAL,
+  ADMIN_MERGE_DEALS,
+  ADMIN_DELETE_DEAL,
+} from "@/lib/graphql/mutations";
+
+const PAGE_SIZE = 25;
+
+const DEAL_TYPES = ["SALE", "BOGO", "MULTI_BUY", "COUPON", "CLEARANCE"] as const;
+
+interface FieldConfidence {
+  productName: number;
+  salePrice: number;
+  dealType: number;
+}
+
+interface ReviewDeal {
+  id: string;
+  storeName: string;
+  zipCode: string;
+  productName: string;
+  productBrand?: string | null;
+  productCategory?: string | null;
+  salePrice: number;
+  regularPrice?: number | null;
+  unit?: string | null;
+  dealType: (typeof DEAL_TYPES)[number];
+  quantity?: string | null;
+  confidence?: number | null;
+  fieldConfidence?: FieldConfidence | null;
+  rawText?: string | null;
+  reviewReasons: string[];
+}
+
+interface DuplicateDeal {
+  id: string;
+  productName: string;
+  productBrand?: string | null;
+  salePrice: number;
+  regularPrice?: number | null;
+  quantity?: string | null;
+  confidence?: number | null;
+}
+
+interface ReviewItem {
+  deal: ReviewDeal;
+  flyerImageUrl?: string | null;
+  flyerName?: string | null;
+  duplicates: DuplicateDeal[];
+}
+
+interface DealReviewQueueResponse {
+  adminGetDealReviewQueue: {
+    items: ReviewItem[];
+    totalCount: number;
+  };
+}
+
+interface AdminActionResponse {
+  success: boolean;
+  message: string;
+  affectedCount?: number;
+}
+
+const formatConfidence = (value?: number | null) =>
+  value === null || value === undefined ? "-" : `${Math.round(value * 100)}%`;
+
+const confidenceClassName = (value?: number | null) => {
+  if (value === null || value === undefined) return "text-gray-500";
+  if (value >= 0.8) return "text-primary-700";
+  if (value >= 0.6) return "text-yellow-700";
+  return "text-red-700";
+};
+
+/**
+ * DealReviewQueue - Admin moderation of deals flagged as likely OCR misreads
+ * - Shows each deal next to the flyer page it was read from
+ * - Admins can fix fields (saving approves), approve, merge duplicates or delete
+ */
+export function DealReviewQueue() {
+  const { toast } = useToast();
+  const [offset, setOffset] = useState(0);
+
+  const { loading, data, error, refetch } = useQuery<DealReviewQueueResponse>(
+    GET_DEAL_REVIEW_QUEUE,
+    {
+      variables: { limit: PAGE_SIZE, offset },
+      fetchPolicy: "cache-and-network",
+    }
+  );
+
+  const items = data?.adminGetDealReviewQueue.items || [];
+  const totalCount = data?.adminGetDealReviewQueue.totalCount || 0;
+
+  const handleDone = (title: string, description?: string) => {
+    toast({ title, description, variant: "success", duration: 3000 });
+    refetch();
+  };
+
+  const handleError = (title: string, err: unknown) => {
+    toast({
+      title,
+      description: err instanceof Error ? err.message : String(err),
+      variant: "destructive",
+    });
+  };
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+          <CardTitle>Deal Review Queue ({totalCount})</CardTitle>
+          <p className="text-sm text-gray-500">
+            Low-confidence reads, price outliers and duplicates from recent flyers
+          </p>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <XCircle className="h-4 w-4" />
+            <AlertDescription className="ml-2">
+              Failed to load review queue: {error.message}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        {loading && items.length === 0 ? (
+          <div className="space-y-4">
+            {[...Array(3)].map((_, i) => (
+              <Skeleton key={i} className="h-48 w-full" />
+            ))}
+          </div>
+        ) : items.length === 0 ? (
+          <div className="py-12 text-center">
+            <CheckCircle2 className="mx-auto h-12 w-12 text-primary-500" />
+            <h3 className="mt-4 text-lg font-medium text-gray-900">
+              Nothing to review
+            </h3>
+            <p className="mt-2 text-gray-500">
+              Flagged deals will show up here after the next flyer run
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {items.map((item) => (
+              <ReviewCard
+                key={item.deal.id}
+                item={item}
+                onDone={handleDone}
+                onError={handleError}
+              />
+            ))}
+
+            {totalCount > PAGE_SIZE && (
+              <div className="flex items-center justify-between">
+                <Button
+                  variant="outline"
+                  disabled={offset === 0}
+                  onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                >
+                  Previous
+                </Button>
+                <span className="text-sm text-gray-500">
+                  {offset + 1}-{Math.min(offset + PAGE_SIZE, totalCount)} of {totalCount}
+                </span>
+                <Button
+                  variant="outline"
+                  disabled={offset + PAGE_SIZE >= totalCount}
+                  onClick={() => setOffset(offset + PAGE_SIZE)}
+                >
+                  Next
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+interface ReviewCardProps {
+  item: ReviewItem;
+  onDone: (title: string, description?: string) => void;
+  onError: (title: string, err: unknown) => void;
+}
+
+function ReviewCard({ item, onDone, onError }: ReviewCardProps) {
+  const { deal, duplicates, flyerImageUrl, flyerName } = item;
+
+  const [form, setForm] = useState({
+    productName: deal.productName,
+    productBrand: deal.productBrand || "",
+    productCategory: deal.productCategory || "",
+    salePrice: String(deal.salePrice),
+    regularPrice: deal.regularPrice ? String(deal.regularPrice) : "",
+    unit: deal.unit || "each",
+    dealType: deal.dealType,
+    quantity: deal.quantity || "",
+  });
+  const [selectedDuplicates, setSelectedDuplicates] = useState<string[]>(
+    duplicates.map((duplicate) => duplicate.id)
+  );
+
+  const [updateDeal, { loading: saving }] = useMutation(ADMIN_UPDATE_DEAL);
+  const [approveDeal, { loading: approving }] = useMutation(ADMIN_APPROVE_DEAL);
+  const [mergeDeals, { loading: merging }] = useMutation<{
+    adminMergeDeals: AdminActionResponse;
+  }>(ADMIN_MERGE_DEALS);
+  const [deleteDeal, { loading: deleting }] = useMutation<{
+    adminDeleteDeal: AdminActionResponse;
+  }>(ADMIN_DELETE_DEAL);
+
+  const busy = saving || approving || merging || deleting;
+
+  const setField = (field: keyof typeof form) =>
+    (e: React.ChangeEvent<HTMLInputElement | HTMLSelectElement>) =>
+      setForm({ ...form, [field]: e.target.value });
+
+  const handleSave = async () => {
+    const salePrice = parseFloat(form.salePrice);
+    const regularPrice = form.regularPrice ? parseFloat(form.regularPrice) : null;
+    if (!form.productName.trim() || isNaN(salePrice) || salePrice <= 0) {
+      onError("Can't save deal", new Error("Product name and a sale price are required"));
+      return;
+    }
+
+    try {
+      await updateDeal({
+        variables: {
+          dealId: deal.id,
+          productName: form.productName,
+          productBrand: form.productBrand,
+          productCategory: form.productCategory,
+          salePrice,
+          regularPrice,
+          unit: form.unit,
+          dealType: form.dealType,
+          quantity: form.quantity,
+        },
+      });
+      onDone("Deal saved", `"${form.productName}" was updated and approved`);
+    } catch (err) {
+      onError("Failed to save deal", err);
+    }
+  };
+
+  const handleApprove = async () => {
+    try {
+      await approveDeal({ variables: { dealId: deal.id } });
+      onDone("Deal approved", `"${deal.productName}" left the queue`);
+    } catch (err) {
+      onError("Failed to approve deal", err);
+    }
+  };
+
+  const handleMerge = async () => {
+    try {
+      const result = await mergeDeals({
+        variables: { keepDealId: deal.id, duplicateDealIds: selectedDuplicates },
+      });
+      const response = result.data?.adminMergeDeals;
+      if (!response?.success) {
+        throw new Error(response?.message || "Merge failed");
+      }
+      onDone("Duplicates merged", response.message);
+    } catch (err) {
+      onError("Failed to merge deals", err);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete "${deal.productName}"? This can't be undone.`)) {
+      return;
+    }
+    try {
+      const result = await deleteDeal({ variables: { dealId: deal.id } });
+      const response = result.data?.adminDeleteDeal;
+      if (!response?.success) {
+        throw new Error(response?.message || "Delete failed");
+      }
+      onDone("Deal deleted", response.message);
+    } catch (err) {
+      onError("Failed to delete deal", err);
+    }
+  };
+
+  const toggleDuplicate = (id: string) =>
+    setSelectedDuplicates((current) =>
+      current.includes(id) ? current.filter((selected) => selected !== id) : [...current, id]
+    );
+
+  return (
+    <div className="grid gap-4 rounded-lg border border-gray-200 p-4 lg:grid-cols-[320px_1fr]">
+      {/* Source flyer page */}
+      <div>
+        {flyerImageUrl ? (
+          <a href={flyerImageUrl} target="_blank" rel="noopener noreferrer" className="group block">
+            <div className="relative h-80 w-full overflow-hidden rounded-md bg-gray-100">
+              <Image
+                src={flyerImageUrl}
+                alt={`${deal.storeName} flyer page`}
+                fill
+                className="object-contain"
+                sizes="320px"
+                unoptimized
+              />
+            </div>
+            <span className="mt-1 flex items-center gap-1 text-xs text-gray-500 group-hover:text-primary-600">
+              <ExternalLink className="h-3 w-3" />
+              Open full page
+            </span>
+          </a>
+        ) : (
+          <div className="flex h-80 items-center justify-center rounded-md bg-gray-100 text-sm text-gray-500">
+            No flyer image
+          </div>
+        )}
+        <p className="mt-2 text-xs text-gray-500">
+          {deal.storeName} · {deal.zipCode}
+          {flyerName ? ` · ${flyerName}` : ""}
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {/* Why it was flagged */}
+        <div className="flex flex-wrap gap-2">
+          {deal.reviewReasons.map((reason) => (
+            <Badge key={reason} className="flex items-center bg-yellow-100 text-yellow-800">
+              <AlertTriangle className="mr-1 h-3 w-3" />
+              {reason}
+            </Badge>
+          ))}
+          <span className={`text-sm ${confidenceClassName(deal.confidence)}`}>
+            Confidence {formatConfidence(deal.confidence)}
+          </span>
+        </div>
+
+        {/* Editable fields */}
+        <div className="grid gap-3 sm:grid-cols-2">
+          <div className="sm:col-span-2">
+            <Label htmlFor={`productName-${deal.id}`}>
+              Product name{" "}
+              <span className={`text-xs ${confidenceClassName(deal.fieldConfidence?.productName)}`}>
+                ({formatConfidence(deal.fieldConfidence?.productName)})
+              </span>
+            </Label>
+            <Input id={`productName-${deal.id}`} value={form.productName} onChange={setField("productName")} />
+          </div>
+          <div>
+            <Label htmlFor={`productBrand-${deal.id}`}>Brand</Label>
+            <Input id={`productBrand-${deal.id}`} value={form.productBrand} onChange={setField("productBrand")} />
+          </div>
+          <div>
+            <Label htmlFor={`productCategory-${deal.id}`}>Category</Label>
+            <Input id={`productCategory-${deal.id}`} value={form.productCategory} onChange={setField("productCategory")} />
+          </div>
+          <div>
+            <Label htmlFor={`salePrice-${deal.id}`}>
+              Sale price{" "}
+              <span className={`text-xs ${confidenceClassName(deal.fieldConfidence?.salePrice)}`}>
+                ({formatConfidence(deal.fieldConfidence?.salePrice)})
+              </span>
+            </Label>
+            <Input
+              id={`salePrice-${deal.id}`}
+              type="number"
+              step="0.01"
+              min="0.01"
+              value={form.salePrice}
+              onChange={setField("salePrice")}
+            />
+          </div>
+          <div>
+            <Label htmlFor={`regularPrice-${deal.id}`}>Regular price</Label>
+            <Input
+              id={`regularPrice-${deal.id}`}
+              type="number"
+              step="0.01"
+              min="0.01"
+              value={form.regularPrice}
+              onChange={setField("regularPrice")}
+            />
+          </div>
+          <div>
+            <Label htmlFor={`dealType-${deal.id}`}>
+              Deal type{" "}
+              <span className={`text-xs ${confidenceClassName(deal.fieldConfidence?.dealType)}`}>
+                ({formatConfidence(deal.fieldConfidence?.dealType)})
+              </span>
+            </Label>
+            <select
+              id={`dealType-${deal.id}`}
+              value={form.dealType}
+              onChange={setField("dealType")}
+              className="h-10 w-full rounded-lg border border-gray-300 px-3 text-sm focus:border-primary-600 focus:outline-none focus:ring-2 focus:ring-primary-600 focus:ring-offset-2"
+            >
+              {DEAL_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type.replace("_", " ")}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <Label htmlFor={`unit-${deal.id}`}>Unit</Label>
+            <Input id={`unit-${deal.id}`} value={form.unit} onChange={setField("unit")} />
+          </div>
+          <div className="sm:col-span-2">
+            <Label htmlFor={`quantity-${deal.id}`}>Quantity / terms</Label>
+            <Input
+              id={`quantity-${deal.id}`}
+              placeholder="2 for $5"
+              value={form.quantity}
+              onChange={setField("quantity")}
+            />
+          </div>
+        </div>
+
+        {deal.rawText && (
+          <details className="text-xs text-gray-500">
+            <summary className="cursor-pointer">OCR text</summary>
+            <pre className="mt-2 max-h-32 overflow-auto whitespace-pre-wrap rounded bg-gray-50 p-2">
+              {deal.rawText}
+            </pre>
+          </details>
+        )}
+
+        {/* Same product elsewhere in this flyer */}
+        {duplicates.length > 0 && (
+          <div className="rounded-md border border-gray-200 bg-gray-50 p-3">
+            <p className="mb-2 text-sm font-medium text-gray-700">
+              Possible duplicates in this flyer
+            </p>
+            <div className="space-y-1">
+              {duplicates.map((duplicate) => (
+                <label key={duplicate.id} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={selectedDuplicates.includes(duplicate.id)}
+                    onChange={() => toggleDuplicate(duplicate.id)}
+                    className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-2 focus:ring-primary-600"
+                  />
+                  {duplicate.productBrand ? `${duplicate.productBrand} ` : ""}
+                  {duplicate.productName} · ${Number(duplicate.salePrice).toFixed(2)}
+                  {duplicate.quantity ? ` (${duplicate.quantity})` : ""}
+                  <span className="text-xs text-gray-500">
+                    {formatConfidence(duplicate.confidence)}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              className="mt-2"
+              disabled={busy || selectedDuplicates.length === 0}
+              onClick={handleMerge}
+            >
+              {merging ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <GitMerge className="mr-2 h-4 w-4" />}
+              Merge into this deal
+            </Button>
+          </div>
+        )}
+
+        {/* Actions */}
+        <div className="flex flex-wrap gap-2">
+          <Button onClick={handleSave} disabled={busy} className="bg-primary-500 hover:bg-primary-600">
+            {saving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Save className="mr-2 h-4 w-4" />}
+            Save &amp; approve
+          </Button>
+          <Button variant="outline" onClick={handleApprove} disabled={busy}>
+            {approving ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <CheckCircle2 className="mr-2 h-4 w-4" />}
+            Looks right
+          </Button>
+          <Button variant="outline" onClick={handleDelete} disabled={busy} className="text-red-600 hover:text-red-700">
+            {deleting ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Trash2 className="mr-2 h-4 w-4" />}
+            Delete
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+"use client";
+
+import { useQuery } from "@apollo/client/react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { GET_SCRAPER_HEALTH } from "@/lib/graphql/queries";
+
+interface ScraperRun {
+  id: string;
+  zipCode: string;
+  status: string;
+  flyerCount: number;
+  dealCount: number;
+  errorClass?: string | null;
+  errorMessage?: string | null;
+  anomaly?: string | null;
+  baselineDealCount?: number | null;
+  createdAt: string;
+}
+
+interface ScraperHealth {
+  slug: string;
+  storeName: string;
+  enabled: boolean;
+  circuitState: string;
+  consecutiveFailures: number;
+  retryAt?: string | null;
+  circuitZipCodes: string[];
+  successRate?: number | null;
+  avgLatencyMs?: number | null;
+  lastRun?: ScraperRun | null;
+}
+
+interface ScraperHealthResponse {
+  adminGetScraperHealth: ScraperHealth[];
+}
+
+const CIRCUIT_BADGES: Record<string, { label: string; className: string }> = {
+  closed: { label: "Healthy", className: "bg-primary-100 text-primary-700" },
+  half_open: { label: "Retrying", className: "bg-yellow-100 text-yellow-700" },
+  open: { label: "Paused", className: "bg-red-100 text-red-700" },
+};
+
+const RUN_STATUS_CLASSES: Record<string, string> = {
+  success: "text-primary-700",
+  empty: "text-gray-600",
+  failed: "text-red-700",
+};
+
+const formatDate = (dateString?: string | null) => {
+  if (!dateString) return "-";
+  const date = new Date(dateString);
+  if (isNaN(date.getTime())) return "-";
+  return date.toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+};
+
+const describeIssue = (run?: ScraperRun | null) => {
+  if (!run) return null;
+  if (run.anomaly === "flyer_drop") return "No flyers (had some before)";
+  if (run.anomaly === "deal_drop") {
+    return `${run.dealCount} deals, down from ${run.baselineDealCount}`;
+  }
+  if (run.errorClass) {
+    return run.errorMessage ? `${run.errorClass}: ${run.errorMessage}` : run.errorClass;
+  }
+  return null;
+};
+
+/**
+ * ScraperHealthList - How each store scraper has been doing
+ * - Paused scrapers failed several runs in a row and are skipped until the retry time
+ * - Flags runs that returned far less than the same ZIP did a week earlier
+ */
+export function ScraperHealthList() {
+  const { loading, data, error } = useQuery<ScraperHealthResponse>(GET_SCRAPER_HEALTH, {
+    fetchPolicy: "cache-and-network",
+  });
+
+  const scrapers = data?.adminGetScraperHealth || [];
+  const unhealthy = scrapers.filter(
+    (scraper) => scraper.circuitState !== "closed" || scraper.lastRun?.anomaly
+  ).length;
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle>
+          Scraper Health
+          {unhealthy > 0 && (
+            <Badge className="ml-2 bg-red-100 text-red-700">{unhealthy} need attention</Badge>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertDescription>Failed to load scraper health: {error.message}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading && scrapers.length === 0 ? (
+          <div className="space-y-2">
+            {[...Array(3)].map((_, i) => (
+              <Skeleton key={i} className="h-10 w-full" />
+            ))}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Store</TableHead>
+                  <TableHead>Circuit</TableHead>
+                  <TableHead>Last Run</TableHead>
+                  <TableHead>Flyers / Deals</TableHead>
+                  <TableHead>Success Rate</TableHead>
+                  <TableHead>Avg Time</TableHead>
+                  <TableHead>Issue</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {scrapers.map((scraper) => {
+                  const circuit = CIRCUIT_BADGES[scraper.circuitState] || CIRCUIT_BADGES.closed;
+                  const run = scraper.lastRun;
+                  const issue = describeIssue(run);
+
+                  return (
+                    <TableRow key={scraper.slug} className={scraper.enabled ? "" : "opacity-60"}>
+                      <TableCell className="font-medium">{scraper.storeName}</TableCell>
+                      <TableCell>
+                        <Badge className={circuit.className}>{circuit.label}</Badge>
+                        {scraper.circuitState === "open" && (
+                          <div className="mt-1 text-xs text-gray-500">
+                            Until {formatDate(scraper.retryAt)}
+                          </div>
+                        )}
+                        {scraper.circuitZipCodes.length > 0 && (
+                          <div className="mt-1 text-xs text-gray-500">
+                            ZIP {scraper.circuitZipCodes.join(", ")}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {run ? (
+                          <>
+                            <span className={RUN_STATUS_CLASSES[run.status] || ""}>{run.status}</span>
+                            <div className="text-xs text-gray-500">
+                              {formatDate(run.createdAt)} · {run.zipCode}
+                            </div>
+                          </>
+                        ) : (
+                          <span className="text-gray-500">Never run</span>
+                        )}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {run ? `${run.flyerCount} / ${run.dealCount}` : "-"}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {scraper.successRate === null || scraper.successRate === undefined
+                          ? "-"
+                          : `${Math.round(scraper.successRate * 100)}%`}
+                      </TableCell>
+                      <TableCell className="text-sm">
+                        {scraper.avgLatencyMs === null || scraper.avgLatencyMs === undefined
+                          ? "-"
+                          : `${(scraper.avgLatencyMs / 1000).toFixed(1)}s`}
+                      </TableCell>
+                      <TableCell className="max-w-xs text-sm text-red-700">
+                        <span className="line-clamp-2" title={issue || undefined}>
+                          {issue || ""}
+                        </span>
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,107 @@
+"use client";
+
+import { useQuery } from "@apollo/client/react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { GET_SCRAPERS } from "@/lib/graphql/queries";
+
+interface ScraperInfo {
+  slug: string;
+  storeName: string;
+  source: string;
+  capabilities: string[];
+  regions?: string[] | null;
+  enabled: boolean;
+}
+
+interface ScrapersResponse {
+  adminGetScrapers: ScraperInfo[];
+}
+
+/**
+ * ScraperList - Registered store flyer scrapers
+ * - Shows what each scraper provides and where it runs
+ * - Scrapers are switched on and off with SCRAPER_CONFIG on the backend
+ */
+export function ScraperList() {
+  const { loading, data, error } = useQuery<ScrapersResponse>(GET_SCRAPERS);
+
+  const scrapers = data?.adminGetScrapers || [];
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle>Store Scrapers ({scrapers.length})</CardTitle>
+      </CardHeader>
+      <CardContent>
+        {error && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertDescription>Failed to load scrapers: {error.message}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading && scrapers.length === 0 ? (
+          <div className="space-y-2">
+            {[...Array(3)].map((_, i) => (
+              <Skeleton key={i} className="h-10 w-full" />
+            ))}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Store</TableHead>
+                  <TableHead>Source</TableHead>
+                  <TableHead>Provides</TableHead>
+                  <TableHead>Regions</TableHead>
+                  <TableHead>Status</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {scrapers.map((scraper) => (
+                  <TableRow key={scraper.slug}>
+                    <TableCell className="font-medium">
+                      {scraper.storeName}
+                      <span className="ml-2 text-xs text-gray-500">{scraper.slug}</span>
+                    </TableCell>
+                    <TableCell className="text-sm">{scraper.source}</TableCell>
+                    <TableCell>
+                      <div className="flex flex-wrap gap-1">
+                        {scraper.capabilities.map((capability) => (
+                          <Badge key={capability} variant="outline">
+                            {capability}
+                          </Badge>
+                        ))}
+                      </div>
+                    </TableCell>
+                    <TableCell className="text-sm text-gray-600">
+                      {scraper.regions ? scraper.regions.join(", ") : "Nationwide"}
+                    </TableCell>
+                    <TableCell>
+                      {scraper.enabled ? (
+                        <Badge className="bg-primary-100 text-primary-700">Enabled</Badge>
+                      ) : (
+                        <Badge variant="secondary">Disabled</Badge>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
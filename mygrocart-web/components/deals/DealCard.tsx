@@ -5,7 +5,7 @@ import Image from 'next/image';
 import { Card } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
-import { ShoppingCart, Tag, Package, Check } from 'lucide-react';
+import { ShoppingCart, Tag, Package, Check, TrendingDown } from 'lucide-react';
 
 interface Deal {
   id: string;
@@ -13,11 +13,15 @@ interface Deal {
   productBrand?: string;
   salePrice: number;
   regularPrice?: number;
+  unitPriceLabel?: string | null;
   storeName: string;
+  distanceMiles?: number | null;
   dealType: string;
   savingsPercent?: number;
   validTo?: string;
   imageUrl?: string;
+  isStockUp?: boolean;
+  low52WeekPrice?: number | null;
 }
 
 interface DealCardProps {
@@ -77,6 +81,7 @@ export function DealCard({ deal, onClick, onAddToList, isAdded = false }: DealCa
           <div className="flex-1 min-w-0">
             <p className="text-xs font-medium text-muted-foreground truncate">
               {deal.storeName}
+              {deal.distanceMiles != null && ` · ${deal.distanceMiles.toFixed(1)} mi`}
             </p>
           </div>
           <Badge
@@ -87,6 +92,17 @@ export function DealCard({ deal, onClick, onAddToList, isAdded = false }: DealCa
           </Badge>
         </div>
 
+        {/* At or near the 52-week low */}
+        {deal.isStockUp && (
+          <div
+            className="flex items-center gap-1 text-xs font-semibold text-primary-700 bg-primary-50 border border-primary-200 rounded-full px-2 py-0.5 w-fit"
+            title={deal.low52WeekPrice != null ? `52-week low: $${deal.low52WeekPrice.toFixed(2)}` : undefined}
+          >
+            <TrendingDown className="w-3 h-3" />
+            Stock up - 52-week low
+          </div>
+        )}
+
         {/* Product name */}
         <div className="space-y-1">
           <h3 className="font-semibold text-base line-clamp-2 leading-tight">
@@ -112,6 +128,9 @@ export function DealCard({ deal, onClick, onAddToList, isAdded = false }: DealCa
                 </span>
               )}
             </div>
+            {deal.unitPriceLabel && (
+              <p className="text-xs text-muted-foreground">{deal.unitPriceLabel}</p>
+            )}
             {savingsPercent > 0 && (
               <div className="flex items-center gap-1 text-xs font-medium text-orange-600">
                 <Tag className="w-3 h-3" />
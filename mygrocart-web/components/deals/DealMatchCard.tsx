@@ -5,6 +5,7 @@ import { Card } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Tag, TrendingDown, Store, Calendar } from 'lucide-react';
 import { cn } from '@/lib/utils';
+import { MatchBreakdown, type MatchScoreBreakdown } from './MatchBreakdown';
 
 export interface Deal {
   id: string;
@@ -25,6 +26,7 @@ export interface DealMatch {
   deal: Deal;
   matchScore: number;
   matchReason: string;
+  breakdown?: MatchScoreBreakdown | null;
 }
 
 interface DealMatchCardProps {
@@ -36,10 +38,10 @@ interface DealMatchCardProps {
 /**
  * DealMatchCard - Displays a single deal match
  * - Shows: store name, product name, sale price, savings %, deal type
- * - Match score indicator
+ * - Match score indicator with its breakdown
  */
 export function DealMatchCard({ dealMatch, onClick, className }: DealMatchCardProps) {
-  const { deal, matchScore, matchReason } = dealMatch;
+  const { deal, matchScore, matchReason, breakdown } = dealMatch;
 
   const savings = deal.savings ??
     (deal.regularPrice ? deal.regularPrice - deal.salePrice : 0);
@@ -152,6 +154,9 @@ export function DealMatchCard({ dealMatch, onClick, className }: DealMatchCardPr
           </p>
         </div>
 
+        {/* Match Breakdown */}
+        {breakdown && <MatchBreakdown breakdown={breakdown} />}
+
         {/* Valid Dates */}
         <div className="flex items-center gap-1.5 text-xs text-gray-500">
           <Calendar className="w-3.5 h-3.5" />
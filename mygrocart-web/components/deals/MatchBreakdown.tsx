@@ -0,0 +1,78 @@
+"use client";
+
+import React from 'react';
+import { cn } from '@/lib/utils';
+
+export interface MatchScoreBreakdown {
+  nameMatch: number;
+  matchType: 'EXACT' | 'SYNONYM' | 'SPECIFIC_PRODUCT';
+  matchedTerm: string;
+  tokenOverlap: number;
+  variantMatch?: number | null;
+  categoryAgreement?: number | null;
+  brandPreference?: number | null;
+  ocrConfidence?: number | null;
+  userFeedback?: 'ACCEPTED' | 'REJECTED' | null;
+}
+
+interface MatchBreakdownProps {
+  breakdown: MatchScoreBreakdown;
+  className?: string;
+}
+
+const MATCH_TYPE_LABELS: Record<MatchScoreBreakdown['matchType'], string> = {
+  EXACT: 'Exact name',
+  SYNONYM: 'Synonym',
+  SPECIFIC_PRODUCT: 'Specific product',
+};
+
+/**
+ * MatchBreakdown - Explains how a deal match score was built
+ * - One bar per signal (name, words, variant, category, brand, flyer read)
+ * - Signals with nothing to compare are shown as "n/a"
+ * - Notes products the user accepted before
+ */
+export function MatchBreakdown({ breakdown, className }: MatchBreakdownProps) {
+  const signals: { label: string; value: number | null | undefined }[] = [
+    { label: `${MATCH_TYPE_LABELS[breakdown.matchType]} "${breakdown.matchedTerm}"`, value: breakdown.nameMatch },
+    { label: 'Word overlap', value: breakdown.tokenOverlap },
+    { label: 'Variant', value: breakdown.variantMatch },
+    { label: 'Category', value: breakdown.categoryAgreement },
+    { label: 'Preferred brand', value: breakdown.brandPreference },
+    { label: 'Flyer read confidence', value: breakdown.ocrConfidence },
+  ];
+
+  const getBarColor = (value: number) => {
+    if (value >= 0.8) return 'bg-primary-500';
+    if (value >= 0.5) return 'bg-yellow-400';
+    return 'bg-orange-400';
+  };
+
+  return (
+    <div className={cn("space-y-1.5", className)}>
+      {signals.map(({ label, value }) => (
+        <div key={label} className="flex items-center gap-2 text-xs">
+          <span className="w-40 shrink-0 truncate text-gray-600" title={label}>
+            {label}
+          </span>
+          {value === null || value === undefined ? (
+            <span className="text-gray-400">n/a</span>
+          ) : (
+            <>
+              <div className="h-1.5 flex-1 rounded-full bg-gray-200">
+                <div
+                  className={cn("h-1.5 rounded-full", getBarColor(value))}
+                  style={{ width: `${Math.round(value * 100)}%` }}
+                />
+              </div>
+              <span className="w-9 text-right text-gray-500">{Math.round(value * 100)}%</span>
+            </>
+          )}
+        </div>
+      ))}
+      {breakdown.userFeedback === 'ACCEPTED' && (
+        <p className="text-xs text-primary-700">You picked this product before</p>
+      )}
+    </div>
+  );
+}
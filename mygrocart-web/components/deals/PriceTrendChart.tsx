@@ -0,0 +1,122 @@
+"use client";
+
+import React from 'react';
+import { cn } from '@/lib/utils';
+
+export interface PricePoint {
+  storeName: string;
+  weekOf: string;
+  itemPrice: number;
+}
+
+interface PriceTrendChartProps {
+  points: PricePoint[];
+  height?: number;
+  className?: string;
+}
+
+const WIDTH = 600;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 44 };
+const STORE_COLORS = ['#16a34a', '#2563eb', '#ea580c', '#9333ea', '#db2777', '#0891b2'];
+
+const formatWeek = (weekOf: string) =>
+  new Date(`${weekOf}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+/**
+ * PriceTrendChart - Weekly sale prices, one line per store
+ * - Plain SVG, scales to its container's width
+ * - Only weeks on sale are plotted; off-sale weeks have no dot
+ */
+export function PriceTrendChart({ points, height = 180, className }: PriceTrendChartProps) {
+  if (points.length === 0) return null;
+
+  const weeks = [...new Set(points.map((point) => point.weekOf))].sort();
+  const stores = [...new Set(points.map((point) => point.storeName))].sort();
+  const prices = points.map((point) => point.itemPrice);
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+  const priceSpan = maxPrice - minPrice || 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const x = (weekOf: string) =>
+    PADDING.left + (weeks.length === 1 ? plotWidth / 2 : (weeks.indexOf(weekOf) / (weeks.length - 1)) * plotWidth);
+  const y = (price: number) => PADDING.top + (1 - (price - minPrice) / priceSpan) * plotHeight;
+
+  return (
+    <div className={cn('w-full', className)}>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${height}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={`Sale prices from ${formatWeek(weeks[0])} to ${formatWeek(weeks[weeks.length - 1])}`}
+      >
+        {/* Price axis: low and high */}
+        {[minPrice, maxPrice].map((price) => (
+          <g key={price}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(price)}
+              y2={y(price)}
+              stroke="#e5e7eb"
+              strokeDasharray="4 4"
+            />
+            <text x={PADDING.left - 6} y={y(price) + 4} textAnchor="end" fontSize="11" fill="#6b7280">
+              ${price.toFixed(2)}
+            </text>
+          </g>
+        ))}
+
+        {/* Week axis: first and last */}
+        <text x={PADDING.left} y={height - 6} fontSize="11" fill="#6b7280">
+          {formatWeek(weeks[0])}
+        </text>
+        {weeks.length > 1 && (
+          <text x={WIDTH - PADDING.right} y={height - 6} textAnchor="end" fontSize="11" fill="#6b7280">
+            {formatWeek(weeks[weeks.length - 1])}
+          </text>
+        )}
+
+        {stores.map((storeName, index) => {
+          const color = STORE_COLORS[index % STORE_COLORS.length];
+          const storePoints = points
+            .filter((point) => point.storeName === storeName)
+            .sort((a, b) => a.weekOf.localeCompare(b.weekOf));
+
+          return (
+            <g key={storeName}>
+              {storePoints.length > 1 && (
+                <polyline
+                  points={storePoints.map((point) => `${x(point.weekOf)},${y(point.itemPrice)}`).join(' ')}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth="2"
+                  strokeOpacity="0.6"
+                />
+              )}
+              {storePoints.map((point) => (
+                <circle key={point.weekOf} cx={x(point.weekOf)} cy={y(point.itemPrice)} r="4" fill={color}>
+                  <title>{`${storeName}, week of ${formatWeek(point.weekOf)}: $${point.itemPrice.toFixed(2)}`}</title>
+                </circle>
+              ))}
+            </g>
+          );
+        })}
+      </svg>
+
+      {/* Legend */}
+      <div className="mt-2 flex flex-wrap gap-3 text-xs text-gray-600">
+        {stores.map((storeName, index) => (
+          <span key={storeName} className="inline-flex items-center gap-1">
+            <span
+              className="inline-block h-2.5 w-2.5 rounded-full"
+              style={{ backgroundColor: STORE_COLORS[index % STORE_COLORS.length] }}
+            />
+            {storeName}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
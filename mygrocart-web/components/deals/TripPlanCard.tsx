@@ -0,0 +1,149 @@
+"use client";
+
+import React from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { MapPin, Route } from 'lucide-react';
+import { cn } from '@/lib/utils';
+
+export interface TripStop {
+  storeName: string;
+  distanceMiles?: number | null;
+  itemCount: number;
+  subtotal: number;
+  stopCost: number;
+}
+
+export interface TripItemAssignment {
+  listItemId: string;
+  listItemName: string;
+  storeName: string;
+  dealProductName: string;
+  quantity: number;
+  totalCost: number;
+  explanation?: string | null;
+}
+
+export interface ShoppingTripPlan {
+  stops: TripStop[];
+  assignments: TripItemAssignment[];
+  unassignedItems: string[];
+  itemsCost: number;
+  extraStopCost: number;
+  totalCost: number;
+  bestSingleStore?: string | null;
+  bestSingleStoreCost?: number | null;
+  savingsVsBestSingleStore: number;
+  listItemCount: number;
+  message: string;
+}
+
+interface TripPlanCardProps {
+  plan: ShoppingTripPlan;
+  maxStores: number;
+  onMaxStoresChange: (maxStores: number) => void;
+  className?: string;
+}
+
+const STORE_OPTIONS = [1, 2, 3];
+
+/**
+ * TripPlanCard - Shows which store to buy each list item at
+ * - One section per stop with its subtotal and extra-stop cost
+ * - Savings versus doing everything at the best single store
+ * - Lets the user cap the number of stores
+ */
+export function TripPlanCard({ plan, maxStores, onMaxStoresChange, className }: TripPlanCardProps) {
+  return (
+    <Card className={cn("border-blue-200", className)}>
+      <CardHeader className="pb-3">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              <Route className="w-5 h-5 text-blue-600" />
+              Trip Plan
+            </CardTitle>
+            <CardDescription>{plan.message}</CardDescription>
+          </div>
+          <div className="flex items-center gap-1">
+            <span className="mr-1 text-xs text-gray-500">Up to</span>
+            {STORE_OPTIONS.map((option) => (
+              <Button
+                key={option}
+                size="sm"
+                variant={option === maxStores ? 'default' : 'outline'}
+                onClick={() => onMaxStoresChange(option)}
+              >
+                {option} {option === 1 ? 'store' : 'stores'}
+              </Button>
+            ))}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {plan.stops.map((stop, index) => (
+          <div key={stop.storeName} className="rounded-lg bg-gray-50 p-3">
+            <div className="mb-2 flex items-center justify-between">
+              <div>
+                <p className="font-semibold text-gray-900">
+                  Stop {index + 1}: {stop.storeName}
+                </p>
+                {stop.distanceMiles != null && (
+                  <p className="flex items-center gap-1 text-xs text-gray-500">
+                    <MapPin className="w-3 h-3" />
+                    {stop.distanceMiles.toFixed(1)} mi
+                  </p>
+                )}
+              </div>
+              <div className="text-right">
+                <p className="font-bold text-blue-600">${stop.subtotal.toFixed(2)}</p>
+                {stop.stopCost > 0 && (
+                  <p className="text-xs text-gray-500">+${stop.stopCost.toFixed(2)} extra stop</p>
+                )}
+              </div>
+            </div>
+            <ul className="space-y-1">
+              {plan.assignments
+                .filter((assignment) => assignment.storeName === stop.storeName)
+                .map((assignment) => (
+                  <li key={assignment.listItemId} className="flex justify-between text-sm">
+                    <span className="text-gray-700">
+                      {assignment.listItemName}
+                      <span className="text-gray-400"> - {assignment.dealProductName}</span>
+                    </span>
+                    <span className="text-gray-900">${assignment.totalCost.toFixed(2)}</span>
+                  </li>
+                ))}
+            </ul>
+          </div>
+        ))}
+
+        {plan.unassignedItems.length > 0 && (
+          <p className="text-sm text-gray-500">
+            No deals for: {plan.unassignedItems.join(', ')}
+          </p>
+        )}
+
+        <div className="flex items-center justify-between border-t pt-3">
+          <div>
+            <p className="text-sm text-gray-600">Trip total</p>
+            {plan.extraStopCost > 0 && (
+              <p className="text-xs text-gray-500">
+                ${plan.itemsCost.toFixed(2)} items + ${plan.extraStopCost.toFixed(2)} extra stops
+              </p>
+            )}
+          </div>
+          <div className="text-right">
+            <p className="text-2xl font-bold text-primary-600">${plan.totalCost.toFixed(2)}</p>
+            {plan.stops.length > 1 && plan.bestSingleStore && plan.savingsVsBestSingleStore > 0 && (
+              <Badge className="bg-primary-500 text-xs">
+                Save ${plan.savingsVsBestSingleStore.toFixed(2)} vs {plan.bestSingleStore} only
+              </Badge>
+            )}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,154 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { Check, Pencil, Plus, Trash2, Users, X } from 'lucide-react';
+
+export type ListRole = 'OWNER' | 'EDITOR' | 'VIEWER';
+
+export interface ListMember {
+  id: string;
+  email: string;
+  name?: string | null;
+  role: ListRole;
+  status: 'PENDING' | 'ACCEPTED';
+}
+
+export interface ShoppingList {
+  id: string;
+  name: string;
+  isDefault: boolean;
+  itemCount: number;
+  role: ListRole;
+  ownerName?: string | null;
+  members?: ListMember[];
+}
+
+interface ListSwitcherProps {
+  lists: ShoppingList[];
+  selectedListId: string | null;
+  onSelect: (listId: string) => void;
+  onCreate: (name: string) => Promise<void>;
+  onRename: (listId: string, name: string) => Promise<void>;
+  onDelete: (listId: string) => Promise<void>;
+}
+
+type EditMode = 'create' | 'rename' | null;
+
+export function ListSwitcher({ lists, selectedListId, onSelect, onCreate, onRename, onDelete }: ListSwitcherProps) {
+  const [editMode, setEditMode] = useState<EditMode>(null);
+  const [name, setName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const selectedList = lists.find(list => list.id === selectedListId) || lists.find(list => list.isDefault);
+  const isOwner = selectedList?.role === 'OWNER';
+
+  const startEdit = (mode: EditMode) => {
+    setName(mode === 'rename' && selectedList ? selectedList.name : '');
+    setEditMode(mode);
+  };
+
+  const handleSave = async () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    setSaving(true);
+    try {
+      if (editMode === 'rename' && selectedList) {
+        await onRename(selectedList.id, trimmed);
+      } else {
+        await onCreate(trimmed);
+      }
+      setEditMode(null);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {lists.map(list => {
+          const isSelected = list.id === selectedList?.id;
+          const isShared = list.role !== 'OWNER' || (list.members?.length || 0) > 0;
+          return (
+            <button
+              key={list.id}
+              type="button"
+              onClick={() => onSelect(list.id)}
+              className={`px-3 py-1.5 rounded-full text-sm border transition-colors ${
+                isSelected
+                  ? 'bg-primary-600 border-primary-600 text-white font-medium'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {isShared && <Users className="w-3.5 h-3.5 inline mr-1 -mt-0.5" />}
+              {list.name}
+              <span className={`ml-1.5 ${isSelected ? 'text-primary-100' : 'text-gray-400'}`}>
+                {list.itemCount}
+              </span>
+            </button>
+          );
+        })}
+
+        {editMode === null && (
+          <Button variant="outline" size="sm" onClick={() => startEdit('create')}>
+            <Plus className="w-4 h-4 mr-1" />
+            New list
+          </Button>
+        )}
+        {editMode === null && selectedList && isOwner && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => startEdit('rename')}
+            className="h-8 w-8 p-0"
+            aria-label="Rename list"
+          >
+            <Pencil className="w-4 h-4" />
+          </Button>
+        )}
+        {editMode === null && selectedList && isOwner && !selectedList.isDefault && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => {
+              if (window.confirm(`Delete "${selectedList.name}" and its items?`)) {
+                onDelete(selectedList.id);
+              }
+            }}
+            className="h-8 w-8 p-0 text-red-500 hover:text-red-700 hover:bg-red-50"
+            aria-label="Delete list"
+          >
+            <Trash2 className="w-4 h-4" />
+          </Button>
+        )}
+      </div>
+
+      {editMode !== null && (
+        <div className="flex items-center gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') handleSave();
+              if (e.key === 'Escape') setEditMode(null);
+            }}
+            placeholder={editMode === 'create' ? 'List name (e.g. Costco run)' : 'List name'}
+            maxLength={60}
+            className="max-w-xs"
+            autoFocus
+            disabled={saving}
+          />
+          <Button size="sm" onClick={handleSave} disabled={saving || !name.trim()}>
+            <Check className="w-4 h-4" />
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setEditMode(null)} disabled={saving}>
+            <X className="w-4 h-4" />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
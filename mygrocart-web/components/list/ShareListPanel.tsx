@@ -0,0 +1,132 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Input } from '@/components/ui/input';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { UserPlus, X } from 'lucide-react';
+import type { ListMember, ListRole, ShoppingList } from './ListSwitcher';
+
+interface ShareListPanelProps {
+  list: ShoppingList;
+  currentUserEmail: string;
+  onInvite: (email: string, role: ListRole) => Promise<void>;
+  onChangeRole: (memberId: string, role: ListRole) => Promise<void>;
+  onRemove: (memberId: string) => Promise<void>;
+}
+
+const ROLE_LABELS: Record<ListRole, string> = {
+  OWNER: 'Owner',
+  EDITOR: 'Can edit',
+  VIEWER: 'Can view',
+};
+
+export function ShareListPanel({ list, currentUserEmail, onInvite, onChangeRole, onRemove }: ShareListPanelProps) {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState<ListRole>('EDITOR');
+  const [inviting, setInviting] = useState(false);
+  const [inviteError, setInviteError] = useState<string | null>(null);
+
+  const isOwner = list.role === 'OWNER';
+  const members: ListMember[] = list.members || [];
+  const myMembership = members.find(member => member.email === currentUserEmail.toLowerCase());
+
+  const handleInvite = async () => {
+    if (!email.trim()) return;
+
+    setInviting(true);
+    setInviteError(null);
+    try {
+      await onInvite(email.trim(), role);
+      setEmail('');
+    } catch (error) {
+      setInviteError(error instanceof Error ? error.message : 'Failed to share list');
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <div className="flex items-center justify-between text-sm">
+          <span className="font-medium text-gray-900">{isOwner ? 'You' : list.ownerName}</span>
+          <span className="text-gray-500">{ROLE_LABELS.OWNER}</span>
+        </div>
+
+        {members.map(member => (
+          <div key={member.id} className="flex items-center justify-between gap-3 text-sm">
+            <div className="min-w-0">
+              <span className="font-medium text-gray-900 truncate">
+                {member.id === myMembership?.id ? 'You' : member.name || member.email}
+              </span>
+              {member.status === 'PENDING' && (
+                <Badge variant="outline" className="ml-2">Invited</Badge>
+              )}
+            </div>
+            <div className="flex items-center gap-2">
+              {isOwner ? (
+                <Select value={member.role} onValueChange={(value) => onChangeRole(member.id, value as ListRole)}>
+                  <SelectTrigger className="w-28 h-8 text-xs">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="EDITOR">{ROLE_LABELS.EDITOR}</SelectItem>
+                    <SelectItem value="VIEWER">{ROLE_LABELS.VIEWER}</SelectItem>
+                  </SelectContent>
+                </Select>
+              ) : (
+                <span className="text-gray-500">{ROLE_LABELS[member.role]}</span>
+              )}
+              {(isOwner || member.id === myMembership?.id) && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => onRemove(member.id)}
+                  className="h-8 px-2 text-red-500 hover:text-red-700 hover:bg-red-50"
+                >
+                  {member.id === myMembership?.id ? 'Leave' : <X className="w-4 h-4" />}
+                </Button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {isOwner && (
+        <div className="space-y-2">
+          <div className="flex items-center gap-2">
+            <Input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleInvite();
+              }}
+              placeholder="Invite by email"
+              disabled={inviting}
+            />
+            <Select value={role} onValueChange={(value) => setRole(value as ListRole)}>
+              <SelectTrigger className="w-32">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="EDITOR">{ROLE_LABELS.EDITOR}</SelectItem>
+                <SelectItem value="VIEWER">{ROLE_LABELS.VIEWER}</SelectItem>
+              </SelectContent>
+            </Select>
+            <Button onClick={handleInvite} disabled={inviting || !email.trim()}>
+              <UserPlus className="w-4 h-4 mr-2" />
+              Invite
+            </Button>
+          </div>
+          {inviteError && <p className="text-xs text-red-600">{inviteError}</p>}
+          <p className="text-xs text-gray-500">
+            They&apos;ll see the invite on their Shopping List page after signing in with this email.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -13,6 +13,7 @@ import {
   User,
   LogOut,
   Shield,
+  Package,
 } from "lucide-react";
 import { useState } from "react";
 import { useAuth } from "@/lib/auth-context";
@@ -37,6 +38,7 @@ export function Navigation() {
         { name: "Flyers", href: "/flyers", icon: Newspaper },
         { name: "Deals", href: "/deals", icon: Tag },
         { name: "My List", href: "/list", icon: ShoppingCart },
+        { name: "Pantry", href: "/pantry", icon: Package },
         { name: "Compare", href: "/comparison", icon: DollarSign },
       ]
     : [];
@@ -1,6 +1,6 @@
 "use client";
 
-import { ApolloLink, HttpLink, from } from "@apollo/client";
+import { ApolloLink, HttpLink, from, split } from "@apollo/client";
 import {
   ApolloClient,
   InMemoryCache,
@@ -8,6 +8,9 @@ import {
 } from "@apollo/client-integration-nextjs";
 import { onError } from "@apollo/client/link/error";
 import { RetryLink } from "@apollo/client/link/retry";
+import { GraphQLWsLink } from "@apollo/client/link/subscriptions";
+import { isSubscriptionOperation } from "@apollo/client/utilities";
+import { createClient } from "graphql-ws";
 import { ReactNode } from "react";
 import { GraphQLError, GraphQLFormattedError } from "graphql";
 
@@ -18,10 +21,24 @@ interface ErrorResponse {
 }
 
 function makeClient() {
+  const graphqlEndpoint = process.env.NEXT_PUBLIC_GRAPHQL_ENDPOINT || 'http://localhost:5001/graphql';
+
   const httpLink = new HttpLink({
-    uri: process.env.NEXT_PUBLIC_GRAPHQL_ENDPOINT || 'http://localhost:5001/graphql',
+    uri: graphqlEndpoint,
   });
 
+  // Subscriptions (live shared list updates) go over a WebSocket to the same endpoint.
+  // Only in the browser - there's nothing to subscribe to during server rendering.
+  const wsLink = typeof window !== 'undefined'
+    ? new GraphQLWsLink(createClient({
+        url: graphqlEndpoint.replace(/^http/, 'ws'),
+        connectionParams: () => {
+          const token = localStorage.getItem('auth_token');
+          return { authorization: token ? `Bearer ${token}` : "" };
+        },
+      }))
+    : null;
+
   const authLink = new ApolloLink((operation, forward) => {
     // Get the authentication token from local storage if it exists
     const token = typeof window !== 'undefined' ? localStorage.getItem('auth_token') : null;
@@ -95,7 +112,13 @@ function makeClient() {
 
   return new ApolloClient({
     cache: new InMemoryCache(),
-    link: from([errorLink, retryLink, authLink, httpLink]),
+    link: wsLink
+      ? split(
+          ({ query }) => isSubscriptionOperation(query),
+          wsLink,
+          from([errorLink, retryLink, authLink, httpLink])
+        )
+      : from([errorLink, retryLink, authLink, httpLink]),
     // Default error policy
     defaultOptions: {
       watchQuery: {
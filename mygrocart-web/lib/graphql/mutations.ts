@@ -29,16 +29,79 @@ export const REQUEST_PRICE_UPDATE = gql`
 // NEW LIST-BASED MUTATIONS
 // ===================================
 
-// Add item to shopping list (with smart suggestions)
+// Named shopping lists
+export const CREATE_SHOPPING_LIST = gql`
+  mutation CreateShoppingList($name: String!) {
+    createShoppingList(name: $name) {
+      id
+      name
+      isDefault
+      itemCount
+      createdAt
+    }
+  }
+`;
+
+export const RENAME_SHOPPING_LIST = gql`
+  mutation RenameShoppingList($id: ID!, $name: String!) {
+    renameShoppingList(id: $id, name: $name) {
+      id
+      name
+    }
+  }
+`;
+
+export const DELETE_SHOPPING_LIST = gql`
+  mutation DeleteShoppingList($id: ID!) {
+    deleteShoppingList(id: $id)
+  }
+`;
+
+// Shared lists
+export const INVITE_TO_SHOPPING_LIST = gql`
+  mutation InviteToShoppingList($listId: ID!, $email: String!, $role: ListRole) {
+    inviteToShoppingList(listId: $listId, email: $email, role: $role) {
+      id
+      email
+      role
+      status
+    }
+  }
+`;
+
+export const RESPOND_TO_LIST_INVITE = gql`
+  mutation RespondToListInvite($inviteId: ID!, $accept: Boolean!) {
+    respondToListInvite(inviteId: $inviteId, accept: $accept)
+  }
+`;
+
+export const UPDATE_LIST_MEMBER_ROLE = gql`
+  mutation UpdateListMemberRole($memberId: ID!, $role: ListRole!) {
+    updateListMemberRole(memberId: $memberId, role: $role) {
+      id
+      role
+    }
+  }
+`;
+
+export const REMOVE_LIST_MEMBER = gql`
+  mutation RemoveListMember($memberId: ID!) {
+    removeListMember(memberId: $memberId)
+  }
+`;
+
+// Add item to shopping list (with smart suggestions, listId defaults to the default list)
 export const ADD_LIST_ITEM = gql`
-  mutation AddListItem($itemName: String!, $itemVariant: String, $category: String, $quantity: Int) {
-    addListItem(itemName: $itemName, itemVariant: $itemVariant, category: $category, quantity: $quantity) {
+  mutation AddListItem($itemName: String!, $itemVariant: String, $category: String, $quantity: Int, $listId: ID) {
+    addListItem(itemName: $itemName, itemVariant: $itemVariant, category: $category, quantity: $quantity, listId: $listId) {
       id
+      listId
       itemName
       itemVariant
       category
       quantity
       checked
+      recurrenceDays
       createdAt
     }
   }
@@ -46,14 +109,26 @@ export const ADD_LIST_ITEM = gql`
 
 // Update list item
 export const UPDATE_LIST_ITEM = gql`
-  mutation UpdateListItem($id: ID!, $quantity: Int, $checked: Boolean) {
-    updateListItem(id: $id, quantity: $quantity, checked: $checked) {
+  mutation UpdateListItem($id: ID!, $quantity: Int, $checked: Boolean, $recurrenceDays: Int) {
+    updateListItem(id: $id, quantity: $quantity, checked: $checked, recurrenceDays: $recurrenceDays) {
       id
       itemName
       itemVariant
       category
       quantity
       checked
+      recurrenceDays
+      nextDueAt
+    }
+  }
+`;
+
+// Move list item to another list
+export const MOVE_LIST_ITEM = gql`
+  mutation MoveListItem($id: ID!, $listId: ID!) {
+    moveListItem(id: $id, listId: $listId) {
+      id
+      listId
     }
   }
 `;
@@ -65,6 +140,83 @@ export const REMOVE_LIST_ITEM = gql`
   }
 `;
 
+// Add a pantry item by hand (checked-off list items are added automatically)
+export const ADD_PANTRY_ITEM = gql`
+  mutation AddPantryItem($itemName: String!, $itemVariant: String, $category: String, $quantity: Int, $shelfLifeDays: Int) {
+    addPantryItem(itemName: $itemName, itemVariant: $itemVariant, category: $category, quantity: $quantity, shelfLifeDays: $shelfLifeDays) {
+      id
+      itemName
+      itemVariant
+      category
+      quantity
+      lowStockThreshold
+      purchasedAt
+      shelfLifeDays
+      expiresAt
+      status
+    }
+  }
+`;
+
+// Update pantry item quantity, low-stock threshold or shelf life
+export const UPDATE_PANTRY_ITEM = gql`
+  mutation UpdatePantryItem($id: ID!, $quantity: Int, $lowStockThreshold: Int, $shelfLifeDays: Int) {
+    updatePantryItem(id: $id, quantity: $quantity, lowStockThreshold: $lowStockThreshold, shelfLifeDays: $shelfLifeDays) {
+      id
+      itemName
+      itemVariant
+      category
+      quantity
+      lowStockThreshold
+      purchasedAt
+      shelfLifeDays
+      expiresAt
+      status
+    }
+  }
+`;
+
+// Use up some of a pantry item
+export const USE_PANTRY_ITEM = gql`
+  mutation UsePantryItem($id: ID!, $amount: Int) {
+    usePantryItem(id: $id, amount: $amount) {
+      id
+      quantity
+      status
+    }
+  }
+`;
+
+// Remove pantry item
+export const REMOVE_PANTRY_ITEM = gql`
+  mutation RemovePantryItem($id: ID!) {
+    removePantryItem(id: $id)
+  }
+`;
+
+// Deal match feedback ("yes, this one" / "not this")
+export const ACCEPT_DEAL_MATCH = gql`
+  mutation AcceptDealMatch($listItemId: ID!, $dealId: ID!) {
+    acceptDealMatch(listItemId: $listItemId, dealId: $dealId) {
+      id
+      decision
+      productName
+      productBrand
+    }
+  }
+`;
+
+export const REJECT_DEAL_MATCH = gql`
+  mutation RejectDealMatch($listItemId: ID!, $dealId: ID!) {
+    rejectDealMatch(listItemId: $listItemId, dealId: $dealId) {
+      id
+      decision
+      productName
+      productBrand
+    }
+  }
+`;
+
 // ===================================
 // ADMIN DASHBOARD MUTATIONS
 // ===================================
@@ -98,3 +250,90 @@ export const DELETE_FLYER = gql`
     deleteFlyer(flyerId: $flyerId)
   }
 `;
+
+// Edit flyer name, store or validity dates (deals follow the store and dates)
+export const UPDATE_FLYER = gql`
+  mutation UpdateFlyer(
+    $flyerId: ID!
+    $flyerName: String
+    $storeName: String
+    $validFrom: String
+    $validTo: String
+  ) {
+    updateFlyer(
+      flyerId: $flyerId
+      flyerName: $flyerName
+      storeName: $storeName
+      validFrom: $validFrom
+      validTo: $validTo
+    ) {
+      id
+      storeName
+      flyerName
+      validFrom
+      validTo
+    }
+  }
+`;
+
+// Review queue: fix a misread deal (saving approves it)
+export const ADMIN_UPDATE_DEAL = gql`
+  mutation AdminUpdateDeal(
+    $dealId: ID!
+    $productName: String
+    $productBrand: String
+    $productCategory: String
+    $salePrice: Float
+    $regularPrice: Float
+    $unit: String
+    $dealType: DealType
+    $quantity: String
+  ) {
+    adminUpdateDeal(
+      dealId: $dealId
+      productName: $productName
+      productBrand: $productBrand
+      productCategory: $productCategory
+      salePrice: $salePrice
+      regularPrice: $regularPrice
+      unit: $unit
+      dealType: $dealType
+      quantity: $quantity
+    ) {
+      id
+      needsReview
+    }
+  }
+`;
+
+// Review queue: the deal was read correctly
+export const ADMIN_APPROVE_DEAL = gql`
+  mutation AdminApproveDeal($dealId: ID!) {
+    adminApproveDeal(dealId: $dealId) {
+      id
+      needsReview
+    }
+  }
+`;
+
+// Review queue: keep one deal and delete its duplicates
+export const ADMIN_MERGE_DEALS = gql`
+  mutation AdminMergeDeals($keepDealId: ID!, $duplicateDealIds: [ID!]!) {
+    adminMergeDeals(keepDealId: $keepDealId, duplicateDealIds: $duplicateDealIds) {
+      success
+      message
+      affectedCount
+    }
+  }
+`;
+
+// Review queue: delete a deal that isn't real
+export const ADMIN_DELETE_DEAL = gql`
+  mutation AdminDeleteDeal($dealId: ID!) {
+    adminDeleteDeal(dealId: $dealId) {
+      success
+      message
+      affectedCount
+    }
+  }
+`;
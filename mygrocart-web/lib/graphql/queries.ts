@@ -310,8 +310,8 @@ export const UPDATE_SCRAPING_JOB_STATUS = gql`
 
 // Get deals near user's location
 export const GET_DEALS_NEAR_ME = gql`
-  query GetDealsNearMe($zipCode: String!, $category: String, $limit: Int, $offset: Int) {
-    getDealsNearMe(zipCode: $zipCode, category: $category, limit: $limit, offset: $offset) {
+  query GetDealsNearMe($zipCode: String!, $category: String, $stockUpOnly: Boolean, $limit: Int, $offset: Int) {
+    getDealsNearMe(zipCode: $zipCode, category: $category, stockUpOnly: $stockUpOnly, limit: $limit, offset: $offset) {
       deals {
         id
         productName
@@ -320,14 +320,18 @@ export const GET_DEALS_NEAR_ME = gql`
         salePrice
         regularPrice
         unit
+        unitPriceLabel
         dealType
         quantity
         storeName
+        distanceMiles
         savings
         savingsPercent
         validFrom
         validTo
         imageUrl
+        isStockUp
+        low52WeekPrice
       }
       totalCount
       hasNextPage
@@ -350,20 +354,114 @@ export const GET_CURRENT_FLYERS = gql`
       validFrom
       validTo
       status
+      distanceMiles
+      deals {
+        id
+        productName
+        productBrand
+        productCategory
+        salePrice
+        regularPrice
+        unitPriceLabel
+        dealType
+        quantity
+        validTo
+        imageUrl
+        pageIndex
+        boundingBox {
+          x
+          y
+          width
+          height
+        }
+      }
+    }
+  }
+`;
+
+// Get the user's named shopping lists
+export const GET_MY_SHOPPING_LISTS = gql`
+  query GetMyShoppingLists($userId: ID!) {
+    getMyShoppingLists(userId: $userId) {
+      id
+      name
+      isDefault
+      itemCount
+      role
+      ownerName
+      members {
+        id
+        email
+        name
+        role
+        status
+      }
+      createdAt
     }
   }
 `;
 
-// Get shopping list with deal matches
+// Pantry inventory (what's at home)
+export const GET_MY_PANTRY = gql`
+  query GetMyPantry {
+    getMyPantry {
+      id
+      itemName
+      itemVariant
+      category
+      quantity
+      lowStockThreshold
+      purchasedAt
+      shelfLifeDays
+      expiresAt
+      status
+    }
+  }
+`;
+
+// Pantry items to buy again (low, expiring or expired, not already on the list)
+export const GET_PANTRY_SUGGESTIONS = gql`
+  query GetPantrySuggestions($listId: ID) {
+    getPantrySuggestions(listId: $listId) {
+      status
+      pantryItem {
+        id
+        itemName
+        itemVariant
+        category
+        quantity
+        expiresAt
+      }
+    }
+  }
+`;
+
+// Pending invites to other people's shared lists
+export const GET_MY_LIST_INVITES = gql`
+  query GetMyListInvites($userId: ID!) {
+    getMyListInvites(userId: $userId) {
+      id
+      listId
+      listName
+      invitedByName
+      role
+      createdAt
+    }
+  }
+`;
+
+// Get shopping list with deal matches (listId defaults to the default list)
 export const GET_MY_LIST_WITH_DEALS = gql`
-  query GetMyListWithDeals($userId: ID!) {
-    getMyListWithDeals(userId: $userId) {
+  query GetMyListWithDeals($userId: ID!, $listId: ID) {
+    getMyListWithDeals(userId: $userId, listId: $listId) {
       id
+      listId
       itemName
       itemVariant
       category
       quantity
       checked
+      recurrenceDays
       matchingDeals {
         id
         productName
@@ -376,6 +474,13 @@ export const GET_MY_LIST_WITH_DEALS = gql`
         validFrom
         validTo
       }
+      predictedNextSale {
+        storeName
+        weeksUntil
+        predictedPrice
+        dealType
+        confidence
+      }
       createdAt
     }
   }
@@ -383,8 +488,8 @@ export const GET_MY_LIST_WITH_DEALS = gql`
 
 // Match deals to shopping list
 export const MATCH_DEALS_TO_MY_LIST = gql`
-  query MatchDealsToMyList($userId: ID!) {
-    matchDealsToMyList(userId: $userId) {
+  query MatchDealsToMyList($userId: ID!, $listId: ID) {
+    matchDealsToMyList(userId: $userId, listId: $listId) {
       deal {
         id
         productName
@@ -408,30 +513,76 @@ export const MATCH_DEALS_TO_MY_LIST = gql`
       }
       matchScore
       matchReason
+      breakdown {
+        nameMatch
+        matchType
+        matchedTerm
+        tokenOverlap
+        variantMatch
+        categoryAgreement
+        brandPreference
+        ocrConfidence
+        userFeedback
+      }
     }
   }
 `;
 
 // Search deals by product name
 export const SEARCH_DEALS = gql`
-  query SearchDeals($query: String!, $zipCode: String!, $limit: Int) {
-    searchDeals(query: $query, zipCode: $zipCode, limit: $limit) {
-      id
+  query SearchDeals($query: String!, $zipCode: String!, $limit: Int, $sortBy: DealSortOrder) {
+    searchDeals(query: $query, zipCode: $zipCode, limit: $limit, sortBy: $sortBy) {
+      deals {
+        id
+        productName
+        productBrand
+        salePrice
+        regularPrice
+        unitPrice
+        unitPriceUnit
+        unitPriceLabel
+        storeName
+        dealType
+        savingsPercent
+      }
+      totalCount
+      hasNextPage
+    }
+  }
+`;
+
+// Sale price history for products matching a search (past flyers)
+export const GET_DEAL_PRICE_TRENDS = gql`
+  query GetDealPriceTrends($query: String!, $storeName: String, $weeks: Int, $limit: Int) {
+    getDealPriceTrends(query: $query, storeName: $storeName, weeks: $weeks, limit: $limit) {
+      productKey
       productName
-      productBrand
-      salePrice
-      regularPrice
-      storeName
-      dealType
-      savingsPercent
+      points {
+        storeName
+        weekOf
+        itemPrice
+      }
+      stores {
+        storeName
+        minPrice
+        avgPrice
+        maxPrice
+        weeksOnSale
+        saleFrequency
+      }
+      minPrice
+      avgPrice
+      maxPrice
+      weeksOnSale
+      saleFrequency
     }
   }
 `;
 
 // Store deals ranking - ranks stores by deals matching your list
 export const GET_STORE_DEALS_RANKING = gql`
-  query GetStoreDealsRanking($userId: ID!) {
-    getStoreDealsRanking(userId: $userId) {
+  query GetStoreDealsRanking($userId: ID!, $listId: ID) {
+    getStoreDealsRanking(userId: $userId, listId: $listId) {
       rankings {
         storeName
         matchedItemCount
@@ -445,6 +596,13 @@ export const GET_STORE_DEALS_RANKING = gql`
           dealProductName
           salePrice
           regularPrice
+          unitPriceLabel
+          quantity
+          totalCost
+          explanation
+          dealApplied
+          additionalQuantityNeeded
+          unlockMessage
           lowestPrice
           savings
           savingsPercent
@@ -459,6 +617,39 @@ export const GET_STORE_DEALS_RANKING = gql`
   }
 `;
 
+// Split the shopping list across stores (multi-store trip plan)
+export const OPTIMIZE_SHOPPING_TRIP = gql`
+  query OptimizeShoppingTrip($userId: ID!, $listId: ID, $maxStores: Int, $costPerMile: Float, $stopPenalty: Float) {
+    optimizeShoppingTrip(userId: $userId, listId: $listId, maxStores: $maxStores, costPerMile: $costPerMile, stopPenalty: $stopPenalty) {
+      stops {
+        storeName
+        distanceMiles
+        itemCount
+        subtotal
+        stopCost
+      }
+      assignments {
+        listItemId
+        listItemName
+        storeName
+        dealProductName
+        quantity
+        totalCost
+        explanation
+      }
+      unassignedItems
+      itemsCost
+      extraStopCost
+      totalCost
+      bestSingleStore
+      bestSingleStoreCost
+      savingsVsBestSingleStore
+      listItemCount
+      message
+    }
+  }
+`;
+
 // Get single flyer with deals
 export const GET_FLYER = gql`
   query GetFlyer($flyerId: ID!) {
@@ -541,6 +732,92 @@ export const GET_ALL_FLYERS = gql`
   }
 `;
 
+// Registered store flyer scrapers (admin)
+export const GET_SCRAPERS = gql`
+  query AdminGetScrapers {
+    adminGetScrapers {
+      slug
+      storeName
+      source
+      capabilities
+      regions
+      enabled
+    }
+  }
+`;
+
+// Circuit state and recent runs per store scraper (admin)
+export const GET_SCRAPER_HEALTH = gql`
+  query AdminGetScraperHealth {
+    adminGetScraperHealth {
+      slug
+      storeName
+      enabled
+      circuitState
+      consecutiveFailures
+      retryAt
+      circuitZipCodes
+      successRate
+      avgLatencyMs
+      lastRun {
+        id
+        zipCode
+        status
+        flyerCount
+        dealCount
+        errorClass
+        errorMessage
+        anomaly
+        baselineDealCount
+        createdAt
+      }
+    }
+  }
+`;
+
+// Deals flagged as likely OCR misreads (admin review queue)
+export const GET_DEAL_REVIEW_QUEUE = gql`
+  query GetDealReviewQueue($storeName: String, $limit: Int, $offset: Int) {
+    adminGetDealReviewQueue(storeName: $storeName, limit: $limit, offset: $offset) {
+      items {
+        deal {
+          id
+          storeName
+          zipCode
+          productName
+          productBrand
+          productCategory
+          salePrice
+          regularPrice
+          unit
+          dealType
+          quantity
+          confidence
+          fieldConfidence {
+            productName
+            salePrice
+            dealType
+          }
+          rawText
+          reviewReasons
+        }
+        flyerImageUrl
+        flyerName
+        duplicates {
+          id
+          productName
+          productBrand
+          salePrice
+          regularPrice
+          quantity
+          confidence
+        }
+      }
+      totalCount
+    }
+  }
+`;
+
 // Get flyer details
 export const GET_FLYER_DETAILS = gql`
   query GetFlyerDetails($flyerId: ID!) {